@@ -0,0 +1,267 @@
+/**
+ * Bidi - The Unicode Bidirectional Algorithm (UAX #9), for laying out
+ * paragraphs that mix left-to-right and right-to-left scripts.
+ *
+ * A paragraph has a base direction: 'ltr', 'rtl', or 'auto' (the default),
+ * which takes the direction of its first strong character. Each character
+ * is resolved to an embedding level, even for left-to-right and odd for
+ * right-to-left, by the algorithm's weak, neutral and implicit rules; a
+ * line is then displayed by reversing runs of characters level by level.
+ *
+ * Only the implicit rules are implemented: explicit embedding, override and
+ * isolate controls (U+202A-U+202E, U+2066-U+2069) are ignored like other
+ * boundary neutrals, and brackets are resolved like any other neutral.
+ * Glyph mirroring is left to the canvas, which mirrors when drawing text
+ * with direction 'rtl'.
+ */
+
+export const DIRECTIONS = ['auto', 'ltr', 'rtl'];
+
+// Bidi classes of ASCII characters, by code point.
+const ASCII_CLASSES = [
+    ...Array(9).fill('BN'), 'S', 'B', 'S', 'WS', 'B', ...Array(14).fill('BN'), 'B', 'B', 'B', 'S',
+    'WS', 'ON', 'ON', 'ET', 'ET', 'ET', 'ON', 'ON', 'ON', 'ON', 'ON', 'ES', 'CS', 'ES', 'CS', 'CS',
+    ...Array(10).fill('EN'), 'CS', 'ON', 'ON', 'ON', 'ON', 'ON',
+    'ON', ...Array(26).fill('L'), 'ON', 'ON', 'ON', 'ON', 'ON',
+    'ON', ...Array(26).fill('L'), 'ON', 'ON', 'ON', 'ON', 'BN'
+];
+
+// Bidi classes of the rest of Unicode as [first, last, class] ranges. The
+// first range containing a code point wins, so exceptions precede the
+// block they sit in; anything not listed is a left-to-right letter (L).
+const RANGES = [
+    [0x0080, 0x0084, 'BN'], [0x0085, 0x0085, 'B'], [0x0086, 0x009F, 'BN'],
+    [0x00A0, 0x00A0, 'CS'], [0x00A1, 0x00A1, 'ON'], [0x00A2, 0x00A5, 'ET'],
+    [0x00A6, 0x00A9, 'ON'], [0x00AB, 0x00AC, 'ON'], [0x00AD, 0x00AD, 'BN'],
+    [0x00AE, 0x00AF, 'ON'], [0x00B0, 0x00B1, 'ET'], [0x00B2, 0x00B3, 'EN'],
+    [0x00B4, 0x00B4, 'ON'], [0x00B6, 0x00B8, 'ON'], [0x00B9, 0x00B9, 'EN'],
+    [0x00BB, 0x00BF, 'ON'], [0x00D7, 0x00D7, 'ON'], [0x00F7, 0x00F7, 'ON'],
+    [0x0300, 0x036F, 'NSM'], [0x0483, 0x0489, 'NSM'],
+    // Hebrew
+    [0x0591, 0x05BD, 'NSM'], [0x05BF, 0x05BF, 'NSM'], [0x05C1, 0x05C2, 'NSM'],
+    [0x05C4, 0x05C5, 'NSM'], [0x05C7, 0x05C7, 'NSM'], [0x0590, 0x05FF, 'R'],
+    // Arabic, Syriac, Thaana
+    [0x0600, 0x0605, 'AN'], [0x0606, 0x0607, 'ON'], [0x0609, 0x060A, 'ET'],
+    [0x060C, 0x060C, 'CS'], [0x060E, 0x060F, 'ON'], [0x0610, 0x061A, 'NSM'],
+    [0x064B, 0x065F, 'NSM'], [0x0660, 0x0669, 'AN'], [0x066A, 0x066A, 'ET'],
+    [0x066B, 0x066C, 'AN'], [0x0670, 0x0670, 'NSM'], [0x06D6, 0x06DC, 'NSM'],
+    [0x06DD, 0x06DD, 'AN'], [0x06DE, 0x06DE, 'ON'], [0x06DF, 0x06E4, 'NSM'],
+    [0x06E7, 0x06E8, 'NSM'], [0x06E9, 0x06E9, 'ON'], [0x06EA, 0x06ED, 'NSM'],
+    [0x06F0, 0x06F9, 'EN'], [0x0711, 0x0711, 'NSM'], [0x0730, 0x074A, 'NSM'],
+    [0x07A6, 0x07B0, 'NSM'], [0x0600, 0x07BF, 'AL'],
+    // N'Ko, Samaritan, Mandaic
+    [0x07EB, 0x07F3, 'NSM'], [0x0816, 0x082D, 'NSM'], [0x0859, 0x085B, 'NSM'],
+    [0x07C0, 0x085F, 'R'],
+    // Syriac and Arabic supplements and extensions
+    [0x08D3, 0x08E1, 'NSM'], [0x08E2, 0x08E2, 'AN'], [0x08E3, 0x08FF, 'NSM'],
+    [0x0860, 0x08FF, 'AL'],
+    [0x1AB0, 0x1AFF, 'NSM'], [0x1DC0, 0x1DFF, 'NSM'],
+    // General punctuation and symbols
+    [0x2000, 0x200A, 'WS'], [0x200B, 0x200D, 'BN'], [0x200E, 0x200E, 'L'],
+    [0x200F, 0x200F, 'R'], [0x2010, 0x2027, 'ON'], [0x2028, 0x2028, 'WS'],
+    [0x2029, 0x2029, 'B'], [0x202A, 0x202E, 'BN'], [0x202F, 0x202F, 'CS'],
+    [0x2030, 0x2034, 'ET'], [0x2035, 0x205E, 'ON'], [0x205F, 0x205F, 'WS'],
+    [0x2060, 0x206F, 'BN'], [0x2070, 0x2070, 'EN'], [0x2074, 0x2079, 'EN'],
+    [0x207A, 0x207B, 'ES'], [0x207C, 0x207E, 'ON'], [0x2080, 0x2089, 'EN'],
+    [0x208A, 0x208B, 'ES'], [0x208C, 0x208E, 'ON'], [0x20A0, 0x20CF, 'ET'],
+    [0x20D0, 0x20FF, 'NSM'], [0x2212, 0x2212, 'ES'], [0x2213, 0x2213, 'ET'],
+    [0x2190, 0x2BFF, 'ON'], [0x2E00, 0x2E7F, 'ON'],
+    [0x3000, 0x3000, 'WS'], [0x3001, 0x3004, 'ON'], [0x3008, 0x3020, 'ON'],
+    // Presentation forms
+    [0xFB1E, 0xFB1E, 'NSM'], [0xFB29, 0xFB29, 'ES'], [0xFB1D, 0xFB4F, 'R'],
+    [0xFD3E, 0xFD3F, 'ON'], [0xFB50, 0xFDFF, 'AL'], [0xFE00, 0xFE0F, 'NSM'],
+    [0xFE20, 0xFE2F, 'NSM'], [0xFE70, 0xFEFE, 'AL'], [0xFEFF, 0xFEFF, 'BN'],
+    [0xFF03, 0xFF05, 'ET'], [0xFF0B, 0xFF0B, 'ES'], [0xFF0C, 0xFF0C, 'CS'],
+    [0xFF0D, 0xFF0D, 'ES'], [0xFF0E, 0xFF0F, 'CS'], [0xFF10, 0xFF19, 'EN'],
+    [0xFF1A, 0xFF1A, 'CS'], [0xFF01, 0xFF20, 'ON'],
+    // Supplementary planes
+    [0x10800, 0x10FFF, 'R'], [0x1EE00, 0x1EEFF, 'AL'], [0x1E800, 0x1EFFF, 'R'],
+    [0x1F000, 0x1FAFF, 'ON'], [0xE0000, 0xE0FFF, 'BN']
+];
+
+const STRONG = new Set(['L', 'R', 'AL']);
+const NEUTRAL = new Set(['B', 'S', 'WS', 'ON']);
+
+/**
+ * The bidi class of a code point, e.g. 'L', 'R', 'AL', 'EN', 'WS'.
+ * @param {number} codePoint
+ * @returns {string}
+ */
+export function bidiClass(codePoint) {
+    if (codePoint < 0x80) return ASCII_CLASSES[codePoint];
+    for (const [first, last, type] of RANGES) {
+        if (codePoint >= first && codePoint <= last) return type;
+    }
+    return 'L';
+}
+
+/**
+ * A paragraph direction setting ('ltr' or 'rtl'), or null for 'auto' and
+ * anything that isn't a direction.
+ * @param {*} direction
+ * @returns {string|null}
+ */
+export function normalizeDirection(direction) {
+    return direction === 'ltr' || direction === 'rtl' ? direction : null;
+}
+
+// Bidi class of each UTF-16 unit of text; both halves of a surrogate pair
+// take the pair's class.
+function classesOf(text) {
+    const types = [];
+    for (let i = 0; i < text.length; i++) {
+        const codePoint = text.codePointAt(i);
+        types.push(bidiClass(codePoint));
+        if (codePoint > 0xFFFF) {
+            types.push(types[types.length - 1]);
+            i++;
+        }
+    }
+    return types;
+}
+
+/**
+ * The base embedding level of a paragraph: 0 (left to right) or 1 (right
+ * to left). 'auto' takes the direction of the first strong character, and
+ * is left to right when there is none.
+ * @param {string} text
+ * @param {string} [direction] - 'ltr' | 'rtl' | 'auto'
+ * @returns {number}
+ */
+export function paragraphLevel(text, direction = 'auto') {
+    if (direction === 'rtl') return 1;
+    if (direction === 'ltr') return 0;
+    for (const type of classesOf(text)) {
+        if (type === 'L') return 0;
+        if (type === 'R' || type === 'AL') return 1;
+    }
+    return 0;
+}
+
+/**
+ * Resolve the embedding level of every UTF-16 unit of a paragraph (rules
+ * W1-W7, N1-N2 and I1-I2). Boundary neutrals take the level of the
+ * character before them, and separators the paragraph's level (rule L1;
+ * whitespace at the end of a line is the caller's to reset, as only it
+ * knows where lines end).
+ * @param {string} text
+ * @param {number} [baseLevel]
+ * @returns {number[]}
+ */
+export function resolveLevels(text, baseLevel = 0) {
+    const all = classesOf(text);
+    const levels = new Array(all.length).fill(baseLevel);
+    // Nothing right to left in a left-to-right paragraph: all at level 0.
+    if (baseLevel === 0 && !all.some(type => type === 'R' || type === 'AL' || type === 'AN')) {
+        return levels;
+    }
+
+    // Rule X9: boundary neutrals are left out of the resolution.
+    const indices = [];
+    for (let i = 0; i < all.length; i++) {
+        if (all[i] !== 'BN') indices.push(i);
+    }
+    const types = indices.map(i => all[i]);
+    const n = types.length;
+    const sos = baseLevel % 2 ? 'R' : 'L';
+
+    // W1: a non-spacing mark takes the class of the character before it.
+    for (let k = 0; k < n; k++) {
+        if (types[k] === 'NSM') types[k] = k > 0 ? types[k - 1] : sos;
+    }
+    // W2: European digits after Arabic letters are Arabic digits.
+    let strong = sos;
+    for (let k = 0; k < n; k++) {
+        if (STRONG.has(types[k])) strong = types[k];
+        else if (types[k] === 'EN' && strong === 'AL') types[k] = 'AN';
+    }
+    // W3: Arabic letters are right to left.
+    for (let k = 0; k < n; k++) {
+        if (types[k] === 'AL') types[k] = 'R';
+    }
+    // W4: a single separator between two numbers of one kind joins them.
+    for (let k = 1; k < n - 1; k++) {
+        const before = types[k - 1];
+        if (before !== types[k + 1]) continue;
+        if (types[k] === 'ES' && before === 'EN') types[k] = 'EN';
+        else if (types[k] === 'CS' && (before === 'EN' || before === 'AN')) types[k] = before;
+    }
+    // W5: terminators (%, $, ...) next to European digits join them.
+    for (let k = 0; k < n; k++) {
+        if (types[k] !== 'ET') continue;
+        let end = k;
+        while (end < n && types[end] === 'ET') end++;
+        if ((k > 0 && types[k - 1] === 'EN') || (end < n && types[end] === 'EN')) {
+            for (let j = k; j < end; j++) types[j] = 'EN';
+        }
+        k = end - 1;
+    }
+    // W6: remaining separators and terminators are neutral.
+    for (let k = 0; k < n; k++) {
+        if (types[k] === 'ES' || types[k] === 'ET' || types[k] === 'CS') types[k] = 'ON';
+    }
+    // W7: European digits in left-to-right text are left to right.
+    strong = sos;
+    for (let k = 0; k < n; k++) {
+        if (types[k] === 'L' || types[k] === 'R') strong = types[k];
+        else if (types[k] === 'EN' && strong === 'L') types[k] = 'L';
+    }
+    // N1/N2: neutrals between text of one direction take that direction
+    // (digits count as right to left), others the paragraph's.
+    const side = type => (type === 'L' ? 'L' : 'R');
+    for (let k = 0; k < n; k++) {
+        if (!NEUTRAL.has(types[k])) continue;
+        let end = k;
+        while (end < n && NEUTRAL.has(types[end])) end++;
+        const before = k > 0 ? side(types[k - 1]) : sos;
+        const after = end < n ? side(types[end]) : sos;
+        const resolved = before === after ? before : sos;
+        for (let j = k; j < end; j++) types[j] = resolved;
+        k = end - 1;
+    }
+    // I1/I2: raise right-to-left text and numbers above the paragraph level.
+    for (let k = 0; k < n; k++) {
+        const type = types[k];
+        let level = baseLevel;
+        if (baseLevel % 2 === 0) {
+            if (type === 'R') level += 1;
+            else if (type === 'AN' || type === 'EN') level += 2;
+        } else if (type === 'L' || type === 'EN' || type === 'AN') {
+            level += 1;
+        }
+        levels[indices[k]] = level;
+    }
+    // L1 and X9: separators at the paragraph level, boundary neutrals at
+    // the level of the character before them.
+    for (let i = 0; i < all.length; i++) {
+        if (all[i] === 'B' || all[i] === 'S') levels[i] = baseLevel;
+        else if (all[i] === 'BN') levels[i] = i > 0 ? levels[i - 1] : baseLevel;
+    }
+    return levels;
+}
+
+/**
+ * Display order of a line's items from their levels (rule L2): from the
+ * highest level down to the lowest odd one, every run of items at that
+ * level or above is reversed.
+ * @param {number[]} levels - Level of each item, in logical order
+ * @returns {number[]} Logical indices, left to right
+ */
+export function visualOrder(levels) {
+    const order = levels.map((_, i) => i);
+    if (levels.length === 0) return order;
+    const highest = Math.max(...levels);
+    const lowest = Math.min(...levels);
+    const lowestOdd = lowest % 2 ? lowest : lowest + 1;
+    for (let level = highest; level >= lowestOdd; level--) {
+        for (let k = 0; k < order.length; k++) {
+            if (levels[order[k]] < level) continue;
+            let end = k;
+            while (end < order.length && levels[order[end]] >= level) end++;
+            const reversed = order.slice(k, end).reverse();
+            order.splice(k, end - k, ...reversed);
+            k = end;
+        }
+    }
+    return order;
+}
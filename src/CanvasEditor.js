@@ -1,11 +1,43 @@
 import { Chain } from './Chain.js';
 import { FontProperties } from './FontProperties.js';
-import { TextLink, CursorLink, NewlineLink, VirtualNewlineLink, HorizontalRuleLink, ImageLink } from './ChainLink.js';
+import { TextLink, CursorLink, NewlineLink, VirtualNewlineLink, HorizontalRuleLink, ImageLink, CompositionLink } from './ChainLink.js';
+import { documentToHtml, htmlToDocument, sanitizeDocument, sanitizeUrl } from './HtmlCodec.js';
+import { documentToMarkdown, markdownToDocument } from './MarkdownCodec.js';
+import { DEFAULT_COMMANDS } from './Commands.js';
+import { normalizeSpacing, mergeSpacing } from './ParagraphSpacing.js';
+import { normalizeDirection } from './Bidi.js';
+import { DEFAULT_TAB_INTERVAL, normalizeTabStops } from './TabStops.js';
+import { MAX_LIST_LEVEL, normalizeListLevel, normalizeNumbering, mergeNumbering, numberListItems } from './Lists.js';
+import { buildKeymap, chordFromEvent, normalizeChord } from './Keymap.js';
+
+// Distinguishes the DOM ids of several editors' accessibility mirrors.
+let a11yInstanceCounter = 0;
+
+// Text color of checked check list items.
+const CHECKED_TEXT_COLOR = '#9e9e9e';
+
+// Cache key for a paragraph attribute map.
+function mapKey(map) {
+    return JSON.stringify(Array.from(map));
+}
+
+// Device pixels per CSS pixel (1 outside a browser).
+function devicePixelRatio() {
+    return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+}
 
 /**
  * CanvasEditor - Main editor class that manages the canvas, rendering, and user interactions
  */
 export class CanvasEditor {
+    // Clipboard type for the editor's native (toJSON-shaped) document flavor.
+    // The "web " prefix is how the async Clipboard API accepts custom types.
+    static CLIPBOARD_JSON_TYPE = 'web application/x-canvas-richtext+json';
+
+    // Layout size for pasted images whose markup gave no dimensions.
+    static PLACEHOLDER_IMAGE_WIDTH = 240;
+    static PLACEHOLDER_IMAGE_HEIGHT = 180;
+
     constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
@@ -25,7 +57,35 @@ export class CanvasEditor {
             scrollbarTrackColor: options.scrollbarTrackColor || 'rgba(0, 0, 0, 0.05)',
             scrollbarThumbColor: options.scrollbarThumbColor || 'rgba(0, 0, 0, 0.3)',
             minScrollbarThumbHeight: options.minScrollbarThumbHeight || 24,
-            tabSize: options.tabSize || 4,
+            // Default tab stop interval in pixels (see setTabStops for
+            // custom stops).
+            tabInterval: options.tabInterval || DEFAULT_TAB_INTERVAL,
+            // How checked check list items are drawn: 'strike' (grey and
+            // struck through), 'grey' or 'none'.
+            checkedItemStyle: options.checkedItemStyle || 'strike',
+            // How Left/Right move the caret through mixed-direction text:
+            // 'logical' (through the text, in the paragraph's direction) or
+            // 'visual' (to the next position on screen).
+            caretMovement: options.caretMovement || 'logical',
+            // Hyphenators by language ({ en: new Hyphenator(patterns) }, or a
+            // function of a word returning offsets); the one for `language`
+            // breaks words that don't fit a line. Soft hyphens need none.
+            hyphenators: options.hyphenators || {},
+            language: options.language || 'en',
+            // TextMeasurer for layout (see TextMeasurer.js); the canvas's
+            // context by default.
+            textMeasurer: options.textMeasurer || null,
+            ariaLabel: options.ariaLabel || 'Rich text editor',
+            // Block all editing while keeping navigation, selection and copy.
+            readOnly: options.readOnly || false,
+            // Key binding overrides ({ 'Mod-k': 'openLinkPopup', 'Mod-u': null })
+            keymap: options.keymap || {},
+            // (src, { alt, width, height, full }) => string|null; rewrites the
+            // source of each pasted image (return null to drop the image).
+            transformPastedImageUrl: options.transformPastedImageUrl || null,
+            // Fixed backing-store scale; by default the editor follows
+            // window.devicePixelRatio, including when it changes.
+            pixelRatio: options.pixelRatio || null,
             debug: options.debug || false
         };
 
@@ -37,11 +97,25 @@ export class CanvasEditor {
             this.options.defaultFontStyle
         );
 
+        // Layout, hit-testing and drawing work in CSS pixels; the canvas's
+        // initial width/height attributes give its CSS size, and the backing
+        // store is that times the device pixel ratio.
+        this.cssWidth = this.canvas.width;
+        this.cssHeight = this.canvas.height;
+        this.pixelRatio = this.options.pixelRatio || devicePixelRatio();
+        this.applyCanvasSize();
+        if (!this.options.pixelRatio) {
+            this.watchPixelRatio();
+        }
+
         // Calculate editor width
-        this.editorWidth = this.canvas.width - (this.options.padding * 2);
+        this.editorWidth = this.cssWidth - (this.options.padding * 2);
 
         // Initialize the chain
-        this.chain = new Chain(this.editorWidth, this.ctx, this.defaultFontProperties);
+        this.chain = new Chain(this.editorWidth, this.options.textMeasurer || this.ctx, this.defaultFontProperties);
+        this.chain.caretMovement = this.options.caretMovement;
+        this.chain.tabInterval = this.options.tabInterval;
+        this.chain.hyphenator = this.options.hyphenators[this.options.language] || null;
 
         // Cursor blink state
         this.cursorVisible = true;
@@ -86,11 +160,33 @@ export class CanvasEditor {
 
         // Paragraph alignment (keyed by paragraph index)
         this.paragraphAlignments = new Map();
+        // Paragraph base direction, 'ltr' | 'rtl' (keyed by paragraph index;
+        // absent means 'auto'; see Bidi.js)
+        this.paragraphDirections = new Map();
 
-        // Paragraph list type, 'bullet' | 'number' (keyed by paragraph index)
+        // Paragraph list type, 'bullet' | 'number' | 'check' (keyed by
+        // paragraph index)
         this.paragraphLists = new Map();
-        // Left indent applied to list paragraphs, in pixels.
+        // Nesting level of list paragraphs nested 1 or more deep (keyed by
+        // paragraph index; absent means the outermost level)
+        this.paragraphListLevels = new Map();
+        // Numbering format, start and continue options of numbered list
+        // items (keyed by paragraph index; see Lists.js)
+        this.paragraphListNumbering = new Map();
+        // Check list items that are checked (keyed by paragraph index; value
+        // true)
+        this.paragraphChecked = new Map();
+
+        // Paragraph line height and space before/after (keyed by paragraph
+        // index; see ParagraphSpacing.js)
+        this.paragraphSpacing = new Map();
+        // Custom tab stops (keyed by paragraph index; see TabStops.js)
+        this.paragraphTabStops = new Map();
+        // Left indent applied to list paragraphs per level, in pixels: the
+        // width of a list's marker gutter unless its markers need more room.
         this.LIST_INDENT = 32;
+        // Space between a list marker and the item's text, in pixels.
+        this.LIST_MARKER_GAP = 8;
         // Counter for stable paragraph-boundary ids (see boundaryKey).
         this._pidCounter = 0;
 
@@ -99,6 +195,36 @@ export class CanvasEditor {
         // Side length of an image's square resize handles, in pixels.
         this.imageHandleSize = 10;
 
+        // IME composition state. While composing, the preedit text lives in
+        // the chain as CompositionLink runs; it is committed as one undoable
+        // insert when the composition ends.
+        this.isComposing = false;
+        this.imeInput = null;
+
+        // Accessibility mirror: an off-screen DOM copy of the document for
+        // assistive technology, plus a live region for announcements.
+        this.a11yId = `crt-a11y-${++a11yInstanceCounter}`;
+        this.a11yRoot = null;
+        this.lastAnnouncement = '';
+
+        // Named commands and the chord → command bindings that trigger them.
+        this.commands = new Map(Object.entries(DEFAULT_COMMANDS));
+        this.keymap = buildKeymap(this.options.keymap);
+
+        // Subscribers registered with on(), keyed by event type.
+        this.eventHandlers = new Map();
+        // Change detection for 'change' events: edits record the range they
+        // replaced (see recordChange()) and the next render reports it.
+        this.pendingChange = null;
+        this.chain.onEdit = (start, oldEnd, end) => this.recordChange(start, oldEnd, end);
+        // Last state reported by cursormove/selectionchange/scroll events.
+        this.lastEventCursor = null;
+        this.lastEventSelection = null;
+        this.lastEventScrollY = 0;
+        // Whether the canvas or its hidden input has focus.
+        this.hasFocus = false;
+        this.blurTimer = null;
+
         // Find/Replace state
         this.findMatches = [];
         this.currentMatchIndex = -1;
@@ -127,6 +253,8 @@ export class CanvasEditor {
         this.boundHandleTouchStart = (e) => this.handleTouchStart(e);
         this.boundHandleTouchMove = (e) => this.handleTouchMove(e);
         this.boundHandleTouchEnd = (e) => this.handleTouchEnd(e);
+        this.boundHandleFocusIn = () => this.handleFocusIn();
+        this.boundHandleFocusOut = () => this.handleFocusOut();
 
         // Skip event listeners if canvas doesn't support them (e.g., node-canvas in tests)
         if (typeof this.canvas.addEventListener === 'function') {
@@ -145,11 +273,24 @@ export class CanvasEditor {
             this.canvas.addEventListener('touchmove', this.boundHandleTouchMove, { passive: false });
             this.canvas.addEventListener('touchend', this.boundHandleTouchEnd, { passive: false });
 
+            // Focus tracking for focus/blur events
+            this.canvas.addEventListener('focus', this.boundHandleFocusIn);
+            this.canvas.addEventListener('blur', this.boundHandleFocusOut);
+
             // Make canvas focusable and set initial cursor
             this.canvas.tabIndex = 1;
             if (this.canvas.style) {
                 this.canvas.style.cursor = 'text';
             }
+
+            // Text input (IME, dead keys, emoji pickers) needs an editable
+            // element; focusing the canvas hands focus to a hidden one, which
+            // also serves as the screen reader's caret proxy.
+            this.ensureAccessibilityMirror();
+            if (this.ensureImeInput()) {
+                this.boundHandleCanvasFocus = () => this.focusImeInput();
+                this.canvas.addEventListener('focus', this.boundHandleCanvasFocus);
+            }
         }
     }
 
@@ -163,7 +304,9 @@ export class CanvasEditor {
         const y = e.clientY - rect.top - this.options.padding + this.scrollY;
 
         const pos = this.getCharacterAtPosition(x, y);
-        if (this.isPositionInSelection(pos)) {
+        if (this.checkboxAt(x, y) !== null) {
+            this.canvas.style.cursor = 'pointer';
+        } else if (this.isPositionInSelection(pos)) {
             this.canvas.style.cursor = 'grab';
         } else {
             this.canvas.style.cursor = 'text';
@@ -174,247 +317,141 @@ export class CanvasEditor {
         const key = e.key;
         const ctrl = e.ctrlKey || e.metaKey;
 
-        // Any keyboard action should bring the cursor back into view on render.
-        this.scrollToCursorOnNextRender = true;
-
-        // Undo/Redo shortcuts
-        if (ctrl && key === 'z' && !e.shiftKey) {
-            e.preventDefault();
-            this.undo();
-            this.resetCursorBlink();
-            return;
-        } else if (ctrl && (key === 'y' || (key === 'z' && e.shiftKey))) {
-            e.preventDefault();
-            this.redo();
-            this.resetCursorBlink();
+        // Keys pressed while an IME is composing belong to the IME (browsers
+        // report them as 'Process' / keyCode 229).
+        if (this.isComposing || e.isComposing || key === 'Process' || e.keyCode === 229) {
             return;
         }
 
-        // Select All
-        if (ctrl && key === 'a') {
-            e.preventDefault();
-            this.selectAll();
-            this.render();
-            this.resetCursorBlink();
-            return;
-        }
+        const name = this.keymap.get(chordFromEvent(e));
+        const command = name ? this.commands.get(name) : null;
+        const printable = !command && key.length === 1 && !ctrl;
+        if (!command && !printable) return;
 
-        // Copy
-        if (ctrl && key === 'c') {
-            e.preventDefault();
-            this.copy();
-            this.resetCursorBlink();
+        // Read-only: swallow editing keys (Tab keeps its default focus move);
+        // navigation, selection, copy and find still work.
+        if (this.isReadOnly() && (printable || command.edits)) {
+            if (key !== 'Tab') e.preventDefault();
             return;
         }
 
-        // Cut
-        if (ctrl && key === 'x') {
-            e.preventDefault();
-            this.cut();
-            this.resetCursorBlink();
-            return;
-        }
+        // Any keyboard action should bring the cursor back into view on render.
+        this.scrollToCursorOnNextRender = true;
 
-        // Paste
-        if (ctrl && key === 'v') {
-            e.preventDefault();
-            this.paste();
-            this.resetCursorBlink();
-            return;
+        // Printable characters prevent default to stop page scrolling.
+        e.preventDefault();
+        if (printable) {
+            this.executeCommand('insertText', key);
+        } else {
+            this.executeCommand(name);
         }
 
-        // Text formatting shortcuts
-        if (ctrl && key === 'b') {
-            e.preventDefault();
-            this.toggleBold();
-            this.resetCursorBlink();
-            return;
-        }
+        // Reset cursor blink to stay visible for full cycle
+        this.resetCursorBlink();
+    }
 
-        if (ctrl && key === 'i') {
-            e.preventDefault();
-            this.toggleItalic();
-            this.resetCursorBlink();
-            return;
-        }
+    // --- Commands and key bindings ------------------------------------------
 
-        if (ctrl && key === 'u') {
-            e.preventDefault();
-            this.toggleUnderline();
-            this.resetCursorBlink();
-            return;
+    // Run a named command (see Commands.js) with optional arguments. Returns
+    // false when the command is unknown or edits in read-only mode.
+    executeCommand(name, args) {
+        const command = this.commands.get(name);
+        if (!command) return false;
+        if (command.edits && this.isReadOnly()) return false;
+        command.run(this, args);
+        return true;
+    }
+
+    // Add or replace a named command. Pass { edits: true } for commands that
+    // modify the document so read-only mode blocks them.
+    registerCommand(name, run, { edits = false } = {}) {
+        this.commands.set(name, { edits, run });
+    }
+
+    unregisterCommand(name) {
+        this.commands.delete(name);
+    }
+
+    // Bind a key chord (e.g. 'Mod-Shift-7') to a command name, or unbind it
+    // with null.
+    bindKey(chord, name) {
+        const normalized = normalizeChord(chord);
+        if (name) {
+            this.keymap.set(normalized, name);
+        } else {
+            this.keymap.delete(normalized);
         }
+    }
 
-        // A selected image consumes Delete/Backspace (remove) and Escape
-        // (deselect); any other key drops the image selection and falls through
-        // to normal editing.
-        if (this.selectedImage) {
-            if (key === 'Backspace' || key === 'Delete') {
-                e.preventDefault();
-                this.deleteSelectedImage();
-                this.resetCursorBlink();
-                return;
-            }
-            if (key === 'Escape') {
-                e.preventDefault();
-                this.clearImageSelection();
-                return;
-            }
-            this.clearImageSelection();
+    // Replace all custom bindings: the defaults plus the given overrides.
+    setKeymap(overrides = {}) {
+        this.options.keymap = overrides;
+        this.keymap = buildKeymap(overrides);
+    }
+
+    // The active bindings as a { chord: commandName } object.
+    getKeymap() {
+        return Object.fromEntries(this.keymap);
+    }
+
+    // Register the hyphenator for a language (a Hyphenator, or a function
+    // of a word returning offsets), or remove it with null.
+    setHyphenator(language, hyphenator) {
+        const hyphenators = { ...this.options.hyphenators };
+        if (hyphenator) {
+            hyphenators[language] = hyphenator;
+        } else {
+            delete hyphenators[language];
         }
+        this.options.hyphenators = hyphenators;
+        this.applyHyphenator();
+    }
 
-        // Handle editor keys
-        if (key === 'Backspace') {
-            e.preventDefault();
-            this.takeSnapshot();
-            if (this.chain.hasSelection()) {
-                this.deleteSelection();
-            } else if (ctrl) {
-                this.remapAroundEdit(() => this.chain.deleteWordLeft());
-            } else {
-                this.remapAroundEdit(() => this.chain.backspacePressed());
-            }
-            this.render();
-        } else if (key === 'Delete') {
-            e.preventDefault();
-            this.takeSnapshot();
-            if (this.chain.hasSelection()) {
-                this.deleteSelection();
-            } else if (ctrl) {
-                this.remapAroundEdit(() => this.chain.deleteWordRight());
-            } else {
-                this.remapAroundEdit(() => this.chain.deleteForward());
-            }
-            this.render();
-        } else if (key === 'Enter') {
-            e.preventDefault();
-            this.takeSnapshot();
-            if (this.chain.hasSelection()) {
-                this.deleteSelection();
-            }
-            const splitPara = this.getCurrentParagraphIndex();
-            if (this.paragraphLists.has(splitPara) && this.isParagraphEmpty(splitPara)) {
-                // Enter on an empty list item exits the list (removes the bullet
-                // and indent) rather than adding another empty item.
-                this.paragraphLists.delete(splitPara);
-                this.syncParagraphIndents();
-                this.chain.recalc();
-            } else {
-                // Split the current paragraph and carry its list/alignment onto
-                // the new line (auto-continue), shifting following paragraphs.
-                this.remapAroundEdit(() => this.chain.enterPressed());
-                this.continueParagraphAttributes(splitPara);
-            }
-            this.render();
-        } else if (key === 'ArrowLeft') {
-            e.preventDefault();
-            // Ctrl moves by whole words; Shift extends the selection.
-            // Plain cursor movement collapses any existing selection internally.
-            if (ctrl && e.shiftKey) {
-                this.chain.shiftWordLeftPressed();
-            } else if (ctrl) {
-                this.chain.wordLeftPressed();
-            } else if (e.shiftKey) {
-                this.chain.shiftLeftArrowPressed();
-            } else {
-                this.chain.leftArrowPressed();
-            }
-            this.render();
-        } else if (key === 'ArrowRight') {
-            e.preventDefault();
-            if (ctrl && e.shiftKey) {
-                this.chain.shiftWordRightPressed();
-            } else if (ctrl) {
-                this.chain.wordRightPressed();
-            } else if (e.shiftKey) {
-                this.chain.shiftRightArrowPressed();
-            } else {
-                this.chain.rightArrowPressed();
-            }
-            this.render();
-        } else if (key === 'Home') {
-            e.preventDefault();
-            // Ctrl jumps to document start; Shift extends the selection.
-            if (ctrl && e.shiftKey) {
-                this.chain.shiftDocumentStartPressed();
-            } else if (ctrl) {
-                this.chain.documentStartPressed();
-            } else if (e.shiftKey) {
-                this.chain.shiftHomePressed();
-            } else {
-                this.chain.homePressed();
-            }
-            this.render();
-        } else if (key === 'End') {
-            e.preventDefault();
-            if (ctrl && e.shiftKey) {
-                this.chain.shiftDocumentEndPressed();
-            } else if (ctrl) {
-                this.chain.documentEndPressed();
-            } else if (e.shiftKey) {
-                this.chain.shiftEndPressed();
-            } else {
-                this.chain.endPressed();
-            }
-            this.render();
-        } else if (key === 'ArrowUp') {
-            e.preventDefault();
-            if (e.shiftKey) {
-                this.chain.shiftUpArrowPressed();
-            } else {
-                this.chain.clearSelection();
-                this.chain.upArrowPressed();
-            }
-            this.render();
-        } else if (key === 'ArrowDown') {
-            e.preventDefault();
-            if (e.shiftKey) {
-                this.chain.shiftDownArrowPressed();
-            } else {
-                this.chain.clearSelection();
-                this.chain.downArrowPressed();
-            }
-            this.render();
-        } else if (key === 'PageUp') {
-            e.preventDefault();
-            this.pageMove(-1, e.shiftKey);
-            this.render();
-        } else if (key === 'PageDown') {
-            e.preventDefault();
-            this.pageMove(1, e.shiftKey);
-            this.render();
-        } else if (key === 'Tab') {
-            // Insert spaces instead of moving focus off the canvas.
-            e.preventDefault();
-            this.takeSnapshot();
-            if (this.chain.hasSelection()) {
-                this.deleteSelection();
-            }
-            for (let i = 0; i < this.options.tabSize; i++) {
-                this.chain.printableKeyPressed(' ');
-            }
-            this.render();
-        } else if (key === 'Escape') {
-            // Clear any active selection.
-            e.preventDefault();
-            if (this.chain.hasSelection()) {
-                this.chain.clearSelection();
-                this.render();
-            }
-        } else if (key.length === 1 && !ctrl) {
-            // Printable character - prevent default to stop page scrolling
-            e.preventDefault();
-            this.takeSnapshot();
-            // Delete selection first if exists
-            if (this.chain.hasSelection()) {
-                this.deleteSelection();
+    // Set the document's language, which picks its hyphenator.
+    setLanguage(language) {
+        this.options.language = language;
+        this.applyHyphenator();
+    }
+
+    getLanguage() {
+        return this.options.language;
+    }
+
+    // Re-wrap the document with the current language's hyphenator.
+    applyHyphenator() {
+        this.chain.hyphenator = this.options.hyphenators[this.options.language] || null;
+        this.chain.invalidateLayout();
+        this.chain.recalc();
+        this.render();
+    }
+
+    isReadOnly() {
+        return this.options.readOnly;
+    }
+
+    // Toggle read-only (view) mode. Every editing path is blocked while it is
+    // on; caret navigation, selection, copy, find, Ctrl/Cmd-click on links
+    // and scrolling keep working. Programmatic loading (setText, fromJSON)
+    // is still allowed so a viewer can display documents.
+    setReadOnly(readOnly) {
+        this.options.readOnly = !!readOnly;
+        if (this.options.readOnly) {
+            // Abandon anything mid-edit.
+            if (this.isComposing) {
+                this.setCompositionText('');
+                this.isComposing = false;
             }
-            this.chain.printableKeyPressed(key);
-            this.render();
+            this.closeLinkPopup();
+            this.isDragging = false;
+            this.draggedText = '';
+            this._imageResizeHandle = null;
+            this._imageMoving = false;
         }
-
-        // Reset cursor blink to stay visible for full cycle
-        this.resetCursorBlink();
+        if (this.canvas.setAttribute) {
+            this.canvas.setAttribute('aria-readonly', String(this.options.readOnly));
+        }
+        if (this.imeInput) this.imeInput.readOnly = this.options.readOnly;
+        this.render();
     }
 
     // Clipboard operations
@@ -438,18 +475,54 @@ export class CanvasEditor {
 
     copy() {
         if (!this.chain.hasSelection()) return;
+        return this.writeClipboard(this.getClipboardFlavors());
+    }
+
+    // The selection in every clipboard flavor we write: plain text, HTML for
+    // other apps, and the editor's own document JSON for lossless pastes
+    // between editor instances.
+    getClipboardFlavors() {
+        const slice = this.getDocumentSlice(this.chain.selectionStart, this.chain.selectionEnd);
+        return {
+            'text/plain': this.chain.getSelectedText(),
+            'text/html': documentToHtml(slice, { defaultFont: this.defaultFontProperties.toObject() }),
+            [CanvasEditor.CLIPBOARD_JSON_TYPE]: JSON.stringify(slice)
+        };
+    }
 
-        const selectedText = this.chain.getSelectedText();
+    // Write clipboard flavors, degrading gracefully: all flavors, then without
+    // the custom JSON flavor (older browsers reject unknown types), then plain
+    // text only.
+    writeClipboard(flavors) {
+        const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+        if (!clipboard) return Promise.resolve();
 
-        // Use Clipboard API if available
-        if (navigator.clipboard && navigator.clipboard.writeText) {
-            navigator.clipboard.writeText(selectedText).catch(err => {
-                console.error('Failed to copy text: ', err);
-            });
+        const writePlain = () => clipboard.writeText
+            ? clipboard.writeText(flavors['text/plain'])
+            : Promise.resolve();
+
+        let written;
+        if (clipboard.write && typeof ClipboardItem !== 'undefined' && typeof Blob !== 'undefined') {
+            const toItem = (types) => {
+                const parts = {};
+                for (const type of types) {
+                    parts[type] = new Blob([flavors[type]], { type });
+                }
+                return new ClipboardItem(parts);
+            };
+            written = clipboard.write([toItem(Object.keys(flavors))])
+                .catch(() => clipboard.write([toItem(['text/plain', 'text/html'])]))
+                .catch(() => writePlain());
+        } else {
+            written = writePlain();
         }
+        return written.catch(err => {
+            console.error('Failed to copy text: ', err);
+        });
     }
 
     cut() {
+        if (this.isReadOnly()) return;
         if (!this.chain.hasSelection()) return;
 
         this.takeSnapshot();
@@ -458,34 +531,184 @@ export class CanvasEditor {
         this.render();
     }
 
+    // Paste from the system clipboard. Prefers the editor's own JSON flavor
+    // (lossless), then HTML (converted to formatted runs), then plain text.
     paste() {
-        // Use Clipboard API if available
-        if (navigator.clipboard && navigator.clipboard.readText) {
-            navigator.clipboard.readText().then(text => {
-                this.takeSnapshot();
+        if (this.isReadOnly()) return Promise.resolve();
+        return this.readClipboard().then(flavors => {
+            if (this.pasteFlavors(flavors)) {
+                this.render();
+            }
+        }).catch(err => {
+            console.error('Failed to paste text: ', err);
+        });
+    }
 
-                // Delete selection if exists
-                if (this.chain.hasSelection()) {
-                    this.deleteSelection();
+    // Read the clipboard into a { mimeType: string } map. Uses the async
+    // Clipboard API's read() for rich flavors where available, falling back
+    // to readText() (e.g. when read() is unsupported or not permitted).
+    readClipboard() {
+        const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+        const readPlain = () => clipboard && clipboard.readText
+            ? clipboard.readText().then(text => ({ 'text/plain': text }))
+            : Promise.resolve({});
+        if (!clipboard || !clipboard.read) return readPlain();
+
+        const wanted = [CanvasEditor.CLIPBOARD_JSON_TYPE, 'text/html', 'text/plain'];
+        return clipboard.read().then(async items => {
+            const flavors = {};
+            for (const item of items) {
+                for (const type of item.types) {
+                    if (wanted.includes(type) && !(type in flavors)) {
+                        flavors[type] = await (await item.getType(type)).text();
+                    }
+                }
+            }
+            return flavors;
+        }).catch(() => readPlain());
+    }
+
+    // Convert clipboard flavors to a sanitized document, or null when only
+    // plain text is available. A flavor that sanitizes down to nothing falls
+    // through to the next one.
+    clipboardFlavorsToDocument(flavors) {
+        const options = { transformImageUrl: this.options.transformPastedImageUrl };
+        const json = flavors[CanvasEditor.CLIPBOARD_JSON_TYPE];
+        if (json) {
+            try {
+                const data = JSON.parse(json);
+                if (data && Array.isArray(data.content)) {
+                    const doc = sanitizeDocument(data, options);
+                    if (doc.content.length > 0) return doc;
                 }
+            } catch (err) {
+                // Malformed JSON: fall through to the other flavors.
+            }
+        }
+        const html = flavors['text/html'];
+        if (html) {
+            const doc = htmlToDocument(html, { ...options, baseFont: this.chain.currentFontProperties });
+            if (doc.content.length > 0) return doc;
+        }
+        return null;
+    }
 
-                // Insert pasted text, keeping existing paragraphs' attributes
-                // attached as newlines shift their indices.
-                this.remapAroundEdit(() => {
-                    for (let char of text) {
-                        if (char === '\n') {
-                            this.chain.enterPressed();
-                        } else {
-                            this.chain.printableKeyPressed(char);
-                        }
-                    }
-                });
+    // Insert clipboard flavors at the cursor, replacing any selection, as one
+    // undo step. Returns false when there was nothing to paste.
+    pasteFlavors(flavors) {
+        if (this.isReadOnly()) return false;
+        const doc = this.clipboardFlavorsToDocument(flavors);
+        const text = flavors['text/plain'] || '';
+        if (!doc && text.length === 0) return false;
 
-                this.render();
-            }).catch(err => {
-                console.error('Failed to paste text: ', err);
-            });
+        this.takeSnapshot();
+
+        // Delete selection if exists
+        if (this.chain.hasSelection()) {
+            this.deleteSelection();
+        }
+
+        if (doc) {
+            this.insertDocument(doc);
+        } else {
+            // Insert pasted text, keeping existing paragraphs' attributes
+            // attached as newlines shift their indices.
+            this.remapAroundEdit(() => this.chain.insertText(text));
         }
+        this.scrollToCursorOnNextRender = true;
+        return true;
+    }
+
+    // Insert a document fragment (toJSON() shape) at the cursor. Its first
+    // paragraph merges into the current one; following paragraphs take the
+    // fragment's list/alignment attributes. A fragment without any paragraph
+    // attributes continues the current paragraph's, as typing Enter would.
+    // Does not snapshot or render; callers handle those.
+    insertDocument(doc) {
+        const links = this.linksFromContent(doc.content || []);
+        if (links.length === 0) return;
+        this.sizeUnsizedImages(links);
+
+        const startPara = this.getCurrentParagraphIndex();
+        const startWasEmpty = this.isParagraphEmpty(startPara);
+        const alignments = doc.alignments || {};
+        const lists = doc.lists || {};
+        const listLevels = doc.listLevels || {};
+        const listNumbering = doc.listNumbering || {};
+        const checked = doc.checked || {};
+        const spacing = doc.spacing || {};
+        const directions = doc.directions || {};
+        const tabStops = doc.tabStops || {};
+        const hasAttributes = [alignments, lists, spacing, directions, tabStops].some(map => Object.keys(map).length > 0);
+
+        // Laid out once, with the attributes the new paragraphs take.
+        this.chain.batchLayout(() => {
+            // insertItems() may add a break before a leading block, which shifts
+            // the fragment's paragraphs down by one.
+            const before = this.paragraphBoundaries().length;
+            this.remapAroundEdit(() => this.chain.insertItems(links));
+            const added = this.paragraphBoundaries().length - before;
+            const offset = added - links.filter(link => link instanceof NewlineLink).length;
+
+            this.changeParagraphAttributes(startPara, startPara + added, () => {
+                for (let k = 0; k <= added; k++) {
+                    const p = startPara + k;
+                    if (!hasAttributes) {
+                        if (k > 0) this.copyParagraphAttributes(p - 1, p);
+                        continue;
+                    }
+                    const source = k - offset;
+                    if (source < 0 || (source === 0 && k === 0 && !startWasEmpty)) continue;
+                    if (alignments[source] !== undefined) {
+                        this.paragraphAlignments.set(p, alignments[source]);
+                    } else {
+                        this.paragraphAlignments.delete(p);
+                    }
+                    if (lists[source] !== undefined) {
+                        this.paragraphLists.set(p, lists[source]);
+                    } else {
+                        this.paragraphLists.delete(p);
+                    }
+                    const level = lists[source] !== undefined ? normalizeListLevel(listLevels[source]) : 0;
+                    if (level > 0) {
+                        this.paragraphListLevels.set(p, level);
+                    } else {
+                        this.paragraphListLevels.delete(p);
+                    }
+                    const numbering = lists[source] !== undefined ? normalizeNumbering(listNumbering[source]) : null;
+                    if (numbering) {
+                        this.paragraphListNumbering.set(p, numbering);
+                    } else {
+                        this.paragraphListNumbering.delete(p);
+                    }
+                    if (lists[source] === 'check' && checked[source] === true) {
+                        this.paragraphChecked.set(p, true);
+                    } else {
+                        this.paragraphChecked.delete(p);
+                    }
+                    const sourceSpacing = normalizeSpacing(spacing[source]);
+                    if (sourceSpacing) {
+                        this.paragraphSpacing.set(p, sourceSpacing);
+                    } else {
+                        this.paragraphSpacing.delete(p);
+                    }
+                    const direction = normalizeDirection(directions[source]);
+                    if (direction) {
+                        this.paragraphDirections.set(p, direction);
+                    } else {
+                        this.paragraphDirections.delete(p);
+                    }
+                    const stops = normalizeTabStops(tabStops[source]);
+                    if (stops) {
+                        this.paragraphTabStops.set(p, stops);
+                    } else {
+                        this.paragraphTabStops.delete(p);
+                    }
+                }
+            });
+            this.syncParagraphIndents();
+            this.chain.recalc();
+        });
     }
 
     // Get font properties at cursor position
@@ -568,6 +791,7 @@ export class CanvasEditor {
         for (let i = itemsToRemove.length - 1; i >= 0; i--) {
             this.chain.items.splice(itemsToRemove[i], 1);
         }
+        this.recordChange(selStart, selEnd, selStart);
         
         this.chain.clearSelection();
         this.chain.recalc();
@@ -589,6 +813,14 @@ export class CanvasEditor {
         const x = e.clientX - rect.left - this.options.padding;
         const y = e.clientY - rect.top - this.options.padding + this.scrollY;
 
+        // Clicking a check list item's box toggles it without moving the caret.
+        const checkbox = this.checkboxAt(x, y);
+        if (checkbox !== null) {
+            this.setItemChecked(checkbox, !this.isChecked(checkbox));
+            this.canvas.focus();
+            return;
+        }
+
         // Image interactions take precedence over text positioning.
         // 1) Grabbing a resize handle of the already-selected image.
         const handle = this.imageHandleAt(x, y);
@@ -651,7 +883,7 @@ export class CanvasEditor {
             // Triple-click: select line (don't move cursor first!)
             this.chain.clearSelection();
             this.selectLine(startPos);
-        } else if (clickedInSelection && this.chain.hasSelection()) {
+        } else if (clickedInSelection && this.chain.hasSelection() && !this.isReadOnly()) {
             // Single click within selection: prepare for potential drag
             // Don't clear selection yet - wait to see if user drags
             this.dragStartX = x;
@@ -724,6 +956,7 @@ export class CanvasEditor {
 
         // Dragging the selected image to a new position.
         if (this._imageMoveCandidate && dragDistance >= 5) {
+            if (this.isReadOnly()) return;
             this._imageMoving = true;
             if (this.canvas.style) this.canvas.style.cursor = 'grabbing';
             return;
@@ -832,13 +1065,7 @@ export class CanvasEditor {
                     this.chain.recalc();
 
                     // Insert the moved text at cursor position
-                    for (let char of movedText) {
-                        if (char === '\n') {
-                            this.chain.enterPressed();
-                        } else {
-                            this.chain.printableKeyPressed(char);
-                        }
-                    }
+                    this.chain.insertText(movedText);
 
                     this.render();
                 }
@@ -1059,7 +1286,7 @@ export class CanvasEditor {
 
     // Height of the visible content area (canvas minus top/bottom padding).
     getViewportHeight() {
-        return Math.max(0, this.canvas.height - this.options.padding * 2);
+        return Math.max(0, this.cssHeight - this.options.padding * 2);
     }
 
     // Maximum vertical scroll offset given the current content.
@@ -1109,8 +1336,8 @@ export class CanvasEditor {
         if (maxScroll <= 0) return null;
 
         const width = this.options.scrollbarWidth;
-        const trackX = this.canvas.width - width;
-        const trackHeight = this.canvas.height;
+        const trackX = this.cssWidth - width;
+        const trackHeight = this.cssHeight;
         const viewport = this.getViewportHeight();
 
         const visibleRatio = Math.min(1, viewport / this.chain.contentHeight);
@@ -1267,7 +1494,7 @@ export class CanvasEditor {
 
     render() {
         // Apply alignment adjustments before rendering
-        this.adjustForAlignment();
+        this.updateRenderLayout();
 
         // Auto-scroll to the cursor after keyboard-driven changes (but not
         // after wheel scrolling, which leaves the flag unset).
@@ -1277,37 +1504,48 @@ export class CanvasEditor {
         }
         this.clampScroll();
 
+        // Draw in CSS pixels on the device-resolution backing store.
+        this.ctx.save();
+        this.ctx.scale(this.pixelRatio, this.pixelRatio);
+
         // Clear canvas
         this.ctx.fillStyle = this.options.backgroundColor;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.fillRect(0, 0, this.cssWidth, this.cssHeight);
 
         // Translate for padding and current scroll offset
         this.ctx.save();
         this.ctx.translate(this.options.padding, this.options.padding - this.scrollY);
 
+        // Only lines intersecting the viewport are drawn.
+        const lines = this.getVisibleLines();
+
         // Render find matches first
         if (this.findMatches.length > 0) {
-            this.renderFindMatches();
+            this.renderFindMatches(lines);
         }
 
         // Render selection highlight
         if (this.chain.hasSelection()) {
-            this.renderSelection();
+            this.renderSelection(lines);
         }
 
-        // Render all items in the chain
+        // Render the items on the visible lines
         const items = this.chain.getItems();
-        for (let i = 0; i < items.length; i++) {
-            const item = items[i];
-            
-            if (item instanceof TextLink) {
-                this.renderTextLink(item);
-            } else if (item instanceof ImageLink) {
-                this.renderImage(item);
-            } else if (item instanceof HorizontalRuleLink) {
-                this.renderHorizontalRule(item);
-            } else if (item instanceof CursorLink) {
-                this.renderCursor(item);
+        const checkedStyle = this.options.checkedItemStyle;
+        for (const line of lines) {
+            const done = checkedStyle !== 'none' && this.isChecked(line.paragraph);
+            for (let i = line.start; i < line.end; i++) {
+                const item = items[i];
+
+                if (item instanceof TextLink) {
+                    this.renderTextLink(item, done ? checkedStyle : null);
+                } else if (item instanceof ImageLink) {
+                    this.renderImage(item);
+                } else if (item instanceof HorizontalRuleLink) {
+                    this.renderHorizontalRule(item);
+                } else if (item instanceof CursorLink) {
+                    this.renderCursor(item);
+                }
             }
         }
 
@@ -1321,6 +1559,108 @@ export class CanvasEditor {
 
         // Scrollbar is drawn in screen space, on top of the content.
         this.renderScrollbar();
+        this.ctx.restore();
+
+        // Keep the hidden text input at the caret so IME candidate windows
+        // open next to the text being composed.
+        this.positionImeInput();
+
+        this.syncAccessibility();
+        this.emitStateEvents();
+    }
+
+    // The line index and list-marker positions only change with the layout
+    // or paragraph attributes, so frames that just blink the caret or scroll
+    // reuse them instead of walking the whole document. (The chain aligns
+    // lines as it lays each paragraph out.)
+    updateRenderLayout() {
+        const layoutKey = () => `${this.chain.layoutVersion}|${this.editorWidth}|${this.paragraphAttributesKey()}`;
+        let key = layoutKey();
+        if (key === this.renderLayoutKey) return;
+        // Markers take their font from each item's first run, which any edit
+        // can restyle, so the list gutters are measured again here.
+        if (this.paragraphLists.size > 0) {
+            const indents = this.listIndents();
+            if (mapKey(indents) !== mapKey(this.chain.paragraphIndents)) {
+                this.chain.paragraphIndents = indents;
+                this.chain.recalc();
+                key = layoutKey();
+            }
+        }
+        this.renderLayoutKey = key;
+        this.lineIndex = this.buildLineIndex();
+        this.listMarkerPositions = null;
+    }
+
+    // The paragraph attributes that list markers and the accessibility
+    // mirror derive from, as a string to compare.
+    paragraphAttributesKey() {
+        return `${mapKey(this.paragraphAlignments)}|${mapKey(this.paragraphLists)}|${mapKey(this.paragraphListLevels)}|` +
+            `${mapKey(this.paragraphListNumbering)}|${mapKey(this.paragraphChecked)}|${mapKey(this.paragraphDirections)}`;
+    }
+
+    // Index of the visual lines in document order. Each line records its item
+    // range [start, end) (including the newline or wrap that ends it), its
+    // character range [startPos, endPos), its paragraph, and its slot: a line's baseline is
+    // at slotTop and the line ends at slotBottom. Drawn content stays between
+    // slotTop minus the line's height (glyphs rise above the baseline) and
+    // slotBottom.
+    buildLineIndex() {
+        const items = this.chain.getItems();
+        const lines = [];
+        let maxHeight = 0;
+        let start = 0;
+        let startPos = 0;
+        let pos = 0;
+        let slotTop = 0;
+        let paragraph = 0;
+        for (let i = 0; i <= items.length; i++) {
+            const item = items[i];
+            const isEnd = i === items.length;
+            if (item instanceof TextLink) {
+                pos += item.text.length;
+            } else if (item instanceof NewlineLink) {
+                pos += 1;
+            }
+            if (!isEnd && !(item instanceof NewlineLink) && !(item instanceof VirtualNewlineLink)) continue;
+
+            const slotBottom = isEnd ? this.chain.contentHeight : item.computed.posY;
+            lines.push({ start, end: isEnd ? i : i + 1, startPos, endPos: pos, slotTop, slotBottom, paragraph });
+            if (item instanceof NewlineLink) paragraph++;
+            maxHeight = Math.max(maxHeight, slotBottom - slotTop);
+            start = i + 1;
+            startPos = pos;
+            slotTop = slotBottom;
+        }
+        return { lines, maxHeight };
+    }
+
+    // Lines whose drawn content can intersect the viewport.
+    getVisibleLines() {
+        if (!this.lineIndex) this.updateRenderLayout();
+        const { lines, maxHeight } = this.lineIndex;
+        const viewTop = this.scrollY - this.options.padding;
+        const viewBottom = viewTop + this.cssHeight;
+
+        // Slot bottoms increase down the document: binary-search the first
+        // line that reaches the viewport.
+        let lo = 0;
+        let hi = lines.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (lines[mid].slotBottom < viewTop) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+
+        const visible = [];
+        for (let k = lo; k < lines.length && lines[k].slotTop - maxHeight <= viewBottom; k++) {
+            const line = lines[k];
+            if (line.slotTop - (line.slotBottom - line.slotTop) <= viewBottom) visible.push(line);
+        }
+        return visible;
     }
 
     renderImage(image) {
@@ -1361,7 +1701,8 @@ export class CanvasEditor {
         this.ctx.lineWidth = 2;
         this.ctx.strokeRect(b.x, b.y, b.w, b.h);
 
-        // Corner resize handles.
+        // Corner resize handles (not offered in read-only mode).
+        if (this.isReadOnly()) return;
         const handles = this.getImageHandles(image);
         this.ctx.lineWidth = 1;
         for (const name of Object.keys(handles)) {
@@ -1388,35 +1729,73 @@ export class CanvasEditor {
         this.ctx.stroke();
     }
 
-    // Compute where each list paragraph's marker should be drawn. Returned as
-    // { paragraph, marker, x, y } in paragraph order. Separated from drawing so
-    // marker placement can be tested without a real canvas.
-    getListMarkerPositions() {
-        const positions = [];
-        if (this.paragraphLists.size === 0) return positions;
-        const items = this.chain.getItems();
+    // Marker text ('•', '1.', …) for every list paragraph, keyed by paragraph
+    // index. Shared by marker layout and the accessibility mirror.
+    getListMarkerTexts() {
+        const markerText = new Map();
+        if (this.paragraphLists.size === 0) return markerText;
 
         // Total paragraph count (newlines + 1) so numbering can be computed for
         // every paragraph, then look up each list paragraph's marker text.
         let totalParagraphs = 1;
-        for (const item of items) {
+        for (const item of this.chain.getItems()) {
             if (item instanceof NewlineLink) totalParagraphs++;
         }
 
-        // Sequential numbering: consecutive 'number' paragraphs count up; any
-        // non-numbered paragraph (bullet or plain) restarts the sequence.
-        const markerText = new Map();
-        let counter = 0;
-        for (let p = 0; p < totalParagraphs; p++) {
+        const items = numberListItems(totalParagraphs, p => {
             const type = this.paragraphLists.get(p);
-            if (type === 'number') {
-                counter++;
-                markerText.set(p, `${counter}.`);
-            } else {
-                counter = 0;
-                if (type === 'bullet') markerText.set(p, '•');
+            if (!type) return null;
+            return {
+                type,
+                level: this.getListLevel(p),
+                numbering: this.paragraphListNumbering.get(p),
+                checked: this.isChecked(p)
+            };
+        });
+        for (const [p, item] of items) markerText.set(p, item.marker);
+        return markerText;
+    }
+
+    // Font of every list paragraph's marker, keyed by paragraph index: the
+    // item's first text run's, as word processors do, or the default font
+    // for an empty item.
+    getListMarkerFonts() {
+        const fonts = new Map();
+        if (this.paragraphLists.size === 0) return fonts;
+        let paragraph = 0;
+        for (const item of this.chain.getItems()) {
+            if (item instanceof NewlineLink) {
+                paragraph++;
+            } else if (item instanceof TextLink && item.text.length > 0 &&
+                !fonts.has(paragraph) && this.paragraphLists.has(paragraph)) {
+                fonts.set(paragraph, item.getFontProperties());
             }
         }
+        for (const p of this.paragraphLists.keys()) {
+            if (!fonts.has(p)) fonts.set(p, this.defaultFontProperties);
+        }
+        return fonts;
+    }
+
+    // Width of a list marker in its font. A check list item's box is a
+    // square sized to the font.
+    listMarkerWidth(marker, type, font) {
+        if (type === 'check') return Math.round(font.size * 0.75);
+        return this.chain.measurer.measureText(marker, font).width;
+    }
+
+    // Compute where each list paragraph's marker should be drawn. Returned as
+    // { paragraph, marker, x, y, font, color, size, rtl } in paragraph order,
+    // in the font of the item's first run; a right-to-left item's marker sits
+    // in the gutter on its right. Check list items also get their checkbox,
+    // { x, y, size } with y at its top, and checked state.
+    // Separated from drawing so marker placement can be tested without a
+    // real canvas.
+    getListMarkerPositions() {
+        const positions = [];
+        if (this.paragraphLists.size === 0) return positions;
+        const items = this.chain.getItems();
+        const markerText = this.getListMarkerTexts();
 
         // Baseline Y of each paragraph's first line. A newline's posY is the
         // *next* line's baseline, so the newline ending paragraph k gives the
@@ -1438,98 +1817,141 @@ export class CanvasEditor {
             }
         }
 
-        const gap = 8;
-        this.ctx.font = `${this.defaultFontProperties.size}px ${this.defaultFontProperties.family}`;
+        const fonts = this.getListMarkerFonts();
+        const defaultColor = this.defaultFontProperties.color || '#000000';
         for (const [p, marker] of markerText) {
             const y = baselineByPara.get(p);
             if (typeof y !== 'number') continue;
-            const width = this.ctx.measureText(marker).width;
-            positions.push({ paragraph: p, marker, x: this.LIST_INDENT - gap - width, y });
+            const font = fonts.get(p);
+            const type = this.paragraphLists.get(p);
+            const width = this.listMarkerWidth(marker, type, font);
+            const indent = this.chain.getParagraphIndent(p);
+            const rtl = this.isRightToLeft(p);
+            const position = {
+                paragraph: p,
+                marker,
+                x: rtl
+                    ? this.editorWidth - indent + this.LIST_MARKER_GAP
+                    : indent - this.LIST_MARKER_GAP - width,
+                y,
+                font: font.toFontString(),
+                color: font.color || defaultColor,
+                size: font.size,
+                rtl
+            };
+            if (type === 'check') {
+                position.box = { x: position.x, y: y - width, size: width };
+                position.checked = this.isChecked(p);
+            }
+            positions.push(position);
         }
         return positions;
     }
 
     renderListMarkers() {
-        const positions = this.getListMarkerPositions();
+        if (!this.listMarkerPositions) this.listMarkerPositions = this.getListMarkerPositions();
+        const positions = this.listMarkerPositions;
         if (positions.length === 0) return;
-        this.ctx.font = `${this.defaultFontProperties.size}px ${this.defaultFontProperties.family}`;
-        this.ctx.fillStyle = this.defaultFontProperties.color || '#000000';
+        const viewTop = this.scrollY - this.options.padding;
+        const viewBottom = viewTop + this.cssHeight;
         for (const pos of positions) {
-            this.ctx.fillText(pos.marker, pos.x, pos.y);
+            if (pos.y + pos.size < viewTop || pos.y - pos.size > viewBottom) continue;
+            if (pos.box) {
+                this.renderCheckbox(pos.box, pos.checked, pos.color);
+            } else {
+                this.ctx.font = pos.font;
+                this.ctx.fillStyle = pos.color;
+                this.ctx.direction = pos.rtl ? 'rtl' : 'ltr';
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText(pos.marker, pos.x, pos.y);
+            }
         }
     }
 
-    renderSelection() {
-        const items = this.chain.getItems();
-        let pos = 0;
-        const selStart = this.chain.selectionStart;
-        const selEnd = this.chain.selectionEnd;
-
-        this.ctx.fillStyle = 'rgba(0, 120, 215, 0.3)'; // Blue highlight
-
-        for (let item of items) {
-            if (item instanceof TextLink) {
-                const itemStart = pos;
-                const itemEnd = pos + item.text.length;
-
-                if (itemEnd > selStart && itemStart < selEnd) {
-                    const startOffset = Math.max(0, selStart - itemStart);
-                    const endOffset = Math.min(item.text.length, selEnd - itemStart);
-
-                    // Measure text positions
-                    const beforeText = item.text.substring(0, startOffset);
-                    const selectedText = item.text.substring(startOffset, endOffset);
-                    
-                    const beforeWidth = startOffset > 0 ? item.measureText(this.ctx, beforeText).width : 0;
-                    const selectedWidth = item.measureText(this.ctx, selectedText).width;
-
-                    const x = item.getPosX() + beforeWidth;
-                    const y = item.getPosY() - (item.getAscent() || 0);
-                    const height = (item.getAscent() || 0) + (item.getDescent() || 0);
+    // A check list item's box, with a tick when checked.
+    renderCheckbox(box, checked, color) {
+        this.ctx.lineWidth = Math.max(1, box.size / 10);
+        if (checked) {
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(box.x, box.y, box.size, box.size);
+            this.ctx.strokeStyle = this.options.backgroundColor;
+            this.ctx.beginPath();
+            this.ctx.moveTo(box.x + box.size * 0.2, box.y + box.size * 0.5);
+            this.ctx.lineTo(box.x + box.size * 0.42, box.y + box.size * 0.72);
+            this.ctx.lineTo(box.x + box.size * 0.8, box.y + box.size * 0.28);
+            this.ctx.stroke();
+        } else {
+            this.ctx.strokeStyle = color;
+            this.ctx.strokeRect(box.x, box.y, box.size, box.size);
+        }
+    }
 
-                    this.ctx.fillRect(x, y, selectedWidth, height);
-                }
-                pos += item.text.length;
-            } else if (item instanceof NewlineLink) {
-                pos += 1;
+    // Paragraph index of the check list item whose box is at (x, y) in
+    // document coordinates, or null.
+    checkboxAt(x, y) {
+        if (!this.listMarkerPositions) this.listMarkerPositions = this.getListMarkerPositions();
+        const slop = 2;
+        for (const pos of this.listMarkerPositions) {
+            const box = pos.box;
+            if (box && x >= box.x - slop && x <= box.x + box.size + slop &&
+                y >= box.y - slop && y <= box.y + box.size + slop) {
+                return pos.paragraph;
             }
         }
+        return null;
     }
 
-    renderFindMatches() {
-        const items = this.chain.getItems();
+    renderSelection(lines = this.getVisibleLines()) {
+        this.ctx.fillStyle = 'rgba(0, 120, 215, 0.3)'; // Blue highlight
+        this.fillTextRange(lines, this.chain.selectionStart, this.chain.selectionEnd);
+    }
+
+    renderFindMatches(lines = this.getVisibleLines()) {
+        if (lines.length === 0) return;
+        const visibleStart = lines[0].startPos;
+        const visibleEnd = lines[lines.length - 1].endPos;
 
         for (let matchIdx = 0; matchIdx < this.findMatches.length; matchIdx++) {
             const match = this.findMatches[matchIdx];
+            if (match.end <= visibleStart || match.start >= visibleEnd) continue;
             const isCurrent = matchIdx === this.currentMatchIndex;
 
             // Use different colors for current vs other matches
             this.ctx.fillStyle = isCurrent ? 'rgba(255, 165, 0, 0.5)' : 'rgba(255, 255, 0, 0.4)';
+            this.fillTextRange(lines, match.start, match.end);
+        }
+    }
 
-            let pos = 0;
-            for (let item of items) {
+    // Fill the part of the text on the given lines that falls within the
+    // character range [start, end), in the current fill style.
+    fillTextRange(lines, start, end) {
+        const items = this.chain.getItems();
+        for (const line of lines) {
+            if (line.endPos <= start || line.startPos >= end) continue;
+            let pos = line.startPos;
+            for (let i = line.start; i < line.end; i++) {
+                const item = items[i];
                 if (item instanceof TextLink) {
                     const itemStart = pos;
                     const itemEnd = pos + item.text.length;
 
-                    if (itemEnd > match.start && itemStart < match.end) {
-                        const startOffset = Math.max(0, match.start - itemStart);
-                        const endOffset = Math.min(item.text.length, match.end - itemStart);
-
-                        // Measure text positions
-                        const beforeText = item.text.substring(0, startOffset);
-                        const matchedText = item.text.substring(startOffset, endOffset);
+                    if (itemEnd > start && itemStart < end) {
+                        const startOffset = Math.max(0, start - itemStart);
+                        const endOffset = Math.min(item.text.length, end - itemStart);
 
-                        const beforeWidth = startOffset > 0 ? item.measureText(this.ctx, beforeText).width : 0;
-                        const matchWidth = item.measureText(this.ctx, matchedText).width;
+                        // Measure text positions (including justification
+                        // stretch); in a right-to-left run the range's start
+                        // is its right edge.
+                        const startX = item.getCharX(this.chain.measurer, startOffset);
+                        const endX = item.getCharX(this.chain.measurer, endOffset);
 
-                        const x = item.getPosX() + beforeWidth;
+                        const x = Math.min(startX, endX);
                         const y = item.getPosY() - (item.getAscent() || 0);
                         const height = (item.getAscent() || 0) + (item.getDescent() || 0);
 
-                        this.ctx.fillRect(x, y, matchWidth, height);
+                        this.ctx.fillRect(x, y, Math.abs(endX - startX), height);
                     }
-                    pos += item.text.length;
+                    pos = itemEnd;
                 } else if (item instanceof NewlineLink) {
                     pos += 1;
                 }
@@ -1537,7 +1959,9 @@ export class CanvasEditor {
         }
     }
 
-    renderTextLink(textLink) {
+    // checkedStyle is set for the text of a checked check list item: 'grey',
+    // or 'strike' to also strike it through.
+    renderTextLink(textLink, checkedStyle = null) {
         let posX = textLink.getPosX();
         let posY = textLink.getPosY();
         const fontProps = textLink.getFontProperties();
@@ -1552,16 +1976,25 @@ export class CanvasEditor {
             posY += fontProps.size * 0.2;
         }
 
-        // Create adjusted font string for super/subscript
-        const fontString = fontProps.superscript || fontProps.subscript
-            ? `${fontProps.style} ${fontProps.weight} ${fontSize}px ${fontProps.family}`
-            : fontProps.toFontString();
+        // Super/subscript text is drawn (and measured) in the reduced size.
+        let drawFont = fontProps;
+        if (fontProps.superscript || fontProps.subscript) {
+            drawFont = fontProps.clone();
+            drawFont.size = fontSize;
+        }
 
-        this.ctx.font = fontString;
+        this.ctx.font = drawFont.toFontString();
+        // A right-to-left run is drawn with its glyphs mirrored and shaped,
+        // still starting at its left edge.
+        this.ctx.direction = textLink.isRightToLeft() ? 'rtl' : 'ltr';
+        this.ctx.textAlign = 'left';
 
-        // Measure text once (used for the highlight box and decoration lines).
-        const metrics = this.ctx.measureText(textLink.text);
-        const textWidth = metrics.width;
+        // Measure text once (used for the highlight box and decoration lines,
+        // which also span the space a justified line added). A tab is as
+        // wide as its tab stop made it.
+        const text = textLink.displayText();
+        const metrics = this.chain.measurer.measureText(text, drawFont);
+        const textWidth = (textLink.computed.tabWidth ?? metrics.width) + (textLink.computed.stretch || 0);
 
         // Draw highlight background behind the glyphs, spanning the line's
         // ascent/descent so it reads like a marker stroke.
@@ -1573,17 +2006,32 @@ export class CanvasEditor {
         }
 
         // Link runs render in the link color and are always underlined,
-        // overriding the run's own text color.
+        // overriding the run's own text color. In-progress IME composition
+        // text is underlined too, as native inputs do. Checked items are
+        // greyed out regardless.
         const isLink = !!fontProps.link;
-        const drawColor = isLink
+        const isComposition = textLink instanceof CompositionLink;
+        let drawColor = isLink
             ? (this.options.linkColor || '#1a0dab')
             : (fontProps.color || '#000000');
+        if (checkedStyle) drawColor = CHECKED_TEXT_COLOR;
 
         this.ctx.fillStyle = drawColor;
-        this.ctx.fillText(textLink.text, posX, posY);
+        this.ctx.fillText(text, posX, posY);
+
+        // A tab to a stop with a dot leader is filled with dots up to the
+        // stop, leaving a dot's space after the preceding text.
+        if (textLink.computed.leader === 'dot') {
+            const dotWidth = this.chain.measurer.measureText('.', drawFont).width;
+            const count = dotWidth > 0 ? Math.floor(textWidth / dotWidth) - 1 : 0;
+            if (count > 0) {
+                const dots = '.'.repeat(count);
+                this.ctx.fillText(dots, posX + textWidth - this.chain.measurer.measureText(dots, drawFont).width, posY);
+            }
+        }
 
-        // Draw underline (explicit underline, or implied by a link)
-        if (fontProps.underline || isLink) {
+        // Draw underline (explicit underline, or implied by a link/composition)
+        if (fontProps.underline || isLink || isComposition) {
             this.ctx.strokeStyle = drawColor;
             this.ctx.lineWidth = Math.max(1, fontSize * 0.05);
             this.ctx.beginPath();
@@ -1594,8 +2042,8 @@ export class CanvasEditor {
         }
 
         // Draw strikethrough
-        if (fontProps.strikethrough) {
-            this.ctx.strokeStyle = fontProps.color || '#000000';
+        if (fontProps.strikethrough || checkedStyle === 'strike') {
+            this.ctx.strokeStyle = checkedStyle ? drawColor : (fontProps.color || '#000000');
             this.ctx.lineWidth = Math.max(1, fontSize * 0.05);
             this.ctx.beginPath();
             const strikeY = posY - fontSize * 0.3;
@@ -1619,6 +2067,7 @@ export class CanvasEditor {
 
     // Public API methods
     setFontSize(size) {
+        if (this.isReadOnly()) return;
         this.chain.setFontSize(size);
         
         // Apply to selected text if there's a selection
@@ -1630,6 +2079,7 @@ export class CanvasEditor {
     }
 
     setFontFamily(family) {
+        if (this.isReadOnly()) return;
         this.chain.setFontFamily(family);
         
         // Apply to selected text if there's a selection
@@ -1645,6 +2095,7 @@ export class CanvasEditor {
         let pos = 0;
         const selStart = this.chain.selectionStart;
         const selEnd = this.chain.selectionEnd;
+        let changed = false;
 
         for (let item of items) {
             if (item instanceof TextLink) {
@@ -1652,14 +2103,16 @@ export class CanvasEditor {
                 const itemEnd = pos + item.text.length;
 
                 // If this item overlaps with the selection, update its font size
-                if (itemEnd > selStart && itemStart < selEnd) {
+                if (itemEnd > selStart && itemStart < selEnd && item.intrinsic.fontProperties.size !== size) {
                     item.intrinsic.fontProperties.size = size;
+                    changed = true;
                 }
                 pos += item.text.length;
             } else if (item instanceof NewlineLink) {
                 pos += 1;
             }
         }
+        if (changed) this.recordChange(selStart, selEnd, selEnd);
         
         this.chain.recalc();
     }
@@ -1669,6 +2122,7 @@ export class CanvasEditor {
         let pos = 0;
         const selStart = this.chain.selectionStart;
         const selEnd = this.chain.selectionEnd;
+        let changed = false;
 
         for (let item of items) {
             if (item instanceof TextLink) {
@@ -1676,14 +2130,16 @@ export class CanvasEditor {
                 const itemEnd = pos + item.text.length;
 
                 // If this item overlaps with the selection, update its font family
-                if (itemEnd > selStart && itemStart < selEnd) {
+                if (itemEnd > selStart && itemStart < selEnd && item.intrinsic.fontProperties.family !== family) {
                     item.intrinsic.fontProperties.family = family;
+                    changed = true;
                 }
                 pos += item.text.length;
             } else if (item instanceof NewlineLink) {
                 pos += 1;
             }
         }
+        if (changed) this.recordChange(selStart, selEnd, selEnd);
 
         this.chain.recalc();
     }
@@ -1701,6 +2157,7 @@ export class CanvasEditor {
     }
 
     clearFormatting() {
+        if (this.isReadOnly()) return;
         if (!this.chain.hasSelection()) {
             return;
         }
@@ -1737,6 +2194,7 @@ export class CanvasEditor {
                 pos += 1;
             }
         }
+        this.recordChange(selStart, selEnd, selEnd);
 
         this.chain.recalc();
         this.render();
@@ -1752,8 +2210,64 @@ export class CanvasEditor {
         return this.chain.LINE_SPACING_MULT;
     }
 
+    // Change the spacing of the selected paragraph(s): any of lineHeight (a
+    // multiple), exactLineHeight (px), spaceBefore and spaceAfter (px). Keys
+    // not given keep their value; null clears one.
+    setParagraphSpacing(changes) {
+        if (this.isReadOnly()) return;
+        this.takeSnapshot();
+        const [startPara, endPara] = this.getParagraphRange();
+        this.changeParagraphAttributes(startPara, endPara, () => {
+            for (let p = startPara; p <= endPara; p++) {
+                const spacing = mergeSpacing(this.paragraphSpacing.get(p), changes || {});
+                if (spacing) {
+                    this.paragraphSpacing.set(p, spacing);
+                } else {
+                    this.paragraphSpacing.delete(p);
+                }
+            }
+        });
+        this.syncParagraphIndents();
+        this.chain.recalc();
+        this.render();
+    }
+
+    // Spacing of the paragraph containing the cursor ({} when it has none).
+    getParagraphSpacing() {
+        return { ...this.paragraphSpacing.get(this.getCurrentParagraphIndex()) };
+    }
+
+    // Set the custom tab stops of the selected paragraph(s): an array of
+    // { position, align, leader } (see TabStops.js). An empty array or null
+    // goes back to the default stops.
+    setTabStops(stops) {
+        if (this.isReadOnly()) return;
+        this.takeSnapshot();
+        const value = normalizeTabStops(stops);
+        const [startPara, endPara] = this.getParagraphRange();
+        this.changeParagraphAttributes(startPara, endPara, () => {
+            for (let p = startPara; p <= endPara; p++) {
+                if (value) {
+                    this.paragraphTabStops.set(p, value);
+                } else {
+                    this.paragraphTabStops.delete(p);
+                }
+            }
+        });
+        this.syncParagraphIndents();
+        this.chain.recalc();
+        this.render();
+    }
+
+    // Custom tab stops of the paragraph containing the cursor ([] when it
+    // has none).
+    getTabStops() {
+        return (this.paragraphTabStops.get(this.getCurrentParagraphIndex()) || []).map(stop => ({ ...stop }));
+    }
+
     // Text formatting methods
     toggleBold() {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             this.applyFormattingToSelection('weight', (current) => current === 'bold' ? 'normal' : 'bold');
@@ -1762,9 +2276,11 @@ export class CanvasEditor {
             // Toggle for next typed text
             this.chain.currentFontProperties.toggleBold();
         }
+        this.announceToggle('Bold', 'weight', 'bold');
     }
 
     toggleItalic() {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             this.applyFormattingToSelection('style', (current) => current === 'italic' ? 'normal' : 'italic');
@@ -1773,9 +2289,11 @@ export class CanvasEditor {
             // Toggle for next typed text
             this.chain.currentFontProperties.toggleItalic();
         }
+        this.announceToggle('Italic', 'style', 'italic');
     }
 
     toggleUnderline() {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             this.applyFormattingToSelection('underline', (current) => !current);
@@ -1784,9 +2302,11 @@ export class CanvasEditor {
             // Toggle for next typed text
             this.chain.currentFontProperties.toggleUnderline();
         }
+        this.announceToggle('Underline', 'underline', true);
     }
 
     toggleStrikethrough() {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             this.applyFormattingToSelection('strikethrough', (current) => !current);
@@ -1795,9 +2315,11 @@ export class CanvasEditor {
             // Toggle for next typed text
             this.chain.currentFontProperties.toggleStrikethrough();
         }
+        this.announceToggle('Strikethrough', 'strikethrough', true);
     }
 
     toggleSuperscript() {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             // Superscript and subscript are mutually exclusive
@@ -1808,9 +2330,11 @@ export class CanvasEditor {
             // Toggle for next typed text
             this.chain.currentFontProperties.toggleSuperscript();
         }
+        this.announceToggle('Superscript', 'superscript', true);
     }
 
     toggleSubscript() {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             // Superscript and subscript are mutually exclusive
@@ -1821,9 +2345,11 @@ export class CanvasEditor {
             // Toggle for next typed text
             this.chain.currentFontProperties.toggleSubscript();
         }
+        this.announceToggle('Subscript', 'subscript', true);
     }
 
     setTextColor(color) {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             this.applyFormattingToSelection('color', () => color);
@@ -1832,10 +2358,12 @@ export class CanvasEditor {
             // Set for next typed text
             this.chain.currentFontProperties.color = color;
         }
+        this.announce(`Text color ${color}`);
     }
 
     // Set the highlight (background) color. Pass null to clear the highlight.
     setHighlightColor(color) {
+        if (this.isReadOnly()) return;
         if (this.chain.hasSelection()) {
             this.takeSnapshot();
             this.applyFormattingToSelection('backgroundColor', () => color);
@@ -1844,6 +2372,7 @@ export class CanvasEditor {
             // Set for next typed text
             this.chain.currentFontProperties.backgroundColor = color;
         }
+        this.announce(color ? `Highlight ${color}` : 'Highlight removed');
     }
 
     // Text alignment methods
@@ -1878,18 +2407,63 @@ export class CanvasEditor {
     }
 
     setAlignment(alignment) {
+        if (this.isReadOnly()) return;
         this.takeSnapshot();
         const paragraphIndex = this.getCurrentParagraphIndex();
 
-        if (alignment === 'left') {
-            // Remove alignment (default is left)
-            this.paragraphAlignments.delete(paragraphIndex);
-        } else {
-            this.paragraphAlignments.set(paragraphIndex, alignment);
-        }
+        this.changeParagraphAttributes(paragraphIndex, paragraphIndex, () => {
+            if (alignment === this.defaultAlignment(paragraphIndex)) {
+                // Remove alignment (default is the paragraph's start side)
+                this.paragraphAlignments.delete(paragraphIndex);
+            } else {
+                this.paragraphAlignments.set(paragraphIndex, alignment);
+            }
+        });
 
+        this.syncParagraphIndents();
         this.chain.recalc();
         this.render();
+        this.announce(`Aligned ${alignment}`);
+    }
+
+    // Alignment of a paragraph without one of its own: its start side,
+    // 'right' when it runs right to left.
+    defaultAlignment(paragraphIndex) {
+        return this.isRightToLeft(paragraphIndex) ? 'right' : 'left';
+    }
+
+    // Set the base direction of the selected paragraph(s): 'ltr', 'rtl', or
+    // 'auto' to follow the first strong character of each.
+    setDirection(direction) {
+        if (this.isReadOnly()) return;
+        this.takeSnapshot();
+        const value = normalizeDirection(direction);
+        const [startPara, endPara] = this.getParagraphRange();
+        this.changeParagraphAttributes(startPara, endPara, () => {
+            for (let p = startPara; p <= endPara; p++) {
+                if (value) {
+                    this.paragraphDirections.set(p, value);
+                } else {
+                    this.paragraphDirections.delete(p);
+                }
+            }
+        });
+        this.syncParagraphIndents();
+        this.chain.recalc();
+        this.render();
+        this.announce(`Text direction ${value || 'auto'}`);
+    }
+
+    // Direction setting of the paragraph containing the cursor: 'ltr',
+    // 'rtl' or 'auto'.
+    getDirection() {
+        return this.paragraphDirections.get(this.getCurrentParagraphIndex()) || 'auto';
+    }
+
+    // Whether a paragraph (by default the cursor's) is laid out right to
+    // left, by its setting or, for 'auto', its text.
+    isRightToLeft(paragraphIndex = this.getCurrentParagraphIndex()) {
+        return this.chain.getParagraphLevel(paragraphIndex) % 2 === 1;
     }
 
     // The paragraph index containing a given flattened character position
@@ -1925,13 +2499,56 @@ export class CanvasEditor {
         return [p, p];
     }
 
-    // List paragraphs reduce the chain's wrap width and gain a hanging indent.
+    // Nesting level of a list paragraph (0 for the outermost list).
+    getListLevel(paragraphIndex) {
+        return this.paragraphListLevels.get(paragraphIndex) || 0;
+    }
+
+    // List paragraphs reduce the chain's wrap width and gain a hanging indent,
+    // one marker gutter per level (see listIndents). The chain also lays out
+    // with the paragraphs' spacing, direction, tab stops and alignment.
     syncParagraphIndents() {
+        this.chain.paragraphIndents = this.listIndents();
+        this.chain.paragraphAlignments = this.paragraphAlignments;
+        this.chain.paragraphSpacing = this.paragraphSpacing;
+        this.chain.paragraphDirections = this.paragraphDirections;
+        this.chain.paragraphTabStops = this.paragraphTabStops;
+    }
+
+    // Left indent of each list paragraph. Within a run of consecutive list
+    // paragraphs, every level's gutter is LIST_INDENT wide, or as wide as
+    // the widest marker at that level plus the gap, so items of a level
+    // line up and long numbers like '128.' never reach the text.
+    listIndents() {
         const indents = new Map();
-        for (const [paragraphIndex] of this.paragraphLists) {
-            indents.set(paragraphIndex, this.LIST_INDENT);
+        if (this.paragraphLists.size === 0) return indents;
+        const markers = this.getListMarkerTexts();
+        const fonts = this.getListMarkerFonts();
+
+        let run = [];
+        const flush = () => {
+            const gutters = [];
+            for (const p of run) {
+                const level = this.getListLevel(p);
+                const width = this.listMarkerWidth(markers.get(p), this.paragraphLists.get(p), fonts.get(p));
+                gutters[level] = Math.max(gutters[level] || this.LIST_INDENT, Math.ceil(width + this.LIST_MARKER_GAP));
+            }
+            for (const p of run) {
+                let indent = 0;
+                for (let level = 0; level <= this.getListLevel(p); level++) {
+                    indent += gutters[level] || this.LIST_INDENT;
+                }
+                indents.set(p, indent);
+            }
+            run = [];
+        };
+        const paragraphs = [...this.paragraphLists.keys()].sort((a, b) => a - b);
+        for (const p of paragraphs) {
+            if (run.length > 0 && p !== run[run.length - 1] + 1) flush();
+            run.push(p);
         }
-        this.chain.paragraphIndents = indents;
+        flush();
+        return indents;
     }
 
     // --- Stable paragraph attributes across structural edits ---------------
@@ -1967,13 +2584,37 @@ export class CanvasEditor {
         const boundaries = this.paragraphBoundaries();
         const align = new Map();
         const list = new Map();
+        const level = new Map();
+        const numbering = new Map();
+        const checked = new Map();
+        const spacing = new Map();
+        const direction = new Map();
+        const tabStops = new Map();
         for (const [idx, v] of this.paragraphAlignments) {
             if (idx < boundaries.length) align.set(this.boundaryKey(boundaries[idx]), v);
         }
         for (const [idx, v] of this.paragraphLists) {
             if (idx < boundaries.length) list.set(this.boundaryKey(boundaries[idx]), v);
         }
-        return { align, list };
+        for (const [idx, v] of this.paragraphListLevels) {
+            if (idx < boundaries.length) level.set(this.boundaryKey(boundaries[idx]), v);
+        }
+        for (const [idx, v] of this.paragraphListNumbering) {
+            if (idx < boundaries.length) numbering.set(this.boundaryKey(boundaries[idx]), v);
+        }
+        for (const [idx, v] of this.paragraphChecked) {
+            if (idx < boundaries.length) checked.set(this.boundaryKey(boundaries[idx]), v);
+        }
+        for (const [idx, v] of this.paragraphSpacing) {
+            if (idx < boundaries.length) spacing.set(this.boundaryKey(boundaries[idx]), v);
+        }
+        for (const [idx, v] of this.paragraphDirections) {
+            if (idx < boundaries.length) direction.set(this.boundaryKey(boundaries[idx]), v);
+        }
+        for (const [idx, v] of this.paragraphTabStops) {
+            if (idx < boundaries.length) tabStops.set(this.boundaryKey(boundaries[idx]), v);
+        }
+        return { align, list, level, numbering, checked, spacing, direction, tabStops };
     }
 
     // Rebuild the index maps from a boundary-keyed snapshot after an edit.
@@ -1981,35 +2622,77 @@ export class CanvasEditor {
         const boundaries = this.paragraphBoundaries();
         const align = new Map();
         const list = new Map();
+        const level = new Map();
+        const numbering = new Map();
+        const checked = new Map();
+        const spacing = new Map();
+        const direction = new Map();
+        const tabStops = new Map();
         for (let i = 0; i < boundaries.length; i++) {
             const key = this.boundaryKey(boundaries[i]);
             if (saved.align.has(key)) align.set(i, saved.align.get(key));
             if (saved.list.has(key)) list.set(i, saved.list.get(key));
+            if (saved.level.has(key)) level.set(i, saved.level.get(key));
+            if (saved.numbering.has(key)) numbering.set(i, saved.numbering.get(key));
+            if (saved.checked.has(key)) checked.set(i, saved.checked.get(key));
+            if (saved.spacing.has(key)) spacing.set(i, saved.spacing.get(key));
+            if (saved.direction.has(key)) direction.set(i, saved.direction.get(key));
+            if (saved.tabStops.has(key)) tabStops.set(i, saved.tabStops.get(key));
         }
         this.paragraphAlignments = align;
         this.paragraphLists = list;
+        this.paragraphListLevels = level;
+        this.paragraphListNumbering = numbering;
+        this.paragraphChecked = checked;
+        this.paragraphSpacing = spacing;
+        this.paragraphDirections = direction;
+        this.paragraphTabStops = tabStops;
         this.syncParagraphIndents();
     }
 
     // Run a structural edit while preserving paragraph attributes by identity.
+    // The edit's layout waits until the attributes are remapped, so it is
+    // laid out once, with the new indices. An edit within paragraphs (typing)
+    // moves none of them and only lays out what it touched.
     remapAroundEdit(editFn) {
         const saved = this.captureParagraphAttributes();
-        editFn();
-        this.restoreParagraphAttributes(saved);
+        this.chain.batchLayout(() => {
+            editFn();
+            if (this.chain.hasOnlyParagraphEdits()) return;
+            this.restoreParagraphAttributes(saved);
+            this.chain.recalc();
+        });
     }
 
     // After splitting paragraph P (Enter), carry its attributes to the new
-    // paragraph P+1 so lists and alignment continue onto the next line.
+    // paragraph P+1 so lists, alignment, spacing, direction and tab stops
+    // continue onto the next line, and lay the new paragraph out with them.
     continueParagraphAttributes(p) {
-        const align = this.paragraphAlignments.get(p);
-        if (align !== undefined) this.paragraphAlignments.set(p + 1, align);
-        const list = this.paragraphLists.get(p);
-        if (list !== undefined) this.paragraphLists.set(p + 1, list);
+        this.changeParagraphAttributes(p + 1, p + 1, () => this.copyParagraphAttributes(p, p + 1));
         this.syncParagraphIndents();
+        this.chain.recalc();
+    }
+
+    // Copy paragraph from's list, alignment, spacing, direction and tab stop
+    // attributes to paragraph to. The caller syncs indents and lays out.
+    copyParagraphAttributes(from, to) {
+        const align = this.paragraphAlignments.get(from);
+        if (align !== undefined) this.paragraphAlignments.set(to, align);
+        const list = this.paragraphLists.get(from);
+        if (list !== undefined) this.paragraphLists.set(to, list);
+        const level = this.paragraphListLevels.get(from);
+        if (level !== undefined) this.paragraphListLevels.set(to, level);
+        const spacing = this.paragraphSpacing.get(from);
+        if (spacing !== undefined) this.paragraphSpacing.set(to, spacing);
+        const direction = this.paragraphDirections.get(from);
+        if (direction !== undefined) this.paragraphDirections.set(to, direction);
+        const stops = this.paragraphTabStops.get(from);
+        if (stops !== undefined) this.paragraphTabStops.set(to, stops);
     }
 
     // Apply (or toggle off) a list type across the current paragraph range.
     setList(type) {
+        if (this.isReadOnly()) return;
         this.takeSnapshot();
         const [startPara, endPara] = this.getParagraphRange();
 
@@ -2022,17 +2705,129 @@ export class CanvasEditor {
             }
         }
 
+        this.changeParagraphAttributes(startPara, endPara, () => {
+            for (let p = startPara; p <= endPara; p++) {
+                if (allSame) {
+                    this.removeFromList(p);
+                } else {
+                    this.paragraphLists.set(p, type);
+                    if (type !== 'check') this.paragraphChecked.delete(p);
+                }
+            }
+        });
+
+        this.syncParagraphIndents();
+        this.chain.recalc();
+        this.render();
+        const names = { bullet: 'Bulleted list', number: 'Numbered list', check: 'Check list' };
+        this.announce(allSame ? 'List removed' : names[type]);
+    }
+
+    // Turn a list paragraph back into a plain one, dropping all its list
+    // attributes. The caller syncs indents and lays out.
+    removeFromList(p) {
+        this.paragraphLists.delete(p);
+        this.paragraphListLevels.delete(p);
+        this.paragraphListNumbering.delete(p);
+        this.paragraphChecked.delete(p);
+    }
+
+    // Move the list items in the current paragraph range delta levels deeper
+    // (or shallower when negative), between 0 and MAX_LIST_LEVEL. Paragraphs
+    // that aren't list items are left alone. Returns whether any moved.
+    changeListLevel(delta) {
+        if (this.isReadOnly()) return false;
+        const [startPara, endPara] = this.getParagraphRange();
+        const changes = [];
         for (let p = startPara; p <= endPara; p++) {
-            if (allSame) {
-                this.paragraphLists.delete(p);
-            } else {
-                this.paragraphLists.set(p, type);
+            if (!this.paragraphLists.has(p)) continue;
+            const level = Math.max(0, Math.min(MAX_LIST_LEVEL, this.getListLevel(p) + delta));
+            if (level !== this.getListLevel(p)) changes.push([p, level]);
+        }
+        if (changes.length === 0) return false;
+
+        this.takeSnapshot();
+        this.changeParagraphAttributes(startPara, endPara, () => {
+            for (const [p, level] of changes) {
+                if (level > 0) {
+                    this.paragraphListLevels.set(p, level);
+                } else {
+                    this.paragraphListLevels.delete(p);
+                }
             }
+        });
+        this.syncParagraphIndents();
+        this.chain.recalc();
+        this.render();
+        this.announce(`List level ${changes[0][1] + 1}`);
+        return true;
+    }
+
+    indentList() {
+        return this.changeListLevel(1);
+    }
+
+    outdentList() {
+        return this.changeListLevel(-1);
+    }
+
+    // Whether any paragraph in the current range is a list item.
+    isInList() {
+        const [startPara, endPara] = this.getParagraphRange();
+        for (let p = startPara; p <= endPara; p++) {
+            if (this.paragraphLists.has(p)) return true;
+        }
+        return false;
+    }
+
+    // Change the numbering of the selected numbered item(s): format and
+    // delimiter apply to every item in the range (and the rest of each
+    // list), while start and continue apply to the first item only, which
+    // is where the numbering restarts or carries on. null clears a key.
+    // Returns whether there was a numbered item to change.
+    setListNumbering(changes) {
+        if (this.isReadOnly()) return false;
+        const [startPara, endPara] = this.getParagraphRange();
+        const targets = [];
+        for (let p = startPara; p <= endPara; p++) {
+            if (this.paragraphLists.get(p) === 'number') targets.push(p);
         }
+        if (targets.length === 0) return false;
 
+        this.takeSnapshot();
+        const { start, continue: carryOn, ...style } = changes || {};
+        this.changeParagraphAttributes(startPara, endPara, () => {
+            targets.forEach((p, i) => {
+                const change = { ...style };
+                if (i === 0 && start !== undefined) change.start = start;
+                if (i === 0 && carryOn !== undefined) change.continue = carryOn;
+                const numbering = mergeNumbering(this.paragraphListNumbering.get(p), change);
+                if (numbering) {
+                    this.paragraphListNumbering.set(p, numbering);
+                } else {
+                    this.paragraphListNumbering.delete(p);
+                }
+            });
+        });
         this.syncParagraphIndents();
         this.chain.recalc();
         this.render();
+        return true;
+    }
+
+    // Restart the numbering at the current item.
+    restartNumbering(start = 1) {
+        if (this.setListNumbering({ start })) this.announce(`Numbering restarted at ${start}`);
+    }
+
+    // Continue the numbering from the previous list at this level.
+    continueNumbering() {
+        if (this.setListNumbering({ continue: true })) this.announce('Numbering continued');
+    }
+
+    // Numbering options of the item containing the cursor ({} when it has none).
+    getListNumbering() {
+        return { ...this.paragraphListNumbering.get(this.getCurrentParagraphIndex()) };
     }
 
     toggleBulletList() {
@@ -2043,12 +2838,67 @@ export class CanvasEditor {
         this.setList('number');
     }
 
+    toggleCheckList() {
+        this.setList('check');
+    }
+
+    isChecked(paragraphIndex) {
+        return this.paragraphLists.get(paragraphIndex) === 'check' && this.paragraphChecked.has(paragraphIndex);
+    }
+
+    // Check or uncheck one check list item. Returns whether it changed.
+    setItemChecked(paragraphIndex, checked) {
+        if (this.isReadOnly() || this.paragraphLists.get(paragraphIndex) !== 'check') return false;
+        if (this.isChecked(paragraphIndex) === checked) return false;
+        this.takeSnapshot();
+        this.changeParagraphAttributes(paragraphIndex, paragraphIndex, () => {
+            if (checked) {
+                this.paragraphChecked.set(paragraphIndex, true);
+            } else {
+                this.paragraphChecked.delete(paragraphIndex);
+            }
+        });
+        this.render();
+        this.announce(checked ? 'Checked' : 'Unchecked');
+        return true;
+    }
+
+    // Toggle the check list items in the current paragraph range: all become
+    // checked unless they all are, in which case all are unchecked. Returns
+    // whether there was a check list item to toggle.
+    toggleChecked() {
+        if (this.isReadOnly()) return false;
+        const [startPara, endPara] = this.getParagraphRange();
+        const items = [];
+        for (let p = startPara; p <= endPara; p++) {
+            if (this.paragraphLists.get(p) === 'check') items.push(p);
+        }
+        if (items.length === 0) return false;
+
+        this.takeSnapshot();
+        const checked = !items.every(p => this.isChecked(p));
+        this.changeParagraphAttributes(startPara, endPara, () => {
+            for (const p of items) {
+                if (checked) {
+                    this.paragraphChecked.set(p, true);
+                } else {
+                    this.paragraphChecked.delete(p);
+                }
+            }
+        });
+        this.render();
+        this.announce(checked ? 'Checked' : 'Unchecked');
+        return true;
+    }
+
     // Insert a horizontal rule (divider) on its own line at the cursor.
     insertHorizontalRule() {
+        if (this.isReadOnly()) return;
         this.takeSnapshot();
         this.chain.insertHorizontalRule();
         this.scrollToCursorOnNextRender = true;
         this.render();
+        this.announce('Horizontal rule inserted');
     }
 
     // --- Images -----------------------------------------------------------
@@ -2058,12 +2908,14 @@ export class CanvasEditor {
     // in the document/JSON but not opened by the editor — display is a
     // presentation concern), the display `width`/`height`, `alt`, and `align`.
     insertImage({ src, full = null, width = 0, height = 0, alt = '', align = 'center' }) {
+        if (this.isReadOnly()) return;
         this.takeSnapshot();
         const link = new ImageLink({ src, full, width, height, alt, align });
         this.remapAroundEdit(() => this.chain.insertBlock(link));
         this.selectedImage = link;
         this.scrollToCursorOnNextRender = true;
         this.render();
+        this.announce(alt ? `Image inserted: ${alt}` : 'Image inserted');
     }
 
     // Per-source image cache. Decoding is browser-only; in non-DOM
@@ -2083,6 +2935,7 @@ export class CanvasEditor {
             img.onload = () => {
                 entry.loaded = true;
                 entry.img = img;
+                this.adoptNaturalImageSize(src, img);
                 this.render();
             };
             img.onerror = () => {
@@ -2094,6 +2947,24 @@ export class CanvasEditor {
         return entry;
     }
 
+    // Give placeholder-sized images (see insertDocument) their natural size.
+    adoptNaturalImageSize(src, img) {
+        let changed = false;
+        for (const item of this.chain.getItems()) {
+            if (item instanceof ImageLink && item.sizeFromImage && item.intrinsic.src === src &&
+                img.naturalWidth > 0 && img.naturalHeight > 0) {
+                item.intrinsic.width = img.naturalWidth;
+                item.intrinsic.height = img.naturalHeight;
+                delete item.sizeFromImage;
+                this.recordImageChange(item);
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.chain.recalc();
+        }
+    }
+
     // The block image whose drawn box contains the given content-space point.
     imageAt(x, y) {
         for (const item of this.chain.getItems()) {
@@ -2110,17 +2981,46 @@ export class CanvasEditor {
     // --- Image selection / resize / move / justify ------------------------
 
     selectImage(image) {
+        const previous = this.selectedImage;
         this.selectedImage = (image instanceof ImageLink) ? image : null;
         // Selecting an image collapses any text selection.
         this.chain.clearSelection();
         this.render();
+        if (this.selectedImage !== previous) this.emitImageSelect();
     }
 
     clearImageSelection() {
         if (this.selectedImage) {
             this.selectedImage = null;
             this.render();
+            this.emitImageSelect();
+        }
+    }
+
+    // 'imageselect' with the selected image's data, or null when deselected.
+    emitImageSelect() {
+        const image = this.selectedImage;
+        this.emit('imageselect', {
+            image: image ? { ...image.intrinsic } : null,
+            position: image ? this.imageCharPosition(image) : null
+        });
+    }
+
+    // Character position of an image link in the chain.
+    imageCharPosition(image) {
+        let pos = 0;
+        for (const item of this.chain.getItems()) {
+            if (item === image) return pos;
+            if (item instanceof TextLink) pos += item.text.length;
+            else if (item instanceof NewlineLink) pos += 1;
         }
+        return null;
+    }
+
+    // Note a change to an image's size or alignment.
+    recordImageChange(image) {
+        const pos = this.imageCharPosition(image);
+        if (pos !== null) this.recordChange(pos, pos + 1, pos + 1);
     }
 
     // Square resize handles at the four corners and four edge midpoints of an
@@ -2150,7 +3050,7 @@ export class CanvasEditor {
 
     // Name of the selected image's handle at a point, or null.
     imageHandleAt(x, y) {
-        if (!this.selectedImage) return null;
+        if (!this.selectedImage || this.isReadOnly()) return null;
         const handles = this.getImageHandles(this.selectedImage);
         if (!handles) return null;
         for (const name of Object.keys(handles)) {
@@ -2176,6 +3076,7 @@ export class CanvasEditor {
         const w = Math.max(minW, Math.min(maxW, targetWidth));
         image.intrinsic.width = Math.round(w);
         image.intrinsic.height = Math.round(w / aspect);
+        this.recordImageChange(image);
         this.chain.recalc();
         this.render();
     }
@@ -2210,20 +3111,26 @@ export class CanvasEditor {
 
     // Set the selected image's justification: 'left' | 'center' | 'right'.
     setImageAlignment(align) {
+        if (this.isReadOnly()) return;
         if (!this.selectedImage) return;
         this.takeSnapshot();
         this.selectedImage.intrinsic.align = align;
+        this.recordImageChange(this.selectedImage);
         this.chain.recalc();
         this.render();
     }
 
     deleteSelectedImage() {
+        if (this.isReadOnly()) return;
         const image = this.selectedImage;
         if (!image) return;
         this.takeSnapshot();
         this.remapAroundEdit(() => {
             const idx = this.chain.items.indexOf(image);
-            if (idx !== -1) this.chain.items.splice(idx, 1);
+            if (idx === -1) return;
+            const pos = this.chain.getCharPosition(idx, 0);
+            this.chain.items.splice(idx, 1);
+            this.recordChange(pos, pos + 1, pos);
         });
         this.selectedImage = null;
         this.render();
@@ -2232,6 +3139,7 @@ export class CanvasEditor {
     // Relocate the selected image so it sits at the given flattened character
     // position (its own block line). Used by drag-to-move.
     moveSelectedImageToCharPos(pos) {
+        if (this.isReadOnly()) return;
         const image = this.selectedImage;
         if (!image) return;
         this.takeSnapshot();
@@ -2244,6 +3152,7 @@ export class CanvasEditor {
             // after it down by one.
             const imageStart = this.chain.getCharPosition(from, 0);
             items.splice(from, 1);
+            this.recordChange(imageStart, imageStart + 1, imageStart);
             let target = pos > imageStart ? pos - 1 : pos;
 
             this.chain.moveCursorToCharPosition(target);
@@ -2328,29 +3237,23 @@ export class CanvasEditor {
 
     // Insert text carrying the given FontProperties at the cursor.
     insertTextWithProperties(text, props) {
-        const saved = this.chain.currentFontProperties;
-        this.chain.currentFontProperties = props;
-        for (const ch of text) {
-            if (ch === '\n') {
-                this.chain.enterPressed();
-            } else {
-                this.chain.printableKeyPressed(ch);
-            }
-        }
-        this.chain.currentFontProperties = saved;
+        this.chain.insertText(text, props);
     }
 
     // Set (or clear, when url is falsy) the link on the current selection,
     // preserving the existing text and per-character formatting.
     setLink(url) {
+        if (this.isReadOnly()) return;
         if (!this.chain.hasSelection()) return;
         this.takeSnapshot();
         this.applyFormattingToSelection('link', () => url || null);
         this.render();
+        this.announce(url ? 'Link added' : 'Link removed');
     }
 
     // Remove the link from the link run at the cursor, keeping its text.
     removeLink() {
+        if (this.isReadOnly()) return;
         const range = this.getLinkRangeAtCursor();
         if (!range) return;
         this.takeSnapshot();
@@ -2359,6 +3262,7 @@ export class CanvasEditor {
         this.applyFormattingToSelection('link', () => null);
         this.chain.clearSelection();
         this.render();
+        this.announce('Link removed');
     }
 
     // Create or update a link with explicit display text and URL. Replaces the
@@ -2366,6 +3270,7 @@ export class CanvasEditor {
     // selection, otherwise inserts at the cursor. An empty url clears the link
     // while keeping the text.
     applyLink(text, url) {
+        if (this.isReadOnly()) return;
         this.takeSnapshot();
         const href = url ? url : null;
 
@@ -2397,9 +3302,13 @@ export class CanvasEditor {
         this.render();
     }
 
-    // Open a link URL in a new tab (browser only).
+    // Open a link URL in a new tab (browser only). 'linkclick' subscribers
+    // see it first and can call preventDefault() to handle it themselves.
     openLink(href) {
-        if (href && typeof window !== 'undefined' && typeof window.open === 'function') {
+        if (!href) return;
+        const event = this.emit('linkclick', { href });
+        if (event.defaultPrevented) return;
+        if (typeof window !== 'undefined' && typeof window.open === 'function') {
             window.open(href, '_blank', 'noopener');
         }
     }
@@ -2475,6 +3384,7 @@ export class CanvasEditor {
     // Open the link editor, seeded from the link at the cursor, the current
     // selection, or empty. Positioned over the canvas near the cursor.
     openLinkPopup() {
+        if (this.isReadOnly()) return;
         const el = this.ensureLinkPopup();
         if (!el) return;
 
@@ -2521,12 +3431,12 @@ export class CanvasEditor {
 
         // Clamp horizontally within the canvas.
         const minLeft = originX;
-        const maxLeft = originX + this.canvas.width - pw;
+        const maxLeft = originX + this.cssWidth - pw;
         if (left > maxLeft) left = maxLeft;
         if (left < minLeft) left = minLeft;
 
         // Flip above the line if the popup would overflow the canvas bottom.
-        const canvasBottom = originY + this.canvas.height;
+        const canvasBottom = originY + this.cssHeight;
         if (top + ph > canvasBottom) {
             top = top - ph - 12 - 6;
         }
@@ -2536,64 +3446,480 @@ export class CanvasEditor {
         el.style.top = `${top}px`;
     }
 
-    toggleCenterAlign() {
-        const paragraphIndex = this.getCurrentParagraphIndex();
-        const currentAlign = this.paragraphAlignments.get(paragraphIndex) || 'left';
+    // --- IME composition ------------------------------------------------
 
-        if (currentAlign === 'center') {
-            this.setAlignment('left');
-        } else {
-            this.setAlignment('center');
+    // Lazily build the hidden, caret-tracking textarea that receives keyboard
+    // and composition events. Returns null in non-browser environments; the
+    // composition handlers below can still be driven directly there.
+    ensureImeInput() {
+        if (typeof document === 'undefined') return null;
+        if (this.imeInput) return this.imeInput;
+
+        const el = document.createElement('textarea');
+        el.className = 'canvas-richtext-ime-input';
+        el.setAttribute('autocomplete', 'off');
+        el.setAttribute('autocorrect', 'off');
+        el.setAttribute('autocapitalize', 'off');
+        el.setAttribute('spellcheck', 'false');
+        el.setAttribute('aria-label', this.options.ariaLabel);
+        el.setAttribute('aria-multiline', 'true');
+        if (this.a11yRoot) el.setAttribute('aria-controls', `${this.a11yId}-doc`);
+        el.tabIndex = -1;
+        el.readOnly = this.isReadOnly();
+        // Effectively invisible but still focusable and positionable (display
+        // none or zero size would stop IMEs from attaching to it).
+        Object.assign(el.style, {
+            position: 'absolute',
+            left: '0px',
+            top: '0px',
+            width: '1px',
+            height: '1em',
+            padding: '0',
+            border: '0',
+            margin: '0',
+            opacity: '0',
+            resize: 'none',
+            overflow: 'hidden',
+            whiteSpace: 'nowrap',
+            zIndex: '-1',
+            pointerEvents: 'none'
+        });
+
+        el.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        el.addEventListener('compositionstart', (e) => this.handleCompositionStart(e));
+        el.addEventListener('compositionupdate', (e) => this.handleCompositionUpdate(e));
+        el.addEventListener('compositionend', (e) => this.handleCompositionEnd(e));
+        el.addEventListener('input', (e) => this.handleTextInput(e));
+        el.addEventListener('focus', () => this.handleFocusIn());
+        el.addEventListener('blur', () => this.handleFocusOut());
+
+        document.body.appendChild(el);
+        this.imeInput = el;
+        return el;
+    }
+
+    focusImeInput() {
+        if (this.imeInput && document.activeElement !== this.imeInput) {
+            this.positionImeInput();
+            this.imeInput.focus({ preventScroll: true });
+        }
+    }
+
+    // Move the hidden input over the caret (page coordinates), matching the
+    // caret's font size so the IME sizes its candidate window sensibly.
+    positionImeInput() {
+        const el = this.imeInput;
+        if (!el || typeof window === 'undefined' || !this.canvas.getBoundingClientRect) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const cursor = this.chain.getCursor();
+        const cx = (cursor.computed && cursor.computed.posX) || 0;
+        const cy = (cursor.computed && cursor.computed.posY) || 0;
+        const height = (cursor.computed && cursor.computed.height) || this.options.defaultFontSize;
+
+        const left = rect.left + (window.scrollX || 0) + this.options.padding + cx;
+        const top = rect.top + (window.scrollY || 0) + this.options.padding + cy - height - this.scrollY;
+        const key = `${left}|${top}|${height}`;
+        if (key === this._imeInputPosKey) return;
+        this._imeInputPosKey = key;
+
+        el.style.left = `${left}px`;
+        el.style.top = `${top}px`;
+        el.style.fontSize = `${height}px`;
+    }
+
+    // Replace the in-progress composition text shown at the caret. An empty
+    // string removes it.
+    setCompositionText(text) {
+        this.chain.items = this.chain.items.filter(item => !(item instanceof CompositionLink));
+        if (text) {
+            const props = this.chain.currentFontProperties.clone();
+            this.chain.items.splice(this.chain.cursorIdx(), 0, new CompositionLink(text, props));
+        }
+        this.chain.recalc();
+    }
+
+    handleCompositionStart(e) {
+        if (this.isReadOnly()) return;
+        this.isComposing = true;
+        this._compositionSnapshotTaken = false;
+        this.clearImageSelection();
+        // Composing over a selection replaces it; the deletion and the
+        // committed text form a single undo step.
+        if (this.chain.hasSelection()) {
+            this.takeSnapshot();
+            this._compositionSnapshotTaken = true;
+            this.deleteSelection();
+        }
+        this.scrollToCursorOnNextRender = true;
+        this.render();
+    }
+
+    handleCompositionUpdate(e) {
+        if (this.isReadOnly()) return;
+        if (!this.isComposing) this.handleCompositionStart(e);
+        this.setCompositionText(e.data || '');
+        this.scrollToCursorOnNextRender = true;
+        this.resetCursorBlink();
+        this.render();
+    }
+
+    handleCompositionEnd(e) {
+        if (this.isReadOnly()) return;
+        this.setCompositionText('');
+        this.isComposing = false;
+
+        const text = e.data || '';
+        if (text) {
+            if (!this._compositionSnapshotTaken) this.takeSnapshot();
+            this.remapAroundEdit(() => this.chain.insertText(text));
         }
+        this._compositionSnapshotTaken = false;
+        this.syncImeInputValue();
+        this.scrollToCursorOnNextRender = true;
+        this.resetCursorBlink();
+        this.render();
     }
 
-    adjustForAlignment() {
+    // Text that reaches the hidden input without a composition or a handled
+    // keydown (OS emoji picker, dictation, some dead-key sequences).
+    handleTextInput(e) {
+        if (this.isReadOnly()) return;
+        if (this.isComposing || e.isComposing) return;
+        const text = e.data;
+        if (text && (!e.inputType || e.inputType === 'insertText' || e.inputType === 'insertReplacementText')) {
+            this.takeSnapshot();
+            if (this.chain.hasSelection()) {
+                this.deleteSelection();
+            }
+            this.remapAroundEdit(() => this.chain.insertText(text));
+            this.scrollToCursorOnNextRender = true;
+            this.resetCursorBlink();
+            this.render();
+        }
+        this.syncImeInputValue();
+    }
+
+    // The hidden input never accumulates typed text: it always holds the
+    // caret's paragraph with the matching caret/selection, so screen readers
+    // echo characters and lines as the caret moves. Left alone mid-composition.
+    syncImeInputValue() {
+        const el = this.imeInput;
+        if (!el || this.isComposing) return;
+        const caret = this.getAccessibilityCaret();
+        if (el.value !== caret.text) el.value = caret.text;
+        if (el.selectionStart !== caret.selectionStart || el.selectionEnd !== caret.selectionEnd) {
+            el.setSelectionRange(caret.selectionStart, caret.selectionEnd);
+        }
+    }
+
+    // --- Accessibility ------------------------------------------------------
+
+    // Describe the document as accessible blocks (paragraphs, list items,
+    // rules, images) with their flattened character ranges and inline runs.
+    // Pure data so it can be tested without a DOM; the mirror renders it.
+    getAccessibilityBlocks() {
+        return this.accessibilityBlockCache().blocks;
+    }
+
+    // The accessible blocks, rebuilt only after a layout pass or a paragraph
+    // attribute change, with the index of each paragraph's first block.
+    accessibilityBlockCache() {
+        const key = `${this.chain.layoutVersion}|${this.paragraphAttributesKey()}`;
+        if (!this._a11yBlocks || this._a11yBlocks.key !== key) {
+            const blocks = this.buildAccessibilityBlocks();
+            const byParagraph = new Map();
+            blocks.forEach((block, index) => {
+                if (!byParagraph.has(block.paragraph)) byParagraph.set(block.paragraph, index);
+            });
+            this._a11yBlocks = { key, blocks, byParagraph };
+        }
+        return this._a11yBlocks;
+    }
+
+    buildAccessibilityBlocks() {
         const items = this.chain.getItems();
-        let currentParagraph = 0;
-        let lineStartIdx = 0;
+        const markers = this.getListMarkerTexts();
+        const blocks = [];
+        let paragraph = 0;
+        let pos = 0;
+        let start = 0;
+        let runs = [];
+
+        const pushParagraph = () => {
+            const text = runs.map(r => r.text).join('');
+            const list = this.paragraphLists.get(paragraph) || null;
+            blocks.push({
+                type: list ? 'listitem' : 'paragraph',
+                paragraph,
+                start,
+                end: pos,
+                text,
+                list,
+                level: list ? this.getListLevel(paragraph) : 0,
+                checked: list === 'check' ? this.isChecked(paragraph) : null,
+                marker: markers.get(paragraph) || null,
+                align: this.paragraphAlignments.get(paragraph) || this.defaultAlignment(paragraph),
+                direction: this.paragraphDirections.get(paragraph) || 'auto',
+                runs
+            });
+        };
 
-        for (let i = 0; i <= items.length; i++) {
-            const isLineEnd = i === items.length ||
-                            items[i] instanceof NewlineLink ||
-                            items[i] instanceof VirtualNewlineLink;
-
-            if (isLineEnd) {
-                const alignment = this.paragraphAlignments.get(currentParagraph) || 'left';
-                const indent = this.paragraphLists.has(currentParagraph) ? this.LIST_INDENT : 0;
-
-                // Recompute this visual line's base X layout from the paragraph
-                // indent. Doing this every time keeps alignment idempotent
-                // across renders (offsets must not accumulate frame to frame).
-                let lineWidth = indent;
-                for (let j = lineStartIdx; j < i; j++) {
-                    if (items[j].computed) {
-                        items[j].computed.posX = lineWidth;
-                    }
-                    if (items[j] instanceof TextLink) {
-                        lineWidth += items[j].measureText(this.ctx).width;
-                    }
+        for (const item of items) {
+            if (item instanceof TextLink) {
+                if (item.text.length === 0) continue;
+                const fp = item.intrinsic.fontProperties;
+                const run = {
+                    text: item.text,
+                    href: fp.link || null,
+                    bold: fp.weight === 'bold',
+                    italic: fp.style === 'italic',
+                    underline: fp.underline,
+                    strikethrough: fp.strikethrough
+                };
+                const last = runs[runs.length - 1];
+                if (last && last.href === run.href && last.bold === run.bold && last.italic === run.italic &&
+                    last.underline === run.underline && last.strikethrough === run.strikethrough) {
+                    last.text += run.text;
+                } else {
+                    runs.push(run);
+                }
+                pos += item.text.length;
+            } else if (item instanceof NewlineLink) {
+                // A rule or image owns the line it terminates; it is announced
+                // on its own, after any text that ended up on that line.
+                const isBlock = item instanceof HorizontalRuleLink || item instanceof ImageLink;
+                if (!isBlock || runs.length > 0) pushParagraph();
+                if (item instanceof ImageLink) {
+                    blocks.push({ type: 'image', paragraph, start: pos, end: pos + 1, alt: item.intrinsic.alt || '', src: item.intrinsic.src });
+                } else if (item instanceof HorizontalRuleLink) {
+                    blocks.push({ type: 'hr', paragraph, start: pos, end: pos + 1 });
                 }
+                pos += 1;
+                paragraph++;
+                start = pos;
+                runs = [];
+            }
+        }
+        pushParagraph();
+        return blocks;
+    }
+
+    // The caret's paragraph text and the caret/selection offsets within it
+    // (selection clamped to the paragraph), as exposed to screen readers.
+    getAccessibilityCaret() {
+        const paragraph = this.getCurrentParagraphIndex();
+        const cursorPos = this.chain.getCursorCharPosition();
+        const { blocks, byParagraph } = this.accessibilityBlockCache();
+        let block = blocks[byParagraph.get(paragraph)];
+        if (block && block.type !== 'paragraph' && block.type !== 'listitem') block = null;
+        const start = block ? block.start : cursorPos;
+        const text = block ? block.text : '';
+        const clamp = (v) => Math.max(0, Math.min(text.length, v - start));
+
+        let selectionStart = clamp(cursorPos);
+        let selectionEnd = selectionStart;
+        if (this.chain.hasSelection()) {
+            selectionStart = clamp(this.chain.selectionStart);
+            selectionEnd = clamp(this.chain.selectionEnd);
+        }
+        return { paragraph, text, offset: clamp(cursorPos), selectionStart, selectionEnd };
+    }
+
+    // Lazily build the off-screen mirror: a document region rebuilt from the
+    // chain plus a polite live region. Returns null outside the browser.
+    ensureAccessibilityMirror() {
+        if (typeof document === 'undefined') return null;
+        if (this.a11yRoot) return this.a11yRoot;
+
+        const root = document.createElement('div');
+        root.className = 'canvas-richtext-a11y';
+        // Visually hidden but still in the accessibility tree.
+        Object.assign(root.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            margin: '-1px',
+            padding: '0',
+            border: '0',
+            overflow: 'hidden',
+            clip: 'rect(0 0 0 0)',
+            clipPath: 'inset(50%)',
+            whiteSpace: 'normal'
+        });
+
+        const doc = document.createElement('div');
+        doc.id = `${this.a11yId}-doc`;
+        doc.setAttribute('role', 'document');
+        doc.setAttribute('aria-label', this.options.ariaLabel);
+
+        const live = document.createElement('div');
+        live.setAttribute('role', 'status');
+        live.setAttribute('aria-live', 'polite');
+        live.setAttribute('aria-atomic', 'true');
+
+        root.appendChild(doc);
+        root.appendChild(live);
+        document.body.appendChild(root);
+
+        this.a11yRoot = root;
+        this.a11yDocument = doc;
+        this.a11yLiveRegion = live;
+        this._a11ySignature = null;
+        this._a11yBlocksKey = null;
+        this._a11yStateKey = null;
+
+        if (this.canvas.setAttribute) {
+            this.canvas.setAttribute('role', 'textbox');
+            this.canvas.setAttribute('aria-multiline', 'true');
+            this.canvas.setAttribute('aria-label', this.options.ariaLabel);
+            this.canvas.setAttribute('aria-describedby', doc.id);
+            this.canvas.setAttribute('aria-readonly', String(this.isReadOnly()));
+        }
+        return root;
+    }
+
+    // Bring the mirror and the caret proxy in line with the chain. The DOM is
+    // only looked at after a layout pass or a paragraph attribute change, and
+    // only rebuilt when the document's blocks actually changed, so the blink
+    // loop's re-renders and caret moves stay cheap.
+    syncAccessibility() {
+        if (!this.a11yRoot) return;
+        const { key, blocks, byParagraph } = this.accessibilityBlockCache();
+        // The caret proxy also follows the selection and composition.
+        const stateKey = `${key}|${this.chain.selectionStart}|${this.chain.selectionEnd}|${this.isComposing}`;
+        if (stateKey === this._a11yStateKey) return;
+        this._a11yStateKey = stateKey;
+        if (key !== this._a11yBlocksKey) {
+            this._a11yBlocksKey = key;
+            const signature = JSON.stringify(blocks);
+            if (signature !== this._a11ySignature) {
+                this._a11ySignature = signature;
+                this.renderAccessibilityMirror(blocks);
+            }
+        }
+
+        // Point the caret proxy at the block holding the caret.
+        const index = byParagraph.get(this.getCurrentParagraphIndex());
+        if (this.imeInput && index !== undefined) {
+            this.imeInput.setAttribute('aria-activedescendant', `${this.a11yId}-b${index}`);
+        }
+        this.syncImeInputValue();
+    }
 
-                if (alignment === 'center' || alignment === 'right') {
-                    // Center splits the free space; right pushes it all left.
-                    const freeSpace = Math.max(0, this.editorWidth - lineWidth);
-                    const offset = alignment === 'center' ? freeSpace / 2 : freeSpace;
+    renderAccessibilityMirror(blocks) {
+        const doc = this.a11yDocument;
+        doc.textContent = '';
 
-                    for (let j = lineStartIdx; j < i; j++) {
-                        if (items[j].computed && items[j].computed.posX !== undefined) {
-                            items[j].computed.posX += offset;
-                        }
+        // Open lists, outermost first: a nested list goes in the last item of
+        // the list one level out, as in HTML.
+        let lists = [];
+        blocks.forEach((block, index) => {
+            let el;
+            if (block.type === 'listitem') {
+                const tag = block.list === 'number' ? 'ol' : 'ul';
+                while (lists.length > 0 && lists[lists.length - 1].level > block.level) lists.pop();
+                let list = lists[lists.length - 1];
+                if (list && list.level === block.level && list.tag !== tag) {
+                    lists.pop();
+                    list = lists[lists.length - 1];
+                }
+                if (!list || list.level < block.level) {
+                    const parent = list && list.lastItem ? list.lastItem : doc;
+                    list = { tag, level: block.level, el: document.createElement(tag), lastItem: null };
+                    parent.appendChild(list.el);
+                    lists.push(list);
+                }
+                el = document.createElement('li');
+                if (block.checked !== null) {
+                    const box = document.createElement('span');
+                    box.setAttribute('role', 'checkbox');
+                    box.setAttribute('aria-checked', String(block.checked));
+                    box.setAttribute('aria-label', 'Done');
+                    el.appendChild(box);
+                }
+                list.el.appendChild(el);
+                list.lastItem = el;
+            } else {
+                lists = [];
+                if (block.type === 'hr') {
+                    el = document.createElement('hr');
+                } else if (block.type === 'image') {
+                    el = document.createElement('span');
+                    el.setAttribute('role', 'img');
+                    el.setAttribute('aria-label', block.alt || 'Image');
+                } else {
+                    el = document.createElement('p');
+                }
+                doc.appendChild(el);
+            }
+            el.id = `${this.a11yId}-b${index}`;
+
+            if (block.runs) {
+                el.dir = block.direction;
+                if (block.align !== 'left') el.style.textAlign = block.align;
+                for (const run of block.runs) {
+                    let node = document.createTextNode(run.text);
+                    if (run.strikethrough) node = this.wrapAccessibleNode('s', node);
+                    if (run.underline) node = this.wrapAccessibleNode('u', node);
+                    if (run.italic) node = this.wrapAccessibleNode('em', node);
+                    if (run.bold) node = this.wrapAccessibleNode('strong', node);
+                    // Links with an unsafe scheme are read as plain text.
+                    const href = run.href ? sanitizeUrl(run.href, 'link') : null;
+                    if (href) {
+                        node = this.wrapAccessibleNode('a', node);
+                        node.setAttribute('href', href);
+                        node.tabIndex = -1;
                     }
+                    el.appendChild(node);
                 }
+            }
+        });
+    }
 
-                // Move to next line
-                lineStartIdx = i + 1;
+    wrapAccessibleNode(tag, child) {
+        const el = document.createElement(tag);
+        el.appendChild(child);
+        return el;
+    }
 
-                // Track paragraph boundaries
-                if (i < items.length && items[i] instanceof NewlineLink) {
-                    currentParagraph++;
-                }
+    // Announce a short message (e.g. a formatting change) to screen readers.
+    announce(message) {
+        this.lastAnnouncement = message;
+        if (!this.a11yLiveRegion) return;
+        // Clearing first makes repeated identical messages re-announce.
+        this.a11yLiveRegion.textContent = '';
+        setTimeout(() => {
+            if (this.a11yLiveRegion) this.a11yLiveRegion.textContent = message;
+        }, 50);
+    }
+
+    // Announce an on/off formatting toggle, reading the state back from the
+    // selection (or the typing style when nothing is selected).
+    announceToggle(label, property, onValue) {
+        let value;
+        if (this.chain.hasSelection()) {
+            const pos = this.chain.getItemFromCharPosition(this.chain.selectionStart);
+            const items = this.chain.getItems();
+            let item = items[pos.itemIdx];
+            if (!(item instanceof TextLink) || pos.charOffset >= item.text.length) {
+                item = items.slice(pos.itemIdx + 1).find(i => i instanceof TextLink) || item;
             }
+            value = item instanceof TextLink ? item.intrinsic.fontProperties[property] : undefined;
+        } else {
+            value = this.chain.currentFontProperties[property];
+        }
+        this.announce(`${label} ${value === onValue ? 'on' : 'off'}`);
+    }
+
+    toggleCenterAlign() {
+        const paragraphIndex = this.getCurrentParagraphIndex();
+        const currentAlign = this.paragraphAlignments.get(paragraphIndex) || this.defaultAlignment(paragraphIndex);
+
+        if (currentAlign === 'center') {
+            this.setAlignment(this.defaultAlignment(paragraphIndex));
+        } else {
+            this.setAlignment('center');
         }
     }
 
@@ -2603,6 +3929,7 @@ export class CanvasEditor {
         const selEnd = this.chain.selectionEnd;
         const newItems = [];
         let pos = 0;
+        let changed = false;
 
         for (let item of items) {
             if (item instanceof TextLink) {
@@ -2632,6 +3959,7 @@ export class CanvasEditor {
                 // Selected middle: apply the formatting change.
                 const selectedProps = fontProps.clone();
                 selectedProps[property] = valueFn(selectedProps[property]);
+                if (selectedProps[property] !== fontProps[property]) changed = true;
                 newItems.push(new TextLink(item.text.substring(s, e), selectedProps));
 
                 // Unselected tail, if any.
@@ -2647,14 +3975,18 @@ export class CanvasEditor {
         }
 
         this.chain.items = newItems;
+        if (changed) this.recordChange(selStart, selEnd, selEnd);
         this.chain.recalc();
     }
 
+    // The committed text; in-progress IME composition text is left out.
     getText() {
         const items = this.chain.getItems();
         let text = '';
         for (let item of items) {
-            if (item instanceof TextLink) {
+            if (item instanceof CompositionLink) {
+                continue;
+            } else if (item instanceof TextLink) {
                 text += item.text;
             } else if (item instanceof NewlineLink) {
                 text += '\n';
@@ -2665,31 +3997,35 @@ export class CanvasEditor {
 
     setText(text) {
         // Clear the chain and insert text
+        this.recordChange(0, this.chain.getTotalChars(), 0);
         this.chain.items = [new CursorLink()];
         this.selectedImage = null;
         // A fresh plain-text document has no paragraph-level attributes.
         this.paragraphAlignments = new Map();
         this.paragraphLists = new Map();
+        this.paragraphListLevels = new Map();
+        this.paragraphListNumbering = new Map();
+        this.paragraphChecked = new Map();
+        this.paragraphSpacing = new Map();
+        this.paragraphDirections = new Map();
+        this.paragraphTabStops = new Map();
         this.syncParagraphIndents();
-        for (let char of text) {
-            if (char === '\n') {
-                this.chain.enterPressed();
-            } else {
-                this.chain.printableKeyPressed(char);
-            }
-        }
+        this.chain.insertText(text);
         this.render();
     }
 
     // Serialize the full document (text, per-run formatting, and paragraph
     // alignment) to a plain object suitable for JSON.stringify. Cursor and
     // wrap (virtual newline) state are layout artifacts and are not included;
-    // they are recomputed on load.
+    // they are recomputed on load, and so is IME composition text, which is
+    // not part of the document until the composition ends.
     toJSON() {
         const items = this.chain.getItems();
         const content = [];
         for (let item of items) {
-            if (item instanceof TextLink) {
+            if (item instanceof CompositionLink) {
+                continue;
+            } else if (item instanceof TextLink) {
                 content.push({
                     type: 'text',
                     text: item.text,
@@ -2724,21 +4060,118 @@ export class CanvasEditor {
             lists[paragraphIndex] = type;
         }
 
+        const listLevels = {};
+        for (let [paragraphIndex, level] of this.paragraphListLevels) {
+            listLevels[paragraphIndex] = level;
+        }
+
+        const listNumbering = {};
+        for (let [paragraphIndex, numbering] of this.paragraphListNumbering) {
+            listNumbering[paragraphIndex] = { ...numbering };
+        }
+
+        const checked = {};
+        for (let [paragraphIndex] of this.paragraphChecked) {
+            checked[paragraphIndex] = true;
+        }
+
+        const spacing = {};
+        for (let [paragraphIndex, value] of this.paragraphSpacing) {
+            spacing[paragraphIndex] = { ...value };
+        }
+
+        const directions = {};
+        for (let [paragraphIndex, direction] of this.paragraphDirections) {
+            directions[paragraphIndex] = direction;
+        }
+
+        const tabStops = {};
+        for (let [paragraphIndex, stops] of this.paragraphTabStops) {
+            tabStops[paragraphIndex] = stops.map(stop => ({ ...stop }));
+        }
+
         return {
             version: 1,
             content,
             alignments,
-            lists
+            lists,
+            listLevels,
+            listNumbering,
+            checked,
+            spacing,
+            directions,
+            tabStops
         };
     }
 
-    // Rebuild the chain and paragraph attributes from a parsed document object,
-    // placing the cursor at the end. Does not touch undo history, selection, or
-    // trigger a render; callers handle those. Shared by fromJSON() and undo
-    // snapshot restore.
-    loadDocumentData(data) {
+    // The document restricted to the flattened character range [start, end),
+    // in toJSON() form. Text runs are clipped to the range, and paragraph
+    // attributes are re-indexed so the slice's first paragraph is 0.
+    getDocumentSlice(start, end) {
+        const doc = this.toJSON();
+        start = this.chain.committedCharPosition(start);
+        end = this.chain.committedCharPosition(end);
+        const content = [];
+        const firstParagraph = this.paragraphIndexAtCharPos(start);
+        let paragraphCount = 1;
+        let pos = 0;
+        for (const entry of doc.content) {
+            if (entry.type === 'text') {
+                const s = Math.max(0, start - pos);
+                const e = Math.min(entry.text.length, end - pos);
+                if (e > s) {
+                    content.push({ ...entry, text: entry.text.substring(s, e) });
+                }
+                pos += entry.text.length;
+            } else {
+                if (pos >= start && pos < end) {
+                    content.push(entry);
+                    paragraphCount++;
+                }
+                pos += 1;
+            }
+        }
+
+        const reindex = (map) => {
+            const out = {};
+            for (const key of Object.keys(map)) {
+                const p = Number(key) - firstParagraph;
+                if (p >= 0 && p < paragraphCount) out[p] = map[key];
+            }
+            return out;
+        };
+
+        return {
+            version: doc.version,
+            content,
+            alignments: reindex(doc.alignments),
+            lists: reindex(doc.lists),
+            listLevels: reindex(doc.listLevels),
+            listNumbering: reindex(doc.listNumbering),
+            checked: reindex(doc.checked),
+            spacing: reindex(doc.spacing),
+            directions: reindex(doc.directions),
+            tabStops: reindex(doc.tabStops)
+        };
+    }
+
+    // Imported images (pasted HTML, Markdown) often lack dimensions: lay them
+    // out as a placeholder box and adopt the natural size once loaded.
+    sizeUnsizedImages(links) {
+        for (const link of links) {
+            if (link instanceof ImageLink && (!link.intrinsic.width || !link.intrinsic.height)) {
+                link.intrinsic.width = CanvasEditor.PLACEHOLDER_IMAGE_WIDTH;
+                link.intrinsic.height = CanvasEditor.PLACEHOLDER_IMAGE_HEIGHT;
+                link.sizeFromImage = true;
+                this.getImageEntry(link.intrinsic.src);
+            }
+        }
+    }
+
+    // Chain links for a document's content entries.
+    linksFromContent(content) {
         const items = [];
-        for (let entry of data.content) {
+        for (let entry of content) {
             if (entry.type === 'text') {
                 items.push(new TextLink(entry.text, FontProperties.fromObject(entry.font)));
             } else if (entry.type === 'image') {
@@ -2756,8 +4189,19 @@ export class CanvasEditor {
                 items.push(new NewlineLink());
             }
         }
+        return items;
+    }
+
+    // Rebuild the chain and paragraph attributes from a parsed document object,
+    // placing the cursor at the end. Does not touch undo history, selection, or
+    // trigger a render; callers handle those. Shared by fromJSON() and undo
+    // snapshot restore.
+    loadDocumentData(data) {
+        const items = this.linksFromContent(data.content);
         items.push(new CursorLink());
+        const oldLength = this.chain.getTotalChars();
         this.chain.items = items;
+        this.recordChange(0, oldLength, this.chain.getTotalChars());
         // The previously selected image object is no longer in the chain.
         this.selectedImage = null;
 
@@ -2776,6 +4220,59 @@ export class CanvasEditor {
                 this.paragraphLists.set(Number(key), data.lists[key]);
             }
         }
+        this.paragraphListLevels = new Map();
+        if (data.listLevels) {
+            for (let key of Object.keys(data.listLevels)) {
+                const level = normalizeListLevel(data.listLevels[key]);
+                if (level > 0 && this.paragraphLists.has(Number(key))) {
+                    this.paragraphListLevels.set(Number(key), level);
+                }
+            }
+        }
+        this.paragraphListNumbering = new Map();
+        if (data.listNumbering) {
+            for (let key of Object.keys(data.listNumbering)) {
+                const numbering = normalizeNumbering(data.listNumbering[key]);
+                if (numbering && this.paragraphLists.has(Number(key))) {
+                    this.paragraphListNumbering.set(Number(key), numbering);
+                }
+            }
+        }
+        this.paragraphChecked = new Map();
+        if (data.checked) {
+            for (let key of Object.keys(data.checked)) {
+                if (data.checked[key] === true && this.paragraphLists.get(Number(key)) === 'check') {
+                    this.paragraphChecked.set(Number(key), true);
+                }
+            }
+        }
+
+        // Restore paragraph spacing, dropping invalid entries.
+        this.paragraphSpacing = new Map();
+        if (data.spacing) {
+            for (let key of Object.keys(data.spacing)) {
+                const spacing = normalizeSpacing(data.spacing[key]);
+                if (spacing) this.paragraphSpacing.set(Number(key), spacing);
+            }
+        }
+
+        // Restore paragraph directions, dropping invalid entries.
+        this.paragraphDirections = new Map();
+        if (data.directions) {
+            for (let key of Object.keys(data.directions)) {
+                const direction = normalizeDirection(data.directions[key]);
+                if (direction) this.paragraphDirections.set(Number(key), direction);
+            }
+        }
+
+        // Restore tab stops, dropping invalid entries.
+        this.paragraphTabStops = new Map();
+        if (data.tabStops) {
+            for (let key of Object.keys(data.tabStops)) {
+                const stops = normalizeTabStops(data.tabStops[key]);
+                if (stops) this.paragraphTabStops.set(Number(key), stops);
+            }
+        }
         this.syncParagraphIndents();
     }
 
@@ -2801,6 +4298,51 @@ export class CanvasEditor {
         this.render();
     }
 
+    // Serialize the document to Markdown. Lossy: colors, highlights, font
+    // sizes and families, alignment and image sizes are dropped (see
+    // MarkdownCodec.js).
+    toMarkdown() {
+        return documentToMarkdown(this.toJSON());
+    }
+
+    // Replace the document with parsed Markdown, like fromJSON(). Text takes
+    // the editor's default font; images load at their natural size.
+    fromMarkdown(markdown) {
+        this.loadImportedDocument(markdownToDocument(markdown, { baseFont: this.defaultFontProperties }));
+    }
+
+    // Serialize the document to an HTML fragment: <p>/<li> paragraphs with
+    // their alignment, semantic inline tags, styled spans, links, rules and
+    // images. Text in options.defaultFont (the editor's default font unless
+    // given) carries no font styling.
+    toHTML(options = {}) {
+        return documentToHtml(this.toJSON(), {
+            defaultFont: this.defaultFontProperties.toObject(),
+            ...options
+        });
+    }
+
+    // Replace the document with sanitized HTML, like fromJSON(). Only the
+    // structure and formatting the editor supports is kept (see
+    // htmlToDocument()); text without explicit styling takes the default font.
+    fromHTML(html) {
+        this.loadImportedDocument(htmlToDocument(html, { baseFont: this.defaultFontProperties }));
+    }
+
+    // Load a document converted from another format as the new baseline.
+    loadImportedDocument(doc) {
+        this.loadDocumentData(doc);
+        this.sizeUnsizedImages(this.chain.items);
+
+        // The loaded document becomes the new baseline.
+        this.history = [];
+        this.historyIndex = -1;
+
+        this.chain.clearSelection();
+        this.chain.recalc();
+        this.render();
+    }
+
     // Find/Replace functionality
     find(query, caseSensitive = false) {
         this.findQuery = query;
@@ -2822,9 +4364,11 @@ export class CanvasEditor {
             const foundIndex = searchText.indexOf(searchQuery, index);
             if (foundIndex === -1) break;
 
+            // A match covers whole grapheme clusters, so searching for "e"
+            // selects all of an "é" written with a combining accent.
             this.findMatches.push({
-                start: foundIndex,
-                end: foundIndex + query.length
+                start: this.chain.snapCharPosition(foundIndex, -1),
+                end: this.chain.snapCharPosition(foundIndex + query.length, 1)
             });
 
             index = foundIndex + 1;
@@ -2899,6 +4443,7 @@ export class CanvasEditor {
     }
 
     replace(replacement) {
+        if (this.isReadOnly()) return;
         if (this.currentMatchIndex < 0 || this.currentMatchIndex >= this.findMatches.length) {
             return;
         }
@@ -2941,6 +4486,7 @@ export class CanvasEditor {
     }
 
     replaceAll(replacement) {
+        if (this.isReadOnly()) return { count: this.findMatches.length, replaced: 0 };
         if (this.findMatches.length === 0) {
             return { count: 0, replaced: 0 };
         }
@@ -2972,12 +4518,172 @@ export class CanvasEditor {
     }
 
     clear() {
+        if (this.isReadOnly()) return;
         this.takeSnapshot();
+        this.recordChange(0, this.chain.getTotalChars(), 0);
         this.chain.items = [new CursorLink()];
         this.chain.recalc();
         this.render();
     }
 
+    // --- Events -----------------------------------------------------------
+
+    // Subscribe to an editor event: 'change' ({ start, end, oldEnd }),
+    // 'selectionchange' ({ start, end }), 'cursormove' ({ position,
+    // paragraph }), 'focus', 'blur', 'undo'/'redo' ({ canUndo, canRedo }),
+    // 'linkclick' ({ href, preventDefault() }), 'imageselect' ({ image,
+    // position }) and 'scroll' ({ scrollY, maxScroll }). Returns a function
+    // that unsubscribes.
+    on(type, handler) {
+        if (!this.eventHandlers.has(type)) this.eventHandlers.set(type, new Set());
+        this.eventHandlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.eventHandlers.get(type);
+        if (handlers) handlers.delete(handler);
+    }
+
+    // Call each subscriber with an event object; a throwing handler is
+    // logged and does not stop the others (or the edit that fired it).
+    emit(type, detail = {}) {
+        const event = {
+            type,
+            ...detail,
+            defaultPrevented: false,
+            preventDefault() {
+                this.defaultPrevented = true;
+            }
+        };
+        const handlers = this.eventHandlers.get(type);
+        if (!handlers) return event;
+        for (const handler of [...handlers]) {
+            try {
+                handler(event);
+            } catch (err) {
+                console.error(`Error in '${type}' handler: `, err);
+            }
+        }
+        return event;
+    }
+
+    // Note that the range [start, oldEnd) of the document became
+    // [start, end), merging it with the edits not reported yet.
+    recordChange(start, oldEnd, end) {
+        const pending = this.pendingChange;
+        if (!pending) {
+            this.pendingChange = { start, end, oldEnd };
+            return;
+        }
+        // The end of both ranges in the document between the two edits,
+        // mapped back to before the first and on to after the second.
+        const union = Math.max(pending.end, oldEnd);
+        this.pendingChange = {
+            start: Math.min(pending.start, start),
+            end: union - oldEnd + end,
+            oldEnd: union - pending.end + pending.oldEnd
+        };
+    }
+
+    // Note a change to the attributes of paragraphs startPara..endPara,
+    // reported as their text and the break ending each.
+    recordParagraphChange(startPara, endPara) {
+        let paragraph = 0;
+        let pos = 0;
+        let start = startPara === 0 ? 0 : null;
+        for (const item of this.chain.getItems()) {
+            if (item instanceof TextLink) {
+                pos += item.text.length;
+            } else if (item instanceof NewlineLink) {
+                pos += 1;
+                if (paragraph === endPara) break;
+                paragraph++;
+                if (paragraph === startPara) start = pos;
+            }
+        }
+        if (start !== null) this.recordChange(start, pos, pos);
+    }
+
+    // Run edit, which sets attributes of paragraphs startPara..endPara, and
+    // record a change if any of them differs afterwards.
+    changeParagraphAttributes(startPara, endPara, edit) {
+        const before = this.paragraphRangeKey(startPara, endPara);
+        const result = edit();
+        if (this.paragraphRangeKey(startPara, endPara) !== before) {
+            this.recordParagraphChange(startPara, endPara);
+        }
+        return result;
+    }
+
+    paragraphRangeKey(startPara, endPara) {
+        const maps = [
+            this.paragraphAlignments, this.paragraphLists, this.paragraphListLevels,
+            this.paragraphListNumbering, this.paragraphChecked, this.paragraphSpacing,
+            this.paragraphDirections, this.paragraphTabStops
+        ];
+        const values = [];
+        for (let p = startPara; p <= endPara; p++) {
+            for (const map of maps) values.push(map.get(p));
+        }
+        return JSON.stringify(values);
+    }
+
+    // Report what changed since the last render: content (the range the
+    // recorded edits cover), cursor, selection and scroll position.
+    emitStateEvents() {
+        // Preedit text is not content yet; report once the composition ends.
+        if (this.pendingChange && !this.isComposing) {
+            const { start, end, oldEnd } = this.pendingChange;
+            this.pendingChange = null;
+            // Edits that undid each other leave an empty range.
+            if (end > start || oldEnd > start) this.emit('change', { start, end, oldEnd });
+        }
+
+        const position = this.chain.getCursorCharPosition();
+        if (position !== this.lastEventCursor) {
+            this.lastEventCursor = position;
+            this.emit('cursormove', { position, paragraph: this.getCurrentParagraphIndex() });
+        }
+
+        const hasSelection = this.chain.hasSelection();
+        const start = hasSelection ? Math.min(this.chain.selectionStart, this.chain.selectionEnd) : null;
+        const end = hasSelection ? Math.max(this.chain.selectionStart, this.chain.selectionEnd) : null;
+        const selectionKey = hasSelection ? `${start}:${end}` : null;
+        if (selectionKey !== this.lastEventSelection) {
+            this.lastEventSelection = selectionKey;
+            this.emit('selectionchange', { start, end });
+        }
+
+        if (this.scrollY !== this.lastEventScrollY) {
+            this.lastEventScrollY = this.scrollY;
+            this.emit('scroll', { scrollY: this.scrollY, maxScroll: this.getMaxScroll() });
+        }
+    }
+
+    handleFocusIn() {
+        clearTimeout(this.blurTimer);
+        if (!this.hasFocus) {
+            this.hasFocus = true;
+            this.emit('focus');
+        }
+    }
+
+    // Focus moves between the canvas and its hidden input (and the link
+    // popup); only report blur once it has left all of them.
+    handleFocusOut() {
+        clearTimeout(this.blurTimer);
+        this.blurTimer = setTimeout(() => {
+            const active = typeof document !== 'undefined' ? document.activeElement : null;
+            const inside = active && (active === this.canvas || active === this.imeInput ||
+                (this.linkPopup && this.linkPopup.contains(active)));
+            if (this.hasFocus && !inside) {
+                this.hasFocus = false;
+                this.emit('blur');
+            }
+        }, 0);
+    }
+
     // Undo/Redo System
     takeSnapshot() {
         // Remove any history after current index (when user makes new edit after undo)
@@ -2989,9 +4695,9 @@ export class CanvasEditor {
         // links) plus cursor and selection so undo/redo are lossless.
         const snapshot = {
             doc: this.toJSON(),
-            cursorPos: this.chain.getCursorCharPosition(),
-            selectionStart: this.chain.selectionStart,
-            selectionEnd: this.chain.selectionEnd
+            cursorPos: this.chain.committedCharPosition(this.chain.getCursorCharPosition()),
+            selectionStart: this.chain.committedCharPosition(this.chain.selectionStart),
+            selectionEnd: this.chain.committedCharPosition(this.chain.selectionEnd)
         };
 
         this.history.push(snapshot);
@@ -3019,17 +4725,23 @@ export class CanvasEditor {
     }
 
     undo() {
+        if (this.isReadOnly()) return;
         if (this.historyIndex <= 0) return; // Nothing to undo
 
         this.historyIndex--;
         this.restoreSnapshot(this.history[this.historyIndex]);
+        this.announce('Undo');
+        this.emit('undo', { canUndo: this.canUndo(), canRedo: this.canRedo() });
     }
 
     redo() {
+        if (this.isReadOnly()) return;
         if (this.historyIndex >= this.history.length - 1) return; // Nothing to redo
 
         this.historyIndex++;
         this.restoreSnapshot(this.history[this.historyIndex]);
+        this.announce('Redo');
+        this.emit('redo', { canUndo: this.canUndo(), canRedo: this.canRedo() });
     }
 
     canUndo() {
@@ -3040,9 +4752,54 @@ export class CanvasEditor {
         return this.historyIndex < this.history.length - 1;
     }
 
+    // Size the backing store to the CSS size times the pixel ratio, and pin
+    // the element's CSS size so the browser doesn't stretch it.
+    applyCanvasSize() {
+        this.canvas.width = Math.round(this.cssWidth * this.pixelRatio);
+        this.canvas.height = Math.round(this.cssHeight * this.pixelRatio);
+        if (this.canvas.style) {
+            this.canvas.style.width = `${this.cssWidth}px`;
+            this.canvas.style.height = `${this.cssHeight}px`;
+        }
+    }
+
+    // Change the backing-store scale. Layout is in CSS pixels and text
+    // measurement doesn't depend on the transform, so only a redraw is needed.
+    setPixelRatio(ratio) {
+        if (!(ratio > 0) || ratio === this.pixelRatio) return;
+        this.pixelRatio = ratio;
+        this.applyCanvasSize();
+        this.render();
+    }
+
+    // The ratio changes when the window moves to a monitor with a different
+    // density or the page is zoomed. A resolution query only reports leaving
+    // the current ratio, so it is re-registered for the new one each time.
+    watchPixelRatio() {
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return;
+        this.unwatchPixelRatio();
+        const query = window.matchMedia(`(resolution: ${this.pixelRatio}dppx)`);
+        if (!query || typeof query.addEventListener !== 'function') return;
+        this.pixelRatioQuery = query;
+        this.boundHandlePixelRatioChange = () => {
+            this.setPixelRatio(devicePixelRatio());
+            this.watchPixelRatio();
+        };
+        query.addEventListener('change', this.boundHandlePixelRatioChange);
+    }
+
+    unwatchPixelRatio() {
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.boundHandlePixelRatioChange);
+            this.pixelRatioQuery = null;
+        }
+    }
+
+    // Size of the canvas in CSS pixels.
     resize(width, height) {
-        this.canvas.width = width;
-        this.canvas.height = height;
+        this.cssWidth = width;
+        this.cssHeight = height;
+        this.applyCanvasSize();
         this.editorWidth = width - (this.options.padding * 2);
         this.chain.setWidth(this.editorWidth);
         this.clampScroll();
@@ -3055,6 +4812,7 @@ export class CanvasEditor {
             cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
+        this.unwatchPixelRatio();
 
         // Clean up event listeners
         this.canvas.removeEventListener('keydown', this.boundHandleKeyDown);
@@ -3066,21 +4824,42 @@ export class CanvasEditor {
         this.canvas.removeEventListener('touchstart', this.boundHandleTouchStart);
         this.canvas.removeEventListener('touchmove', this.boundHandleTouchMove);
         this.canvas.removeEventListener('touchend', this.boundHandleTouchEnd);
+        this.canvas.removeEventListener('focus', this.boundHandleFocusIn);
+        this.canvas.removeEventListener('blur', this.boundHandleFocusOut);
+        clearTimeout(this.blurTimer);
+        this.eventHandlers.clear();
 
         // Remove the link-editor overlay if one was created.
         if (this.linkPopup && this.linkPopup.parentNode) {
             this.linkPopup.parentNode.removeChild(this.linkPopup);
             this.linkPopup = null;
         }
+
+        // Remove the hidden IME input.
+        if (this.boundHandleCanvasFocus) {
+            this.canvas.removeEventListener('focus', this.boundHandleCanvasFocus);
+        }
+        if (this.imeInput && this.imeInput.parentNode) {
+            this.imeInput.parentNode.removeChild(this.imeInput);
+            this.imeInput = null;
+        }
+
+        // Remove the accessibility mirror.
+        if (this.a11yRoot && this.a11yRoot.parentNode) {
+            this.a11yRoot.parentNode.removeChild(this.a11yRoot);
+            this.a11yRoot = null;
+            this.a11yLiveRegion = null;
+        }
     }
 
     // Debug method to dump full editor state
     dumpState() {
         return {
             canvasSize: {
-                width: this.canvas.width,
-                height: this.canvas.height
+                width: this.cssWidth,
+                height: this.cssHeight
             },
+            pixelRatio: this.pixelRatio,
             editorWidth: this.editorWidth,
             options: this.options,
             currentFontProperties: {
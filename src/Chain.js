@@ -1,4 +1,27 @@
-import { TextLink, CursorLink, VirtualNewlineLink, NewlineLink, HorizontalRuleLink, ImageLink } from './ChainLink.js';
+import { TextLink, CursorLink, VirtualNewlineLink, NewlineLink, HorizontalRuleLink, ImageLink, CompositionLink } from './ChainLink.js';
+import { paragraphLevel, resolveLevels, visualOrder } from './Bidi.js';
+import { graphemeBoundaries, previousGraphemeBoundary, nextGraphemeBoundary, snapToGrapheme } from './Graphemes.js';
+import { lineBreakOpportunities, isBreakingSpace } from './LineBreak.js';
+import { DEFAULT_TAB_INTERVAL, nextTabStop } from './TabStops.js';
+import { TextMeasurer, CachingTextMeasurer, toTextMeasurer } from './TextMeasurer.js';
+
+// Key of the final paragraph's layout, which has no NewlineLink of its own.
+const END_OF_DOCUMENT = Symbol('endOfDocument');
+
+function spacingEquals(a, b) {
+    return a.lineHeight === b.lineHeight &&
+        a.exactLineHeight === b.exactLineHeight &&
+        a.spaceBefore === b.spaceBefore &&
+        a.spaceAfter === b.spaceAfter;
+}
+
+function tabStopsKey(stops) {
+    return stops ? JSON.stringify(stops) : '';
+}
+
+function imageLayoutKey(image) {
+    return `${image.intrinsic.width}x${image.intrinsic.height}|${image.intrinsic.align}`;
+}
 
 /**
  * Chain - Manages the linked list of text, cursor, and newline elements
@@ -6,9 +29,13 @@ import { TextLink, CursorLink, VirtualNewlineLink, NewlineLink, HorizontalRuleLi
 export class Chain {
     LINE_SPACING_MULT = 1.5;
 
-    constructor(widthPixels, ctx, defaultFontProperties) {
+    constructor(widthPixels, measurer, defaultFontProperties) {
         this.items = [new CursorLink()];
-        this.ctx = ctx;
+        // Measures text for layout: a TextMeasurer, or a canvas context
+        // measured through a CanvasTextMeasurer (see TextMeasurer.js), with
+        // results cached per font and string. ctx is the context, if given.
+        this.ctx = measurer instanceof TextMeasurer ? null : measurer;
+        this.measurer = new CachingTextMeasurer(toTextMeasurer(measurer));
         this.widthPixels = widthPixels;
         this.currentFontProperties = defaultFontProperties;
         this.selectionStart = null;
@@ -22,8 +49,62 @@ export class Chain {
         // Populated by the editor for list paragraphs so wrapping and the
         // hanging indent are computed against the reduced content width.
         this.paragraphIndents = new Map();
+        // Per-paragraph spacing ({ lineHeight, exactLineHeight, spaceBefore,
+        // spaceAfter }; see ParagraphSpacing.js), keyed by paragraph index.
+        this.paragraphSpacing = new Map();
+        // Per-paragraph base direction, 'ltr' or 'rtl' (keyed by paragraph
+        // index; absent means 'auto'; see Bidi.js). A right-to-left
+        // paragraph's lines start at the right, its indent on that side.
+        this.paragraphDirections = new Map();
+        // Per-paragraph custom tab stops (keyed by paragraph index; see
+        // TabStops.js), and the default tab stop interval in pixels.
+        this.paragraphTabStops = new Map();
+        this.tabInterval = DEFAULT_TAB_INTERVAL;
+        // Per-paragraph alignment, 'left', 'center', 'right' or 'justify'
+        // (keyed by paragraph index; absent means the paragraph's start side).
+        this.paragraphAlignments = new Map();
+        // Resolved base bidi level of each paragraph (0 or 1), by index.
+        this.paragraphLevels = [];
+        // How Left/Right move the caret: 'logical' steps through the text in
+        // the paragraph's direction, 'visual' to the next position on screen.
+        this.caretMovement = 'logical';
+        // Finds where words may be hyphenated: a Hyphenator (see
+        // Hyphenator.js) or a function of a word returning offsets, or null
+        // to break lines only at soft hyphens.
+        this.hyphenator = null;
         // Vertical margin above/below a block image, in pixels.
         this.IMAGE_VMARGIN = 8;
+        // Cached per-paragraph layouts, keyed by the NewlineLink ending each
+        // paragraph (END_OF_DOCUMENT for the last); see recalc().
+        this.paragraphLayouts = new Map();
+        this.layoutKey = null;
+        this.layoutVersion = 0;
+        // Nesting depth of batchLayout() calls, whether recalc() was called
+        // inside them, and a link in each paragraph recalcParagraph() was
+        // asked to lay out.
+        this.layoutBatchDepth = 0;
+        this.layoutRequested = false;
+        this.paragraphRequests = [];
+        // Called as onEdit(start, oldEnd, end) after the editing methods
+        // below change the text: [start, oldEnd) became [start, end).
+        this.onEdit = null;
+    }
+
+    reportEdit(start, oldEnd, end) {
+        if (this.onEdit) this.onEdit(start, oldEnd, end);
+    }
+
+    // Characters a sequence of links adds to the flattened text.
+    charCount(links) {
+        let count = 0;
+        for (const link of links) {
+            if (link instanceof TextLink) {
+                count += link.text.length;
+            } else if (link instanceof NewlineLink) {
+                count += 1;
+            }
+        }
+        return count;
     }
 
     // Display size of a block image, scaled down to fit the content width
@@ -43,6 +124,32 @@ export class Chain {
         return this.paragraphIndents.get(paragraphIndex) || 0;
     }
 
+    // Spacing for a given paragraph index; {} when it has none.
+    getParagraphSpacing(paragraphIndex) {
+        return this.paragraphSpacing.get(paragraphIndex) || {};
+    }
+
+    // Direction setting for a given paragraph index: 'ltr', 'rtl' or 'auto'.
+    getParagraphDirection(paragraphIndex) {
+        return this.paragraphDirections.get(paragraphIndex) || 'auto';
+    }
+
+    // Custom tab stops of a given paragraph index, or null.
+    getParagraphTabStops(paragraphIndex) {
+        return this.paragraphTabStops.get(paragraphIndex) || null;
+    }
+
+    // Alignment set on a given paragraph index, or null for its start side.
+    getParagraphAlignment(paragraphIndex) {
+        return this.paragraphAlignments.get(paragraphIndex) || null;
+    }
+
+    // Base bidi level a paragraph was laid out with: 1 when it runs right
+    // to left, otherwise 0.
+    getParagraphLevel(paragraphIndex) {
+        return this.paragraphLevels[paragraphIndex] || 0;
+    }
+
     printItems() {
         let s = "";
         let colors = [];
@@ -110,29 +217,33 @@ export class Chain {
         return this.items[this.cursorIdx()];
     }
 
-    clearComputed() {
-        for (let i = 0; i < this.items.length; i++) {
-            this.items[i].computed = {};
+    clearComputed(items = this.items) {
+        for (let i = 0; i < items.length; i++) {
+            items[i].computed = {};
         }
     }
 
-    removeVirtualNewlines() {
-        for (let i = 0; i < this.items.length; i++) {
-            if (this.items[i] instanceof VirtualNewlineLink) {
-                this.items.splice(i, 1);
+    removeVirtualNewlines(items = this.items) {
+        for (let i = 0; i < items.length; i++) {
+            if (items[i] instanceof VirtualNewlineLink) {
+                items.splice(i, 1);
                 i--;
             }
         }
     }
 
-    joinAdjacentTextLinks() {
-        for (let i = 0; i < this.items.length; i++) {
-            if (this.items[i] instanceof TextLink) {
-                if (i + 1 < this.items.length) {
-                    if (this.items[i + 1] instanceof TextLink) {
-                        if (this.items[i].doFontPropertiesMatch(this.items[i + 1])) {
-                            this.items[i].text += this.items[i + 1].text;
-                            this.items.splice(i + 1, 1);
+    joinAdjacentTextLinks(items = this.items) {
+        for (let i = 0; i < items.length; i++) {
+            if (items[i] instanceof TextLink) {
+                if (i + 1 < items.length) {
+                    // Composition text stays a separate run until committed.
+                    if (items[i] instanceof CompositionLink || items[i + 1] instanceof CompositionLink) {
+                        continue;
+                    }
+                    if (items[i + 1] instanceof TextLink) {
+                        if (items[i].doFontPropertiesMatch(items[i + 1])) {
+                            items[i].text += items[i + 1].text;
+                            items.splice(i + 1, 1);
                             i--;
                         }
                     }
@@ -141,93 +252,174 @@ export class Chain {
         }
     }
 
-    removeEmptyTextLinks() {
-        for (let i = 0; i < this.items.length; i++) {
-            if (this.items[i] instanceof TextLink && this.items[i].text.length === 0) {
-                this.items.splice(i, 1);
+    removeEmptyTextLinks(items = this.items) {
+        for (let i = 0; i < items.length; i++) {
+            if (items[i] instanceof TextLink && items[i].text.length === 0) {
+                items.splice(i, 1);
                 i--;
             }
         }
     }
 
-    chunkTextLinks() {
-        for (let i = 0; i < this.items.length; i++) {
-            if (this.items[i] instanceof TextLink && this.items[i].text.match(/\s/) && this.items[i].text.match(/\S/)) {
-                let text = this.items[i].text;
-                let split = [];
-                let inside = "none";
-                for (let j = 0; j <= text.length; j++) {
-                    if (inside === 'none') {
-                        if (text[j].match(/\s/)) {
-                            inside = 'whitespace';
-                        } else {
-                            inside = 'non-whitespace';
-                        }
-                    } else if (inside === 'whitespace') {
-                        if (j === text.length || text[j].match(/\S/)) {
-                            split.push(text.substring(0, j));
-                            text = text.substring(j);
-                            j = 0;
-                            inside = 'non-whitespace';
-                        }
-                    } else if (inside === 'non-whitespace') {
-                        if (j === text.length || text[j].match(/\s/)) {
-                            split.push(text.substring(0, j));
-                            text = text.substring(j);
-                            j = 0;
-                            inside = 'whitespace';
-                        }
-                    }
-                }
-                if (split.length > 1) {
-                    this.items[i].text = split[0];
-                    for (let j = 1; j < split.length; j++) {
-                        this.items.splice(i + j, 0, new TextLink(split[j], this.items[i].intrinsic.fontProperties.clone()));
-                    }
+    // Split a paragraph's text runs into the units lines wrap between: runs
+    // of breaking whitespace, and the text between line break opportunities
+    // (see LineBreak.js) and hyphenation points. A chunk ending at a
+    // hyphenation point is marked computed.hyphenBreak. Returns the break
+    // positions, as offsets into the paragraph's text.
+    chunkTextLinks(items = this.items) {
+        const text = items.filter(item => item instanceof TextLink).map(item => item.text).join('');
+        const breaks = new Set(lineBreakOpportunities(text));
+        const hyphens = this.hyphenationPoints(text);
+        for (const offset of hyphens) breaks.add(offset);
+        let pos = 0;
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (!(item instanceof TextLink)) continue;
+            const start = pos;
+            pos += item.text.length;
+            if (item instanceof CompositionLink) continue;
+            let cut = 0;
+            for (let k = 1; k < item.text.length && cut === 0; k++) {
+                // Each tab is a chunk of its own, sized by layoutTab().
+                if (breaks.has(start + k) || item.text[k] === '\t' || item.text[k - 1] === '\t' ||
+                    isBreakingSpace(item.text[k]) !== isBreakingSpace(item.text[k - 1])) {
+                    cut = k;
                 }
             }
+            if (cut > 0) {
+                // The rest is chunked on the next iteration.
+                items.splice(i + 1, 0, new TextLink(item.text.substring(cut), item.intrinsic.fontProperties.clone()));
+                item.text = item.text.substring(0, cut);
+                pos = start + cut;
+            }
+            if (hyphens.has(pos)) item.computed.hyphenBreak = true;
+        }
+        return breaks;
+    }
+
+    // Offsets in a paragraph's text where the hyphenator allows a hyphen.
+    // Words with soft hyphens are left as their author divided them.
+    hyphenationPoints(text) {
+        const points = new Set();
+        if (!this.hyphenator) return points;
+        for (const match of text.matchAll(/[\p{L}\p{M}\u00AD]+/gu)) {
+            const word = match[0];
+            if (word.includes('\u00AD')) continue;
+            const offsets = typeof this.hyphenator === 'function'
+                ? this.hyphenator(word)
+                : this.hyphenator.hyphenate(word);
+            for (const offset of offsets) {
+                if (offset > 0 && offset < word.length) points.add(match.index + offset);
+            }
+        }
+        return points;
+    }
+
+    // Whether a line may end after this run with a hyphen shown.
+    isHyphenBreak(item) {
+        return !!item.computed.hyphenBreak || item.text.endsWith('\u00AD');
+    }
+
+    // Index of the last text run before items[idx] on its line, or -1.
+    lastTextOnLine(items, idx) {
+        for (let j = idx - 1; j >= 0; j--) {
+            if (items[j] instanceof NewlineLink || items[j] instanceof VirtualNewlineLink) return -1;
+            if (items[j] instanceof TextLink) return j;
+        }
+        return -1;
+    }
+
+    // Show a hyphen after the run ending the line before items[idx] when the
+    // line breaks at a hyphenation point there.
+    markLineEndHyphen(items, idx) {
+        const last = this.lastTextOnLine(items, idx);
+        if (last !== -1 && this.isHyphenBreak(items[last])) {
+            items[last].computed.hyphen = true;
+            items[last].computed.width = items[last].measureText(this.measurer).width;
         }
     }
 
-    recalcXPositions() {
+    // Mark the text runs that continue the word of the run before them
+    // (split off by a formatting change, the caret or a change of
+    // direction, with no break opportunity between) with
+    // computed.noBreakBefore, so wrapping moves the word as a whole.
+    // Whitespace runs stay wrap points either side, as they always were.
+    markUnbreakableRuns(items, breaks) {
+        let pos = 0;
+        let previous = null;
+        for (const item of items) {
+            if (!(item instanceof TextLink)) continue;
+            if (previous && !breaks.has(pos) &&
+                !isBreakingSpace(item.text) && !isBreakingSpace(previous.text)) {
+                item.computed.noBreakBefore = true;
+            }
+            previous = item;
+            pos += item.text.length;
+        }
+    }
+
+    // Where to wrap when items[i] doesn't fit on its line: before the first
+    // run of its word, or before items[i] itself when the word starts the
+    // line (it is broken where it overflows).
+    wrapPoint(items, i) {
+        let start = i;
+        for (let j = i - 1; j >= 0; j--) {
+            if (items[j] instanceof NewlineLink || items[j] instanceof VirtualNewlineLink) return i;
+            if (!(items[j] instanceof TextLink)) continue;
+            if (!items[start].computed.noBreakBefore) return start;
+            start = j;
+        }
+        return i;
+    }
+
+    recalcXPositions(items = this.items, firstParagraphIdx = 0) {
         // Track the current paragraph so list paragraphs lay out (and wrap)
         // against their indented left margin. The actual posX values are
         // recomputed again by the editor's alignment pass; what matters here
         // is that wrap points are chosen for the reduced available width.
-        let paragraphIdx = 0;
+        let paragraphIdx = firstParagraphIdx;
         let indent = this.getParagraphIndent(paragraphIdx);
         let posX = indent;
-        for (let i = 0; i < this.items.length; i++) {
-            if (this.items[i] instanceof TextLink) {
-                const width = this.items[i].measureText(this.ctx).width;
+        for (let i = 0; i < items.length; i++) {
+            if (items[i] instanceof TextLink) {
+                if (items[i].text === '\t') this.layoutTab(items, i, posX, paragraphIdx);
+                const width = items[i].measureText(this.measurer).width;
                 if (width > this.widthPixels) {
                     let isFirstTextLinkOnLine = true;
                     for (let j = i - 1; j >= 0; j--) {
-                        if (this.items[j] instanceof TextLink) {
+                        if (items[j] instanceof TextLink) {
                             isFirstTextLinkOnLine = false;
                             break;
-                        } else if ((this.items[j] instanceof NewlineLink) || (this.items[j] instanceof VirtualNewlineLink)) {
+                        } else if ((items[j] instanceof NewlineLink) || (items[j] instanceof VirtualNewlineLink)) {
                             break;
                         }
                     }
                     if (!isFirstTextLinkOnLine) {
-                        this.items.splice(i, 0, new VirtualNewlineLink());
+                        this.markLineEndHyphen(items, i);
+                        items.splice(i, 0, new VirtualNewlineLink());
                         i++;
                         posX = indent;
                     }
                     let newItems = [];
-                    let remaining = this.items[i].text;
+                    let remaining = items[i].text;
+                    // Pieces keep the run's class so a wrapped composition
+                    // stays composition text.
+                    const RunClass = items[i].constructor;
                     while (remaining.length > 0) {
-                        const width = this.items[i].measureText(this.ctx, remaining).width;
+                        const width = items[i].measureText(this.measurer, remaining).width;
                         if (width > this.widthPixels) {
+                            // Split between grapheme clusters only.
+                            const boundaries = graphemeBoundaries(remaining);
                             let splitIdx = 0;
-                            for (splitIdx = remaining.length - 1; splitIdx >= 0; splitIdx--) {
-                                const textBounds = this.items[i].measureText(this.ctx, remaining.substring(0, splitIdx));
+                            for (let k = boundaries.length - 2; k >= 0; k--) {
+                                splitIdx = boundaries[k];
+                                const textBounds = items[i].measureText(this.measurer, remaining.substring(0, splitIdx));
                                 if (textBounds.width <= this.widthPixels) {
-                                    const newTextLink = new TextLink(remaining.substring(0, splitIdx), this.items[i].intrinsic.fontProperties.clone());
+                                    const newTextLink = new RunClass(remaining.substring(0, splitIdx), items[i].intrinsic.fontProperties.clone());
                                     newTextLink.computed = {
                                         ...newTextLink.computed,
-                                        posX
+                                        posX,
+                                        level: items[i].computed.level
                                     };
                                     newItems.push(newTextLink);
                                     remaining = remaining.substring(splitIdx);
@@ -235,109 +427,186 @@ export class Chain {
                                 }
                             }
                             if (splitIdx === 0) {
+                                const first = boundaries[1];
                                 if (remaining.length > 0 && newItems[newItems.length - 1].text.length > 0) {
-                                    newItems[newItems.length - 1].text += remaining.substring(0, 1);
-                                    remaining = remaining.substring(1);
+                                    newItems[newItems.length - 1].text += remaining.substring(0, first);
+                                    remaining = remaining.substring(first);
                                 } else {
-                                    remaining = remaining.substring(1);
+                                    remaining = remaining.substring(first);
                                 }
                             }
                             newItems.push(new VirtualNewlineLink());
                         } else {
-                            const newTextLink = new TextLink(remaining, this.items[i].intrinsic.fontProperties);
+                            const newTextLink = new RunClass(remaining, items[i].intrinsic.fontProperties);
                             newTextLink.computed = {
                                 ...newTextLink.computed,
-                                posX
+                                posX,
+                                width,
+                                level: items[i].computed.level
                             };
                             posX += width;
                             newItems.push(newTextLink);
                             remaining = "";
                         }
                     }
-                    this.items.splice(i, 1, ...newItems);
+                    items.splice(i, 1, ...newItems);
                     i += newItems.length - 1;
                 } else if (posX + width > this.widthPixels) {
+                    // Move a word split into several runs to the next line
+                    // whole: lay it out again from its first run.
+                    let wrapAt = this.wrapPoint(items, i);
+                    // The hyphen at a hyphenation point has to fit as well;
+                    // if it doesn't, wrap before the syllable it follows.
+                    let last = this.lastTextOnLine(items, wrapAt);
+                    while (last !== -1 && this.isHyphenBreak(items[last]) &&
+                        !items[last].computed.noBreakBefore &&
+                        this.lastTextOnLine(items, last) !== -1 &&
+                        items[last].computed.posX + items[last].computed.width +
+                            items[last].measureText(this.measurer, '-').width > this.widthPixels) {
+                        wrapAt = last;
+                        last = this.lastTextOnLine(items, wrapAt);
+                    }
+                    this.markLineEndHyphen(items, wrapAt);
+                    if (wrapAt < i) {
+                        items.splice(wrapAt, 0, new VirtualNewlineLink());
+                        posX = indent;
+                        i = wrapAt;
+                        continue;
+                    }
                     posX = indent;
-                    this.items[i].computed = {
-                        ...this.items[i].computed,
-                        posX
+                    items[i].computed = {
+                        ...items[i].computed,
+                        posX,
+                        width
                     };
-                    this.items.splice(i, 0, new VirtualNewlineLink());
+                    items.splice(i, 0, new VirtualNewlineLink());
                     posX += width;
                     i++;
                 } else {
-                    this.items[i].computed = {
-                        ...this.items[i].computed,
-                        posX
+                    items[i].computed = {
+                        ...items[i].computed,
+                        posX,
+                        width
                     };
                     posX += width;
                 }
-            } else if (this.items[i] instanceof NewlineLink) {
+            } else if (items[i] instanceof NewlineLink) {
                 // A real newline starts the next paragraph at its own indent.
                 paragraphIdx++;
                 indent = this.getParagraphIndent(paragraphIdx);
                 posX = indent;
-                this.items[i].computed = {
-                    ...this.items[i].computed,
+                items[i].computed = {
+                    ...items[i].computed,
                     posX
                 };
-            } else if (this.items[i] instanceof CursorLink) {
-                this.items[i].computed = {
-                    ...this.items[i].computed,
+            } else if (items[i] instanceof CursorLink) {
+                items[i].computed = {
+                    ...items[i].computed,
                     posX
                 };
             }
         }
     }
 
-    recalcYPositions() {
-        let posY = 0;
+    // Size the tab items[i], starting at x = posX, to reach its tab stop
+    // (see TabStops.js) in computed.tabWidth. The text after it, up to the
+    // next tab, starts at a left stop, is centered on a center stop, ends at
+    // a right stop and has its first '.' on a decimal stop. A tab never
+    // reaches past the end of the line.
+    layoutTab(items, i, posX, paragraphIdx) {
+        const stop = nextTabStop(this.getParagraphTabStops(paragraphIdx), posX, this.tabInterval);
+        let following = 0;
+        if (stop.align !== 'left') {
+            for (let j = i + 1; j < items.length; j++) {
+                const item = items[j];
+                if (item instanceof NewlineLink || (item instanceof TextLink && item.text === '\t')) break;
+                if (!(item instanceof TextLink)) continue;
+                const dot = stop.align === 'decimal' ? item.text.indexOf('.') : -1;
+                if (dot !== -1) {
+                    if (dot > 0) following += item.measureText(this.measurer, item.text.substring(0, dot)).width;
+                    break;
+                }
+                following += item.measureText(this.measurer).width;
+            }
+        }
+        const width = stop.position - posX - (stop.align === 'center' ? following / 2 : following);
+        items[i].computed.tabWidth = Math.min(Math.max(0, width), Math.max(0, this.widthPixels - posX));
+        if (stop.leader) items[i].computed.leader = stop.leader;
+    }
+
+    // Vertical layout of `items` starting at startY. Returns the bottom of the
+    // last line and whether the result depends on currentFontProperties (it
+    // sizes empty lines and a caret with no text before it). A paragraph
+    // laid out on its own passes atDocumentStart=false unless it is the
+    // first, and closeLastLine=false when it ends in its NewlineLink.
+    // `spacing` sets the line height; its space after, plus the next
+    // paragraph's space before (nextSpaceBefore), is added below a
+    // NewlineLink, so a newline's posY stays the next line's position.
+    // Only the first paragraph adds its own space before.
+    recalcYPositions(items = this.items, {
+        startY = 0,
+        atDocumentStart = true,
+        closeLastLine = true,
+        spacing = {},
+        nextSpaceBefore = 0
+    } = {}) {
+        let posY = startY + (atDocumentStart ? spacing.spaceBefore || 0 : 0);
+        let usedFontSize = false;
         let currentLineNum = 0;
         let currentLineStartIdx = 0;
         let currentLineMaxFontSize = 0;
         let currentLineMaxAscent = 0;
         let currentLineMaxDescent = 0;
         
-        for (let i = 0; i < this.items.length + 1; i++) {
+        const lineCount = closeLastLine ? items.length + 1 : items.length;
+        for (let i = 0; i < lineCount; i++) {
             // Calculate base line height
             let baseHeight = Math.max(currentLineMaxAscent + currentLineMaxDescent, currentLineMaxFontSize);
             
             // Ensure empty lines have a minimum height (use current font size)
             if (baseHeight === 0) {
                 baseHeight = this.currentFontProperties.size;
+                usedFontSize = true;
             }
             
-            // Apply consistent line spacing to all lines
-            let lineHeight = baseHeight * this.LINE_SPACING_MULT;
+            // Apply the paragraph's line spacing (the editor-wide multiple
+            // unless it sets its own).
+            let lineHeight = spacing.exactLineHeight ??
+                baseHeight * (spacing.lineHeight ?? this.LINE_SPACING_MULT);
 
             // A block image owns its line; size that line to the image.
-            const isImageLine = i < this.items.length && this.items[i] instanceof ImageLink;
+            const isImageLine = i < items.length && items[i] instanceof ImageLink;
             if (isImageLine) {
-                const { drawHeight } = this.imageDrawSize(this.items[i]);
+                const { drawHeight } = this.imageDrawSize(items[i]);
                 lineHeight = drawHeight + this.IMAGE_VMARGIN * 2;
             }
 
             for (let j = currentLineStartIdx; j < i; j++) {
-                this.items[j].computed.lineHeight = lineHeight;
+                items[j].computed.lineHeight = lineHeight;
             }
 
-            if ((this.items[i] instanceof VirtualNewlineLink) || (this.items[i] instanceof NewlineLink) || (i === this.items.length)) {
+            if ((items[i] instanceof VirtualNewlineLink) || (items[i] instanceof NewlineLink) || (i === items.length)) {
                 posY += lineHeight;
+                if (items[i] instanceof NewlineLink) {
+                    posY += (spacing.spaceAfter || 0) + nextSpaceBefore;
+                } else if (i === items.length) {
+                    posY += spacing.spaceAfter || 0;
+                }
                 currentLineStartIdx = i + 1;
                 currentLineMaxAscent = 0;
                 currentLineMaxDescent = 0;
                 currentLineMaxFontSize = 0;
                 currentLineNum++;
-                if (i !== this.items.length) {
-                    this.items[i].computed = {
-                        ...this.items[i].computed,
+                if (i !== items.length) {
+                    items[i].computed = {
+                        ...items[i].computed,
                         posY
                     };
                     if (isImageLine) {
                         // posY is the bottom of the line; x follows the image's
                         // justification within the content width.
-                        const { drawWidth, drawHeight } = this.imageDrawSize(this.items[i]);
-                        const align = this.items[i].intrinsic.align || 'center';
+                        const { drawWidth, drawHeight } = this.imageDrawSize(items[i]);
+                        const align = items[i].intrinsic.align || 'center';
                         let x;
                         if (align === 'left') {
                             x = 0;
@@ -346,7 +615,7 @@ export class Chain {
                         } else {
                             x = Math.max(0, (this.widthPixels - drawWidth) / 2);
                         }
-                        this.items[i].computed.box = {
+                        items[i].computed.box = {
                             x,
                             y: posY - drawHeight - this.IMAGE_VMARGIN,
                             w: drawWidth,
@@ -354,44 +623,48 @@ export class Chain {
                         };
                     }
                 }
-            } else if (this.items[i] instanceof TextLink) {
-                const measured = this.items[i].measureText(this.ctx);
-                const ascent = measured.actualBoundingBoxAscent;
-                const descent = measured.actualBoundingBoxDescent;
+            } else if (items[i] instanceof TextLink) {
+                const measured = items[i].measureText(this.measurer);
+                const ascent = measured.ascent;
+                const descent = measured.descent;
                 currentLineMaxAscent = Math.max(currentLineMaxAscent, ascent);
                 currentLineMaxDescent = Math.max(currentLineMaxDescent, descent);
-                currentLineMaxFontSize = Math.max(currentLineMaxFontSize, this.items[i].intrinsic.fontProperties.size);
-                this.items[i].computed = {
-                    ...this.items[i].computed,
+                currentLineMaxFontSize = Math.max(currentLineMaxFontSize, items[i].intrinsic.fontProperties.size);
+                items[i].computed = {
+                    ...items[i].computed,
                     posY,
                     ascent,
                     descent
                 };
-            } else if (this.items[i] instanceof CursorLink) {
+            } else if (items[i] instanceof CursorLink) {
                 let cursorHeight = 0;
                 let foundTextLink = false;
                 for (let j = i - 1; j >= 0; j--) {
-                    if (this.items[j] instanceof TextLink) {
-                        const measured = this.items[j].measureText(this.ctx);
-                        const ascent = measured.actualBoundingBoxAscent;
-                        const descent = measured.actualBoundingBoxDescent;
+                    if (items[j] instanceof TextLink) {
+                        const measured = items[j].measureText(this.measurer);
+                        const ascent = measured.ascent;
+                        const descent = measured.descent;
                         currentLineMaxAscent = Math.max(currentLineMaxAscent, ascent);
                         currentLineMaxDescent = Math.max(currentLineMaxDescent, descent);
-                        currentLineMaxFontSize = Math.max(currentLineMaxFontSize, this.items[j].intrinsic.fontProperties.size);
+                        currentLineMaxFontSize = Math.max(currentLineMaxFontSize, items[j].intrinsic.fontProperties.size);
                         foundTextLink = true;
-                        cursorHeight = Math.max(ascent + descent, this.items[j].intrinsic.fontProperties.size);
+                        cursorHeight = Math.max(ascent + descent, items[j].intrinsic.fontProperties.size);
                         break;
-                    } else if (this.items[j] instanceof NewlineLink) {
+                    } else if (items[j] instanceof NewlineLink) {
                         foundTextLink = true;
                         cursorHeight = lineHeight;
                         break;
                     }
                 }
-                if (!foundTextLink) {
+                if (!foundTextLink && !atDocumentStart) {
+                    // The previous paragraph's NewlineLink precedes the caret.
+                    cursorHeight = lineHeight;
+                } else if (!foundTextLink) {
                     cursorHeight = this.currentFontProperties.size;
+                    usedFontSize = true;
                 }
-                this.items[i].computed = {
-                    ...this.items[i].computed,
+                items[i].computed = {
+                    ...items[i].computed,
                     posY,
                     height: cursorHeight,
                     lineHeight
@@ -399,26 +672,400 @@ export class Chain {
             }
         }
 
-        // Total vertical extent of the content (bottom of the last line),
-        // used by the editor to bound scrolling.
-        this.contentHeight = posY;
+        return { bottom: posY, usedFontSize };
     }
 
+    // Lay out the document. Layout is cached per paragraph (its items up to
+    // and including the NewlineLink that ends it): only paragraphs whose items
+    // changed since the last pass are re-joined, re-chunked, re-wrapped and
+    // re-measured; the others keep their wraps and are shifted vertically.
     recalc() {
-        this.clearComputed();
-        this.removeVirtualNewlines();
-        this.joinAdjacentTextLinks();
-        this.removeEmptyTextLinks();
-        
+        if (this.layoutBatchDepth > 0) {
+            this.layoutRequested = true;
+            return;
+        }
         // Safety check: ensure cursor still exists
         this.ensureCursorExists();
-        
-        this.chunkTextLinks();
-        this.recalcXPositions();
-        this.recalcYPositions();
+
+        const layoutKey = this.layoutSettingsKey();
+        if (layoutKey !== this.layoutKey) {
+            this.invalidateLayout();
+            this.layoutKey = layoutKey;
+        }
+
+        const previous = this.paragraphLayouts;
+        const layouts = new Map();
+        const paragraphs = [];
+        const levels = [];
+        let posY = 0;
+        let paragraphIdx = 0;
+        let start = 0;
+        for (let i = 0; i <= this.items.length; i++) {
+            const isEnd = i === this.items.length;
+            if (!isEnd && !(this.items[i] instanceof NewlineLink)) continue;
+
+            const key = isEnd ? END_OF_DOCUMENT : this.items[i];
+            const context = this.paragraphContext(paragraphIdx, isEnd);
+            const paragraphItems = this.items.slice(start, isEnd ? i : i + 1);
+            let layout = previous.get(key);
+            if (layout && this.isLayoutCurrent(layout, paragraphItems, context)) {
+                this.shiftParagraph(layout, posY - layout.top);
+            } else {
+                layout = this.layoutParagraph(paragraphItems, paragraphIdx, posY, context, !isEnd);
+            }
+            layout.index = paragraphIdx;
+            layouts.set(key, layout);
+            paragraphs.push(layout.items);
+            levels.push(layout.level);
+            posY += layout.height;
+            paragraphIdx++;
+            start = i + 1;
+        }
+
+        this.paragraphLayouts = layouts;
+        this.paragraphLevels = levels;
+        this.items.length = 0;
+        for (const items of paragraphs) {
+            for (const item of items) this.items.push(item);
+        }
+        // Total vertical extent of the content (bottom of the last line),
+        // used by the editor to bound scrolling.
+        this.contentHeight = posY;
+        // Bumped on every pass so views can cache what they derive from it.
+        this.layoutVersion++;
         // this.printItems(); // Commented out for testing - causes issues with mock contexts
     }
 
+    // The chain-wide settings every paragraph's layout depends on.
+    layoutSettingsKey() {
+        return `${this.widthPixels}|${this.LINE_SPACING_MULT}|${this.IMAGE_VMARGIN}|${this.tabInterval}`;
+    }
+
+    // What a paragraph is laid out with besides its own items; a cached
+    // layout is reused only while this stays the same.
+    paragraphContext(paragraphIdx, isEnd) {
+        return {
+            indent: this.getParagraphIndent(paragraphIdx),
+            nextIndent: this.getParagraphIndent(paragraphIdx + 1),
+            direction: this.getParagraphDirection(paragraphIdx),
+            alignment: this.getParagraphAlignment(paragraphIdx),
+            atDocumentStart: paragraphIdx === 0,
+            // Copied so the cached layout keeps what it was laid out with.
+            spacing: { ...this.getParagraphSpacing(paragraphIdx) },
+            nextSpaceBefore: isEnd ? 0 : this.getParagraphSpacing(paragraphIdx + 1).spaceBefore || 0,
+            tabStops: tabStopsKey(this.getParagraphTabStops(paragraphIdx))
+        };
+    }
+
+    // Lay out only the paragraph containing items[idx], after an edit
+    // inside it that added or removed no paragraph break, so typing costs
+    // the same however long the document is. Falls back to recalc() when
+    // the paragraphs around it are not the ones last laid out, or when it
+    // changes height and moves the paragraphs below.
+    recalcParagraph(idx) {
+        if (this.layoutBatchDepth > 0) {
+            this.paragraphRequests.push(this.items[idx]);
+            return;
+        }
+        if (!(idx >= 0 && idx < this.items.length) || this.layoutSettingsKey() !== this.layoutKey) {
+            this.recalc();
+            return;
+        }
+        let start = idx;
+        while (start > 0 && !(this.items[start - 1] instanceof NewlineLink)) start--;
+        let end = idx;
+        while (end < this.items.length && !(this.items[end] instanceof NewlineLink)) end++;
+        const isEnd = end === this.items.length;
+        const layout = this.paragraphLayouts.get(isEnd ? END_OF_DOCUMENT : this.items[end]);
+        const previous = start > 0 ? this.paragraphLayouts.get(this.items[start - 1]) : null;
+        if (!layout || (previous ? previous.index !== layout.index - 1 : layout.index !== 0)) {
+            this.recalc();
+            return;
+        }
+
+        const count = (isEnd ? end : end + 1) - start;
+        const paragraphItems = this.items.slice(start, start + count);
+        const context = this.paragraphContext(layout.index, isEnd);
+        if (this.isLayoutCurrent(layout, paragraphItems, context)) return;
+        const updated = this.layoutParagraph(paragraphItems, layout.index, layout.top, context, !isEnd);
+        updated.index = layout.index;
+        this.paragraphLayouts.set(isEnd ? END_OF_DOCUMENT : this.items[end], updated);
+        this.paragraphLevels[layout.index] = updated.level;
+        this.items.splice(start, count, ...updated.items);
+        if (updated.height !== layout.height) {
+            // The full pass reuses this layout and shifts the rest.
+            this.recalc();
+            return;
+        }
+        this.layoutVersion++;
+    }
+
+    // Run fn with the recalc() calls it makes merged into one layout pass
+    // at the end, so an edit made of several steps is laid out once.
+    // Returns what fn returns.
+    batchLayout(fn) {
+        this.layoutBatchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.layoutBatchDepth--;
+            if (this.layoutBatchDepth === 0) {
+                const requests = this.paragraphRequests;
+                this.paragraphRequests = [];
+                if (this.layoutRequested) {
+                    this.layoutRequested = false;
+                    this.recalc();
+                } else {
+                    for (const link of requests) this.recalcParagraph(this.items.indexOf(link));
+                }
+            }
+        }
+    }
+
+    // Whether the layout asked for so far in a batchLayout() call is all
+    // within paragraphs (see recalcParagraph()), so no paragraph was added
+    // or removed.
+    hasOnlyParagraphEdits() {
+        return !this.layoutRequested && this.paragraphRequests.length > 0;
+    }
+
+    // Drop all cached paragraph layouts so the next recalc() lays out the
+    // whole document (e.g. after fonts finish loading and measure differently),
+    // measuring its text afresh.
+    invalidateLayout() {
+        this.paragraphLayouts = new Map();
+        this.measurer.clear();
+    }
+
+    // Full layout pass for one paragraph's items, placed at top.
+    layoutParagraph(items, paragraphIdx, top, context, endsWithNewline) {
+        this.clearComputed(items);
+        this.removeVirtualNewlines(items);
+        this.joinAdjacentTextLinks(items);
+        this.removeEmptyTextLinks(items);
+        const breaks = this.chunkTextLinks(items);
+        const { level } = this.resolveBidiRuns(items, context.direction);
+        this.markUnbreakableRuns(items, breaks);
+        this.recalcXPositions(items, paragraphIdx);
+        this.alignLines(items, level, context);
+        const { bottom, usedFontSize } = this.recalcYPositions(items, {
+            startY: top,
+            atDocumentStart: context.atDocumentStart,
+            closeLastLine: !endsWithNewline,
+            spacing: context.spacing,
+            nextSpaceBefore: context.nextSpaceBefore
+        });
+        return {
+            ...context,
+            items,
+            top,
+            height: bottom - top,
+            level,
+            // What the layout was computed from, to detect later edits.
+            texts: items.map(item => (item instanceof TextLink ? item.text : null)),
+            fonts: items.map(item => (item instanceof TextLink ? item.intrinsic.fontProperties.clone() : null)),
+            images: items.map(item => (item instanceof ImageLink ? imageLayoutKey(item) : null)),
+            fontSize: usedFontSize ? this.currentFontProperties.size : null
+        };
+    }
+
+    // Whether a cached paragraph layout still applies to the paragraph's
+    // current items: same links in the same order with unchanged text, fonts
+    // and image sizes, and the same surroundings.
+    isLayoutCurrent(layout, items, context) {
+        if (layout.items.length !== items.length ||
+            layout.indent !== context.indent ||
+            layout.nextIndent !== context.nextIndent ||
+            layout.direction !== context.direction ||
+            layout.alignment !== context.alignment ||
+            layout.atDocumentStart !== context.atDocumentStart ||
+            !spacingEquals(layout.spacing, context.spacing) ||
+            layout.nextSpaceBefore !== context.nextSpaceBefore ||
+            layout.tabStops !== context.tabStops ||
+            (layout.fontSize !== null && layout.fontSize !== this.currentFontProperties.size)) {
+            return false;
+        }
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (item !== layout.items[i]) return false;
+            if (item instanceof TextLink) {
+                if (item.text !== layout.texts[i] ||
+                    !item.intrinsic.fontProperties.doPropertiesMatch(layout.fonts[i])) {
+                    return false;
+                }
+            } else if (item instanceof ImageLink && imageLayoutKey(item) !== layout.images[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Resolve the bidi levels of a paragraph's text (see Bidi.js), split its
+    // runs where the level changes and record each run's level in
+    // computed.level. Composition text keeps its first character's level.
+    // Returns the paragraph's base level.
+    resolveBidiRuns(items, direction) {
+        const text = items.filter(item => item instanceof TextLink).map(item => item.text).join('');
+        const level = paragraphLevel(text, direction);
+        const levels = resolveLevels(text, level);
+        let pos = 0;
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (!(item instanceof TextLink)) continue;
+            const start = pos;
+            pos += item.text.length;
+            item.computed.level = levels[start] ?? level;
+            if (item instanceof CompositionLink) continue;
+            for (let k = 1; k < item.text.length; k++) {
+                if (levels[start + k] !== levels[start]) {
+                    items.splice(i + 1, 0, new TextLink(item.text.substring(k), item.intrinsic.fontProperties.clone()));
+                    item.text = item.text.substring(0, k);
+                    pos = start + k;
+                    break;
+                }
+            }
+        }
+        return { level };
+    }
+
+    // Position each line of a paragraph for its alignment, in display
+    // order: from the indent (on the right when the paragraph runs right to
+    // left), centered, against the far margin, or justified by stretching
+    // the inter-word spaces of every line but the paragraph's last.
+    alignLines(items, level, context) {
+        const rtl = level % 2 === 1;
+        const alignment = context.alignment || (rtl ? 'right' : 'left');
+        const indent = context.indent;
+        let start = 0;
+        for (let i = 0; i <= items.length; i++) {
+            if (i < items.length && !(items[i] instanceof NewlineLink) && !(items[i] instanceof VirtualNewlineLink)) continue;
+            const wrapped = i < items.length && items[i] instanceof VirtualNewlineLink;
+            this.justifyLine(items, start, i,
+                alignment === 'justify' && wrapped ? this.widthPixels - indent : 0);
+
+            let lineWidth = 0;
+            for (let j = start; j < i; j++) {
+                if (items[j] instanceof TextLink) {
+                    lineWidth += this.laidOutWidth(items[j]) + (items[j].computed.stretch || 0);
+                }
+            }
+            // Center splits the free space; right (and the unstretched last
+            // line of a right-to-left justified paragraph) pushes it all left.
+            const freeSpace = Math.max(0, this.widthPixels - indent - lineWidth);
+            let offset = 0;
+            if (alignment === 'center') {
+                offset = freeSpace / 2;
+            } else if (alignment === 'right' || (alignment === 'justify' && rtl)) {
+                offset = freeSpace;
+            }
+            this.positionLine(items, start, i, (rtl ? 0 : indent) + offset, level);
+            start = i + 1;
+        }
+    }
+
+    // Width of a run from the layout pass.
+    laidOutWidth(item) {
+        return item.computed.width ?? item.measureText(this.measurer).width;
+    }
+
+    // Set computed.stretch on the runs of the line items[start..end): the
+    // space left in `available` is shared equally by the whitespace runs
+    // between the line's first and last word, and within a run (split by
+    // the caret or a formatting change) by character count. No-break spaces
+    // and tabs are not stretched. With available = 0 the line is left unstretched.
+    justifyLine(items, start, end, available) {
+        let firstWord = -1;
+        let lastWord = -1;
+        for (let j = start; j < end; j++) {
+            if (items[j] instanceof TextLink) {
+                delete items[j].computed.stretch;
+                if (/\S/.test(items[j].text)) {
+                    if (firstWord === -1) firstWord = j;
+                    lastWord = j;
+                }
+            }
+        }
+        if (!(available > 0) || firstWord === -1) return;
+
+        let used = 0;
+        for (let j = start; j <= lastWord; j++) {
+            if (items[j] instanceof TextLink) used += this.laidOutWidth(items[j]);
+        }
+        const runs = [];
+        let run = null;
+        for (let j = firstWord + 1; j < lastWord; j++) {
+            const item = items[j];
+            if (!(item instanceof TextLink)) continue;
+            if (/^\s+$/.test(item.text) && !/[\u00a0\u2007\u202f\t]/.test(item.text)) {
+                if (!run) runs.push(run = { items: [], length: 0 });
+                run.items.push(item);
+                run.length += item.text.length;
+            } else {
+                run = null;
+            }
+        }
+        const free = available - used;
+        if (free <= 0 || runs.length === 0) return;
+        for (const { items: runItems, length } of runs) {
+            for (const item of runItems) {
+                item.computed.stretch = (free / runs.length) * item.text.length / length;
+            }
+        }
+    }
+
+    // Text runs of the line items[start..end) in display order (rule L2 of
+    // the bidi algorithm). Whitespace ending the line takes the paragraph's
+    // base level (rule L1), so it stays at the line's end edge.
+    visualRuns(items, start, end, baseLevel) {
+        const runs = [];
+        for (let i = start; i < end; i++) {
+            if (items[i] instanceof TextLink) runs.push(items[i]);
+        }
+        for (let k = runs.length - 1; k >= 0 && /^\s*$/.test(runs[k].text); k--) {
+            runs[k].computed.level = baseLevel;
+        }
+        return visualOrder(runs.map(run => run.computed.level || 0)).map(k => runs[k]);
+    }
+
+    // Position the line items[start..end) from x = left: its text runs in
+    // display order, each with any justification stretch, and the caret at
+    // the trailing edge of the run before it (the leading edge of the run
+    // after it at the start of a line).
+    positionLine(items, start, end, left, baseLevel = 0) {
+        let x = left;
+        for (const run of this.visualRuns(items, start, end, baseLevel)) {
+            run.computed.posX = x;
+            x += (run.computed.width ?? run.measureText(this.measurer).width) + (run.computed.stretch || 0);
+        }
+        for (let i = start; i < end; i++) {
+            if (!(items[i] instanceof TextLink) && items[i].computed) {
+                items[i].computed.posX = this.caretXOnLine(items, start, end, i, left);
+            }
+        }
+    }
+
+    // X at which a caret at items[i] is drawn, on the line items[start..end)
+    // whose runs are already positioned.
+    caretXOnLine(items, start, end, i, fallback) {
+        for (let j = i - 1; j >= start; j--) {
+            if (items[j] instanceof TextLink) return items[j].getCharX(this.measurer, items[j].text.length);
+        }
+        for (let j = i + 1; j < end; j++) {
+            if (items[j] instanceof TextLink) return items[j].getCharX(this.measurer, 0);
+        }
+        return fallback;
+    }
+
+    // Move a cached paragraph layout down (or up) by dy.
+    shiftParagraph(layout, dy) {
+        layout.top += dy;
+        if (dy === 0) return;
+        for (const item of layout.items) {
+            if (typeof item.computed.posY === 'number') item.computed.posY += dy;
+            if (item.computed.box) item.computed.box.y += dy;
+        }
+    }
+
     // Safety check to ensure a cursor always exists
     ensureCursorExists() {
         let hasCursor = false;
@@ -435,6 +1082,7 @@ export class Chain {
     }
 
     printableKeyPressed(char) {
+        const pos = this.getCursorCharPosition();
         if (this.cursorIdx() > 0) {
             for (let i = this.cursorIdx() - 1; i >= 0; i--) {
                 if (this.items[i] instanceof TextLink) {
@@ -454,35 +1102,67 @@ export class Chain {
         } else {
             this.items.unshift(new TextLink(char, this.currentFontProperties.clone()));
         }
-        this.recalc();
+        this.recalcParagraph(this.cursorIdx());
+        this.reportEdit(pos, pos, pos + char.length);
+    }
+
+    // Insert a string before the cursor in one splice and a single layout
+    // pass. Lines become runs in the given font (the current typing font by
+    // default) separated by NewlineLinks; CRLF/CR line endings count as one
+    // break.
+    insertText(text, fontProperties = this.currentFontProperties) {
+        if (!text) return;
+        const links = [];
+        text.replace(/\r\n?/g, '\n').split('\n').forEach((line, idx) => {
+            if (idx > 0) links.push(new NewlineLink());
+            if (line) links.push(new TextLink(line, fontProperties.clone()));
+        });
+        this.insertItems(links);
     }
 
     backspacePressed() {
+        // A cluster of several code units (an emoji, an accented letter)
+        // goes at once.
+        const pos = this.getCursorCharPosition();
+        const previous = this.graphemeStep(pos, -1);
+        if (previous < pos - 1) {
+            this.deleteCharRange(previous, pos);
+            return;
+        }
+        let joined = false;
         if (this.cursorIdx() > 0) {
             for (let i = this.cursorIdx() - 1; i >= 0; i--) {
                 if (this.items[i] instanceof TextLink && this.items[i].text.length > 0) {
                     this.items[i].text = this.items[i].text.substring(0, this.items[i].text.length - 1);
+                    this.reportEdit(pos - 1, pos, pos - 1);
                     break;
                 } else if (this.items[i] instanceof NewlineLink) {
                     this.items.splice(i, 1);
+                    joined = true;
+                    this.reportEdit(pos - 1, pos, pos - 1);
                     break;
                 } else if (this.items[i] instanceof CursorLink) {
                     throw new Error("CursorLink found while searching before cursorIdx!");
                 }
             }
         }
-        this.recalc();
+        if (joined) {
+            this.recalc();
+        } else {
+            this.recalcParagraph(this.cursorIdx());
+        }
     }
 
-    // Delete the characters in the flattened range [startPos, endPos) and
-    // leave the cursor at startPos. Used by word/forward deletion.
+    // Delete the characters in the flattened range [startPos, endPos),
+    // widened to whole grapheme clusters, and leave the cursor at startPos.
+    // Used by word/forward deletion.
     deleteCharRange(startPos, endPos) {
         if (startPos > endPos) {
             [startPos, endPos] = [endPos, startPos];
         }
         const total = this.getTotalChars();
-        startPos = Math.max(0, startPos);
-        endPos = Math.min(total, endPos);
+        startPos = this.snapCharPosition(Math.max(0, startPos), -1);
+        endPos = this.snapCharPosition(Math.min(total, endPos), 1);
         if (startPos === endPos) return;
 
         // Remove the cursor; it is reinserted at startPos afterwards.
@@ -521,12 +1201,14 @@ export class Chain {
         // startPos was removed, so its position is unchanged.
         this.items.unshift(new CursorLink());
         this.moveCursorToCharPosition(startPos);
+        this.reportEdit(startPos, endPos, startPos);
     }
 
-    // Forward delete (the Delete key): remove the character after the cursor.
+    // Forward delete (the Delete key): remove the character (grapheme
+    // cluster) after the cursor.
     deleteForward() {
         const pos = this.getCursorCharPosition();
-        this.deleteCharRange(pos, pos + 1);
+        this.deleteCharRange(pos, this.graphemeStep(pos, 1));
     }
 
     // Ctrl+Backspace: delete from the previous word boundary to the cursor.
@@ -541,9 +1223,22 @@ export class Chain {
         this.deleteCharRange(pos, this.nextWordBoundary(pos));
     }
 
-    // Move cursor to a specific character position
+    // Cmd+Backspace: delete from the start of the displayed line to the
+    // cursor; at the start of a line it deletes back like Backspace.
+    deleteToLineStart() {
+        const pos = this.getCursorCharPosition();
+        const { startPos } = this.getLineBounds();
+        if (startPos < pos) {
+            this.deleteCharRange(startPos, pos);
+        } else {
+            this.backspacePressed();
+        }
+    }
+
+    // Move cursor to a specific character position (the start of the
+    // grapheme cluster it falls in)
     moveCursorToCharPosition(charPos) {
-        const { itemIdx, charOffset } = this.getItemFromCharPosition(charPos);
+        const { itemIdx, charOffset } = this.getItemFromCharPosition(this.snapCharPosition(charPos));
         const cursorIdx = this.cursorIdx();
         
         // Remove current cursor
@@ -578,20 +1273,28 @@ export class Chain {
         // Clear target X when moving horizontally
         this.targetCursorX = undefined;
 
-        // If there's a selection, move to the start of it
+        // If there's a selection, move to the start of it (its end in a
+        // right-to-left paragraph)
         if (this.hasSelection()) {
-            this.moveCursorToCharPosition(this.selectionStart);
+            this.moveCursorToCharPosition(this.isCursorRightToLeft() ? this.selectionEnd : this.selectionStart);
             this.clearSelection();
             return;
         }
         this.clearSelection();
-        this.moveCursorLeftOneChar();
+        this.moveCursorHorizontally(-1);
     }
 
     // Core "move cursor one character to the left" logic, shared by
     // leftArrowPressed and shiftLeftArrowPressed.
     moveCursorLeftOneChar() {
         this.targetCursorX = undefined;
+        // A cluster of several code units is stepped over at once.
+        const pos = this.getCursorCharPosition();
+        const previous = this.graphemeStep(pos, -1);
+        if (previous < pos - 1) {
+            this.moveCursorToCharPosition(previous);
+            return;
+        }
         if (this.cursorIdx() > 0) {
             for (let i = this.cursorIdx() - 1; i >= 0; i--) {
                 if (this.items[i] instanceof TextLink) {
@@ -623,20 +1326,110 @@ export class Chain {
         // Clear target X when moving horizontally
         this.targetCursorX = undefined;
 
-        // If there's a selection, move to the end of it
+        // If there's a selection, move to the end of it (its start in a
+        // right-to-left paragraph)
         if (this.hasSelection()) {
-            this.moveCursorToCharPosition(this.selectionEnd);
+            this.moveCursorToCharPosition(this.isCursorRightToLeft() ? this.selectionStart : this.selectionEnd);
             this.clearSelection();
             return;
         }
         this.clearSelection();
-        this.moveCursorRightOneChar();
+        this.moveCursorHorizontally(1);
+    }
+
+    // Whether the paragraph holding the cursor runs right to left.
+    isCursorRightToLeft() {
+        let paragraph = 0;
+        const cursorIdx = this.cursorIdx();
+        for (let i = 0; i < cursorIdx; i++) {
+            if (this.items[i] instanceof NewlineLink) paragraph++;
+        }
+        return this.getParagraphLevel(paragraph) % 2 === 1;
+    }
+
+    // Move the cursor one step left (-1) or right (+1) on screen. Logical
+    // movement steps to the previous or next character in the direction the
+    // paragraph runs. Visual movement steps to the nearest caret position
+    // on screen, which in mixed-direction text can be far away in the text,
+    // and past the line's edge continues onto the neighbouring line.
+    moveCursorHorizontally(direction) {
+        this.targetCursorX = undefined;
+        const forward = (direction > 0) !== this.isCursorRightToLeft();
+        if (this.caretMovement === 'visual') {
+            if (this.moveCursorVisually(direction)) return;
+            const { startPos, endPos } = this.getLineBounds();
+            this.moveCursorToCharPosition(forward ? endPos : startPos);
+        }
+        if (forward) {
+            this.moveCursorRightOneChar();
+        } else {
+            this.moveCursorLeftOneChar();
+        }
+    }
+
+    // Move the cursor to the caret position nearest it on its line to the
+    // left (-1) or right (+1). Carets are drawn after a run's characters,
+    // and before its first only at the start of a line, so only those
+    // positions are candidates. Returns false when there is none.
+    moveCursorVisually(direction) {
+        const items = this.items;
+        const cursorIdx = this.cursorIdx();
+        const isBreak = item => item instanceof NewlineLink || item instanceof VirtualNewlineLink;
+        let start = cursorIdx;
+        while (start > 0 && !isBreak(items[start - 1])) start--;
+        let end = cursorIdx + 1;
+        while (end < items.length && !isBreak(items[end])) end++;
+
+        const x = items[cursorIdx].computed.posX;
+        let target = null;
+        let seenText = false;
+        for (let i = start; i < end; i++) {
+            const run = items[i];
+            if (!(run instanceof TextLink)) continue;
+            for (const k of graphemeBoundaries(run.text)) {
+                if (k === 0 && seenText) continue;
+                const distance = (run.getCharX(this.measurer, k) - x) * direction;
+                if (distance > 0.5 && (!target || distance < target.distance)) {
+                    target = { itemIdx: i, charOffset: k, distance };
+                }
+            }
+            if (run.text.length > 0) seenText = true;
+        }
+        if (!target) return false;
+        this.moveCursorToItem(target.itemIdx, target.charOffset);
+        return true;
+    }
+
+    // Put the cursor charOffset characters into items[itemIdx] (before it
+    // when that isn't text).
+    moveCursorToItem(itemIdx, charOffset) {
+        const cursorIdx = this.cursorIdx();
+        this.items.splice(cursorIdx, 1);
+        const idx = cursorIdx < itemIdx ? itemIdx - 1 : itemIdx;
+        const item = this.items[idx];
+        if (item instanceof TextLink && charOffset > 0) {
+            if (charOffset < item.text.length) {
+                this.items.splice(idx + 1, 0, new TextLink(item.text.substring(charOffset), item.intrinsic.fontProperties.clone()));
+                item.text = item.text.substring(0, charOffset);
+            }
+            this.items.splice(idx + 1, 0, new CursorLink());
+        } else {
+            this.items.splice(idx, 0, new CursorLink());
+        }
+        this.recalc();
     }
 
     // Core "move cursor one character to the right" logic, shared by
     // rightArrowPressed and shiftRightArrowPressed.
     moveCursorRightOneChar() {
         this.targetCursorX = undefined;
+        // A cluster of several code units is stepped over at once.
+        const pos = this.getCursorCharPosition();
+        const next = this.graphemeStep(pos, 1);
+        if (next > pos + 1) {
+            this.moveCursorToCharPosition(next);
+            return;
+        }
         if (this.cursorIdx() < this.items.length - 1) {
             for (let i = this.cursorIdx() + 1; i < this.items.length; i++) {
                 if (this.items[i] instanceof TextLink) {
@@ -769,13 +1562,13 @@ export class Chain {
 
     shiftLeftArrowPressed() {
         this.beginSelectionIfNeeded();
-        this.moveCursorLeftOneChar();
+        this.moveCursorHorizontally(-1);
         this.updateSelectionFromAnchor();
     }
 
     shiftRightArrowPressed() {
         this.beginSelectionIfNeeded();
-        this.moveCursorRightOneChar();
+        this.moveCursorHorizontally(1);
         this.updateSelectionFromAnchor();
     }
 
@@ -905,6 +1698,64 @@ export class Chain {
         return text;
     }
 
+    // Position pos without the IME composition (preedit) text before it: the
+    // matching position in the committed text that the editor serializes.
+    committedCharPosition(pos) {
+        if (pos === null) return null;
+        let chars = 0;
+        let preedit = 0;
+        for (const item of this.items) {
+            if (chars >= pos) break;
+            if (item instanceof TextLink) {
+                if (item instanceof CompositionLink) {
+                    preedit += Math.min(item.text.length, pos - chars);
+                }
+                chars += item.text.length;
+            } else if (item instanceof NewlineLink) {
+                chars += 1;
+            }
+        }
+        return pos - preedit;
+    }
+
+    // The text of the paragraph holding flattened position pos, and the
+    // position it starts at. Grapheme clusters never cross paragraphs.
+    paragraphTextAt(pos) {
+        let start = 0;
+        let text = '';
+        let p = 0;
+        for (const item of this.items) {
+            if (item instanceof TextLink) {
+                text += item.text;
+                p += item.text.length;
+            } else if (item instanceof NewlineLink) {
+                if (p >= pos) break;
+                p += 1;
+                start = p;
+                text = '';
+            }
+        }
+        return { text, start };
+    }
+
+    // The caret position one character (grapheme cluster) before (-1) or
+    // after (+1) pos; across a paragraph break that is one step.
+    graphemeStep(pos, direction) {
+        const { text, start } = this.paragraphTextAt(pos);
+        const offset = pos - start;
+        if (direction < 0) {
+            return offset > 0 ? start + previousGraphemeBoundary(text, offset) : Math.max(0, pos - 1);
+        }
+        return offset < text.length ? start + nextGraphemeBoundary(text, offset) : pos + 1;
+    }
+
+    // pos moved to a grapheme cluster boundary: the start of the cluster it
+    // falls in (direction -1) or its end (+1).
+    snapCharPosition(pos, direction = -1) {
+        const { text, start } = this.paragraphTextAt(pos);
+        return start + snapToGrapheme(text, pos - start, direction);
+    }
+
     // Word boundary to the left of pos: skip any whitespace, then skip the
     // run of word characters, landing at the start of that word.
     prevWordBoundary(pos) {
@@ -926,35 +1777,46 @@ export class Chain {
         return i;
     }
 
+    // Word boundary to the left (-1) or right (+1) of the cursor: the
+    // previous or next one in the text, the other way round in a
+    // right-to-left paragraph.
+    wordBoundaryToward(direction) {
+        const pos = this.getCursorCharPosition();
+        const forward = (direction > 0) !== this.isCursorRightToLeft();
+        return forward ? this.nextWordBoundary(pos) : this.prevWordBoundary(pos);
+    }
+
     wordLeftPressed() {
         this.targetCursorX = undefined;
         this.clearSelection();
-        this.moveCursorToCharPosition(this.prevWordBoundary(this.getCursorCharPosition()));
+        this.moveCursorToCharPosition(this.wordBoundaryToward(-1));
     }
 
     wordRightPressed() {
         this.targetCursorX = undefined;
         this.clearSelection();
-        this.moveCursorToCharPosition(this.nextWordBoundary(this.getCursorCharPosition()));
+        this.moveCursorToCharPosition(this.wordBoundaryToward(1));
     }
 
     shiftWordLeftPressed() {
         this.targetCursorX = undefined;
         this.beginSelectionIfNeeded();
-        this.moveCursorToCharPosition(this.prevWordBoundary(this.getCursorCharPosition()));
+        this.moveCursorToCharPosition(this.wordBoundaryToward(-1));
         this.updateSelectionFromAnchor();
     }
 
     shiftWordRightPressed() {
         this.targetCursorX = undefined;
         this.beginSelectionIfNeeded();
-        this.moveCursorToCharPosition(this.nextWordBoundary(this.getCursorCharPosition()));
+        this.moveCursorToCharPosition(this.wordBoundaryToward(1));
         this.updateSelectionFromAnchor();
     }
 
     enterPressed() {
+        const pos = this.getCursorCharPosition();
         this.items.splice(this.cursorIdx(), 0, new NewlineLink());
         this.recalc();
+        this.reportEdit(pos, pos, pos + 1);
     }
 
     // Insert a block-level link (rule, image, …) on its own line, leaving the
@@ -962,20 +1824,45 @@ export class Chain {
     // mid-line so the block gets its own row.
     insertBlock(link) {
         const idx = this.cursorIdx();
+        const toInsert = [];
+        if (!this.isLineStart(idx)) toInsert.push(new NewlineLink());
+        toInsert.push(link);
+        const pos = this.getCursorCharPosition();
+        this.items.splice(idx, 0, ...toInsert);
+        this.recalc();
+        this.reportEdit(pos, pos, pos + this.charCount(toInsert));
+    }
 
-        let atLineStart = true;
+    // True when nothing but the cursor sits between the item index and the
+    // previous line break (or the start of the chain).
+    isLineStart(idx) {
         for (let j = idx - 1; j >= 0; j--) {
             if (this.items[j] instanceof CursorLink) continue;
             // Any NewlineLink subclass (rule/image included) counts as a break.
-            atLineStart = this.items[j] instanceof NewlineLink;
-            break;
+            return this.items[j] instanceof NewlineLink;
         }
+        return true;
+    }
 
-        const toInsert = [];
-        if (!atLineStart) toInsert.push(new NewlineLink());
-        toInsert.push(link);
+    // Insert a sequence of links (text runs, newlines, blocks) before the
+    // cursor with a single layout pass. A leading block gets its own line,
+    // as with insertBlock().
+    insertItems(links) {
+        if (links.length === 0) return;
+        const idx = this.cursorIdx();
+        const toInsert = [...links];
+        const first = toInsert[0];
+        if ((first instanceof HorizontalRuleLink || first instanceof ImageLink) && !this.isLineStart(idx)) {
+            toInsert.unshift(new NewlineLink());
+        }
+        const pos = this.getCursorCharPosition();
         this.items.splice(idx, 0, ...toInsert);
-        this.recalc();
+        if (toInsert.some(link => link instanceof NewlineLink)) {
+            this.recalc();
+        } else {
+            this.recalcParagraph(this.cursorIdx());
+        }
+        this.reportEdit(pos, pos, pos + this.charCount(toInsert));
     }
 
     insertHorizontalRule() {
@@ -991,10 +1878,10 @@ export class Chain {
         let hitTextLink = false;
         for (let i = 0; i < this.items.length; i++) {
             const item = this.items[i];
-            if (item instanceof TextLink && item.clickHits(this.ctx, x, y)) {
+            if (item instanceof TextLink && item.clickHits(this.measurer, x, y)) {
                 console.log(`  Hit TextLink[${i}]: "${item.text}" at posY=${item.computed.posY.toFixed(2)}, ascent=${item.computed.ascent.toFixed(2)}, descent=${item.computed.descent.toFixed(2)}`);
 
-                const charIdx = item.getCharIdxFromX(this.ctx, x);
+                const charIdx = item.getCharIdxFromX(this.measurer, x);
                 const cursorIdx = this.cursorIdx();
                 const text = item.text;
                 const fontProps = item.intrinsic.fontProperties.clone();
@@ -1091,6 +1978,14 @@ export class Chain {
                 matchingLinePosY = candidateLines[0].posY;
                 console.log(`  -> Selected closest line at posY=${matchingLinePosY.toFixed(2)} (distance=${candidateLines[0].distance.toFixed(2)})`);
 
+                // Lines with right-to-left text don't run from their first
+                // character on the left; resolve the point like a click.
+                if (this.items.some(item => item instanceof TextLink &&
+                    item.computed.posY === matchingLinePosY && item.computed.level > 0)) {
+                    this.moveCursorToCharPosition(this.charPositionAtXY(x, matchingLinePosY));
+                    return;
+                }
+
                 // Find the first and last text items on this line to determine X bounds
                 let firstTextIdx = -1;
                 let lastTextIdx = -1;
@@ -1100,10 +1995,9 @@ export class Chain {
                     if (this.items[k] instanceof TextLink && this.items[k].computed.posY === matchingLinePosY) {
                         if (firstTextIdx === -1) firstTextIdx = k;
                         lastTextIdx = k;
-                        // Measure the text width using the canvas context
+                        // Right edge of the run as laid out
                         const textItem = this.items[k];
-                        const metrics = textItem.measureText(this.ctx);
-                        lastTextEndX = textItem.computed.posX + metrics.width;
+                        lastTextEndX = textItem.computed.posX + textItem.getWidth(this.measurer);
                     }
                 }
 
@@ -1273,7 +2167,7 @@ export class Chain {
                 pos += 1;
             }
         }
-        return { itemIdx: this.items.length - 1, charOffset: 0 };
+        return { itemIdx: this.items.length, charOffset: 0 };
     }
 
     // Resolve a content-space (x, y) to a flattened character position, with
@@ -1286,8 +2180,8 @@ export class Chain {
         // 1) Direct hit on a text run.
         for (let i = 0; i < items.length; i++) {
             const item = items[i];
-            if (item instanceof TextLink && item.clickHits(this.ctx, x, y)) {
-                return this.getCharPosition(i, item.getCharIdxFromX(this.ctx, x));
+            if (item instanceof TextLink && item.clickHits(this.measurer, x, y)) {
+                return this.getCharPosition(i, item.getCharIdxFromX(this.measurer, x));
             }
         }
 
@@ -1307,9 +2201,12 @@ export class Chain {
         }
         if (bestPosY === null) return 0; // empty document
 
-        // Text runs on the chosen line, and that line's X bounds.
+        // Text runs on the chosen line, that line's X bounds and the runs
+        // at its left and right edges.
         let firstTextIdx = -1;
         let lastTextIdx = -1;
+        let leftIdx = -1;
+        let rightIdx = -1;
         let firstStartX = Infinity;
         let lastEndX = -Infinity;
         for (let i = 0; i < items.length; i++) {
@@ -1318,9 +2215,15 @@ export class Chain {
                 if (firstTextIdx === -1) firstTextIdx = i;
                 lastTextIdx = i;
                 const startX = item.computed.posX;
-                const endX = startX + item.measureText(this.ctx).width;
-                if (startX < firstStartX) firstStartX = startX;
-                if (endX > lastEndX) lastEndX = endX;
+                const endX = startX + item.getWidth(this.measurer);
+                if (startX < firstStartX) {
+                    firstStartX = startX;
+                    leftIdx = i;
+                }
+                if (endX >= lastEndX) {
+                    lastEndX = endX;
+                    rightIdx = i;
+                }
             }
         }
 
@@ -1337,13 +2240,16 @@ export class Chain {
             return this.getTotalChars();
         }
 
-        // Left of the line's text (e.g. list gutter) → start of line.
+        // Left or right of the line's text (e.g. list gutter) → the edge of
+        // the run there: the start of the line, or its end in a right-to-left
+        // line.
         if (x <= firstStartX) {
-            return this.getCharPosition(firstTextIdx, 0);
+            const left = items[leftIdx];
+            return this.getCharPosition(leftIdx, left.isRightToLeft() ? left.text.length : 0);
         }
-        // Right of the line's text → end of line.
         if (x >= lastEndX) {
-            return this.getCharPosition(lastTextIdx, items[lastTextIdx].text.length);
+            const right = items[rightIdx];
+            return this.getCharPosition(rightIdx, right.isRightToLeft() ? 0 : right.text.length);
         }
 
         // Within the line: find the run containing x.
@@ -1351,9 +2257,9 @@ export class Chain {
             const item = items[i];
             if (!(item instanceof TextLink) || !item.computed || item.computed.posY !== bestPosY) continue;
             const startX = item.computed.posX;
-            const endX = startX + item.measureText(this.ctx).width;
+            const endX = startX + item.getWidth(this.measurer);
             if (x >= startX && x <= endX) {
-                return this.getCharPosition(i, item.getCharIdxFromX(this.ctx, x));
+                return this.getCharPosition(i, item.getCharIdxFromX(this.measurer, x));
             }
         }
         // Between runs → end of line.
@@ -1368,6 +2274,9 @@ export class Chain {
         if (this.selectionStart > this.selectionEnd) {
             [this.selectionStart, this.selectionEnd] = [this.selectionEnd, this.selectionStart];
         }
+        // Select whole grapheme clusters
+        this.selectionStart = this.snapCharPosition(this.selectionStart, -1);
+        this.selectionEnd = this.snapCharPosition(this.selectionEnd, 1);
     }
 
     clearSelection() {
@@ -1391,7 +2300,8 @@ export class Chain {
                 const itemStart = pos;
                 const itemEnd = pos + item.text.length;
                 
-                if (itemEnd > this.selectionStart && itemStart < this.selectionEnd) {
+                // Preedit text is not part of the document until committed.
+                if (!(item instanceof CompositionLink) && itemEnd > this.selectionStart && itemStart < this.selectionEnd) {
                     const start = Math.max(0, this.selectionStart - itemStart);
                     const end = Math.min(item.text.length, this.selectionEnd - itemStart);
                     text += item.text.substring(start, end);
@@ -1,3 +1,12 @@
+import { graphemeBoundaries } from './Graphemes.js';
+import { toTextMeasurer } from './TextMeasurer.js';
+
+const SOFT_HYPHENS = /\u00AD/g;
+
+function withoutSoftHyphens(text) {
+    return text.includes('\u00AD') ? text.replace(SOFT_HYPHENS, '') : text;
+}
+
 /**
  * Base class for all chain links
  */
@@ -45,20 +54,63 @@ export class TextLink extends ChainLink {
         return this.intrinsic.fontProperties;
     }
 
-    measureText(ctx, textOverride = null) {
-        const savedFont = ctx.font;
-        ctx.font = this.intrinsic.fontProperties.toFontString();
-        const measures = ctx.measureText(textOverride ? textOverride : this.text);
-        ctx.font = savedFont;
-        return measures;
+    // The text as drawn: soft hyphens and tabs are invisible, and a run
+    // that ends its line at a hyphenation point (computed.hyphen, set by
+    // layout) ends in a hyphen.
+    displayText() {
+        if (this.computed.tabWidth !== undefined) return '';
+        const text = withoutSoftHyphens(this.text);
+        return this.computed.hyphen ? `${text}-` : text;
+    }
+
+    // Measures the run as drawn, or part of it (textOverride) without the
+    // line-end hyphen, through a TextMeasurer or a canvas context (see
+    // TextMeasurer.js).
+    measureText(measurer, textOverride = null) {
+        const fontProperties = this.intrinsic.fontProperties;
+        measurer = toTextMeasurer(measurer);
+        if (this.computed.tabWidth !== undefined) {
+            // A laid-out tab is as wide as its tab stop made it.
+            const { ascent, descent } = measurer.measureText(this.text, fontProperties);
+            return { width: this.computed.tabWidth, ascent, descent };
+        }
+        return measurer.measureText(textOverride ? withoutSoftHyphens(textOverride) : this.displayText(), fontProperties);
+    }
+
+    // Width as laid out: the measured width plus any space a justified line
+    // added to this run.
+    getWidth(measurer) {
+        return this.measureText(measurer).width + (this.computed.stretch || 0);
+    }
+
+    // Distance from the run's start to the boundary before charIdx. Stretch
+    // is spread evenly over the run's characters.
+    getOffsetX(measurer, charIdx) {
+        if (charIdx <= 0) return 0;
+        const stretch = (this.computed.stretch || 0) * Math.min(1, charIdx / this.text.length);
+        return this.measureText(measurer, this.text.substring(0, charIdx)).width + stretch;
+    }
+
+    // Whether the run is laid out right to left: its bidi embedding level
+    // (set by layout) is odd, so it starts at its right edge.
+    isRightToLeft() {
+        return (this.computed.level || 0) % 2 === 1;
+    }
+
+    // X of the boundary before charIdx as laid out.
+    getCharX(measurer, charIdx) {
+        if (this.isRightToLeft()) {
+            return this.computed.posX + this.getWidth(measurer) - this.getOffsetX(measurer, charIdx);
+        }
+        return this.computed.posX + this.getOffsetX(measurer, charIdx);
     }
 
     doFontPropertiesMatch(other) {
         return this.intrinsic.fontProperties.doPropertiesMatch(other.intrinsic.fontProperties);
     }
 
-    clickHits(ctx, x, y) {
-        if (x >= this.computed.posX && x <= this.computed.posX + this.measureText(ctx).width) {
+    clickHits(measurer, x, y) {
+        if (x >= this.computed.posX && x <= this.computed.posX + this.getWidth(measurer)) {
             // Text baseline is at posY, text extends up by ascent and down by descent
             // Each line owns half the gap space above and below
             const lineHeight = this.computed.lineHeight || 0;
@@ -75,22 +127,36 @@ export class TextLink extends ChainLink {
         return false;
     }
 
-    getCharIdxFromX(ctx, x) {
-        let charIdx = 0;
-        let charPosX = this.computed.posX;
-        while (charIdx < this.text.length) {
-            const charWidth = this.measureText(ctx, this.text.substring(charIdx, charIdx + 1)).width;
-            if (x >= charPosX && x <= charPosX + charWidth) {
-                return ((x > charPosX + charWidth / 2) ? charIdx + 1 : charIdx);
+    getCharIdxFromX(measurer, x) {
+        // Walk the run a grapheme cluster at a time, a right-to-left run from
+        // its right edge leftwards.
+        const sign = this.isRightToLeft() ? -1 : 1;
+        let charPosX = sign > 0 ? this.computed.posX : this.computed.posX + this.getWidth(measurer);
+        const stretchPerChar = (this.computed.stretch || 0) / this.text.length;
+        const boundaries = graphemeBoundaries(this.text);
+        for (let k = 1; k < boundaries.length; k++) {
+            const from = boundaries[k - 1];
+            const to = boundaries[k];
+            const charWidth = this.measureText(measurer, this.text.substring(from, to)).width + stretchPerChar * (to - from);
+            const into = (x - charPosX) * sign;
+            if (into >= 0 && into <= charWidth) {
+                return ((into > charWidth / 2) ? to : from);
             }
-            charIdx++;
-            charPosX += charWidth;
+            charPosX += charWidth * sign;
         }
         // If we get here, the click was after the last character
         return this.text.length;
     }
 }
 
+/**
+ * CompositionLink - In-progress IME composition (preedit) text. It lays out
+ * and counts like a TextLink so surrounding text reflows around it, but it is
+ * never merged with or chunked into neighbouring runs; the editor swaps it for
+ * real text when the composition is committed.
+ */
+export class CompositionLink extends TextLink {}
+
 /**
  * CursorLink - Represents the text cursor position
  */
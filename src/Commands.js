@@ -0,0 +1,244 @@
+/**
+ * Commands - The editor's built-in named commands.
+ *
+ * Each command is { edits, run(editor, args) }. `edits` marks commands that
+ * modify the document; the editor refuses those in read-only mode. Key
+ * bindings (Keymap.js) and CanvasEditor.executeCommand() refer to commands by
+ * name, and apps can register their own with CanvasEditor.registerCommand().
+ */
+
+// Caret commands act on text, so they first drop any image selection.
+function caret(fn) {
+    return (editor, args) => {
+        editor.clearImageSelection();
+        fn(editor, args);
+        editor.render();
+    };
+}
+
+// A chain caret/selection method (each handles the selection itself).
+function move(method) {
+    return { edits: false, run: caret(editor => editor.chain[method]()) };
+}
+
+// Vertical movement has to clear the selection explicitly.
+function moveVertically(method) {
+    return {
+        edits: false,
+        run: caret(editor => {
+            editor.chain.clearSelection();
+            editor.chain[method]();
+        })
+    };
+}
+
+function page(direction, extendSelection) {
+    return {
+        edits: false,
+        run: caret(editor => editor.pageMove(direction, extendSelection))
+    };
+}
+
+// Delete with the keyboard: a selected image or text selection goes first,
+// otherwise the chain method removes text next to the caret.
+function deleteCommand(method) {
+    return {
+        edits: true,
+        run: (editor) => {
+            if (editor.selectedImage) {
+                editor.deleteSelectedImage();
+                return;
+            }
+            editor.takeSnapshot();
+            if (editor.chain.hasSelection()) {
+                editor.deleteSelection();
+            } else {
+                editor.remapAroundEdit(() => editor.chain[method]());
+            }
+            editor.render();
+        }
+    };
+}
+
+function call(method, edits = true) {
+    return { edits, run: (editor, args = []) => editor[method](...[].concat(args)) };
+}
+
+export const DEFAULT_COMMANDS = {
+    // History
+    undo: call('undo'),
+    redo: call('redo'),
+
+    // Clipboard
+    selectAll: {
+        edits: false,
+        run: (editor) => {
+            editor.selectAll();
+            editor.render();
+        }
+    },
+    copy: call('copy', false),
+    cut: call('cut'),
+    paste: call('paste'),
+
+    // Formatting
+    toggleBold: call('toggleBold'),
+    toggleItalic: call('toggleItalic'),
+    toggleUnderline: call('toggleUnderline'),
+    toggleStrikethrough: call('toggleStrikethrough'),
+    toggleSuperscript: call('toggleSuperscript'),
+    toggleSubscript: call('toggleSubscript'),
+    clearFormatting: call('clearFormatting'),
+    setTextColor: call('setTextColor'),
+    setHighlightColor: call('setHighlightColor'),
+    setFontSize: call('setFontSize'),
+    setFontFamily: call('setFontFamily'),
+    increaseFontSize: call('increaseFontSize'),
+    decreaseFontSize: call('decreaseFontSize'),
+
+    // Links
+    openLinkPopup: call('openLinkPopup'),
+    setLink: call('setLink'),
+    removeLink: call('removeLink'),
+
+    // Paragraphs and blocks
+    toggleBulletList: call('toggleBulletList'),
+    toggleNumberedList: call('toggleNumberedList'),
+    toggleCheckList: call('toggleCheckList'),
+    toggleChecked: call('toggleChecked'),
+    indentList: call('indentList'),
+    outdentList: call('outdentList'),
+    setListNumbering: call('setListNumbering'),
+    restartNumbering: call('restartNumbering'),
+    continueNumbering: call('continueNumbering'),
+    setAlignment: call('setAlignment'),
+    setDirection: call('setDirection'),
+    setParagraphSpacing: call('setParagraphSpacing'),
+    setTabStops: call('setTabStops'),
+    alignLeft: { edits: true, run: (editor) => editor.setAlignment('left') },
+    alignCenter: { edits: true, run: (editor) => editor.setAlignment('center') },
+    alignRight: { edits: true, run: (editor) => editor.setAlignment('right') },
+    alignJustify: { edits: true, run: (editor) => editor.setAlignment('justify') },
+    insertHorizontalRule: call('insertHorizontalRule'),
+    insertImage: call('insertImage'),
+
+    // Text entry and deletion
+    insertText: {
+        edits: true,
+        run: caret((editor, text) => {
+            editor.takeSnapshot();
+            if (editor.chain.hasSelection()) {
+                editor.deleteSelection();
+            }
+            editor.remapAroundEdit(() => editor.chain.insertText(String(text)));
+        })
+    },
+    insertNewline: {
+        edits: true,
+        run: caret((editor) => {
+            editor.takeSnapshot();
+            if (editor.chain.hasSelection()) {
+                editor.deleteSelection();
+            }
+            const splitPara = editor.getCurrentParagraphIndex();
+            if (editor.paragraphLists.has(splitPara) && editor.isParagraphEmpty(splitPara)) {
+                // Enter on an empty list item moves it up a level, and at the
+                // outermost level exits the list (removes the bullet and
+                // indent) rather than adding another empty item.
+                const level = editor.getListLevel(splitPara);
+                if (level > 1) {
+                    editor.paragraphListLevels.set(splitPara, level - 1);
+                } else if (level === 1) {
+                    editor.paragraphListLevels.delete(splitPara);
+                } else {
+                    editor.removeFromList(splitPara);
+                }
+                editor.recordParagraphChange(splitPara, splitPara);
+                editor.syncParagraphIndents();
+                editor.chain.recalc();
+            } else {
+                // Split the current paragraph and carry its list/alignment onto
+                // the new line (auto-continue), shifting following paragraphs.
+                editor.chain.batchLayout(() => {
+                    editor.remapAroundEdit(() => editor.chain.enterPressed());
+                    editor.continueParagraphAttributes(splitPara);
+                });
+            }
+        })
+    },
+    insertTab: {
+        edits: true,
+        // Insert a tab character instead of moving focus off the canvas.
+        run: caret((editor) => {
+            editor.takeSnapshot();
+            if (editor.chain.hasSelection()) {
+                editor.deleteSelection();
+            }
+            editor.chain.insertText('\t');
+        })
+    },
+    // Tab and Shift+Tab nest and un-nest list items; elsewhere they insert
+    // a tab like insertTab.
+    indent: {
+        edits: true,
+        run: (editor) => {
+            if (editor.isInList()) {
+                editor.indentList();
+            } else {
+                DEFAULT_COMMANDS.insertTab.run(editor);
+            }
+        }
+    },
+    outdent: {
+        edits: true,
+        run: (editor) => {
+            if (editor.isInList()) {
+                editor.outdentList();
+            } else {
+                DEFAULT_COMMANDS.insertTab.run(editor);
+            }
+        }
+    },
+    deleteBackward: deleteCommand('backspacePressed'),
+    deleteForward: deleteCommand('deleteForward'),
+    deleteWordBackward: deleteCommand('deleteWordLeft'),
+    deleteWordForward: deleteCommand('deleteWordRight'),
+    deleteToLineStart: deleteCommand('deleteToLineStart'),
+
+    // Selection and caret movement
+    collapseSelection: {
+        edits: false,
+        run: (editor) => {
+            if (editor.selectedImage) {
+                editor.clearImageSelection();
+            } else if (editor.chain.hasSelection()) {
+                editor.chain.clearSelection();
+                editor.render();
+            }
+        }
+    },
+    moveLeft: move('leftArrowPressed'),
+    moveRight: move('rightArrowPressed'),
+    moveWordLeft: move('wordLeftPressed'),
+    moveWordRight: move('wordRightPressed'),
+    moveUp: moveVertically('upArrowPressed'),
+    moveDown: moveVertically('downArrowPressed'),
+    moveLineStart: move('homePressed'),
+    moveLineEnd: move('endPressed'),
+    moveDocumentStart: move('documentStartPressed'),
+    moveDocumentEnd: move('documentEndPressed'),
+    selectLeft: move('shiftLeftArrowPressed'),
+    selectRight: move('shiftRightArrowPressed'),
+    selectWordLeft: move('shiftWordLeftPressed'),
+    selectWordRight: move('shiftWordRightPressed'),
+    selectUp: move('shiftUpArrowPressed'),
+    selectDown: move('shiftDownArrowPressed'),
+    selectLineStart: move('shiftHomePressed'),
+    selectLineEnd: move('shiftEndPressed'),
+    selectDocumentStart: move('shiftDocumentStartPressed'),
+    selectDocumentEnd: move('shiftDocumentEndPressed'),
+    pageUp: page(-1, false),
+    pageDown: page(1, false),
+    selectPageUp: page(-1, true),
+    selectPageDown: page(1, true)
+};
@@ -0,0 +1,131 @@
+/**
+ * Graphemes - Extended grapheme cluster boundaries (UAX #29), the units a
+ * reader sees as one character: a letter with its combining accents, an
+ * emoji with its skin tone or ZWJ-joined parts, a flag's pair of regional
+ * indicators. The caret, selection endpoints and deletions never stop
+ * inside one.
+ *
+ * Boundaries come from Intl.Segmenter where the runtime has it. Otherwise a
+ * fallback applies the rules that matter for editing text: CR LF, combining
+ * marks and other extenders, emoji modifiers and ZWJ sequences, and
+ * regional indicator pairs (Hangul jamo sequences are not joined).
+ */
+
+let segmenter;
+
+function getSegmenter() {
+    if (segmenter === undefined) {
+        segmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+            : null;
+    }
+    return segmenter;
+}
+
+// Text of only Latin-1 and Latin Extended letters (no combining marks or
+// surrogates) has a boundary between every pair of units but CR LF.
+const SIMPLE_TEXT = /^[\u0000-\u02FF]*$/;
+
+const EXTEND = /^(?:\p{M}|\u200D|[\u{1F3FB}-\u{1F3FF}]|[\u{E0020}-\u{E007F}])$/u;
+const PICTOGRAPHIC = /^\p{Extended_Pictographic}$/u;
+const REGIONAL_INDICATOR = /^[\u{1F1E6}-\u{1F1FF}]$/u;
+
+/**
+ * Grapheme cluster boundaries by the fallback rules, for runtimes without
+ * Intl.Segmenter.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function fallbackGraphemeBoundaries(text) {
+    const boundaries = [0];
+    let previous = null;
+    let pictographic = false; // in an emoji, before any ZWJ
+    let afterZwj = false;     // the emoji so far ends with a ZWJ
+    let regionalCount = 0;    // regional indicators in a row
+    for (let i = 0; i < text.length;) {
+        const char = String.fromCodePoint(text.codePointAt(i));
+        let join = false;
+        if (previous === '\r' && char === '\n') {
+            join = true;
+        } else if (previous !== null && previous !== '\r' && previous !== '\n' && EXTEND.test(char)) {
+            join = true;
+        } else if (afterZwj && PICTOGRAPHIC.test(char)) {
+            join = true;
+        } else if (REGIONAL_INDICATOR.test(char) && regionalCount % 2 === 1) {
+            join = true;
+        }
+        if (!join && i > 0) boundaries.push(i);
+
+        if (PICTOGRAPHIC.test(char)) {
+            pictographic = true;
+            afterZwj = false;
+        } else if (char === '\u200D') {
+            afterZwj = pictographic;
+        } else if (!EXTEND.test(char)) {
+            pictographic = false;
+            afterZwj = false;
+        }
+        regionalCount = REGIONAL_INDICATOR.test(char) ? regionalCount + 1 : 0;
+        previous = char;
+        i += char.length;
+    }
+    if (text.length > 0) boundaries.push(text.length);
+    return boundaries;
+}
+
+/**
+ * Every grapheme cluster boundary of text, as UTF-16 offsets in ascending
+ * order from 0 to text.length.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function graphemeBoundaries(text) {
+    if (SIMPLE_TEXT.test(text) && !text.includes('\r\n')) {
+        return Array.from({ length: text.length + 1 }, (_, i) => i);
+    }
+    const native = getSegmenter();
+    if (!native) return fallbackGraphemeBoundaries(text);
+    const boundaries = [];
+    for (const { index } of native.segment(text)) boundaries.push(index);
+    boundaries.push(text.length);
+    return boundaries;
+}
+
+/**
+ * The grapheme cluster boundary at or next to an offset: the offset itself
+ * when it is one, otherwise the boundary before it (direction -1) or after
+ * it (+1).
+ * @param {string} text
+ * @param {number} index
+ * @param {number} [direction]
+ * @returns {number}
+ */
+export function snapToGrapheme(text, index, direction = -1) {
+    if (index <= 0) return 0;
+    if (index >= text.length) return text.length;
+    const boundaries = graphemeBoundaries(text);
+    if (direction > 0) return boundaries.find(b => b >= index);
+    return boundaries.findLast(b => b <= index);
+}
+
+/**
+ * The boundary before an offset (the start of the cluster ending there).
+ * @param {string} text
+ * @param {number} index
+ * @returns {number}
+ */
+export function previousGraphemeBoundary(text, index) {
+    if (index <= 0) return 0;
+    return graphemeBoundaries(text).findLast(b => b < index);
+}
+
+/**
+ * The boundary after an offset (the end of the cluster starting there).
+ * @param {string} text
+ * @param {number} index
+ * @returns {number}
+ */
+export function nextGraphemeBoundary(text, index) {
+    if (index >= text.length) return text.length;
+    return graphemeBoundaries(text).find(b => b > index);
+}
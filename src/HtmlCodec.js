@@ -0,0 +1,1006 @@
+import { FontProperties } from './FontProperties.js';
+import { normalizeSpacing } from './ParagraphSpacing.js';
+import { normalizeDirection } from './Bidi.js';
+import { normalizeTabStops } from './TabStops.js';
+import {
+    NUMBER_FORMATS, levelFormat, parseNumberFormat, normalizeListLevel, normalizeNumbering, numberListItems
+} from './Lists.js';
+
+/**
+ * HtmlCodec - Converts between the editor's document format (the plain object
+ * produced by CanvasEditor.toJSON()) and HTML. Works on plain data only, so it
+ * runs in Node as well as the browser.
+ */
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Values a paragraph's alignment and list type may take.
+const ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+const LIST_TYPES = ['bullet', 'number', 'check'];
+
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+// Split document content into paragraphs. Each paragraph holds its text runs
+// and the entry that ends it: a newline, a rule or image block (which own the
+// line they terminate), or null for the final paragraph.
+export function splitParagraphs(content) {
+    const paragraphs = [];
+    let runs = [];
+    for (const entry of content) {
+        if (entry.type === 'text') {
+            if (entry.text.length > 0) runs.push(entry);
+        } else if (entry.type === 'newline' || entry.type === 'hr' || entry.type === 'image') {
+            paragraphs.push({ runs, end: entry });
+            runs = [];
+        }
+    }
+    paragraphs.push({ runs, end: null });
+    return paragraphs;
+}
+
+// CSS declarations for the parts of a run's font that differ from the
+// document default (colors always, when set). Values that fail the import
+// checks are left out, so a document from an untrusted source cannot add
+// declarations of its own.
+function runStyle(font, defaultFont) {
+    const styles = [];
+    const color = typeof font.color === 'string' ? normalizeColor(font.color) : null;
+    if (color && font.color !== defaultFont.color) {
+        styles.push(`color:${color}`);
+    }
+    const backgroundColor = typeof font.backgroundColor === 'string' ? normalizeColor(font.backgroundColor) : null;
+    if (backgroundColor) {
+        styles.push(`background-color:${backgroundColor}`);
+    }
+    const size = normalizeFontSize(font.size);
+    if (size && size !== defaultFont.size) {
+        styles.push(`font-size:${size}px`);
+    }
+    const family = normalizeFontFamily(font.family);
+    if (family && family !== defaultFont.family) {
+        styles.push(`font-family:${family}`);
+    }
+    return styles.join(';');
+}
+
+function runToHtml(run, defaultFont) {
+    const font = { ...defaultFont, ...run.font };
+    let html = escapeHtml(run.text);
+    if (font.subscript) html = `<sub>${html}</sub>`;
+    if (font.superscript) html = `<sup>${html}</sup>`;
+    if (font.strikethrough) html = `<s>${html}</s>`;
+    if (font.underline) html = `<u>${html}</u>`;
+    if (font.style === 'italic') html = `<em>${html}</em>`;
+    if (font.weight === 'bold') html = `<strong>${html}</strong>`;
+    const style = runStyle(font, defaultFont);
+    if (style) html = `<span style="${escapeHtml(style)}">${html}</span>`;
+    const href = font.link ? sanitizeUrl(font.link, 'link') : null;
+    if (href) html = `<a href="${escapeHtml(href)}">${html}</a>`;
+    return html;
+}
+
+// A paragraph's dir and style attributes. A right-to-left paragraph is
+// right-aligned unless told otherwise, so its left alignment is written out.
+// Unknown alignments are left out.
+function paragraphStyle(align, runs, spacing, direction) {
+    const styles = [];
+    if (ALIGNMENTS.includes(align) && (align !== 'left' || direction === 'rtl')) styles.push(`text-align:${align}`);
+    spacing = normalizeSpacing(spacing) || {};
+    if (spacing.exactLineHeight) styles.push(`line-height:${spacing.exactLineHeight}px`);
+    if (spacing.lineHeight) styles.push(`line-height:${spacing.lineHeight}`);
+    if (spacing.spaceBefore) styles.push(`margin-top:${spacing.spaceBefore}px`);
+    if (spacing.spaceAfter) styles.push(`margin-bottom:${spacing.spaceAfter}px`);
+    // Preserve runs of spaces that HTML would otherwise collapse.
+    const text = runs.map(r => r.text).join('');
+    if (/^ | $|  |\t/.test(text)) styles.push('white-space:pre-wrap');
+    const dir = direction ? ` dir="${escapeHtml(direction)}"` : '';
+    return dir + (styles.length ? ` style="${escapeHtml(styles.join(';'))}"` : '');
+}
+
+function imageToHtml(entry) {
+    const src = sanitizeUrl(entry.src || '', 'image');
+    if (!src) return '';
+    const attrs = [`src="${escapeHtml(src)}"`];
+    const width = parseDimension(entry.width);
+    const height = parseDimension(entry.height);
+    if (width) attrs.push(`width="${width}"`);
+    if (height) attrs.push(`height="${height}"`);
+    attrs.push(`alt="${escapeHtml(entry.alt || '')}"`);
+    const full = entry.full ? sanitizeUrl(entry.full, 'image') : null;
+    if (full) attrs.push(`data-full="${escapeHtml(full)}"`);
+    const align = ['left', 'center', 'right'].includes(entry.align) ? entry.align : 'center';
+    return `<div style="text-align:${align}"><img ${attrs.join(' ')}></div>`;
+}
+
+/**
+ * Writes list items as nested <ul>/<ol> markup. A nested list goes inside
+ * the previous item; a level with no item above it gets an unmarked host
+ * <li>.
+ */
+export class NestedListWriter {
+    constructor() {
+        this.stack = []; // { tag, key, itemOpen } per open list, outermost first
+    }
+
+    /**
+     * @param {string} tag - 'ul' | 'ol'
+     * @param {number} level - Nesting level, 0 for the outermost list
+     * @param {string} attrs - Attribute markup for the <li> (may be empty)
+     * @param {string} inner - Item content
+     * @param {{key?: string, attrs?: string}} [list] - Identifies the list
+     *   the item belongs to (an item with a different key than the open list
+     *   starts a new one; defaults to the tag) and the attribute markup for
+     *   its opening tag
+     * @returns {string}
+     */
+    item(tag, level, attrs, inner, list = {}) {
+        const key = list.key || tag;
+        let html = this.close(level + 1);
+        if (this.stack.length === level + 1 && this.stack[level].key !== key) {
+            html += this.close(level);
+        }
+        while (this.stack.length < level + 1) {
+            const parent = this.stack[this.stack.length - 1];
+            if (parent && !parent.itemOpen) {
+                html += '<li style="list-style-type:none">';
+                parent.itemOpen = true;
+            }
+            const own = this.stack.length === level;
+            html += `<${tag}${own ? list.attrs || '' : ''}>`;
+            this.stack.push({ tag, key: own ? key : tag, itemOpen: false });
+        }
+        const open = this.stack[level];
+        if (open.itemOpen) html += '</li>';
+        open.itemOpen = true;
+        return `${html}<li${attrs}>${inner}`;
+    }
+
+    /**
+     * Close open lists until `depth` remain.
+     * @param {number} [depth]
+     * @returns {string}
+     */
+    close(depth = 0) {
+        let html = '';
+        while (this.stack.length > depth) {
+            const list = this.stack.pop();
+            html += `${list.itemOpen ? '</li>' : ''}</${list.tag}>`;
+        }
+        return html;
+    }
+}
+
+// The key and <ol> attributes of a numbered item's list. A restart, or a
+// format or delimiter change, starts a new <ol>; a list continued after an
+// interruption reopens with its start value. HTML has no ')' delimiter, so
+// it is kept in a data attribute.
+function orderedListOpening(item) {
+    if (item.sequence === null) return {};
+    let attrs = '';
+    if (item.number !== 1) attrs += ` start="${item.number}"`;
+    if (item.format !== 'decimal') attrs += ` type="${NUMBER_FORMATS[item.format]}"`;
+    if (item.delimiter !== '.') attrs += ` data-delimiter="${escapeHtml(item.delimiter)}"`;
+    return { key: `ol|${item.sequence}|${item.format}|${item.delimiter}`, attrs };
+}
+
+/**
+ * Serialize a document object (as produced by toJSON()) to an HTML fragment.
+ * Paragraphs become <p> (or <li> inside <ul>/<ol>, nested by list level,
+ * with <ol start type> for the numbering; check list items lead with a
+ * disabled checkbox), runs use semantic tags plus an
+ * inline-styled <span> for colors and non-default fonts, and rules and
+ * images become <hr> and <img>. Link and image URLs pass the same
+ * allow-list as imports; a link with an unsafe URL is written as plain text
+ * and an image with one is left out.
+ * @param {object} doc - Document data ({ content, alignments, lists, listLevels,
+ *   listNumbering, checked, spacing, directions })
+ * @param {{defaultFont?: object}} [options] - Font the reader is assumed to
+ *   render with; matching sizes/families/colors are omitted from the markup.
+ * @returns {string}
+ */
+export function documentToHtml(doc, options = {}) {
+    const defaultFont = { ...new FontProperties().toObject(), ...(options.defaultFont || {}) };
+    const alignments = doc.alignments || {};
+    const lists = doc.lists || {};
+    const listLevels = doc.listLevels || {};
+    const listNumbering = doc.listNumbering || {};
+    const checked = doc.checked || {};
+    const spacing = doc.spacing || {};
+    const directions = doc.directions || {};
+    const paragraphs = splitParagraphs(doc.content || []);
+    const listItems = numberListItems(paragraphs.length, p => lists[p] ? {
+        type: lists[p],
+        level: normalizeListLevel(listLevels[p]),
+        numbering: normalizeNumbering(listNumbering[p])
+    } : null);
+
+    let html = '';
+    const listWriter = new NestedListWriter();
+    const closeList = () => {
+        html += listWriter.close();
+    };
+
+    paragraphs.forEach((paragraph, index) => {
+        const isLast = index === paragraphs.length - 1;
+        const isBlock = paragraph.end && (paragraph.end.type === 'hr' || paragraph.end.type === 'image');
+        const hasText = paragraph.runs.length > 0;
+        const previousIsBlock = index > 0 && ['hr', 'image'].includes(paragraphs[index - 1].end.type);
+
+        // Empty lines owned by a block, and a trailing empty line after a
+        // block (or in an empty document), carry no content of their own.
+        const skipText = !hasText && (isBlock || (isLast && (index === 0 || previousIsBlock)));
+        if (!skipText) {
+            const list = lists[index];
+            const inner = hasText ? paragraph.runs.map(run => runToHtml(run, defaultFont)).join('') : '<br>';
+            const style = paragraphStyle(alignments[index], paragraph.runs, spacing[index],
+                normalizeDirection(directions[index]));
+            if (list === 'check') {
+                const box = `<input type="checkbox"${checked[index] === true ? ' checked' : ''} disabled>`;
+                html += listWriter.item('ul', normalizeListLevel(listLevels[index]), style, box + inner,
+                    { key: 'ul|check', attrs: ' class="checklist"' });
+            } else if (list) {
+                const tag = list === 'number' ? 'ol' : 'ul';
+                html += listWriter.item(tag, normalizeListLevel(listLevels[index]), style, inner,
+                    orderedListOpening(listItems.get(index)));
+            } else {
+                closeList();
+                html += `<p${style}>${inner}</p>`;
+            }
+        }
+
+        if (isBlock) {
+            closeList();
+            html += paragraph.end.type === 'hr' ? '<hr>' : imageToHtml(paragraph.end);
+        }
+    });
+    closeList();
+    return html;
+}
+
+// --- HTML → document -----------------------------------------------------
+
+// Elements whose content is never imported (scripts, embedded documents,
+// form controls, metadata).
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'head', 'title', 'template', 'iframe', 'object', 'embed',
+    'noscript', 'svg', 'math', 'canvas', 'video', 'audio', 'select', 'textarea',
+    'button', 'applet', 'frame', 'frameset', 'noframes', 'meta', 'link', 'base'
+]);
+
+// Elements that start and end a paragraph.
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'blockquote', 'pre', 'section', 'article', 'header', 'footer', 'aside', 'nav',
+    'main', 'figure', 'figcaption', 'address', 'table', 'thead', 'tbody', 'tfoot', 'tr',
+    'caption', 'center', 'details', 'summary', 'body', 'html'
+]);
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+    'param', 'source', 'track', 'wbr'
+]);
+
+// Inline formatting implied by a tag, applied on top of the inherited font.
+const TAG_FORMATS = {
+    b: { weight: 'bold' },
+    strong: { weight: 'bold' },
+    i: { style: 'italic' },
+    em: { style: 'italic' },
+    cite: { style: 'italic' },
+    dfn: { style: 'italic' },
+    u: { underline: true },
+    ins: { underline: true },
+    s: { strikethrough: true },
+    strike: { strikethrough: true },
+    del: { strikethrough: true },
+    sup: { superscript: true, subscript: false },
+    sub: { subscript: true, superscript: false },
+    h1: { weight: 'bold', size: 32 },
+    h2: { weight: 'bold', size: 24 },
+    h3: { weight: 'bold', size: 19 },
+    h4: { weight: 'bold' },
+    h5: { weight: 'bold', size: 13 },
+    h6: { weight: 'bold', size: 11 },
+    th: { weight: 'bold' },
+    code: { family: 'monospace' },
+    kbd: { family: 'monospace' },
+    samp: { family: 'monospace' },
+    tt: { family: 'monospace' },
+    pre: { family: 'monospace' }
+};
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', shy: '\u00AD',
+    copy: '\u00A9', reg: '\u00AE', trade: '\u2122', hellip: '\u2026', mdash: '\u2014',
+    ndash: '\u2013', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D',
+    bull: '\u2022', middot: '\u00B7', deg: '\u00B0', times: '\u00D7', divide: '\u00F7',
+    euro: '\u20AC', pound: '\u00A3', laquo: '\u00AB', raquo: '\u00BB', ensp: '\u2002',
+    emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200C', zwj: '\u200D'
+};
+
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);?/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.substring(2), 16)
+                : parseInt(name.substring(1), 10);
+            if (!Number.isFinite(code) || code <= 0 || code > 0x10FFFF) return '\uFFFD';
+            return String.fromCodePoint(code);
+        }
+        const decoded = NAMED_ENTITIES[name.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+}
+
+// Split HTML into start-tag, end-tag and text tokens. Comments, doctypes and
+// processing instructions are skipped. Tolerant of unclosed/mismatched tags;
+// it never throws on malformed input.
+export function tokenizeHtml(html) {
+    const tokens = [];
+    const length = html.length;
+    let i = 0;
+    while (i < length) {
+        const lt = html.indexOf('<', i);
+        if (lt === -1) {
+            tokens.push({ type: 'text', text: decodeEntities(html.substring(i)) });
+            break;
+        }
+        if (lt > i) {
+            tokens.push({ type: 'text', text: decodeEntities(html.substring(i, lt)) });
+        }
+
+        if (html.startsWith('<!--', lt)) {
+            const close = html.indexOf('-->', lt + 4);
+            i = close === -1 ? length : close + 3;
+            continue;
+        }
+        if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+            const close = html.indexOf('>', lt);
+            i = close === -1 ? length : close + 1;
+            continue;
+        }
+
+        const match = /^<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)/.exec(html.substring(lt, lt + 64));
+        if (!match) {
+            // A stray '<' is literal text.
+            tokens.push({ type: 'text', text: '<' });
+            i = lt + 1;
+            continue;
+        }
+
+        const isEnd = match[1] === '/';
+        const tag = match[2].toLowerCase();
+        let j = lt + match[0].length;
+        const attrs = {};
+        // Attributes: name, name=value, name="value", name='value'.
+        const attrPattern = /\s*([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?|\s*\/|\s+/y;
+        while (j < length && html[j] !== '>') {
+            attrPattern.lastIndex = j;
+            const attr = attrPattern.exec(html);
+            if (!attr || attr[0].length === 0) {
+                j++;
+                continue;
+            }
+            if (attr[1]) {
+                const name = attr[1].toLowerCase();
+                const value = attr[2] ?? attr[3] ?? attr[4] ?? '';
+                if (!(name in attrs)) attrs[name] = decodeEntities(value);
+            }
+            j = attrPattern.lastIndex;
+        }
+        i = j + 1;
+        tokens.push(isEnd ? { type: 'end', tag } : { type: 'start', tag, attrs });
+    }
+    return tokens;
+}
+
+// Parse an inline style attribute into a { property: value } map.
+export function parseStyle(style) {
+    const out = {};
+    if (!style) return out;
+    for (const declaration of style.split(';')) {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) continue;
+        const name = declaration.substring(0, colon).trim().toLowerCase();
+        const value = declaration.substring(colon + 1).replace(/!important/i, '').trim();
+        if (name && value) out[name] = value;
+    }
+    return out;
+}
+
+function toHex(n) {
+    return Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+}
+
+// Normalize a CSS color to the #rrggbb form the editor uses, or null for
+// transparent/unparseable values.
+export function normalizeColor(value) {
+    if (!value) return null;
+    const v = value.trim().toLowerCase();
+    if (v === 'transparent' || v === 'inherit' || v === 'initial' || v === 'currentcolor') return null;
+    const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/.exec(v);
+    if (rgb) {
+        if (rgb[4] !== undefined) {
+            const alpha = rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+            if (alpha === 0) return null;
+        }
+        return `#${toHex(+rgb[1])}${toHex(+rgb[2])}${toHex(+rgb[3])}`;
+    }
+    const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(v);
+    if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+    if (/^#[0-9a-f]{6}$/.test(v)) return v;
+    if (/^[a-z]+$/.test(v)) return v;
+    return null;
+}
+
+// Font size in px from a CSS length, relative to the inherited size.
+function parseFontSize(value, inherited) {
+    const v = value.trim().toLowerCase();
+    const num = parseFloat(v);
+    if (!Number.isFinite(num) || num <= 0) return inherited;
+    if (v.endsWith('px')) return Math.round(num);
+    if (v.endsWith('pt')) return Math.round(num * 4 / 3);
+    if (v.endsWith('em') || v.endsWith('rem')) return Math.round(num * inherited);
+    if (v.endsWith('%')) return Math.round(num * inherited / 100);
+    if (/^[\d.]+$/.test(v)) return Math.round(num);
+    return inherited;
+}
+
+// A font size in px when it is a positive number, else null.
+function normalizeFontSize(size) {
+    return typeof size === 'number' && Number.isFinite(size) && size > 0 ? size : null;
+}
+
+// A font family name made only of letters, digits, spaces, hyphens and
+// underscores (quotes stripped), else null.
+function normalizeFontFamily(family) {
+    if (typeof family !== 'string') return null;
+    const name = family.trim().replace(/^["']|["']$/g, '').trim();
+    return /^[\p{L}\p{N} _-]+$/u.test(name) ? name : null;
+}
+
+// A CSS length in px (px, pt, in or a bare 0); null for other units.
+function parseLength(value) {
+    const v = String(value).trim().toLowerCase();
+    const num = parseFloat(v);
+    if (!Number.isFinite(num)) return null;
+    if (v.endsWith('px')) return num;
+    if (v.endsWith('pt')) return Math.round(num * 4 / 3 * 100) / 100;
+    if (v.endsWith('in')) return num * 96;
+    if (num === 0 && /^[\d.]+$/.test(v)) return 0;
+    return null;
+}
+
+// Paragraph spacing from a block's CSS: line-height (unitless, % and em are
+// multiples; px and pt are exact), inherited from the enclosing block when
+// not set, and margin-top/-bottom (or the margin shorthand).
+function parseSpacing(style, inherited) {
+    const spacing = {};
+    const lineHeight = (style['line-height'] || '').trim().toLowerCase();
+    const num = parseFloat(lineHeight);
+    if (/^[\d.]+(em)?$/.test(lineHeight)) {
+        spacing.lineHeight = num;
+    } else if (lineHeight.endsWith('%')) {
+        spacing.lineHeight = Math.round(num) / 100;
+    } else if (parseLength(lineHeight) !== null) {
+        spacing.exactLineHeight = parseLength(lineHeight);
+    } else if (inherited) {
+        spacing.lineHeight = inherited.lineHeight;
+        spacing.exactLineHeight = inherited.exactLineHeight;
+    }
+
+    const margins = (style.margin || '').trim().split(/\s+/);
+    let top = margins[0];
+    let bottom = margins.length >= 3 ? margins[2] : margins[0];
+    if (style['margin-top'] !== undefined) top = style['margin-top'];
+    if (style['margin-bottom'] !== undefined) bottom = style['margin-bottom'];
+    if (top) spacing.spaceBefore = parseLength(top);
+    if (bottom) spacing.spaceAfter = parseLength(bottom);
+    return normalizeSpacing(spacing);
+}
+
+const LINK_PROTOCOLS = /^(https?|mailto|tel):/i;
+const IMAGE_PROTOCOLS = /^(https?:|data:image\/(png|gif|jpe?g|webp|bmp|avif|svg\+xml)[;,])/i;
+
+// Allow-list URL check. Relative URLs pass; anything with a scheme must use
+// an allowed protocol. Like the browser's URL parser, tabs and newlines are
+// removed anywhere and control characters and spaces at the ends, so
+// 'java\tscript:' is read as 'javascript:'. Returns the cleaned URL or null.
+export function sanitizeUrl(url, kind = 'link') {
+    if (typeof url !== 'string') return null;
+    const cleaned = url.replace(/[\t\n\r]+/g, '').replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '');
+    if (!cleaned) return null;
+    // Look for a scheme with any other control or whitespace characters
+    // left out too.
+    const compact = cleaned.replace(/[\u0000-\u001F\u007F\s]+/g, '');
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(compact);
+    if (!hasScheme) return cleaned;
+    const allowed = kind === 'image' ? IMAGE_PROTOCOLS : LINK_PROTOCOLS;
+    return allowed.test(compact) ? cleaned : null;
+}
+
+// Apply an element's tag semantics and inline style to the inherited font.
+function applyElementFont(font, tag, attrs) {
+    const next = { ...font, ...(TAG_FORMATS[tag] || {}) };
+    if (tag === 'a') {
+        next.link = sanitizeUrl(attrs.href || '', 'link');
+    }
+    if (tag === 'font') {
+        if (attrs.color) next.color = normalizeColor(attrs.color) || next.color;
+        if (attrs.face) next.family = normalizeFontFamily(attrs.face.split(',')[0]) || next.family;
+    }
+
+    const style = parseStyle(attrs.style);
+    if (style['font-weight']) {
+        const w = style['font-weight'].toLowerCase();
+        const n = parseInt(w, 10);
+        next.weight = (w === 'bold' || w === 'bolder' || n >= 600) ? 'bold' : 'normal';
+    }
+    if (style['font-style']) {
+        next.style = /italic|oblique/i.test(style['font-style']) ? 'italic' : 'normal';
+    }
+    const decoration = style['text-decoration-line'] || style['text-decoration'];
+    if (decoration) {
+        if (/none/i.test(decoration)) {
+            next.underline = false;
+            next.strikethrough = false;
+        }
+        if (/underline/i.test(decoration)) next.underline = true;
+        if (/line-through/i.test(decoration)) next.strikethrough = true;
+    }
+    if (style['vertical-align']) {
+        const va = style['vertical-align'].toLowerCase();
+        if (va === 'super') {
+            next.superscript = true;
+            next.subscript = false;
+        } else if (va === 'sub') {
+            next.subscript = true;
+            next.superscript = false;
+        } else if (va === 'baseline') {
+            next.superscript = false;
+            next.subscript = false;
+        }
+    }
+    if (style.color) {
+        next.color = normalizeColor(style.color) || next.color;
+    }
+    const background = style['background-color'] || style.background;
+    if (background !== undefined && tag !== 'p' && tag !== 'div' && tag !== 'body' && tag !== 'li') {
+        next.backgroundColor = normalizeColor(background.split(/\s+/)[0]);
+    }
+    if (style['font-size']) {
+        next.size = parseFontSize(style['font-size'], next.size);
+    }
+    if (style['font-family']) {
+        const family = normalizeFontFamily(style['font-family'].split(',')[0]);
+        if (family) next.family = family;
+    }
+    return next;
+}
+
+function parseDimension(value) {
+    if (value === undefined || value === null) return 0;
+    const n = parseFloat(String(value));
+    return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+// Sanitize an image entry's URLs and pass its source through the caller's
+// rewrite hook. Returns null when the image should be dropped.
+function importImage(entry, options) {
+    let src = sanitizeUrl(entry.src || '', 'image');
+    const full = entry.full ? sanitizeUrl(entry.full, 'image') : null;
+    const width = parseDimension(entry.width);
+    const height = parseDimension(entry.height);
+    const alt = typeof entry.alt === 'string' ? entry.alt : '';
+    if (src && options.transformImageUrl) {
+        src = options.transformImageUrl(src, { alt, width, height, full });
+    }
+    if (!src) return null;
+    const align = ['left', 'center', 'right'].includes(entry.align) ? entry.align : 'center';
+    return { type: 'image', src, full, width, height, alt, align };
+}
+
+// The font fields of an untrusted text entry that pass the same checks as
+// imported HTML; anything else is left out (and so falls back to the
+// default).
+function sanitizeFont(font) {
+    if (!font || typeof font !== 'object') return { link: null };
+    const clean = {};
+    const size = normalizeFontSize(font.size);
+    if (size) clean.size = size;
+    const family = normalizeFontFamily(font.family);
+    if (family) clean.family = family;
+    if (font.weight === 'normal' || font.weight === 'bold') clean.weight = font.weight;
+    if (font.style === 'normal' || font.style === 'italic') clean.style = font.style;
+    for (const flag of ['underline', 'strikethrough', 'superscript', 'subscript']) {
+        if (typeof font[flag] === 'boolean') clean[flag] = font[flag];
+    }
+    const color = typeof font.color === 'string' ? normalizeColor(font.color) : null;
+    if (color) clean.color = color;
+    if (font.backgroundColor !== undefined) {
+        clean.backgroundColor = typeof font.backgroundColor === 'string'
+            ? normalizeColor(font.backgroundColor)
+            : null;
+    }
+    clean.link = font.link ? sanitizeUrl(font.link, 'link') : null;
+    return clean;
+}
+
+/**
+ * Sanitize a document object from an untrusted source (such as another
+ * editor's clipboard JSON) with the same rules htmlToDocument() applies:
+ * unknown entries are dropped, link and image URLs must use allowed
+ * protocols, image sources pass through options.transformImageUrl, fonts
+ * keep only valid sizes, families, colors and styles, and paragraph
+ * attributes only known values.
+ * @param {object} doc - Document data ({ content, alignments, lists, listLevels,
+ *   listNumbering, checked, spacing, directions, tabStops })
+ * @param {object} [options] - { transformImageUrl }
+ * @returns {{version: number, content: Array, alignments: object, lists: object, listLevels: object,
+ *   listNumbering: object, checked: object, spacing: object, directions: object, tabStops: object}}
+ */
+export function sanitizeDocument(doc, options = {}) {
+    const content = [];
+    const alignments = {};
+    const lists = {};
+    const listLevels = {};
+    const listNumbering = {};
+    const checked = {};
+    const spacing = {};
+    const directions = {};
+    const tabStops = {};
+    let paragraph = 0;
+    const source = doc && Array.isArray(doc.content) ? doc.content : [];
+    // Paragraph indices of the source document map to the output's, which
+    // can shift when dropped images take their line with them.
+    const paragraphMap = new Map([[0, 0]]);
+    let sourceParagraph = 0;
+
+    for (const entry of source) {
+        if (!entry || typeof entry !== 'object') continue;
+        if (entry.type === 'text' && typeof entry.text === 'string') {
+            content.push({ type: 'text', text: entry.text, font: sanitizeFont(entry.font) });
+            continue;
+        }
+        let block = null;
+        if (entry.type === 'newline' || entry.type === 'hr') {
+            block = { type: entry.type };
+        } else if (entry.type === 'image') {
+            block = importImage(entry, options);
+        } else {
+            continue;
+        }
+        sourceParagraph++;
+        if (block) {
+            content.push(block);
+            paragraph++;
+        }
+        paragraphMap.set(sourceParagraph, paragraph);
+    }
+
+    const copyAttributes = (from, to, allowed) => {
+        for (const key of Object.keys(from || {})) {
+            const value = from[key];
+            const target = paragraphMap.get(Number(key));
+            if (allowed.includes(value) && target !== undefined) to[target] = value;
+        }
+    };
+    copyAttributes(doc && doc.alignments, alignments, ALIGNMENTS);
+    copyAttributes(doc && doc.lists, lists, LIST_TYPES);
+    for (const key of Object.keys((doc && doc.spacing) || {})) {
+        const value = normalizeSpacing(doc.spacing[key]);
+        const target = paragraphMap.get(Number(key));
+        if (value && target !== undefined) spacing[target] = value;
+    }
+    for (const key of Object.keys((doc && doc.directions) || {})) {
+        const direction = normalizeDirection(doc.directions[key]);
+        const target = paragraphMap.get(Number(key));
+        if (direction && target !== undefined) directions[target] = direction;
+    }
+    for (const key of Object.keys((doc && doc.tabStops) || {})) {
+        const stops = normalizeTabStops(doc.tabStops[key]);
+        const target = paragraphMap.get(Number(key));
+        if (stops && target !== undefined) tabStops[target] = stops;
+    }
+    for (const key of Object.keys((doc && doc.listLevels) || {})) {
+        const level = normalizeListLevel(doc.listLevels[key]);
+        const target = paragraphMap.get(Number(key));
+        if (level > 0 && target !== undefined && lists[target]) listLevels[target] = level;
+    }
+    for (const key of Object.keys((doc && doc.listNumbering) || {})) {
+        const numbering = normalizeNumbering(doc.listNumbering[key]);
+        const target = paragraphMap.get(Number(key));
+        if (numbering && target !== undefined && lists[target]) listNumbering[target] = numbering;
+    }
+    for (const key of Object.keys((doc && doc.checked) || {})) {
+        const target = paragraphMap.get(Number(key));
+        if (doc.checked[key] === true && target !== undefined && lists[target] === 'check') checked[target] = true;
+    }
+    return { version: 1, content, alignments, lists, listLevels, listNumbering, checked, spacing, directions, tabStops };
+}
+
+// Numbering options for the first paragraph of an imported <li>: the <ol>'s
+// start and style go on its first item (a format that is the level's
+// default is left implicit), and an <li value> restarts at that value.
+function itemNumbering(list, item, level) {
+    const numbering = {};
+    const first = list && list.items === 0;
+    if (list) list.items++;
+    if (Number.isInteger(item.value)) {
+        numbering.start = item.value;
+    } else if (first && Number.isInteger(list.start)) {
+        numbering.start = list.start;
+    }
+    item.value = null;
+    if (first && list.format && list.format !== levelFormat(level)) numbering.format = list.format;
+    if (first && list.delimiter) numbering.delimiter = list.delimiter;
+    return normalizeNumbering(numbering);
+}
+
+/**
+ * Parse an HTML fragment into a document object (the toJSON() shape).
+ * Only an allow-list of structure is imported: paragraphs and headings,
+ * bulleted/numbered lists (a list item starting with a checkbox becomes a
+ * check list item), inline formatting (tags and inline styles), links
+ * with safe protocols, horizontal rules, and images with safe sources.
+ * Everything else is unwrapped to its text, and scripts, styles, embedded
+ * content and form controls are dropped entirely.
+ * @param {string} html
+ * @param {object} [options]
+ * @param {object} [options.baseFont] - Font (FontProperties or plain object)
+ *   for text without explicit styling; defaults to FontProperties defaults.
+ * @param {function(string, object): (string|null)} [options.transformImageUrl] -
+ *   Rewrites each image source (e.g. to re-upload it); return null to drop
+ *   the image. Receives the sanitized src and { alt, width, height, full }.
+ * @returns {{version: number, content: Array, alignments: object, lists: object, listLevels: object,
+ *   listNumbering: object, checked: object, spacing: object, directions: object}}
+ */
+export function htmlToDocument(html, options = {}) {
+    const base = options.baseFont
+        ? (typeof options.baseFont.toObject === 'function' ? options.baseFont.toObject() : { ...options.baseFont })
+        : new FontProperties().toObject();
+    base.link = null;
+
+    const content = [];
+    const alignments = {};
+    const lists = {};
+    const listLevels = {};
+    const listNumbering = {};
+    const checked = {};
+    const spacing = {};
+    const directions = {};
+
+    // Element stack: font and block context for each open element.
+    const stack = [{
+        tag: '#root', font: base, align: null, direction: null, list: null, listDepth: -1, listLevel: 0, numbering: null,
+        listItem: null, spacing: null, pre: false
+    }];
+    let dropDepth = 0;
+    let paragraphIndex = 0;
+    let paragraphStarted = false;
+    let paragraphHasText = false;
+    let pendingSpace = false;
+
+    const top = () => stack[stack.length - 1];
+
+    // Record the paragraph's attributes from the current block context the
+    // first time it receives content.
+    const startParagraph = () => {
+        if (paragraphStarted) return;
+        paragraphStarted = true;
+        const ctx = top();
+        if (ctx.list) lists[paragraphIndex] = ctx.list;
+        if (ctx.list && ctx.listItem && ctx.listItem.checkbox !== null) {
+            lists[paragraphIndex] = 'check';
+            if (ctx.listItem.checkbox) checked[paragraphIndex] = true;
+        }
+        if (ctx.list && ctx.listLevel > 0) listLevels[paragraphIndex] = ctx.listLevel;
+        if (lists[paragraphIndex] === 'number' && ctx.listItem) {
+            const numbering = itemNumbering(ctx.numbering, ctx.listItem, ctx.listLevel);
+            if (numbering) listNumbering[paragraphIndex] = numbering;
+        }
+        if (ctx.align && (ctx.align !== 'left' || ctx.direction === 'rtl')) alignments[paragraphIndex] = ctx.align;
+        if (ctx.direction) directions[paragraphIndex] = ctx.direction;
+        if (ctx.spacing) spacing[paragraphIndex] = { ...ctx.spacing };
+    };
+
+    const endParagraph = (entry) => {
+        content.push(entry);
+        paragraphIndex++;
+        paragraphStarted = false;
+        paragraphHasText = false;
+        pendingSpace = false;
+    };
+
+    // Block boundary: close the current paragraph if it holds anything.
+    const breakParagraph = () => {
+        if (paragraphHasText) {
+            endParagraph({ type: 'newline' });
+        } else {
+            pendingSpace = false;
+        }
+    };
+
+    const pushText = (text, font) => {
+        if (!text) return;
+        startParagraph();
+        const last = content[content.length - 1];
+        if (last && last.type === 'text' && JSON.stringify(last.font) === JSON.stringify(font)) {
+            last.text += text;
+        } else {
+            content.push({ type: 'text', text, font: { ...font } });
+        }
+        paragraphHasText = true;
+    };
+
+    const addText = (raw) => {
+        const ctx = top();
+        if (ctx.pre) {
+            const lines = raw.replace(/\r\n?/g, '\n').split('\n');
+            lines.forEach((line, idx) => {
+                if (idx > 0) {
+                    startParagraph();
+                    endParagraph({ type: 'newline' });
+                }
+                pushText(line, ctx.font);
+            });
+            return;
+        }
+        // Collapse whitespace: a run becomes one space (in the font where the
+        // whitespace appeared), emitted lazily so spaces at paragraph starts
+        // and ends disappear.
+        const parts = raw.split(/[ \t\n\r\f]+/);
+        parts.forEach((part, idx) => {
+            if (idx > 0 && paragraphHasText && !pendingSpace) pendingSpace = ctx.font;
+            if (part) {
+                if (pendingSpace) pushText(' ', pendingSpace);
+                pendingSpace = false;
+                pushText(part, ctx.font);
+            }
+        });
+    };
+
+    // Rules and images own their line; the alignment of an enclosing block
+    // applies to the image itself, not to the paragraph attributes.
+    const addBlockEntry = (entry) => {
+        breakParagraph();
+        endParagraph(entry);
+    };
+
+    for (const token of tokenizeHtml(html || '')) {
+        if (dropDepth > 0) {
+            // Inside a dropped element: only track its nesting.
+            if (token.type === 'start' && DROPPED_TAGS.has(token.tag) && !VOID_TAGS.has(token.tag)) dropDepth++;
+            if (token.type === 'end' && DROPPED_TAGS.has(token.tag)) dropDepth--;
+            continue;
+        }
+
+        if (token.type === 'text') {
+            addText(token.text);
+            continue;
+        }
+
+        const tag = token.tag;
+        if (token.type === 'start') {
+            if (tag === 'input') {
+                // A checkbox leading a list item makes it a check list item.
+                const item = top().listItem;
+                if (item && !paragraphStarted && (token.attrs.type || '').toLowerCase() === 'checkbox') {
+                    item.checkbox = token.attrs.checked !== undefined;
+                }
+                continue;
+            }
+            if (DROPPED_TAGS.has(tag)) {
+                if (!VOID_TAGS.has(tag)) dropDepth = 1;
+                continue;
+            }
+            if (tag === 'br') {
+                startParagraph();
+                endParagraph({ type: 'newline' });
+                continue;
+            }
+            if (tag === 'hr') {
+                addBlockEntry({ type: 'hr' });
+                continue;
+            }
+            if (tag === 'img') {
+                const attrs = token.attrs;
+                const style = parseStyle(attrs.style);
+                const align = top().align;
+                const image = importImage({
+                    type: 'image',
+                    src: attrs.src,
+                    full: attrs['data-full'] || null,
+                    width: parseDimension(attrs.width) || parseDimension(style.width),
+                    height: parseDimension(attrs.height) || parseDimension(style.height),
+                    alt: attrs.alt || '',
+                    align: align === 'left' || align === 'right' ? align : 'center'
+                }, options);
+                if (image) addBlockEntry(image);
+                continue;
+            }
+            if (VOID_TAGS.has(tag)) continue;
+
+            const parent = top();
+            const ctx = {
+                tag,
+                font: applyElementFont(parent.font, tag, token.attrs),
+                align: parent.align,
+                direction: parent.direction,
+                list: parent.list,
+                listType: parent.listType,
+                listDepth: parent.listDepth,
+                listLevel: parent.listLevel,
+                numbering: parent.numbering,
+                listItem: parent.listItem,
+                spacing: parent.spacing,
+                pre: parent.pre || tag === 'pre'
+            };
+            const style = parseStyle(token.attrs.style);
+            if (style['white-space']) {
+                ctx.pre = /^pre/.test(style['white-space']) && style['white-space'] !== 'pre-line';
+            }
+            if (BLOCK_TAGS.has(tag)) {
+                // dir="auto" (or an unknown value) goes back to following
+                // the text.
+                const dir = (style.direction || token.attrs.dir || '').toLowerCase();
+                if (dir) ctx.direction = normalizeDirection(dir);
+                const rtl = ctx.direction === 'rtl';
+                const align = (style['text-align'] || token.attrs.align || '').toLowerCase();
+                if (ALIGNMENTS.includes(align)) {
+                    ctx.align = align;
+                } else if (align === 'start') {
+                    ctx.align = rtl ? 'right' : 'left';
+                } else if (align === 'end') {
+                    ctx.align = rtl ? 'left' : 'right';
+                } else if (tag === 'center') {
+                    ctx.align = 'center';
+                }
+                if (tag === 'ul' || tag === 'ol') {
+                    const listStyle = (style['list-style-type'] || '').toLowerCase();
+                    const numbered = tag === 'ol' || /decimal|alpha|roman|latin/.test(listStyle);
+                    ctx.listType = numbered ? 'number' : 'bullet';
+                    ctx.listDepth = parent.listDepth + 1;
+                    ctx.numbering = numbered ? {
+                        start: parseInt(token.attrs.start, 10),
+                        format: parseNumberFormat(token.attrs.type) || parseNumberFormat(listStyle),
+                        delimiter: token.attrs['data-delimiter'],
+                        items: 0
+                    } : null;
+                }
+                if (tag === 'li') {
+                    ctx.list = ctx.listType || 'bullet';
+                    ctx.listLevel = normalizeListLevel(ctx.listDepth);
+                    ctx.listItem = { value: parseInt(token.attrs.value, 10), checkbox: null };
+                }
+                ctx.spacing = parseSpacing(style, parent.spacing);
+                breakParagraph();
+            }
+            stack.push(ctx);
+            continue;
+        }
+
+        // End tag: pop back to the matching open element, if any.
+        if (DROPPED_TAGS.has(tag) || VOID_TAGS.has(tag)) continue;
+        let idx = stack.length - 1;
+        while (idx > 0 && stack[idx].tag !== tag) idx--;
+        if (idx === 0) continue;
+        stack.length = idx;
+        if (BLOCK_TAGS.has(tag)) breakParagraph();
+    }
+
+    // A closing block or <br> at the very end leaves no empty paragraph behind.
+    if (!paragraphStarted && content.length > 0 && content[content.length - 1].type === 'newline') {
+        content.pop();
+    }
+
+    return { version: 1, content, alignments, lists, listLevels, listNumbering, checked, spacing, directions };
+}
@@ -0,0 +1,93 @@
+/**
+ * Hyphenator - Hyphenation points of words by Liang's algorithm, the one TeX
+ * uses, from a language's pattern set.
+ *
+ * A pattern is a letter sequence with digits between the letters, e.g.
+ * 'hy3ph' or '.re1' ('.' marks a word edge). Every pattern found in a word
+ * votes on the gaps it covers; where the highest digit is odd the word may
+ * be hyphenated. Pattern sets for many languages are published with TeX's
+ * hyph-utf8 package and can be passed in as they are (a whitespace separated
+ * string) or as an array.
+ *
+ * Exceptions list words hyphenated by hand, e.g. 'ta-ble', and override the
+ * patterns. leftMin and rightMin are the fewest letters kept before the first
+ * and after the last hyphen.
+ */
+
+const DIGIT = /\d/;
+
+export class Hyphenator {
+    /**
+     * @param {string|string[]} patterns
+     * @param {{ exceptions?: string|string[], leftMin?: number, rightMin?: number }} [options]
+     */
+    constructor(patterns, { exceptions = [], leftMin = 2, rightMin = 3 } = {}) {
+        this.leftMin = leftMin;
+        this.rightMin = rightMin;
+        this.patterns = new Map();
+        this.maxPatternLength = 0;
+        for (const pattern of splitList(patterns)) {
+            const letters = pattern.replace(/\d/g, '');
+            const values = new Array(letters.length + 1).fill(0);
+            let idx = 0;
+            for (const char of pattern) {
+                if (DIGIT.test(char)) {
+                    values[idx] = Number(char);
+                } else {
+                    idx++;
+                }
+            }
+            this.patterns.set(letters, values);
+            this.maxPatternLength = Math.max(this.maxPatternLength, letters.length);
+        }
+        this.exceptions = new Map();
+        for (const exception of splitList(exceptions)) {
+            const word = exception.replace(/-/g, '');
+            const points = [];
+            let offset = 0;
+            for (const part of exception.split('-').slice(0, -1)) {
+                offset += part.length;
+                points.push(offset);
+            }
+            this.exceptions.set(word.toLowerCase(), points);
+        }
+    }
+
+    /**
+     * The offsets in word (UTF-16) before which it may be hyphenated, in
+     * ascending order.
+     * @param {string} word
+     * @returns {number[]}
+     */
+    hyphenate(word) {
+        const lower = word.toLowerCase();
+        if (lower.length !== word.length) return [];
+        if (this.exceptions.has(lower)) return this.exceptions.get(lower);
+        if (word.length < this.leftMin + this.rightMin) return [];
+
+        const padded = `.${lower}.`;
+        // points[k] scores the gap before padded[k].
+        const points = new Array(padded.length + 1).fill(0);
+        for (let start = 0; start < padded.length; start++) {
+            const maxEnd = Math.min(padded.length, start + this.maxPatternLength);
+            for (let end = start + 1; end <= maxEnd; end++) {
+                const values = this.patterns.get(padded.substring(start, end));
+                if (!values) continue;
+                for (let k = 0; k < values.length; k++) {
+                    points[start + k] = Math.max(points[start + k], values[k]);
+                }
+            }
+        }
+        const offsets = [];
+        for (let k = this.leftMin; k <= word.length - this.rightMin; k++) {
+            // The gap before word[k] is before padded[k + 1].
+            if (points[k + 1] % 2 === 1) offsets.push(k);
+        }
+        return offsets;
+    }
+}
+
+function splitList(list) {
+    const entries = typeof list === 'string' ? list.split(/\s+/) : list;
+    return entries.filter(entry => entry.length > 0);
+}
@@ -0,0 +1,212 @@
+/**
+ * Keymap - Key chord parsing and the default key bindings.
+ *
+ * A chord is a string of modifiers and a key joined by '-', e.g. 'Mod-b',
+ * 'Mod-Shift-7', 'Shift-ArrowLeft' or 'Enter'. 'Mod' is Cmd on Apple platforms
+ * and Ctrl elsewhere. Keys are KeyboardEvent.key values; single characters
+ * are matched case-insensitively.
+ */
+
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const MODIFIER_ALIASES = {
+    ctrl: 'Ctrl',
+    control: 'Ctrl',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+    meta: 'Meta',
+    cmd: 'Meta',
+    command: 'Meta'
+};
+
+export function isMacPlatform() {
+    if (typeof navigator === 'undefined' || !navigator) return false;
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+}
+
+function normalizeKey(key) {
+    if (key === 'Space' || key === 'Spacebar') return ' ';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function formatChord(modifiers, key) {
+    return [...MODIFIER_ORDER.filter(m => modifiers.has(m)), key].join('-');
+}
+
+/**
+ * Normalize a chord string to canonical form (modifiers in a fixed order,
+ * 'Mod' resolved for the platform), so equivalent spellings compare equal.
+ * @param {string} chord
+ * @param {boolean} [mac] - Resolve 'Mod' as on Apple platforms
+ * @returns {string}
+ */
+export function normalizeChord(chord, mac = isMacPlatform()) {
+    // A trailing '-' is the minus key itself ('Mod--').
+    const parts = chord.endsWith('--')
+        ? [...chord.slice(0, -2).split('-'), '-']
+        : chord.split('-');
+    const key = parts.pop();
+    const modifiers = new Set();
+    for (const part of parts) {
+        if (part.toLowerCase() === 'mod') {
+            modifiers.add(mac ? 'Meta' : 'Ctrl');
+        } else {
+            const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+            if (!modifier) throw new Error(`Unknown modifier '${part}' in key chord '${chord}'`);
+            modifiers.add(modifier);
+        }
+    }
+    return formatChord(modifiers, normalizeKey(key));
+}
+
+/**
+ * The canonical chord for a keydown event. With Shift, digits are taken from
+ * the physical key (so Mod-Shift-7 works whatever symbol the layout puts on
+ * Shift+7); with Ctrl/Meta, letters fall back to the physical key on
+ * non-Latin layouts.
+ * @param {KeyboardEvent} e
+ * @returns {string}
+ */
+export function chordFromEvent(e) {
+    const modifiers = new Set();
+    if (e.ctrlKey) modifiers.add('Ctrl');
+    if (e.altKey) modifiers.add('Alt');
+    if (e.shiftKey) modifiers.add('Shift');
+    if (e.metaKey) modifiers.add('Meta');
+
+    let key = e.key;
+    const code = e.code || '';
+    const digit = /^Digit(\d)$/.exec(code);
+    const letter = /^Key([A-Z])$/.exec(code);
+    if (e.shiftKey && digit) {
+        key = digit[1];
+    } else if ((e.ctrlKey || e.metaKey) && letter && !/^[a-z]$/i.test(key)) {
+        key = letter[1];
+    }
+    return formatChord(modifiers, normalizeKey(key));
+}
+
+/**
+ * Default bindings from chord to command name (see Commands.js).
+ */
+export const DEFAULT_KEYMAP = {
+    // History
+    'Mod-z': 'undo',
+    'Mod-y': 'redo',
+    'Mod-Shift-z': 'redo',
+
+    // Clipboard
+    'Mod-a': 'selectAll',
+    'Mod-c': 'copy',
+    'Mod-x': 'cut',
+    'Mod-v': 'paste',
+
+    // Formatting
+    'Mod-b': 'toggleBold',
+    'Mod-i': 'toggleItalic',
+    'Mod-u': 'toggleUnderline',
+    'Mod-Shift-x': 'toggleStrikethrough',
+    'Mod-.': 'toggleSuperscript',
+    'Mod-,': 'toggleSubscript',
+    'Mod-\\': 'clearFormatting',
+    'Mod-k': 'openLinkPopup',
+
+    // Paragraphs
+    'Mod-Shift-7': 'toggleNumberedList',
+    'Mod-Shift-8': 'toggleBulletList',
+    'Mod-Shift-9': 'toggleCheckList',
+    'Mod-Enter': 'toggleChecked',
+    'Mod-Shift-l': 'alignLeft',
+    'Mod-Shift-e': 'alignCenter',
+    'Mod-Shift-r': 'alignRight',
+    'Mod-Shift-j': 'alignJustify',
+
+    // Editing
+    'Backspace': 'deleteBackward',
+    'Shift-Backspace': 'deleteBackward',
+    'Mod-Backspace': 'deleteWordBackward',
+    'Delete': 'deleteForward',
+    'Mod-Delete': 'deleteWordForward',
+    'Enter': 'insertNewline',
+    'Shift-Enter': 'insertNewline',
+    'Tab': 'indent',
+    'Shift-Tab': 'outdent',
+    'Escape': 'collapseSelection',
+
+    // Caret movement and selection
+    'ArrowLeft': 'moveLeft',
+    'Shift-ArrowLeft': 'selectLeft',
+    'Mod-ArrowLeft': 'moveWordLeft',
+    'Mod-Shift-ArrowLeft': 'selectWordLeft',
+    'ArrowRight': 'moveRight',
+    'Shift-ArrowRight': 'selectRight',
+    'Mod-ArrowRight': 'moveWordRight',
+    'Mod-Shift-ArrowRight': 'selectWordRight',
+    'ArrowUp': 'moveUp',
+    'Shift-ArrowUp': 'selectUp',
+    'ArrowDown': 'moveDown',
+    'Shift-ArrowDown': 'selectDown',
+    'Home': 'moveLineStart',
+    'Shift-Home': 'selectLineStart',
+    'Mod-Home': 'moveDocumentStart',
+    'Mod-Shift-Home': 'selectDocumentStart',
+    'End': 'moveLineEnd',
+    'Shift-End': 'selectLineEnd',
+    'Mod-End': 'moveDocumentEnd',
+    'Mod-Shift-End': 'selectDocumentEnd',
+    'PageUp': 'pageUp',
+    'Shift-PageUp': 'selectPageUp',
+    'PageDown': 'pageDown',
+    'Shift-PageDown': 'selectPageDown'
+};
+
+/**
+ * Apple-platform conventions layered over DEFAULT_KEYMAP: Option moves by
+ * words, Cmd+arrows jump to line/document edges and Cmd+Backspace deletes to
+ * the start of the line.
+ */
+export const MAC_KEYMAP = {
+    'Alt-ArrowLeft': 'moveWordLeft',
+    'Alt-Shift-ArrowLeft': 'selectWordLeft',
+    'Alt-ArrowRight': 'moveWordRight',
+    'Alt-Shift-ArrowRight': 'selectWordRight',
+    'Alt-Backspace': 'deleteWordBackward',
+    'Alt-Delete': 'deleteWordForward',
+    'Mod-Backspace': 'deleteToLineStart',
+    'Mod-ArrowLeft': 'moveLineStart',
+    'Mod-Shift-ArrowLeft': 'selectLineStart',
+    'Mod-ArrowRight': 'moveLineEnd',
+    'Mod-Shift-ArrowRight': 'selectLineEnd',
+    'Mod-ArrowUp': 'moveDocumentStart',
+    'Mod-Shift-ArrowUp': 'selectDocumentStart',
+    'Mod-ArrowDown': 'moveDocumentEnd',
+    'Mod-Shift-ArrowDown': 'selectDocumentEnd'
+};
+
+/**
+ * Build a normalized chord → command map from the defaults (plus the Apple
+ * conventions on macOS/iOS) and the given overrides.
+ * An override mapping a chord to null removes that binding.
+ * @param {object} [overrides]
+ * @param {boolean} [mac]
+ * @returns {Map<string, string>}
+ */
+export function buildKeymap(overrides = {}, mac = isMacPlatform()) {
+    const keymap = new Map();
+    const bindings = [
+        ...Object.entries(DEFAULT_KEYMAP),
+        ...(mac ? Object.entries(MAC_KEYMAP) : []),
+        ...Object.entries(overrides || {})
+    ];
+    for (const [chord, command] of bindings) {
+        const normalized = normalizeChord(chord, mac);
+        if (command) {
+            keymap.set(normalized, command);
+        } else {
+            keymap.delete(normalized);
+        }
+    }
+    return keymap;
+}
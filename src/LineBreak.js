@@ -0,0 +1,212 @@
+/**
+ * LineBreak - Line break opportunities by the Unicode Line Breaking
+ * Algorithm (UAX #14), for wrapping text that isn't separated by spaces
+ * (Chinese, Japanese) and keeping punctuation with the text it belongs to.
+ *
+ * Each character has a line breaking class; the pair rules LB7-LB30b then
+ * decide whether a line may break between two characters. The notable
+ * consequences: no break at a no-break space (U+00A0, U+202F, U+2007),
+ * word joiner (U+2060, U+FEFF) or non-breaking hyphen (U+2011); a break
+ * after a zero width space (U+200B), a hyphen, a slash before a word, and
+ * between ideographs; and the kinsoku rules that keep closing brackets,
+ * ideographic punctuation, small kana and iteration marks from starting a
+ * line and opening brackets from ending one.
+ *
+ * Simplifications: classes come from a table of the ranges that matter
+ * for the scripts the editor is used with (anything else is an alphabetic
+ * letter, AL); conditional Japanese starters (CJ) are resolved strictly, as
+ * non-starters; Hangul syllables break like ideographs; South East Asian
+ * scripts without spaces (SA) get no dictionary breaks; number sequences
+ * (rule LB25) are matched pairwise.
+ */
+
+// Line breaking classes of ASCII characters, by code point.
+const ASCII_CLASSES = [
+    ...Array(9).fill('CM'), 'BA', 'LF', 'BK', 'BK', 'CR', ...Array(18).fill('CM'),
+    'SP', 'EX', 'QU', 'AL', 'PR', 'PO', 'AL', 'QU', 'OP', 'CP', 'AL', 'PR', 'IS', 'HY', 'IS', 'SY',
+    ...Array(10).fill('NU'), 'IS', 'IS', 'AL', 'AL', 'AL', 'EX',
+    'AL', ...Array(26).fill('AL'), 'OP', 'PR', 'CP', 'AL', 'AL',
+    'AL', ...Array(26).fill('AL'), 'OP', 'BA', 'CL', 'AL', 'CM'
+];
+
+// Classes of the rest of Unicode as [first, last, class] ranges. The first
+// range containing a code point wins, so exceptions precede the block they
+// sit in.
+const RANGES = [
+    [0x00A0, 0x00A0, 'GL'], [0x00A1, 0x00A1, 'OP'], [0x00A2, 0x00A2, 'PO'],
+    [0x00A3, 0x00A5, 'PR'], [0x00AB, 0x00AB, 'QU'], [0x00AD, 0x00AD, 'BA'],
+    [0x00B0, 0x00B0, 'PO'], [0x00B1, 0x00B1, 'PR'], [0x00B4, 0x00B4, 'BB'],
+    [0x00BB, 0x00BB, 'QU'], [0x00BF, 0x00BF, 'OP'],
+    [0x034F, 0x034F, 'GL'],
+    // Hebrew
+    [0x05BE, 0x05BE, 'BA'], [0x05D0, 0x05EA, 'HL'], [0x05EF, 0x05F2, 'HL'],
+    // Arabic punctuation and digits
+    [0x060C, 0x060D, 'IS'], [0x061F, 0x061F, 'EX'], [0x066A, 0x066A, 'PO'],
+    [0x0660, 0x0669, 'NU'], [0x06F0, 0x06F9, 'NU'],
+    [0x0F0C, 0x0F0C, 'GL'], [0x1680, 0x1680, 'BA'], [0x180E, 0x180E, 'GL'],
+    // General punctuation
+    [0x2000, 0x2006, 'BA'], [0x2007, 0x2007, 'GL'], [0x2008, 0x200A, 'BA'],
+    [0x200B, 0x200B, 'ZW'], [0x200C, 0x200C, 'CM'], [0x200D, 0x200D, 'ZWJ'],
+    [0x2010, 0x2010, 'BA'], [0x2011, 0x2011, 'GL'], [0x2012, 0x2013, 'BA'],
+    [0x2014, 0x2014, 'B2'], [0x2018, 0x2019, 'QU'], [0x201A, 0x201A, 'OP'],
+    [0x201B, 0x201D, 'QU'], [0x201E, 0x201E, 'OP'], [0x201F, 0x201F, 'QU'],
+    [0x2024, 0x2026, 'IN'], [0x2027, 0x2027, 'BA'], [0x2028, 0x2029, 'BK'],
+    [0x202F, 0x202F, 'GL'], [0x2030, 0x2037, 'PO'], [0x2039, 0x203A, 'QU'],
+    [0x203C, 0x203D, 'NS'], [0x2044, 0x2044, 'IS'], [0x2045, 0x2045, 'OP'],
+    [0x2046, 0x2046, 'CL'], [0x2047, 0x2049, 'NS'], [0x205F, 0x205F, 'BA'],
+    [0x2060, 0x2060, 'WJ'], [0x20A0, 0x20CF, 'PR'], [0x2103, 0x2103, 'PO'],
+    [0x2109, 0x2109, 'PO'], [0x2116, 0x2116, 'PR'],
+    [0x2E80, 0x2FFF, 'ID'],
+    // CJK symbols and punctuation
+    [0x3000, 0x3000, 'BA'], [0x3001, 0x3002, 'CL'], [0x3005, 0x3005, 'NS'],
+    [0x3008, 0x3008, 'OP'], [0x3009, 0x3009, 'CL'], [0x300A, 0x300A, 'OP'],
+    [0x300B, 0x300B, 'CL'], [0x300C, 0x300C, 'OP'], [0x300D, 0x300D, 'CL'],
+    [0x300E, 0x300E, 'OP'], [0x300F, 0x300F, 'CL'], [0x3010, 0x3010, 'OP'],
+    [0x3011, 0x3011, 'CL'], [0x3014, 0x3014, 'OP'], [0x3015, 0x3015, 'CL'],
+    [0x3016, 0x3016, 'OP'], [0x3017, 0x3017, 'CL'], [0x3018, 0x3018, 'OP'],
+    [0x3019, 0x3019, 'CL'], [0x301A, 0x301A, 'OP'], [0x301B, 0x301B, 'CL'],
+    [0x301C, 0x301C, 'NS'], [0x301D, 0x301D, 'OP'], [0x301E, 0x301F, 'CL'],
+    [0x303B, 0x303C, 'NS'],
+    // Kana: small letters, the prolonged sound mark and iteration marks
+    [0x3041, 0x3041, 'NS'], [0x3043, 0x3043, 'NS'], [0x3045, 0x3045, 'NS'],
+    [0x3047, 0x3047, 'NS'], [0x3049, 0x3049, 'NS'], [0x3063, 0x3063, 'NS'],
+    [0x3083, 0x3083, 'NS'], [0x3085, 0x3085, 'NS'], [0x3087, 0x3087, 'NS'],
+    [0x308E, 0x308E, 'NS'], [0x3095, 0x3096, 'NS'], [0x3099, 0x309A, 'CM'],
+    [0x309B, 0x309E, 'NS'], [0x30A0, 0x30A1, 'NS'], [0x30A3, 0x30A3, 'NS'],
+    [0x30A5, 0x30A5, 'NS'], [0x30A7, 0x30A7, 'NS'], [0x30A9, 0x30A9, 'NS'],
+    [0x30C3, 0x30C3, 'NS'], [0x30E3, 0x30E3, 'NS'], [0x30E5, 0x30E5, 'NS'],
+    [0x30E7, 0x30E7, 'NS'], [0x30EE, 0x30EE, 'NS'], [0x30F5, 0x30F6, 'NS'],
+    [0x30FB, 0x30FE, 'NS'], [0x31F0, 0x31FF, 'NS'],
+    [0x3000, 0x9FFF, 'ID'],
+    // Hangul syllables, CJK compatibility ideographs
+    [0xAC00, 0xD7A3, 'ID'], [0xF900, 0xFAFF, 'ID'],
+    [0xFE10, 0xFE10, 'IS'], [0xFE11, 0xFE12, 'CL'], [0xFE13, 0xFE14, 'IS'],
+    [0xFE15, 0xFE16, 'EX'], [0xFE30, 0xFE4F, 'ID'],
+    [0xFEFF, 0xFEFF, 'WJ'],
+    // Fullwidth forms
+    [0xFF01, 0xFF01, 'EX'], [0xFF04, 0xFF04, 'PR'], [0xFF05, 0xFF05, 'PO'],
+    [0xFF08, 0xFF08, 'OP'], [0xFF09, 0xFF09, 'CL'], [0xFF0C, 0xFF0C, 'CL'],
+    [0xFF0E, 0xFF0E, 'CL'], [0xFF1A, 0xFF1B, 'NS'], [0xFF1F, 0xFF1F, 'EX'],
+    [0xFF3B, 0xFF3B, 'OP'], [0xFF3D, 0xFF3D, 'CL'], [0xFF5B, 0xFF5B, 'OP'],
+    [0xFF5D, 0xFF5D, 'CL'], [0xFF5F, 0xFF5F, 'OP'], [0xFF60, 0xFF61, 'CL'],
+    [0xFF62, 0xFF62, 'OP'], [0xFF63, 0xFF64, 'CL'], [0xFF65, 0xFF65, 'NS'],
+    [0xFF67, 0xFF70, 'NS'], [0xFF9E, 0xFF9F, 'NS'], [0xFFE0, 0xFFE0, 'PO'],
+    [0xFFE1, 0xFFE1, 'PR'], [0xFFE5, 0xFFE6, 'PR'], [0xFF01, 0xFFEF, 'ID'],
+    // Emoji: skin tone modifiers join the emoji before them
+    [0x1F1E6, 0x1F1FF, 'RI'], [0x1F3FB, 0x1F3FF, 'CM'], [0x1F000, 0x1FAFF, 'ID'],
+    [0x20000, 0x3FFFD, 'ID'], [0xE0020, 0xE007F, 'CM']
+];
+
+const COMBINING_MARK = /^\p{M}$/u;
+
+/**
+ * The line breaking class of a code point, e.g. 'AL', 'ID', 'SP', 'CL'.
+ * @param {number} codePoint
+ * @returns {string}
+ */
+export function lineBreakClass(codePoint) {
+    if (codePoint < 0x80) return ASCII_CLASSES[codePoint];
+    for (const [first, last, type] of RANGES) {
+        if (codePoint >= first && codePoint <= last) return type;
+    }
+    return COMBINING_MARK.test(String.fromCodePoint(codePoint)) ? 'CM' : 'AL';
+}
+
+// Breaking spaces: the whitespace a line may end on.
+const BREAKING_SPACE = /^[\t \u1680\u2000-\u2006\u2008-\u200A\u205F\u3000]+$/;
+
+/**
+ * Whether text is all breaking whitespace (spaces and tabs, not no-break
+ * spaces), the inter-word space a line may wrap at.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isBreakingSpace(text) {
+    return BREAKING_SPACE.test(text);
+}
+
+// Pairs (before → after) that rule LB25 keeps together inside numbers.
+const NUMBER_PAIRS = new Set([
+    'CL PO', 'CP PO', 'CL PR', 'CP PR', 'NU PO', 'NU PR', 'PO OP', 'PO NU', 'PR OP', 'PR NU',
+    'HY NU', 'IS NU', 'NU NU', 'SY NU'
+]);
+
+const isAlphabetic = type => type === 'AL' || type === 'HL';
+
+// Whether the rules allow a break between two characters. `before` and
+// `after` are their (resolved) classes, `beforeSpaces` the class before
+// any spaces preceding `after`, `beforeBefore` the class before `before`,
+// and `regionalRun` the count of regional indicators ending at `before`.
+function canBreak(before, after, { beforeSpaces, beforeBefore, regionalRun, afterCodePoint }) {
+    if (after === 'SP' || after === 'ZW') return false;                      // LB7
+    if (beforeSpaces === 'ZW') return true;                                   // LB8
+    if (before === 'WJ' || after === 'WJ') return false;                      // LB11
+    if (before === 'GL') return false;                                        // LB12
+    if (after === 'GL' && before !== 'SP' && before !== 'BA' && before !== 'HY') return false;
+    if (['CL', 'CP', 'EX', 'IS', 'SY'].includes(after)) return false;         // LB13
+    if (beforeSpaces === 'OP') return false;                                  // LB14
+    if (beforeSpaces === 'QU' && after === 'OP') return false;                // LB15
+    if ((beforeSpaces === 'CL' || beforeSpaces === 'CP') && after === 'NS') return false;
+    if (beforeSpaces === 'B2' && after === 'B2') return false;                // LB17
+    if (before === 'SP') return true;                                         // LB18
+    if (before === 'QU' || after === 'QU') return false;                      // LB19
+    if (before === 'CB' || after === 'CB') return true;                       // LB20
+    if (after === 'BA' || after === 'HY' || after === 'NS' || before === 'BB') return false;
+    if (beforeBefore === 'HL' && (before === 'HY' || before === 'BA')) return false;
+    if (before === 'SY' && after === 'HL') return false;                      // LB21b
+    if (after === 'IN') return false;                                         // LB22
+    if ((isAlphabetic(before) && after === 'NU') || (before === 'NU' && isAlphabetic(after))) return false;
+    if ((before === 'PR' && after === 'ID') || (before === 'ID' && after === 'PO')) return false;
+    if (((before === 'PR' || before === 'PO') && isAlphabetic(after)) ||
+        (isAlphabetic(before) && (after === 'PR' || after === 'PO'))) return false;
+    if (NUMBER_PAIRS.has(`${before} ${after}`)) return false;                 // LB25
+    if (isAlphabetic(before) && isAlphabetic(after)) return false;            // LB28
+    if (before === 'IS' && isAlphabetic(after)) return false;                 // LB29
+    // LB30: not before a fullwidth opening bracket, which breaks like an
+    // ideograph.
+    if ((isAlphabetic(before) || before === 'NU') && after === 'OP' && afterCodePoint < 0x2E80) return false;
+    if (before === 'CP' && (isAlphabetic(after) || after === 'NU')) return false;
+    if (before === 'RI' && after === 'RI' && regionalRun % 2 === 1) return false;
+    return true;                                                              // LB31
+}
+
+/**
+ * The offsets in text (UTF-16, between 1 and text.length - 1) where a line
+ * may break: before the character at that offset.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function lineBreakOpportunities(text) {
+    const breaks = [];
+    let before = null;         // resolved class of the previous character
+    let beforeRaw = null;      // its own class, before LB9/LB10
+    let beforeSpaces = null;   // class before the current run of spaces
+    let beforeBefore = null;
+    let regionalRun = 0;
+    for (let i = 0; i < text.length;) {
+        const codePoint = text.codePointAt(i);
+        let type = lineBreakClass(codePoint);
+        const raw = type;
+        // LB9: combining marks and ZWJ take the class of the character they
+        // attach to; LB10: with nothing to attach to they are letters.
+        const attaches = (type === 'CM' || type === 'ZWJ') && before !== null &&
+            !['BK', 'CR', 'LF', 'SP', 'ZW'].includes(before);
+        if (!attaches && (type === 'CM' || type === 'ZWJ')) type = 'AL';
+
+        if (before !== null && !attaches && beforeRaw !== 'ZWJ' &&                   // LB8a, LB9
+            !['BK', 'CR', 'LF'].includes(before) &&
+            canBreak(before, type, { beforeSpaces, beforeBefore, regionalRun, afterCodePoint: codePoint })) {
+            breaks.push(i);
+        }
+
+        if (!attaches) {
+            if (type !== 'SP') beforeSpaces = type;
+            regionalRun = type === 'RI' ? regionalRun + 1 : 0;
+            beforeBefore = before;
+            before = type;
+        }
+        beforeRaw = raw;
+        i += codePoint > 0xFFFF ? 2 : 1;
+    }
+    return breaks;
+}
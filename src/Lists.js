@@ -0,0 +1,212 @@
+/**
+ * Lists - List nesting levels, numbering and marker text.
+ *
+ * A list paragraph has a type ('bullet' | 'number' | 'check') and a nesting
+ * level, 0 for the outermost list. Levels cycle through three marker styles:
+ * bullets go •, ◦, ▪ and numbers go 1., a., i. Check list items are marked
+ * ☐ or ☑ by their checked state.
+ *
+ * A numbered item can also carry numbering options:
+ *   format     - one of NUMBER_FORMATS, for this item and the rest of its list
+ *   delimiter  - '.' or ')' after the number, likewise
+ *   start      - restart the numbering at this value
+ *   continue   - carry on from the previous list at this level instead of
+ *                restarting after an interruption (such as a plain paragraph)
+ */
+
+export const MAX_LIST_LEVEL = 8;
+
+const BULLETS = ['•', '◦', '▪'];
+
+export const CHECK_MARKERS = { unchecked: '☐', checked: '☑' };
+
+// Numbering formats and their HTML <ol type> values.
+export const NUMBER_FORMATS = {
+    'decimal': '1',
+    'lower-alpha': 'a',
+    'upper-alpha': 'A',
+    'lower-roman': 'i',
+    'upper-roman': 'I'
+};
+
+// The default format for each level, cycling.
+const LEVEL_FORMATS = ['decimal', 'lower-alpha', 'lower-roman'];
+
+const DELIMITERS = ['.', ')'];
+
+/**
+ * The default numbering format of a list level.
+ * @param {number} level
+ * @returns {string}
+ */
+export function levelFormat(level) {
+    return LEVEL_FORMATS[level % LEVEL_FORMATS.length];
+}
+
+/**
+ * The numbering format for an HTML <ol type> value or CSS list-style-type,
+ * or null when it isn't one the editor supports.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function parseNumberFormat(value) {
+    if (!value) return null;
+    for (const [format, type] of Object.entries(NUMBER_FORMATS)) {
+        if (value === type) return format;
+    }
+    const css = value.toLowerCase().replace('latin', 'alpha');
+    return NUMBER_FORMATS[css] ? css : null;
+}
+
+/**
+ * A valid list level (an integer from 0 to MAX_LIST_LEVEL), or 0.
+ * @param {*} level
+ * @returns {number}
+ */
+export function normalizeListLevel(level) {
+    const n = Number(level);
+    if (!Number.isInteger(n) || n < 0) return 0;
+    return Math.min(n, MAX_LIST_LEVEL);
+}
+
+function toAlpha(n) {
+    let s = '';
+    while (n > 0) {
+        n--;
+        s = String.fromCharCode(97 + (n % 26)) + s;
+        n = Math.floor(n / 26);
+    }
+    return s;
+}
+
+const ROMAN = [
+    [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+];
+
+function toRoman(n) {
+    let s = '';
+    for (const [value, numeral] of ROMAN) {
+        while (n >= value) {
+            s += numeral;
+            n -= value;
+        }
+    }
+    return s;
+}
+
+/**
+ * A clean copy of an item's numbering options: unknown keys and invalid
+ * values are dropped, and a start value wins over continue.
+ * @param {object} numbering
+ * @returns {object|null} null when nothing valid is left
+ */
+export function normalizeNumbering(numbering) {
+    if (!numbering || typeof numbering !== 'object') return null;
+    const out = {};
+    if (NUMBER_FORMATS[numbering.format]) out.format = numbering.format;
+    if (DELIMITERS.includes(numbering.delimiter)) out.delimiter = numbering.delimiter;
+    if (Number.isInteger(numbering.start) && numbering.start >= 0) {
+        out.start = numbering.start;
+    } else if (numbering.continue === true) {
+        out.continue = true;
+    }
+    return Object.keys(out).length > 0 ? out : null;
+}
+
+/**
+ * Apply changes to an item's numbering. A key set to null clears it;
+ * setting start clears continue and the other way round.
+ * @param {object|null} current
+ * @param {object} changes
+ * @returns {object|null}
+ */
+export function mergeNumbering(current, changes) {
+    const merged = { ...(current || {}), ...changes };
+    if (changes.continue) delete merged.start;
+    if (changes.start != null) delete merged.continue;
+    return normalizeNumbering(merged);
+}
+
+/**
+ * Marker text for a list item.
+ * @param {string} type - 'bullet' | 'number' | 'check'
+ * @param {number} level - Nesting level
+ * @param {number} number - The item's position in its numbered sequence
+ * @param {{format?: string, delimiter?: string, checked?: boolean}} [style] -
+ *   Defaults to the level's format, '.' and unchecked
+ * @returns {string}
+ */
+export function listMarker(type, level, number, style = {}) {
+    if (type === 'check') return style.checked ? CHECK_MARKERS.checked : CHECK_MARKERS.unchecked;
+    if (type !== 'number') return BULLETS[level % BULLETS.length];
+    const format = style.format || levelFormat(level);
+    const delimiter = style.delimiter || '.';
+    let text = String(number);
+    if (format === 'lower-alpha' || format === 'upper-alpha') {
+        text = toAlpha(number) || String(number);
+    } else if (format === 'lower-roman' || format === 'upper-roman') {
+        text = toRoman(number) || String(number);
+    }
+    return `${format.startsWith('upper') ? text.toUpperCase() : text}${delimiter}`;
+}
+
+/**
+ * Number every list item of a document. Consecutive numbered items at a
+ * level count up, deeper items don't interrupt them, and a bullet or check
+ * item at that level, a shallower item or a plain paragraph ends the list;
+ * the next one starts at 1 unless its first item says otherwise.
+ * @param {number} count - Number of paragraphs
+ * @param {function(number): ({type: string, level: number, numbering: (object|null),
+ *   checked?: boolean}|null)} itemAt - The list attributes of a paragraph, or
+ *   null for a plain one
+ * @returns {Map<number, {marker: string, number: (number|null), format: (string|null),
+ *   delimiter: (string|null), sequence: (number|null)}>} Keyed by paragraph;
+ *   items of one numbered list share a sequence id
+ */
+export function numberListItems(count, itemAt) {
+    const items = new Map();
+    const open = [];     // per level: the list the next item continues
+    const previous = []; // per level: the last numbered list, for `continue`
+    let sequences = 0;
+    for (let p = 0; p < count; p++) {
+        const item = itemAt(p);
+        if (!item) {
+            open.length = 0;
+            continue;
+        }
+        const { type, level } = item;
+        const numbering = item.numbering || {};
+        open.length = level + 1;
+        if (type !== 'number') {
+            open[level] = undefined;
+            items.set(p, {
+                marker: listMarker(type, level, null, item),
+                number: null,
+                format: null,
+                delimiter: null,
+                sequence: null
+            });
+            continue;
+        }
+        let list = numbering.start == null ? open[level] : null;
+        if (!list && numbering.continue) list = previous[level];
+        if (list) {
+            list.number++;
+        } else {
+            list = { id: ++sequences, number: numbering.start ?? 1, format: levelFormat(level), delimiter: '.' };
+        }
+        if (numbering.format) list.format = numbering.format;
+        if (numbering.delimiter) list.delimiter = numbering.delimiter;
+        open[level] = list;
+        previous[level] = list;
+        items.set(p, {
+            marker: listMarker(type, level, list.number, list),
+            number: list.number,
+            format: list.format,
+            delimiter: list.delimiter,
+            sequence: list.id
+        });
+    }
+    return items;
+}
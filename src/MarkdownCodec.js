@@ -0,0 +1,656 @@
+import { escapeHtml, htmlToDocument, sanitizeUrl, splitParagraphs, NestedListWriter } from './HtmlCodec.js';
+import { normalizeListLevel, normalizeNumbering, numberListItems } from './Lists.js';
+
+/**
+ * MarkdownCodec - Converts between the editor's document format (the plain
+ * object produced by CanvasEditor.toJSON()) and Markdown (CommonMark with
+ * GitHub-style ~~strikethrough~~). Works on plain data only, so it runs in
+ * Node as well as the browser.
+ *
+ * Markdown cannot express everything the editor can. On export:
+ * - bold, italic, strikethrough, links, inline code (runs in the 'monospace'
+ *   family), bulleted, numbered and check lists (nested by indentation, with
+ *   GitHub-style '- [ ]' task items), rules and images are kept;
+ * - underline, superscript and subscript are written as inline <u>, <sup>
+ *   and <sub> tags, which most renderers accept;
+ * - colors, highlights, font sizes and other font families, paragraph
+ *   alignment and spacing, image dimensions/alignment/full-size URLs and
+ *   empty paragraphs are dropped, and lettered and roman numbering is
+ *   written as digits (start values and ')' delimiters are kept).
+ * On import, headings become bold paragraphs at heading sizes, block quotes
+ * become plain paragraphs, and reference-style
+ * links are left as text.
+ */
+
+const CODE_FAMILY = 'monospace';
+
+// Marks in nesting order, outermost first. The delimiters are chosen so
+// adjacent marks never merge into an ambiguous run (e.g. '**' + '*').
+const MARKS = [
+    { name: 'strikethrough', open: '~~', close: '~~', test: f => f.strikethrough },
+    { name: 'bold', open: '**', close: '**', test: f => f.weight === 'bold' },
+    { name: 'italic', open: '*', close: '*', test: f => f.style === 'italic' },
+    { name: 'underline', open: '<u>', close: '</u>', test: f => f.underline },
+    { name: 'superscript', open: '<sup>', close: '</sup>', test: f => f.superscript },
+    { name: 'subscript', open: '<sub>', close: '</sub>', test: f => f.subscript && !f.superscript }
+];
+
+// --- document → Markdown -------------------------------------------------
+
+// Backslash-escape characters that Markdown would read as inline syntax.
+function escapeInline(text) {
+    return text
+        .replace(/[\\`*_~[\]<]/g, '\\$&')
+        .replace(/&(?=#?[a-z0-9]+;)/gi, '\\&');
+}
+
+// Escape a paragraph's leading characters that would start a block
+// construct (heading, quote, list item, rule, fence, setext underline).
+function escapeBlockStart(line) {
+    const ordered = /^(\d{1,9})([.)])(?=\s|$)/.exec(line);
+    if (ordered) return `${ordered[1]}\\${line.substring(ordered[1].length)}`;
+    if (/^(#{1,6}(\s|$)|>|[-+](\s|$)|=+\s*$|-+\s*$)/.test(line)) return `\\${line}`;
+    return line;
+}
+
+// Leading and trailing whitespace is trimmed by Markdown readers (and four
+// leading spaces would start a code block), so write it as entities.
+function protectEdgeWhitespace(line) {
+    const entity = ch => (ch === '\t' ? '&#9;' : '&#32;');
+    return line
+        .replace(/^[ \t]+/, ws => ws.replace(/[ \t]/g, entity))
+        .replace(/[ \t]+$/, ws => ws.replace(/[ \t]/g, entity));
+}
+
+function codeSpan(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const pad = /^`|`$/.test(text) || /^ .* $/.test(text) ? ' ' : '';
+    return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+function linkDestination(url) {
+    if (/[\s()<>]/.test(url)) return `<${url.replace(/[<>]/g, '\\$&')}>`;
+    return url;
+}
+
+// The Markdown-visible formatting of a run.
+function runSegment(run) {
+    const font = run.font || {};
+    return {
+        text: run.text,
+        marks: MARKS.filter(mark => mark.test(font)).map(mark => mark.name),
+        code: font.family === CODE_FAMILY,
+        link: font.link ? sanitizeUrl(font.link, 'link') : null
+    };
+}
+
+const sameMarks = (a, b) => a.length === b.length && a.every((m, i) => m === b[i]);
+const commonMarks = (a, b) => a.filter(m => b.includes(m));
+
+// Emphasis delimiters must hug non-whitespace, so a segment's leading and
+// trailing whitespace only keeps the marks it shares with its neighbour.
+function normalizeSegments(segments) {
+    const pieces = [];
+    segments.forEach((segment, index) => {
+        if (segment.code) {
+            pieces.push(segment);
+            return;
+        }
+        const prev = segments[index - 1];
+        const next = segments[index + 1];
+        const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(segment.text);
+        const [, lead, body, trail] = match;
+        const sharedWith = (other) => (other && other.link === segment.link && !other.code
+            ? commonMarks(segment.marks, other.marks)
+            : []);
+        if (!body) {
+            pieces.push({ ...segment, marks: commonMarks(sharedWith(prev), sharedWith(next)) });
+            return;
+        }
+        if (lead) pieces.push({ ...segment, text: lead, marks: sharedWith(prev) });
+        pieces.push({ ...segment, text: body });
+        if (trail) pieces.push({ ...segment, text: trail, marks: sharedWith(next) });
+    });
+
+    const merged = [];
+    for (const piece of pieces) {
+        const last = merged[merged.length - 1];
+        if (last && last.link === piece.link && last.code === piece.code && sameMarks(last.marks, piece.marks)) {
+            last.text += piece.text;
+        } else {
+            merged.push({ ...piece });
+        }
+    }
+    return merged;
+}
+
+// Serialize segments that share a link target, opening and closing marks as
+// a stack so they nest properly.
+function segmentsToMarkdown(segments) {
+    let out = '';
+    let open = [];
+    const delimiter = (name, key) => MARKS.find(mark => mark.name === name)[key];
+    for (const segment of segments) {
+        let keep = 0;
+        while (keep < open.length && keep < segment.marks.length && open[keep] === segment.marks[keep]) keep++;
+        for (let i = open.length - 1; i >= keep; i--) out += delimiter(open[i], 'close');
+        open = open.slice(0, keep);
+        for (let i = keep; i < segment.marks.length; i++) {
+            out += delimiter(segment.marks[i], 'open');
+            open.push(segment.marks[i]);
+        }
+        out += segment.code ? codeSpan(segment.text) : escapeInline(segment.text);
+    }
+    for (let i = open.length - 1; i >= 0; i--) out += delimiter(open[i], 'close');
+    return out;
+}
+
+function runsToMarkdown(runs) {
+    const segments = normalizeSegments(runs.map(runSegment));
+    let out = '';
+    let i = 0;
+    while (i < segments.length) {
+        const link = segments[i].link;
+        let j = i;
+        while (j < segments.length && segments[j].link === link) j++;
+        const inner = segmentsToMarkdown(segments.slice(i, j));
+        out += link ? `[${inner}](${linkDestination(link)})` : inner;
+        i = j;
+    }
+    return protectEdgeWhitespace(escapeBlockStart(out));
+}
+
+// An image with an unsafe source is left out (null).
+function imageToMarkdown(entry) {
+    const src = sanitizeUrl(entry.src || '', 'image');
+    if (!src) return null;
+    const alt = (entry.alt || '').replace(/[\\[\]]/g, '\\$&');
+    return `![${alt}](${linkDestination(src)})`;
+}
+
+/**
+ * Serialize a document object (as produced by toJSON()) to Markdown.
+ * Paragraphs are separated by blank lines, list paragraphs become '- ',
+ * '1. ' and '- [ ] ' items indented under their parent item by list level,
+ * and rules and images become '---' and '![alt](src)'.
+ * Formatting Markdown can't express is dropped (see the module comment).
+ * @param {object} doc - Document data ({ content, alignments, lists, listLevels,
+ *   listNumbering, checked })
+ * @returns {string}
+ */
+export function documentToMarkdown(doc) {
+    const lists = doc.lists || {};
+    const listLevels = doc.listLevels || {};
+    const listNumbering = doc.listNumbering || {};
+    const checked = doc.checked || {};
+    const paragraphs = splitParagraphs(doc.content || []);
+    const listItems = numberListItems(paragraphs.length, p => lists[p] ? {
+        type: lists[p],
+        level: normalizeListLevel(listLevels[p]),
+        numbering: normalizeNumbering(listNumbering[p])
+    } : null);
+    const blocks = [];
+    // Per level: the column where the last item's text starts (where its
+    // nested items are indented to).
+    let columns = [];
+
+    paragraphs.forEach((paragraph, index) => {
+        const list = lists[index];
+        const isBlock = paragraph.end && (paragraph.end.type === 'hr' || paragraph.end.type === 'image');
+
+        if (list) {
+            const level = Math.min(normalizeListLevel(listLevels[index]), columns.length);
+            columns.length = level + 1;
+            const indent = level > 0 ? columns[level - 1] : 0;
+            const item = listItems.get(index);
+            const marker = list === 'number' ? `${item.number}${item.delimiter} ` : '- ';
+            columns[level] = indent + marker.length;
+            let text = runsToMarkdown(paragraph.runs);
+            if (list === 'check') text = `[${checked[index] === true ? 'x' : ' '}] ${text}`;
+            blocks.push({ text: `${' '.repeat(indent)}${marker}${text}`.trimEnd(), list, level });
+        } else {
+            columns = [];
+            if (paragraph.runs.length > 0) {
+                blocks.push({ text: runsToMarkdown(paragraph.runs), list: null });
+            }
+        }
+        if (isBlock) {
+            columns = [];
+            const text = paragraph.end.type === 'hr' ? '---' : imageToMarkdown(paragraph.end);
+            if (text) blocks.push({ text, list: null });
+        }
+    });
+
+    // Items of the same list, and nested items, sit on consecutive lines;
+    // everything else is separated by a blank line.
+    let markdown = '';
+    blocks.forEach((block, index) => {
+        if (index > 0) {
+            const previous = blocks[index - 1];
+            const tight = block.list && previous.list &&
+                (block.list === previous.list || block.level > 0 || previous.level > 0);
+            markdown += tight ? '\n' : '\n\n';
+        }
+        markdown += block.text;
+    });
+    return markdown;
+}
+
+// --- Markdown → document -------------------------------------------------
+
+const ASCII_PUNCTUATION = /[!-\/:-@[-`{-~]/;
+
+// Find the closing delimiter run for emphasis opened at `from`: a run of
+// exactly `length` delimiter characters preceded by non-whitespace. Code
+// spans and escapes are skipped, as are runs of other lengths (nested
+// emphasis).
+function findCloser(text, from, ch, length) {
+    let i = from;
+    while (i < text.length) {
+        const c = text[i];
+        if (c === '\\') {
+            i += 2;
+            continue;
+        }
+        if (c === '`') {
+            const span = codeSpanAt(text, i);
+            i = span ? span.end : i + 1;
+            continue;
+        }
+        if (c === ch) {
+            let run = 1;
+            while (text[i + run] === ch) run++;
+            const after = text[i + run] || '';
+            const flanking = !/\s/.test(text[i - 1]) && (ch !== '_' || !/[\p{L}\p{N}]/u.test(after));
+            if (run === length && i > from && flanking) return i;
+            i += run;
+            continue;
+        }
+        i++;
+    }
+    return -1;
+}
+
+function codeSpanAt(text, start) {
+    let ticks = 1;
+    while (text[start + ticks] === '`') ticks++;
+    let i = start + ticks;
+    while (i < text.length) {
+        const next = text.indexOf('`', i);
+        if (next === -1) return null;
+        let run = 1;
+        while (text[next + run] === '`') run++;
+        if (run === ticks) {
+            let code = text.substring(start + ticks, next).replace(/\n/g, ' ');
+            if (/^ [\s\S]*[^ ][\s\S]* $/.test(code)) code = code.substring(1, code.length - 1);
+            return { code, end: next + run };
+        }
+        i = next + run;
+    }
+    return null;
+}
+
+// Parse '[label](destination "title")' starting at the '['. Returns the
+// label, destination and the index after the closing ')', or null.
+function linkAt(text, start) {
+    let depth = 0;
+    let i = start;
+    for (; i < text.length; i++) {
+        const c = text[i];
+        if (c === '\\') {
+            i++;
+        } else if (c === '`') {
+            const span = codeSpanAt(text, i);
+            if (span) i = span.end - 1;
+        } else if (c === '[') {
+            depth++;
+        } else if (c === ']') {
+            depth--;
+            if (depth === 0) break;
+        }
+    }
+    if (i >= text.length || text[i + 1] !== '(') return null;
+    const label = text.substring(start + 1, i);
+
+    let j = i + 2;
+    while (text[j] === ' ' || text[j] === '\n') j++;
+    let destination = '';
+    if (text[j] === '<') {
+        const close = text.indexOf('>', j);
+        if (close === -1) return null;
+        destination = text.substring(j + 1, close).replace(/\\([<>])/g, '$1');
+        j = close + 1;
+    } else {
+        let parens = 0;
+        const begin = j;
+        for (; j < text.length; j++) {
+            const c = text[j];
+            if (c === '\\' && ASCII_PUNCTUATION.test(text[j + 1] || '')) {
+                j++;
+            } else if (c === '(') {
+                parens++;
+            } else if (c === ')') {
+                if (parens === 0) break;
+                parens--;
+            } else if (/\s/.test(c)) {
+                break;
+            }
+        }
+        destination = text.substring(begin, j).replace(/\\([!-\/:-@[-`{-~])/g, '$1');
+    }
+    // Optional title, which the document format has no place for.
+    const title = /^\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\))/.exec(text.substring(j));
+    if (title) j += title[0].length;
+    while (text[j] === ' ' || text[j] === '\n') j++;
+    if (text[j] !== ')') return null;
+    return { label, destination, end: j + 1 };
+}
+
+// Strip Markdown inline syntax from a label (used for image alt text).
+function plainText(markdown) {
+    return decodeText(inlineToHtml(markdown).replace(/<[^>]*>/g, ''));
+}
+
+function decodeText(html) {
+    return html
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+const EMPHASIS_TAGS = {
+    '~~': 's',
+    '**': 'strong',
+    '__': 'strong',
+    '*': 'em',
+    '_': 'em'
+};
+
+// Convert a paragraph's inline Markdown to HTML. Raw inline HTML passes
+// through; htmlToDocument() sanitizes it.
+function inlineToHtml(text) {
+    let html = '';
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+
+        if (c === '\\' && ASCII_PUNCTUATION.test(text[i + 1] || '')) {
+            html += escapeHtml(text[i + 1]);
+            i += 2;
+            continue;
+        }
+        if (c === '\\' && text[i + 1] === '\n') {
+            html += '<br>';
+            i += 2;
+            continue;
+        }
+        if (c === '\n') {
+            // Two trailing spaces make a hard break; otherwise a soft break
+            // reads as a space.
+            const hard = / {2,}$/.test(html);
+            html = html.replace(/ +$/, '') + (hard ? '<br>' : ' ');
+            i++;
+            while (text[i] === ' ') i++;
+            continue;
+        }
+        if (c === '`') {
+            const span = codeSpanAt(text, i);
+            if (span) {
+                html += `<code>${escapeHtml(span.code)}</code>`;
+                i = span.end;
+                continue;
+            }
+            let run = 1;
+            while (text[i + run] === '`') run++;
+            html += text.substring(i, i + run);
+            i += run;
+            continue;
+        }
+        if (c === '!' && text[i + 1] === '[') {
+            const link = linkAt(text, i + 1);
+            if (link) {
+                html += `<img src="${escapeHtml(link.destination)}" alt="${escapeHtml(plainText(link.label))}">`;
+                i = link.end;
+                continue;
+            }
+        }
+        if (c === '[') {
+            const link = linkAt(text, i);
+            if (link) {
+                html += `<a href="${escapeHtml(link.destination)}">${inlineToHtml(link.label)}</a>`;
+                i = link.end;
+                continue;
+            }
+        }
+        if (c === '<') {
+            const rest = text.substring(i);
+            const autolink = /^<([a-z][a-z0-9+.-]{1,31}:[^<>\s]*)>/i.exec(rest);
+            const email = /^<([a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*)>/i.exec(rest);
+            const tag = /^<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>/i.exec(rest);
+            if (autolink || email) {
+                const target = autolink ? autolink[1] : email[1];
+                const href = autolink ? target : `mailto:${target}`;
+                html += `<a href="${escapeHtml(href)}">${escapeHtml(target)}</a>`;
+                i += (autolink || email)[0].length;
+                continue;
+            }
+            if (tag) {
+                html += tag[0];
+                i += tag[0].length;
+                continue;
+            }
+        }
+        if (c === '&') {
+            const entity = /^&(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]*);/i.exec(text.substring(i));
+            if (entity) {
+                html += entity[0];
+                i += entity[0].length;
+                continue;
+            }
+        }
+        if (c === '*' || c === '_' || (c === '~' && text[i + 1] === '~')) {
+            let run = 1;
+            while (text[i + run] === c) run++;
+            const next = text[i + run] || '';
+            const prev = text[i - 1] || '';
+            const canOpen = next && !/\s/.test(next) && (c !== '_' || !/[\p{L}\p{N}]/u.test(prev));
+            if (canOpen) {
+                // '***' opens bold and italic together; '~~' only pairs.
+                const lengths = c === '~' ? [2] : run >= 3 ? [3, 2, 1] : run === 2 ? [2, 1] : [1];
+                let matched = false;
+                for (const length of lengths) {
+                    const close = findCloser(text, i + length, c, length);
+                    if (close === -1) continue;
+                    const inner = inlineToHtml(text.substring(i + length, close));
+                    if (length === 3) {
+                        html += `<strong><em>${inner}</em></strong>`;
+                    } else {
+                        const tag = EMPHASIS_TAGS[c.repeat(length)];
+                        html += `<${tag}>${inner}</${tag}>`;
+                    }
+                    i = close + length;
+                    matched = true;
+                    break;
+                }
+                if (matched) continue;
+            }
+            html += escapeHtml(text.substring(i, i + run));
+            i += run;
+            continue;
+        }
+
+        html += escapeHtml(c);
+        i++;
+    }
+    return html;
+}
+
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+|$)(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const BLOCK_QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( *)([-+*]|\d{1,9}[.)])(?:[ \t]+(.*)|[ \t]*$)/;
+const TASK_BOX = /^\[([ xX])\](?:[ \t]+|$)/;
+
+// Markdown keeps runs of spaces inside a line (only line edges are trimmed,
+// and soft breaks are already turned into single spaces), so text blocks
+// are emitted with preserved whitespace.
+function textBlock(tag, markdown) {
+    return `<${tag} style="white-space:pre-wrap">${inlineToHtml(markdown.trim())}</${tag}>`;
+}
+
+/**
+ * Convert Markdown to an HTML fragment using the subset of CommonMark the
+ * editor can represent: paragraphs, ATX and setext headings, rules, fenced
+ * code, block quotes, bulleted/numbered lists and task lists, emphasis,
+ * ~~strikethrough~~, code spans, links, autolinks, images and raw inline
+ * HTML.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToHtml(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    let html = '';
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html += textBlock('p', paragraph.join('\n'));
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            const writer = new NestedListWriter();
+            for (const item of list.items) {
+                const box = item.checkbox === null ? '' : `<input type="checkbox"${item.checkbox ? ' checked' : ''}>`;
+                html += writer.item(item.tag, item.level, ' style="white-space:pre-wrap"',
+                    box + inlineToHtml(item.lines.join('\n').trim()), item.list);
+            }
+            html += writer.close();
+            list = null;
+        }
+    };
+    const flush = () => {
+        flushParagraph();
+        flushList();
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            flushParagraph();
+            if (list) list.blank = true;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence && !(fence[1][0] === '`' && fence[2].includes('`'))) {
+            flush();
+            const code = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}[ \\t]*$`).test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            html += `<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`;
+            continue;
+        }
+
+        // A '---' or '===' underline turns the paragraph above into a heading.
+        if (paragraph.length > 0 && /^ {0,3}(=+|-+)[ \t]*$/.test(line)) {
+            const level = line.trim()[0] === '=' ? 1 : 2;
+            html += textBlock(`h${level}`, paragraph.join('\n'));
+            paragraph = [];
+            continue;
+        }
+
+        if (THEMATIC_BREAK.test(line)) {
+            flush();
+            html += '<hr>';
+            continue;
+        }
+
+        const heading = ATX_HEADING.exec(line);
+        if (heading) {
+            flush();
+            html += textBlock(`h${heading[1].length}`, heading[2]);
+            continue;
+        }
+
+        if (BLOCK_QUOTE.test(line)) {
+            flush();
+            const quoted = [];
+            while (i < lines.length && lines[i].trim()) {
+                const match = BLOCK_QUOTE.exec(lines[i]);
+                quoted.push(match ? match[1] : lines[i]);
+                i++;
+            }
+            i--;
+            html += `<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`;
+            continue;
+        }
+
+        const item = LIST_ITEM.exec(line);
+        if (item) {
+            flushParagraph();
+            const tag = /\d/.test(item[2]) ? 'ol' : 'ul';
+            const indent = item[1].length;
+            if (list && indent === 0 && list.items[0].tag !== tag) flushList();
+            if (!list) list = { items: [], columns: [], blank: false };
+            // An item indented to the text of an item above it is nested
+            // in that item.
+            while (list.columns.length > 0 && indent < list.columns[list.columns.length - 1]) {
+                list.columns.pop();
+            }
+            let text = item[3] || '';
+            const task = tag === 'ul' ? TASK_BOX.exec(text) : null;
+            if (task) text = text.substring(task[0].length);
+            // A different bullet character or delimiter starts a new list;
+            // an ordered list starts at its first item's number.
+            const number = parseInt(item[2], 10);
+            const delimiter = item[2].slice(-1);
+            let attrs = number !== 1 && tag === 'ol' ? ` start="${number}"` : '';
+            if (delimiter === ')') attrs += ' data-delimiter=")"';
+            list.items.push({
+                tag,
+                level: list.columns.length,
+                lines: [text],
+                checkbox: task ? task[1] !== ' ' : null,
+                list: { key: `${tag}|${delimiter}`, attrs }
+            });
+            list.columns.push(item[3] !== undefined ? line.length - item[3].length : indent + item[2].length + 1);
+            list.blank = false;
+            continue;
+        }
+
+        if (list) {
+            // Indented lines continue the item; so does unindented text
+            // directly below it (a lazy continuation line).
+            if (/^\s/.test(line) || !list.blank) {
+                list.items[list.items.length - 1].lines.push(line.trim());
+                list.blank = false;
+                continue;
+            }
+            flushList();
+        }
+        paragraph.push(line);
+    }
+    flush();
+    return html;
+}
+
+/**
+ * Parse Markdown into a document object (the toJSON() shape). The Markdown
+ * is converted to HTML and imported with htmlToDocument(), so links and
+ * images get the same URL sanitizing as pasted HTML.
+ * @param {string} markdown
+ * @param {object} [options] - { baseFont, transformImageUrl }, as for
+ *   htmlToDocument()
+ * @returns {{version: number, content: Array, alignments: object, lists: object, listLevels: object, spacing: object}}
+ */
+export function markdownToDocument(markdown, options = {}) {
+    return htmlToDocument(markdownToHtml(markdown), options);
+}
@@ -0,0 +1,50 @@
+/**
+ * ParagraphSpacing - Validation for the per-paragraph spacing attribute.
+ *
+ * A paragraph's spacing is a plain object with any of:
+ *   lineHeight       - line height as a multiple of the line's font height
+ *   exactLineHeight  - fixed line height in px (overrides lineHeight)
+ *   spaceBefore      - extra px above the paragraph
+ *   spaceAfter       - extra px below the paragraph
+ * Paragraphs without an entry use the editor-wide line spacing and no extra
+ * space.
+ */
+
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * A clean copy of a spacing object: unknown keys and invalid values are
+ * dropped, and an exact line height wins over a multiple.
+ * @param {object} spacing
+ * @returns {object|null} null when nothing valid is left
+ */
+export function normalizeSpacing(spacing) {
+    if (!spacing || typeof spacing !== 'object') return null;
+    const out = {};
+    const { lineHeight, exactLineHeight } = spacing;
+    if (isPositive(exactLineHeight)) {
+        out.exactLineHeight = exactLineHeight;
+    } else if (isPositive(lineHeight)) {
+        out.lineHeight = lineHeight;
+    }
+    for (const key of ['spaceBefore', 'spaceAfter']) {
+        if (isPositive(spacing[key])) out[key] = spacing[key];
+    }
+    return Object.keys(out).length > 0 ? out : null;
+}
+
+/**
+ * Apply changes to a paragraph's spacing. A key set to null (or 0 for the
+ * spaces) clears it; setting one kind of line height clears the other.
+ * @param {object|null} current
+ * @param {object} changes
+ * @returns {object|null}
+ */
+export function mergeSpacing(current, changes) {
+    const merged = { ...(current || {}), ...changes };
+    if ('lineHeight' in changes) delete merged.exactLineHeight;
+    if ('exactLineHeight' in changes && changes.exactLineHeight != null) delete merged.lineHeight;
+    return normalizeSpacing(merged);
+}
@@ -0,0 +1,58 @@
+/**
+ * TabStops - Validation for the per-paragraph tab stops attribute, and where
+ * a tab character advances to.
+ *
+ * A paragraph's tab stops are an array of plain objects with:
+ *   position  - px from the left edge of the content area
+ *   align     - how the text after the tab (up to the next tab) sits at the
+ *               stop: 'left' (starts there, the default), 'center',
+ *               'right' (ends there) or 'decimal' (its first '.' is there;
+ *               text without one ends there)
+ *   leader    - 'dot' to fill the tab's space with dots
+ * Past the last custom stop, and in paragraphs without any, tabs advance to
+ * the next multiple of the default interval.
+ */
+
+export const TAB_ALIGNMENTS = ['left', 'center', 'right', 'decimal'];
+
+export const TAB_LEADERS = ['dot'];
+
+export const DEFAULT_TAB_INTERVAL = 48;
+
+/**
+ * A clean copy of a paragraph's tab stops: entries with invalid positions
+ * are dropped, unknown alignments and leaders are left out (so 'left' with
+ * no leader), and the stops are sorted, one per position.
+ * @param {Array<object>} stops
+ * @returns {Array<object>|null} null when nothing valid is left
+ */
+export function normalizeTabStops(stops) {
+    if (!Array.isArray(stops)) return null;
+    const byPosition = new Map();
+    for (const stop of stops) {
+        if (!stop || typeof stop !== 'object') continue;
+        const { position, align, leader } = stop;
+        if (typeof position !== 'number' || !Number.isFinite(position) || position <= 0) continue;
+        const out = { position };
+        if (TAB_ALIGNMENTS.includes(align) && align !== 'left') out.align = align;
+        if (TAB_LEADERS.includes(leader)) out.leader = leader;
+        byPosition.set(position, out);
+    }
+    const out = [...byPosition.values()].sort((a, b) => a.position - b.position);
+    return out.length > 0 ? out : null;
+}
+
+/**
+ * The stop a tab starting at x advances to: the first custom stop past x,
+ * otherwise the next multiple of the default interval.
+ * @param {Array<object>|null} stops - Normalized stops
+ * @param {number} x
+ * @param {number} [interval]
+ * @returns {{position: number, align: string, leader: string|null}}
+ */
+export function nextTabStop(stops, x, interval = DEFAULT_TAB_INTERVAL) {
+    const stop = (stops || []).find(s => s.position > x);
+    if (stop) return { align: 'left', leader: null, ...stop };
+    const step = interval > 0 ? interval : DEFAULT_TAB_INTERVAL;
+    return { position: (Math.floor(x / step) + 1) * step, align: 'left', leader: null };
+}
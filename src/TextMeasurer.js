@@ -1,6 +1,11 @@
 /**
  * Interface for measuring text dimensions
  * Can be implemented with real canvas context or mock for testing
+ *
+ * Chain lays text out through a TextMeasurer, so layout needs no canvas: in
+ * Node or a Web Worker pass a FontMetricsTextMeasurer (or an OffscreenCanvas
+ * context). Custom measurers extend TextMeasurer; anything else passed where
+ * a measurer is expected is taken to be a 2D canvas context.
  */
 export class TextMeasurer {
     /**
@@ -22,44 +27,165 @@ export class CanvasTextMeasurer extends TextMeasurer {
         super();
         this.ctx = ctx;
     }
-    
+
     measureText(text, fontProperties) {
-        this.ctx.save();
-        fontProperties.setOnContext(this.ctx);
+        const savedFont = this.ctx.font;
+        this.ctx.font = fontProperties.toFontString();
         const metrics = this.ctx.measureText(text);
-        this.ctx.restore();
-        
+        this.ctx.font = savedFont;
+
+        // Contexts without bounding box metrics get an estimate from the size.
         return {
             width: metrics.width,
-            ascent: metrics.actualBoundingBoxAscent || fontProperties.size * 0.8,
-            descent: metrics.actualBoundingBoxDescent || fontProperties.size * 0.2
+            ascent: metrics.actualBoundingBoxAscent ?? fontProperties.size * 0.8,
+            descent: metrics.actualBoundingBoxDescent ?? fontProperties.size * 0.2
         };
     }
 }
 
 /**
  * Mock text measurer for testing
- * Estimates text width based on character count
+ * Estimates text width based on character count. Widths, like ascent and
+ * descent, scale with the font size (widths used to stay at charWidth
+ * whatever the size), so it measures as the mock canvas contexts in the
+ * tests do.
  */
 export class MockTextMeasurer extends TextMeasurer {
+    /**
+     * Dimensions are given at 16px and scale with the font size.
+     * @param {number} [charWidth]
+     * @param {number} [ascent]
+     * @param {number} [descent]
+     */
     constructor(charWidth = 8, ascent = 12, descent = 4) {
         super();
         this.charWidth = charWidth;
         this.ascent = ascent;
         this.descent = descent;
     }
-    
+
     measureText(text, fontProperties) {
-        // Simple estimation: each character is charWidth pixels
-        const width = text.length * this.charWidth;
-        
-        // Scale ascent/descent by font size
         const scale = fontProperties.size / 16;
-        
+
         return {
-            width,
+            width: text.length * this.charWidth * scale,
             ascent: this.ascent * scale,
             descent: this.descent * scale
         };
     }
 }
+
+/**
+ * Measures text from a table of font metrics, without a canvas.
+ *
+ * The table maps a font family to its metrics in ems (fractions of the font
+ * size):
+ *   ascent, descent - above and below the baseline
+ *   widths          - advance width of each character, e.g. { a: 0.5 }
+ *   defaultWidth    - advance of characters missing from widths
+ *   bold            - optional metrics (same shape) used for bold text
+ * Families missing from the table use its 'default' entry. Kerning is
+ * ignored.
+ */
+export class FontMetricsTextMeasurer extends TextMeasurer {
+    /**
+     * @param {Object<string, object>} metrics
+     */
+    constructor(metrics) {
+        super();
+        this.metrics = metrics;
+    }
+
+    /**
+     * The metrics for a font, or null when the table has none.
+     * @param {FontProperties} fontProperties
+     * @returns {object|null}
+     */
+    fontMetrics(fontProperties) {
+        const family = this.metrics[fontProperties.family] || this.metrics.default;
+        if (!family) return null;
+        const bold = fontProperties.weight === 'bold' || Number(fontProperties.weight) >= 600;
+        return (bold && family.bold) || family;
+    }
+
+    measureText(text, fontProperties) {
+        const font = this.fontMetrics(fontProperties);
+        if (!font) {
+            throw new Error(`No font metrics for '${fontProperties.family}'`);
+        }
+        const size = fontProperties.size;
+        const widths = font.widths || {};
+        let width = 0;
+        for (const char of text) {
+            width += widths[char] ?? font.defaultWidth ?? 0.5;
+        }
+        return {
+            width: width * size,
+            ascent: (font.ascent ?? 0.8) * size,
+            descent: (font.descent ?? 0.2) * size
+        };
+    }
+}
+
+/**
+ * Wraps a measurer with a cache of its results per font and string, so text
+ * laid out again (another paragraph edited, the caret moved, a click hit
+ * tested) is not measured again. The cache holds up to maxEntries results,
+ * dropping the least recently used when full; clear() it when fonts load and
+ * measure differently.
+ */
+export class CachingTextMeasurer extends TextMeasurer {
+    /**
+     * @param {TextMeasurer} measurer
+     * @param {{ maxEntries?: number }} [options]
+     */
+    constructor(measurer, { maxEntries = 10000 } = {}) {
+        super();
+        this.measurer = measurer;
+        this.maxEntries = maxEntries;
+        this.clear();
+    }
+
+    clear() {
+        // Font string and text -> metrics, least recently used first.
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    measureText(text, fontProperties) {
+        const key = `${fontProperties.toFontString()}\n${text}`;
+        let metrics = this.entries.get(key);
+        if (metrics) {
+            // Move to the most recently used end.
+            this.entries.delete(key);
+        } else {
+            metrics = this.measurer.measureText(text, fontProperties);
+            if (this.entries.size >= this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+        }
+        this.entries.set(key, metrics);
+        return metrics;
+    }
+}
+
+const contextMeasurers = new WeakMap();
+
+/**
+ * The measurer for a TextMeasurer or a 2D canvas context: a measurer is
+ * returned as is, a context is measured through a CanvasTextMeasurer.
+ * @param {TextMeasurer|CanvasRenderingContext2D} source
+ * @returns {TextMeasurer}
+ */
+export function toTextMeasurer(source) {
+    if (source instanceof TextMeasurer) return source;
+    let measurer = contextMeasurers.get(source);
+    if (!measurer) {
+        measurer = new CanvasTextMeasurer(source);
+        contextMeasurers.set(source, measurer);
+    }
+    return measurer;
+}
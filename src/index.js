@@ -1,4 +1,8 @@
 export { CanvasEditor } from './CanvasEditor.js';
 export { Chain } from './Chain.js';
 export { FontProperties } from './FontProperties.js';
+export { Hyphenator } from './Hyphenator.js';
+export { TextMeasurer, CanvasTextMeasurer, MockTextMeasurer, FontMetricsTextMeasurer, CachingTextMeasurer } from './TextMeasurer.js';
 export { ChainLink, TextLink, CursorLink, NewlineLink, VirtualNewlineLink } from './ChainLink.js';
+export { documentToHtml, htmlToDocument, sanitizeDocument } from './HtmlCodec.js';
+export { documentToMarkdown, markdownToDocument } from './MarkdownCodec.js';
@@ -0,0 +1,336 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+// Just enough of the DOM for the accessibility mirror.
+function createFakeDocument() {
+    const createElement = (tagName) => {
+        const el = {
+            tagName,
+            children: [],
+            attributes: {},
+            style: {},
+            appendChild(child) {
+                el.children.push(child);
+                return child;
+            },
+            setAttribute(name, value) {
+                el.attributes[name] = String(value);
+            },
+            get textContent() {
+                return el.children.map(child => child.textContent).join('');
+            },
+            set textContent(value) {
+                el.children = value ? [{ textContent: value }] : [];
+            }
+        };
+        return el;
+    };
+    return {
+        body: createElement('body'),
+        createElement,
+        createTextNode: text => ({ textContent: text })
+    };
+}
+
+// Tag names of an element's subtree, e.g. ['ul', ['li', ...]].
+function outline(el) {
+    const children = el.children.filter(child => child.tagName && child.attributes.role !== 'checkbox');
+    return children.length ? [el.tagName, ...children.map(outline)] : el.tagName;
+}
+
+describe('Accessibility', () => {
+    let canvas;
+    let editor;
+
+    beforeEach(() => {
+        canvas = createTestCanvas();
+        editor = new CanvasEditor(canvas, {
+            backgroundColor: '#ffffff',
+            padding: 10
+        });
+    });
+
+    describe('Document blocks', () => {
+        it('should describe each paragraph with its text and character range', () => {
+            editor.setText('Hello\nWorld');
+
+            const blocks = editor.getAccessibilityBlocks();
+
+            assert.strictEqual(blocks.length, 2);
+            assert.deepStrictEqual(
+                blocks.map(b => [b.type, b.text, b.start, b.end]),
+                [['paragraph', 'Hello', 0, 5], ['paragraph', 'World', 6, 11]]
+            );
+        });
+
+        it('should expose list items with their type and marker', () => {
+            editor.setText('One\nTwo');
+            editor.chain.selectionStart = 0;
+            editor.chain.selectionEnd = 7;
+            editor.toggleNumberedList();
+
+            const blocks = editor.getAccessibilityBlocks();
+
+            assert.deepStrictEqual(blocks.map(b => b.type), ['listitem', 'listitem']);
+            assert.deepStrictEqual(blocks.map(b => b.list), ['number', 'number']);
+            assert.deepStrictEqual(blocks.map(b => b.marker), ['1.', '2.']);
+        });
+
+        it('should expose links and inline formatting as runs', () => {
+            editor.setText('see docs');
+            editor.chain.selectionStart = 4;
+            editor.chain.selectionEnd = 8;
+            editor.setLink('https://example.com');
+            editor.toggleBold();
+
+            const [block] = editor.getAccessibilityBlocks();
+
+            assert.strictEqual(block.runs.length, 2);
+            assert.strictEqual(block.runs[0].text, 'see ');
+            assert.strictEqual(block.runs[0].href, null);
+            assert.strictEqual(block.runs[1].text, 'docs');
+            assert.strictEqual(block.runs[1].href, 'https://example.com');
+            assert.strictEqual(block.runs[1].bold, true);
+        });
+
+        it('should expose horizontal rules and image alt text as their own blocks', () => {
+            editor.setText('Intro');
+            editor.insertHorizontalRule();
+            editor.insertImage({ src: 'cat.png', width: 40, height: 30, alt: 'A cat' });
+
+            const blocks = editor.getAccessibilityBlocks();
+            const types = blocks.map(b => b.type);
+
+            assert.deepStrictEqual(types, ['paragraph', 'hr', 'image', 'paragraph']);
+            assert.strictEqual(blocks[2].alt, 'A cat');
+        });
+
+        it('should report paragraph alignment', () => {
+            editor.setText('Title');
+            editor.setAlignment('center');
+
+            assert.strictEqual(editor.getAccessibilityBlocks()[0].align, 'center');
+        });
+    });
+
+    describe('Caret', () => {
+        it('should report the caret offset within its paragraph', () => {
+            editor.setText('Hello\nWorld');
+            editor.chain.moveCursorToCharPosition(8);
+
+            const caret = editor.getAccessibilityCaret();
+
+            assert.strictEqual(caret.paragraph, 1);
+            assert.strictEqual(caret.text, 'World');
+            assert.strictEqual(caret.offset, 2);
+            assert.strictEqual(caret.selectionStart, 2);
+            assert.strictEqual(caret.selectionEnd, 2);
+        });
+
+        it('should clamp a multi-paragraph selection to the caret paragraph', () => {
+            editor.setText('Hello\nWorld');
+            editor.chain.moveCursorToCharPosition(9);
+            editor.chain.selectionStart = 2;
+            editor.chain.selectionEnd = 9;
+
+            const caret = editor.getAccessibilityCaret();
+
+            assert.strictEqual(caret.selectionStart, 0);
+            assert.strictEqual(caret.selectionEnd, 3);
+        });
+    });
+
+    describe('Announcements', () => {
+        it('should announce formatting toggles for the next typed text', () => {
+            editor.toggleBold();
+            assert.strictEqual(editor.lastAnnouncement, 'Bold on');
+
+            editor.toggleBold();
+            assert.strictEqual(editor.lastAnnouncement, 'Bold off');
+        });
+
+        it('should announce formatting applied to the selection', () => {
+            editor.setText('Hello');
+            editor.chain.selectionStart = 0;
+            editor.chain.selectionEnd = 5;
+
+            editor.toggleItalic();
+
+            assert.strictEqual(editor.lastAnnouncement, 'Italic on');
+        });
+
+        it('should announce alignment and list changes', () => {
+            editor.setText('Item');
+
+            editor.setAlignment('right');
+            assert.strictEqual(editor.lastAnnouncement, 'Aligned right');
+
+            editor.toggleBulletList();
+            assert.strictEqual(editor.lastAnnouncement, 'Bulleted list');
+
+            editor.toggleBulletList();
+            assert.strictEqual(editor.lastAnnouncement, 'List removed');
+        });
+    });
+
+    describe('Mirror', () => {
+        let savedDocument;
+
+        beforeEach(() => {
+            savedDocument = globalThis.document;
+            globalThis.document = createFakeDocument();
+            editor.ensureAccessibilityMirror();
+        });
+
+        const restoreDocument = () => {
+            globalThis.document = savedDocument;
+        };
+
+        it('should nest lists by indent level', () => {
+            try {
+                editor.setText('A\nB\nC\nD');
+                editor.fromJSON({
+                    ...editor.toJSON(),
+                    lists: { 0: 'bullet', 1: 'bullet', 2: 'number', 3: 'bullet' },
+                    listLevels: { 1: 1, 2: 1 }
+                });
+                editor.render();
+
+                assert.deepStrictEqual(outline(editor.a11yDocument),
+                    ['div', ['ul', ['li', ['ul', 'li'], ['ol', 'li']], 'li']]);
+                const [outer] = editor.a11yDocument.children;
+                assert.deepStrictEqual(outer.children[0].children.filter(child => child.tagName).map(list => list.textContent), ['B', 'C']);
+                assert.strictEqual(outer.children[1].textContent, 'D');
+            } finally {
+                restoreDocument();
+            }
+        });
+
+        it('should read links with an unsafe scheme as plain text', () => {
+            try {
+                editor.setText('click');
+                const run = editor.chain.getItems().find(item => item.text === 'click');
+                run.intrinsic.fontProperties.link = 'java\tscript:alert(1)';
+                editor.chain.recalc();
+                editor.render();
+
+                const [paragraph] = editor.a11yDocument.children;
+                assert.strictEqual(paragraph.textContent, 'click');
+                assert.ok(paragraph.children.every(child => child.tagName !== 'a'));
+            } finally {
+                restoreDocument();
+            }
+        });
+
+        it('should only rebuild the mirror when the blocks change', () => {
+            try {
+                editor.setText('Hello');
+                let rebuilt = 0;
+                const renderMirror = editor.renderAccessibilityMirror.bind(editor);
+                editor.renderAccessibilityMirror = (blocks) => {
+                    rebuilt++;
+                    renderMirror(blocks);
+                };
+                const blocks = editor.getAccessibilityBlocks();
+                editor.render();
+                editor.handleKeyDown({ key: 'ArrowLeft', preventDefault() {} });
+                assert.strictEqual(editor.getAccessibilityBlocks(), editor.getAccessibilityBlocks());
+                assert.strictEqual(rebuilt, 0);
+                assert.deepStrictEqual(editor.getAccessibilityBlocks(), blocks);
+
+                editor.handleKeyDown({ key: 'x', preventDefault() {} });
+                assert.strictEqual(rebuilt, 1);
+                assert.strictEqual(editor.a11yDocument.textContent, 'Hellxo');
+            } finally {
+                restoreDocument();
+            }
+        });
+    });
+
+    it('should not create DOM elements outside the browser', () => {
+        assert.strictEqual(editor.ensureAccessibilityMirror(), null);
+        assert.strictEqual(editor.a11yRoot, null);
+    });
+});
@@ -11,9 +11,8 @@ function key(k, opts = {}) {
     return { key: k, ctrlKey: opts.ctrl || false, metaKey: false, shiftKey: opts.shift || false, preventDefault() {} };
 }
 
-// Smallest posX among the text on the (single) line, after alignment.
+// Smallest posX among the text on the (single) line.
 function minTextPosX(editor) {
-    editor.adjustForAlignment();
     let min = Infinity;
     for (const item of editor.chain.getItems()) {
         if (item instanceof TextLink && item.computed && item.computed.posX !== undefined) {
@@ -82,21 +81,23 @@ describe('Right alignment', () => {
 
 describe('Tab key', () => {
 
-    it('inserts tabSize spaces', () => {
+    it('inserts a tab character', () => {
         const canvas = createCanvas(800, 600);
         const editor = new CanvasEditor(canvas);
         editor.handleKeyDown(key('a'));
 
         editor.handleKeyDown(key('Tab'));
 
-        assert.strictEqual(editor.getText(), 'a' + ' '.repeat(editor.options.tabSize));
+        assert.strictEqual(editor.getText(), 'a\t');
     });
 
-    it('honors a custom tabSize', () => {
+    it('honors a custom tabInterval', () => {
         const canvas = createCanvas(800, 600);
-        const editor = new CanvasEditor(canvas, { tabSize: 2 });
+        const editor = new CanvasEditor(canvas, { tabInterval: 100 });
         editor.handleKeyDown(key('Tab'));
-        assert.strictEqual(editor.getText(), '  ');
+        editor.handleKeyDown(key('a'));
+        const a = editor.chain.getItems().find(item => item.text === 'a');
+        assert.strictEqual(a.computed.posX, 100);
     });
 
     it('replaces a selection', () => {
@@ -107,7 +108,7 @@ describe('Tab key', () => {
 
         editor.handleKeyDown(key('Tab'));
 
-        assert.strictEqual(editor.getText(), ' '.repeat(editor.options.tabSize));
+        assert.strictEqual(editor.getText(), '\t');
     });
 });
 
@@ -3,43 +3,16 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Arrow Key Navigation', () => {
 
     describe('leftArrowPressed', () => {
 
         it('should do nothing when cursor is at start of empty document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             const cursorIdxBefore = chain.cursorIdx();
             chain.leftArrowPressed();
@@ -49,9 +22,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move cursor left by one character', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -71,9 +44,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move cursor through entire word', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -86,9 +59,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move cursor across newline', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -105,9 +78,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should handle multiple left presses', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -122,9 +95,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should not move past start of document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.leftArrowPressed();
@@ -138,9 +111,9 @@ describe('Arrow Key Navigation', () => {
     describe('rightArrowPressed', () => {
 
         it('should do nothing when cursor is at end of empty document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             const cursorIdxBefore = chain.cursorIdx();
             chain.rightArrowPressed();
@@ -150,9 +123,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move cursor right by one character', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -167,9 +140,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move cursor through entire word', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -185,9 +158,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move cursor across newline', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -203,9 +176,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should not move past end of document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.rightArrowPressed(); // Extra press
@@ -219,9 +192,9 @@ describe('Arrow Key Navigation', () => {
     describe('upArrowPressed', () => {
 
         it('should move to beginning when on first line', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -233,9 +206,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move to previous line when on second line', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -250,9 +223,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should handle multiple lines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -269,9 +242,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should maintain horizontal position when moving up', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -297,9 +270,9 @@ describe('Arrow Key Navigation', () => {
     describe('downArrowPressed', () => {
 
         it('should move to end when on last line', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -313,9 +286,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should move to next line when on first line', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -333,9 +306,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should handle multiple lines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -363,9 +336,9 @@ describe('Arrow Key Navigation', () => {
     describe('Combined navigation', () => {
 
         it('should handle left then right', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -379,9 +352,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should handle up then down', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -397,9 +370,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should navigate complex document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             // Create 3 lines
             chain.printableKeyPressed('A');
@@ -421,9 +394,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should allow editing after navigation', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -439,9 +412,9 @@ describe('Arrow Key Navigation', () => {
     describe('Edge cases', () => {
 
         it('should handle arrow keys on empty document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.leftArrowPressed();
             chain.rightArrowPressed();
@@ -453,9 +426,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should handle many consecutive left arrows', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -470,9 +443,9 @@ describe('Arrow Key Navigation', () => {
         });
 
         it('should handle many consecutive right arrows', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
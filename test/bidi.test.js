@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    bidiClass, normalizeDirection, paragraphLevel, resolveLevels, visualOrder
+} from '../src/Bidi.js';
+
+// Text in display order, left to right.
+function display(text, baseLevel) {
+    return visualOrder(resolveLevels(text, baseLevel)).map(i => text[i]).join('');
+}
+
+describe('bidiClass', () => {
+    it('classifies Latin, Hebrew and Arabic letters', () => {
+        assert.strictEqual(bidiClass('a'.codePointAt(0)), 'L');
+        assert.strictEqual(bidiClass('א'.codePointAt(0)), 'R');
+        assert.strictEqual(bidiClass('ب'.codePointAt(0)), 'AL');
+        assert.strictEqual(bidiClass('漢'.codePointAt(0)), 'L');
+    });
+
+    it('classifies digits, separators and neutrals', () => {
+        assert.strictEqual(bidiClass('1'.codePointAt(0)), 'EN');
+        assert.strictEqual(bidiClass('٣'.codePointAt(0)), 'AN');
+        assert.strictEqual(bidiClass(' '.codePointAt(0)), 'WS');
+        assert.strictEqual(bidiClass('\t'.codePointAt(0)), 'S');
+        assert.strictEqual(bidiClass('%'.codePointAt(0)), 'ET');
+        assert.strictEqual(bidiClass(','.codePointAt(0)), 'CS');
+        assert.strictEqual(bidiClass('!'.codePointAt(0)), 'ON');
+        assert.strictEqual(bidiClass(0x05B0), 'NSM');
+        assert.strictEqual(bidiClass(0x200D), 'BN');
+    });
+});
+
+describe('normalizeDirection', () => {
+    it('keeps ltr and rtl and drops everything else', () => {
+        assert.strictEqual(normalizeDirection('ltr'), 'ltr');
+        assert.strictEqual(normalizeDirection('rtl'), 'rtl');
+        assert.strictEqual(normalizeDirection('auto'), null);
+        assert.strictEqual(normalizeDirection('RTL'), null);
+        assert.strictEqual(normalizeDirection(undefined), null);
+    });
+});
+
+describe('paragraphLevel', () => {
+    it('follows the first strong character for auto', () => {
+        assert.strictEqual(paragraphLevel('hello שלום'), 0);
+        assert.strictEqual(paragraphLevel('שלום hello'), 1);
+        assert.strictEqual(paragraphLevel('123 مرحبا'), 1);
+        assert.strictEqual(paragraphLevel('123 !?'), 0);
+        assert.strictEqual(paragraphLevel(''), 0);
+    });
+
+    it('uses an explicit direction regardless of the text', () => {
+        assert.strictEqual(paragraphLevel('hello', 'rtl'), 1);
+        assert.strictEqual(paragraphLevel('שלום', 'ltr'), 0);
+    });
+});
+
+describe('resolveLevels', () => {
+    it('leaves purely left-to-right text at level 0', () => {
+        assert.deepStrictEqual(resolveLevels('abc 12'), [0, 0, 0, 0, 0, 0]);
+    });
+
+    it('raises right-to-left letters in a left-to-right paragraph', () => {
+        assert.deepStrictEqual(resolveLevels('ab אב cd', 0), [0, 0, 0, 1, 1, 0, 0, 0]);
+    });
+
+    it('raises left-to-right text and numbers in a right-to-left paragraph', () => {
+        assert.deepStrictEqual(resolveLevels('אב cd 12', 1), [1, 1, 1, 2, 2, 2, 2, 2]);
+        assert.deepStrictEqual(resolveLevels('אב 12', 1), [1, 1, 1, 2, 2]);
+    });
+
+    it('keeps numbers with separators together', () => {
+        assert.deepStrictEqual(resolveLevels('א 1,5%', 1), [1, 1, 2, 2, 2, 2]);
+    });
+
+    it('treats digits after Arabic letters as Arabic numbers', () => {
+        assert.deepStrictEqual(resolveLevels('ab ب12', 0), [0, 0, 0, 1, 2, 2]);
+    });
+
+    it('resolves neutrals between runs of one direction to that direction', () => {
+        assert.deepStrictEqual(resolveLevels('אב - גד', 0), [1, 1, 1, 1, 1, 1, 1]);
+        assert.deepStrictEqual(resolveLevels('ab - אב', 0), [0, 0, 0, 0, 0, 1, 1]);
+    });
+
+    it('puts tabs at the paragraph level', () => {
+        assert.deepStrictEqual(resolveLevels('א\tב', 0), [1, 0, 1]);
+    });
+
+    it('gives both halves of a surrogate pair one level', () => {
+        const levels = resolveLevels('א😀', 1);
+        assert.strictEqual(levels.length, 3);
+        assert.strictEqual(levels[1], levels[2]);
+    });
+});
+
+describe('visualOrder', () => {
+    it('reverses right-to-left runs within left-to-right text', () => {
+        assert.strictEqual(display('ab אבג cd', 0), 'ab גבא cd');
+    });
+
+    it('reverses a right-to-left paragraph but keeps embedded numbers in order', () => {
+        assert.strictEqual(display('אב 123', 1), '123 בא');
+    });
+
+    it('keeps Latin words in a right-to-left paragraph readable', () => {
+        assert.strictEqual(display('אב one two גד', 1), 'דג one two בא');
+    });
+
+    it('returns an empty order for no items', () => {
+        assert.deepStrictEqual(visualOrder([]), []);
+    });
+});
@@ -133,8 +133,8 @@ describe('ChainLink', () => {
 
                 const metrics = textLink.measureText(ctx);
                 assert.ok(metrics.width > 0);
-                assert.ok(metrics.actualBoundingBoxAscent > 0);
-                assert.ok(metrics.actualBoundingBoxDescent > 0);
+                assert.ok(metrics.ascent > 0);
+                assert.ok(metrics.descent > 0);
             });
 
             it('should measure with text override', () => {
@@ -163,7 +163,7 @@ describe('ChainLink', () => {
 
                 // Larger font should have larger measurements
                 assert.ok(metrics2.width > metrics1.width);
-                assert.ok(metrics2.actualBoundingBoxAscent > metrics1.actualBoundingBoxAscent);
+                assert.ok(metrics2.ascent > metrics1.ascent);
             });
         });
 
@@ -0,0 +1,334 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; },
+        calls: [],
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect(x, y, w, h) {
+                    canvas.calls.push({ op: 'strokeRect', x, y, w, h });
+                },
+                fillText(text, x, y) {
+                    canvas.calls.push({ op: 'fillText', text, x, y, color: this.fillStyle });
+                },
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo(x, y) {
+                    canvas.calls.push({ op: 'lineTo', x, y, color: this.strokeStyle });
+                },
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+import { documentToHtml, htmlToDocument, sanitizeDocument } from '../src/HtmlCodec.js';
+import { documentToMarkdown, markdownToDocument } from '../src/MarkdownCodec.js';
+import { buildKeymap } from '../src/Keymap.js';
+
+function createEditor(text = 'buy milk\ncall Sam\nship it', options = {}) {
+    const canvas = createTestCanvas();
+    const editor = new CanvasEditor(canvas, options);
+    editor.setText(text);
+    editor.selectAll();
+    editor.toggleCheckList();
+    editor.chain.clearSelection();
+    return { editor, canvas };
+}
+
+// Put the caret at the end of paragraph p.
+function caretIn(editor, p) {
+    const paragraphs = editor.getText().split('\n');
+    let pos = 0;
+    for (let i = 0; i < p; i++) pos += paragraphs[i].length + 1;
+    editor.chain.clearSelection();
+    editor.chain.moveCursorToCharPosition(pos + paragraphs[p].length);
+}
+
+function mouse(clientX, clientY) {
+    return { clientX, clientY, button: 0, detail: 1, preventDefault() {} };
+}
+
+// Client coordinates of the middle of paragraph p's checkbox.
+function boxCenter(editor, p) {
+    const { box } = editor.getListMarkerPositions().find(pos => pos.paragraph === p);
+    const padding = editor.options.padding;
+    return [padding + box.x + box.size / 2, padding + box.y + box.size / 2 - editor.scrollY];
+}
+
+function paragraphs(...texts) {
+    return texts.flatMap((text, i) => [
+        ...(i > 0 ? [{ type: 'newline' }] : []),
+        { type: 'text', text, font: {} }
+    ]);
+}
+
+describe('Check lists', () => {
+    it('should make check list items with unchecked boxes in the gutter', () => {
+        const { editor } = createEditor();
+        const positions = editor.getListMarkerPositions();
+
+        assert.deepStrictEqual([...editor.paragraphLists.values()], ['check', 'check', 'check']);
+        assert.deepStrictEqual(positions.map(pos => pos.marker), ['☐', '☐', '☐']);
+        for (const pos of positions) {
+            assert.strictEqual(pos.checked, false);
+            assert.ok(pos.box.x + pos.box.size <= editor.LIST_INDENT);
+            assert.ok(pos.box.y < pos.y);
+        }
+        editor.destroy();
+    });
+
+    it('should toggle an item by clicking its box without moving the caret', () => {
+        const { editor } = createEditor();
+        caretIn(editor, 0);
+        const caret = editor.chain.getCursorCharPosition();
+
+        editor.handleMouseDown(mouse(...boxCenter(editor, 1)));
+        editor.handleMouseUp(mouse(...boxCenter(editor, 1)));
+        assert.strictEqual(editor.isChecked(1), true);
+        assert.strictEqual(editor.chain.getCursorCharPosition(), caret);
+        assert.strictEqual(editor.getListMarkerPositions()[1].marker, '☑');
+
+        editor.handleMouseDown(mouse(...boxCenter(editor, 1)));
+        assert.strictEqual(editor.isChecked(1), false);
+        editor.destroy();
+    });
+
+    it('should not toggle from a click in read-only mode', () => {
+        const { editor } = createEditor('task');
+        editor.setReadOnly(true);
+        editor.handleMouseDown(mouse(...boxCenter(editor, 0)));
+        assert.strictEqual(editor.isChecked(0), false);
+        editor.destroy();
+    });
+
+    it('should toggle the selected items with Mod-Enter', () => {
+        const { editor } = createEditor();
+        assert.strictEqual(buildKeymap({}, false).get('Ctrl-Enter'), 'toggleChecked');
+        caretIn(editor, 2);
+        editor.executeCommand('toggleChecked');
+        assert.deepStrictEqual([0, 1, 2].map(p => editor.isChecked(p)), [false, false, true]);
+
+        // A mixed selection becomes all checked, then all unchecked.
+        editor.selectAll();
+        editor.executeCommand('toggleChecked');
+        assert.deepStrictEqual([0, 1, 2].map(p => editor.isChecked(p)), [true, true, true]);
+        editor.executeCommand('toggleChecked');
+        assert.deepStrictEqual([0, 1, 2].map(p => editor.isChecked(p)), [false, false, false]);
+        editor.destroy();
+    });
+
+    it('should do nothing outside a check list', () => {
+        const { editor } = createEditor();
+        editor.selectAll();
+        editor.toggleBulletList();
+        assert.strictEqual(editor.toggleChecked(), false);
+        assert.strictEqual(editor.setItemChecked(0, true), false);
+        editor.destroy();
+    });
+
+    it('should grey out and strike through checked items', () => {
+        const { editor, canvas } = createEditor('done\nopen');
+        editor.setItemChecked(0, true);
+        canvas.calls.length = 0;
+        editor.render();
+
+        const done = canvas.calls.find(call => call.op === 'fillText' && call.text === 'done');
+        const open = canvas.calls.find(call => call.op === 'fillText' && call.text === 'open');
+        assert.notStrictEqual(done.color, open.color);
+        assert.ok(canvas.calls.some(call => call.op === 'lineTo' && call.color === done.color));
+        // The checked box is filled; the open one is outlined.
+        assert.strictEqual(canvas.calls.filter(call => call.op === 'strokeRect').length, 1);
+        editor.destroy();
+    });
+
+    it('should leave checked items alone with checkedItemStyle none', () => {
+        const { editor, canvas } = createEditor('done\nopen', { checkedItemStyle: 'none' });
+        editor.setItemChecked(0, true);
+        canvas.calls.length = 0;
+        editor.render();
+
+        const done = canvas.calls.find(call => call.op === 'fillText' && call.text === 'done');
+        const open = canvas.calls.find(call => call.op === 'fillText' && call.text === 'open');
+        assert.strictEqual(done.color, open.color);
+        editor.destroy();
+    });
+
+    it('should continue with an unchecked item on Enter', () => {
+        const { editor } = createEditor('first');
+        editor.setItemChecked(0, true);
+        caretIn(editor, 0);
+        editor.executeCommand('insertNewline');
+
+        assert.strictEqual(editor.paragraphLists.get(1), 'check');
+        assert.strictEqual(editor.isChecked(0), true);
+        assert.strictEqual(editor.isChecked(1), false);
+        editor.destroy();
+    });
+
+    it('should keep the checked state with its item through edits and undo', () => {
+        const { editor } = createEditor();
+        editor.setItemChecked(1, true);
+        editor.chain.clearSelection();
+        editor.chain.moveCursorToCharPosition(0);
+        editor.executeCommand('insertNewline');
+        assert.strictEqual(editor.isChecked(2), true);
+        assert.strictEqual(editor.isChecked(1), false);
+
+        editor.takeSnapshot();
+        editor.undo();
+        editor.undo();
+        assert.strictEqual(editor.isChecked(1), false);
+        editor.redo();
+        assert.strictEqual(editor.isChecked(1), true);
+        editor.destroy();
+    });
+
+    it('should drop the checked state when the item leaves the check list', () => {
+        const { editor } = createEditor('a\nb');
+        editor.setItemChecked(0, true);
+        editor.selectAll();
+        editor.toggleBulletList();
+        assert.strictEqual(editor.paragraphChecked.size, 0);
+        editor.destroy();
+    });
+
+    it('should serialize the checked state', () => {
+        const { editor } = createEditor();
+        editor.setItemChecked(2, true);
+        const json = editor.toJSON();
+        assert.deepStrictEqual(json.checked, { 2: true });
+
+        const other = createEditor('').editor;
+        other.fromJSON(json);
+        assert.deepStrictEqual([0, 1, 2].map(p => other.isChecked(p)), [false, false, true]);
+        editor.destroy();
+        other.destroy();
+    });
+
+    it('should ignore checked flags on other paragraphs when loading', () => {
+        const { editor } = createEditor('a\nb');
+        editor.fromJSON({ content: paragraphs('a', 'b'), lists: { 0: 'bullet', 1: 'check' }, checked: { 0: true, 1: 'yes' } });
+        assert.strictEqual(editor.paragraphChecked.size, 0);
+        editor.destroy();
+    });
+
+    it('should mark boxes in the accessibility blocks', () => {
+        const { editor } = createEditor('a\nb');
+        editor.setItemChecked(1, true);
+        const blocks = editor.getAccessibilityBlocks();
+        assert.deepStrictEqual(blocks.map(block => block.checked), [false, true]);
+        editor.destroy();
+    });
+});
+
+describe('Check lists in HTML and Markdown', () => {
+    const doc = {
+        content: paragraphs('a', 'b', 'c'),
+        lists: { 0: 'check', 1: 'check', 2: 'bullet' },
+        checked: { 1: true }
+    };
+
+    it('should write check list items with leading checkboxes', () => {
+        assert.strictEqual(documentToHtml(doc),
+            '<ul class="checklist"><li><input type="checkbox" disabled>a</li>' +
+            '<li><input type="checkbox" checked disabled>b</li></ul><ul><li>c</li></ul>');
+    });
+
+    it('should read list items that start with a checkbox', () => {
+        const imported = htmlToDocument(documentToHtml(doc));
+        assert.deepStrictEqual(imported.lists, doc.lists);
+        assert.deepStrictEqual(imported.checked, doc.checked);
+    });
+
+    it('should ignore checkboxes outside list items or after text', () => {
+        const imported = htmlToDocument('<p><input type="checkbox" checked>x</p><ul><li>y <input type="checkbox"></li></ul>');
+        assert.deepStrictEqual(imported.lists, { 1: 'bullet' });
+        assert.deepStrictEqual(imported.checked, {});
+    });
+
+    it('should keep the checked state through the sanitizer', () => {
+        const clean = sanitizeDocument({ ...doc, checked: { 0: 'x', 1: true, 2: true } });
+        assert.deepStrictEqual(clean.checked, { 1: true });
+    });
+
+    it('should round-trip task list items through Markdown', () => {
+        const markdown = documentToMarkdown(doc);
+        assert.strictEqual(markdown, '- [ ] a\n- [x] b\n\n- c');
+
+        const imported = markdownToDocument('- [ ] a\n- [X] b\n  - [ ] nested\n- c');
+        assert.deepStrictEqual(imported.lists, { 0: 'check', 1: 'check', 2: 'check', 3: 'bullet' });
+        assert.deepStrictEqual(imported.checked, { 1: true });
+        assert.deepStrictEqual(imported.listLevels, { 2: 1 });
+    });
+});
@@ -3,43 +3,16 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-    
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-    
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Edge Case Click Tests', () => {
     let chain;
-    let ctx;
+    let measurer;
 
     it('should handle clicking on document with only cursor (empty document)', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         // Just a cursor, nothing else
         chain.items = [new CursorLink()];
@@ -53,9 +26,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle clicking on document with single character', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         chain.items = [
             new TextLink('A', fontProps.clone()),
@@ -73,9 +46,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle extremely large X coordinate', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
 
         chain.items = [
             new TextLink('T', fontProps.clone()),
@@ -100,9 +73,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle extremely large Y coordinate', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
 
         chain.items = [
             new TextLink('L', fontProps.clone()),
@@ -133,9 +106,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle extremely negative X coordinate', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         chain.items = [
             new TextLink('T', fontProps.clone()),
@@ -155,9 +128,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle extremely negative Y coordinate', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         chain.items = [
             new TextLink('A', fontProps.clone()),
@@ -178,9 +151,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle clicking at exact boundary between characters', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         // Each character is 8px wide (16px font * 0.5)
         chain.items = [
@@ -202,9 +175,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle clicking with floating point coordinates', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         chain.items = [
             new TextLink('F', fontProps.clone()),
@@ -226,9 +199,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle very narrow canvas width', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(10, ctx, fontProps); // Extremely narrow!
+        chain = new Chain(10, measurer, fontProps); // Extremely narrow!
         
         chain.items = [
             new TextLink('W', fontProps.clone()),
@@ -249,9 +222,9 @@ describe('Edge Case Click Tests', () => {
     });
 
     it('should handle clicking at exactly (0, 0)', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         chain.items = [
             new TextLink('O', fontProps.clone()),
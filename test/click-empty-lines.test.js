@@ -3,44 +3,16 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-    
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            // Simple character-based width estimation
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-    
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Multiple Empty Lines Click Tests', () => {
     let chain;
-    let ctx;
+    let measurer;
 
     it('should handle clicking on first of multiple empty lines', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         // Text + 3 empty lines + Text
         const items = [
@@ -75,9 +47,9 @@ describe('Multiple Empty Lines Click Tests', () => {
     });
 
     it('should handle clicking on middle of multiple empty lines', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         const items = [
             new TextLink('A', fontProps.clone()),
@@ -104,9 +76,9 @@ describe('Multiple Empty Lines Click Tests', () => {
     });
 
     it('should handle clicking on last of multiple empty lines', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         const items = [
             new TextLink('T', fontProps.clone()),
@@ -131,9 +103,9 @@ describe('Multiple Empty Lines Click Tests', () => {
     });
 
     it('should handle document with only empty lines', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         const items = [
             new NewlineLink(),
@@ -155,9 +127,9 @@ describe('Multiple Empty Lines Click Tests', () => {
     });
 
     it('should handle clicking far below multiple empty lines', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         const items = [
             new TextLink('O', fontProps.clone()),
@@ -185,9 +157,9 @@ describe('Multiple Empty Lines Click Tests', () => {
     });
 
     it('should distinguish between consecutive empty lines when clicking precisely', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         const items = [
             new TextLink('X', fontProps.clone()),
@@ -3,45 +3,17 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-    
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            // Simple character-based width estimation
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-    
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Mixed Font Size Click Tests', () => {
     let chain;
-    let ctx;
+    let measurer;
 
     it('should handle clicking on text with different font sizes on same line', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const smallFont = new FontProperties(12, 'Arial');
         const largeFont = new FontProperties(24, 'Arial');
-        chain = new Chain(800, ctx, smallFont);
+        chain = new Chain(800, measurer, smallFont);
         
         // Build: "Small" (12px) + "LARGE" (24px) + "Small" (12px)
         const items = [
@@ -76,11 +48,11 @@ describe('Mixed Font Size Click Tests', () => {
     });
 
     it('should handle clicking between lines with different font sizes', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const smallFont = new FontProperties(10, 'Arial');
         const mediumFont = new FontProperties(16, 'Arial');
         const largeFont = new FontProperties(32, 'Arial');
-        chain = new Chain(800, ctx, mediumFont);
+        chain = new Chain(800, measurer, mediumFont);
         
         // Build three lines with different sizes
         const items = [
@@ -118,10 +90,10 @@ describe('Mixed Font Size Click Tests', () => {
     });
 
     it('should place cursor correctly when clicking on tall characters', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const normalFont = new FontProperties(16, 'Arial');
         const hugeFont = new FontProperties(48, 'Arial');
-        chain = new Chain(800, ctx, normalFont);
+        chain = new Chain(800, measurer, normalFont);
         
         const items = [
             new TextLink('H', hugeFont.clone()),
@@ -149,10 +121,10 @@ describe('Mixed Font Size Click Tests', () => {
     });
 
     it('should handle clicking between different-height lines in gap', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const smallFont = new FontProperties(12, 'Arial');
         const largeFont = new FontProperties(36, 'Arial');
-        chain = new Chain(800, ctx, smallFont);
+        chain = new Chain(800, measurer, smallFont);
         
         const items = [
             new TextLink('t', smallFont.clone()),
@@ -5,45 +5,16 @@ import { FontProperties } from '../src/FontProperties.js';
 import { TextLink } from '../src/ChainLink.js';
 import { NewlineLink } from '../src/ChainLink.js';
 import { CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-    
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            // Simple character-based width estimation
-            // Average character width ~8px for 16px font
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-    
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Click Positioning Tests', () => {
     let chain;
-    let mockCtx;
+    let measurer;
 
     beforeEach(() => {
-        mockCtx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, mockCtx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         // Build content: "Hello World" + newline + empty line + "Line 3"
         chain.items = [
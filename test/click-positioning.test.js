@@ -3,48 +3,19 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-    
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            // Simple character-based width estimation
-            // Average character width ~8px for 16px font
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-    
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Click Positioning Tests', () => {
     let chain;
-    let ctx;
+    let measurer;
 
     beforeEach(() => {
         // Create a mock canvas context
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         
         // Create a chain directly with font properties
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, ctx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         // Set up test content: 3 lines
         // Line 1: "Welcome to Canvas Editor!"
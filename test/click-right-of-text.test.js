@@ -3,49 +3,21 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            const fontSizeMatch = currentFont.match(/(\d+)px/);
-            const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
-            const charWidth = fontSize * 0.5;
-
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Clicking Right of Text Tests', () => {
     let chain;
-    let ctx;
+    let measurer;
 
     beforeEach(() => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
     });
 
     describe('Single line - click right of text at different Y positions', () => {
 
         it('should place cursor at END when clicking right of "Hello" at Y=0 (text baseline)', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Hello', fontProps.clone()),
@@ -73,7 +45,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('should place cursor at END when clicking right of "Hello" at Y=4 (slightly below baseline)', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Hello', fontProps.clone()),
@@ -98,7 +70,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('should place cursor at END when clicking right of "Hello" at Y=-8 (above baseline)', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Hello', fontProps.clone()),
@@ -123,7 +95,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('should place cursor at END when clicking right of "Hello" at Y=12 (well below baseline)', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Hello', fontProps.clone()),
@@ -151,7 +123,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('should place cursor at END of line 1 when clicking right at various Y values', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Line1', fontProps.clone()),
@@ -174,7 +146,7 @@ describe('Clicking Right of Text Tests', () => {
             for (const testCase of testCases) {
                 // Reset
                 const fontProps2 = new FontProperties(16, 'Arial');
-                chain = new Chain(800, ctx, fontProps2);
+                chain = new Chain(800, measurer, fontProps2);
                 chain.items = [
                     new TextLink('Line1', fontProps2.clone()),
                     new NewlineLink(),
@@ -206,7 +178,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('should place cursor at END of line 2 when clicking right at line 2 Y position', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Line1', fontProps.clone()),
@@ -230,7 +202,7 @@ describe('Clicking Right of Text Tests', () => {
             for (const testCase of testCases) {
                 // Reset
                 const fontProps2 = new FontProperties(16, 'Arial');
-                chain = new Chain(800, ctx, fontProps2);
+                chain = new Chain(800, measurer, fontProps2);
                 chain.items = [
                     new TextLink('Line1', fontProps2.clone()),
                     new NewlineLink(),
@@ -266,7 +238,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('should handle clicking extremely far right (X=9999)', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Test', fontProps.clone()),
@@ -291,7 +263,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('should handle clicking just past the end of text', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Hello', fontProps.clone()),
@@ -321,7 +293,7 @@ describe('Clicking Right of Text Tests', () => {
 
         it('REPRODUCTION: clicking right of text at different Y should always place at END', () => {
             const fontProps = new FontProperties(16, 'Arial');
-            chain = new Chain(800, ctx, fontProps);
+            chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('Hello', fontProps.clone()),
@@ -350,7 +322,7 @@ describe('Clicking Right of Text Tests', () => {
             for (const y of testYPositions) {
                 // Reset for each test
                 const fontProps2 = new FontProperties(16, 'Arial');
-                chain = new Chain(800, ctx, fontProps2);
+                chain = new Chain(800, measurer, fontProps2);
                 chain.items = [
                     new TextLink('Hello', fontProps2.clone()),
                     new TextLink(' ', fontProps2.clone()),
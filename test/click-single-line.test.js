@@ -5,46 +5,17 @@ import { FontProperties } from '../src/FontProperties.js';
 import { TextLink } from '../src/ChainLink.js';
 import { NewlineLink } from '../src/ChainLink.js';
 import { CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-    
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            // Simple character-based width estimation
-            // Each character is ~8px for 16px font
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-    
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Single Line Click Tests', () => {
     let chain;
-    let mockCtx;
+    let measurer;
     let fontProps;
 
     beforeEach(() => {
-        mockCtx = createMockContext();
+        measurer = new MockTextMeasurer();
         fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(800, mockCtx, fontProps);
+        chain = new Chain(800, measurer, fontProps);
         
         // Single line: "Hello"
         // Expected: "Hello" = 5 chars * 8px = 40px wide
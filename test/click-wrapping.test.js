@@ -3,45 +3,16 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-    
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            // Simple character-based width estimation
-            // Average character width ~8px for 16px font
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-    
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Text Wrapping Click Tests', () => {
     let chain;
-    let ctx;
+    let measurer;
 
     it('should handle clicking on wrapped text (line becomes multiple visual lines)', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(100, ctx, fontProps); // Narrow width to force wrapping
+        chain = new Chain(100, measurer, fontProps); // Narrow width to force wrapping
         
         // Create a long line that should wrap
         const longText = "This is a very long line that will wrap";
@@ -65,9 +36,9 @@ describe('Text Wrapping Click Tests', () => {
     });
 
     it('should handle clicking between wrapped lines', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(80, ctx, fontProps); // Very narrow to force wrapping
+        chain = new Chain(80, measurer, fontProps); // Very narrow to force wrapping
         
         const text = "ABCDEFGHIJKLMNOP";
         const items = [];
@@ -89,9 +60,9 @@ describe('Text Wrapping Click Tests', () => {
     });
 
     it('should handle clicking at end of wrapped text', () => {
-        ctx = createMockContext();
+        measurer = new MockTextMeasurer();
         const fontProps = new FontProperties(16, 'Arial');
-        chain = new Chain(120, ctx, fontProps);
+        chain = new Chain(120, measurer, fontProps);
         
         const text = "Short line that wraps around";
         const items = [];
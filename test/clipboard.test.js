@@ -408,4 +408,269 @@ describe('Clipboard Operations', () => {
             assert.strictEqual(editor.getText(), 'Hello World');
         });
     });
+
+    describe('Rich Copy', () => {
+        it('should provide plain text, HTML and native JSON flavors', () => {
+            editor.setText('Hello World');
+            editor.chain.selectionStart = 0;
+            editor.chain.selectionEnd = 5;
+            editor.toggleBold();
+
+            const flavors = editor.getClipboardFlavors();
+
+            assert.strictEqual(flavors['text/plain'], 'Hello');
+            assert.strictEqual(flavors['text/html'], '<p><strong>Hello</strong></p>');
+            const doc = JSON.parse(flavors['web application/x-canvas-richtext+json']);
+            assert.deepStrictEqual(doc.content.map(c => c.text), ['Hello']);
+            assert.strictEqual(doc.content[0].font.weight, 'bold');
+        });
+
+        it('should slice the document and re-index paragraph attributes', () => {
+            editor.setText('Intro\nOne\nTwo');
+            editor.chain.selectionStart = 6;
+            editor.chain.selectionEnd = 13;
+            editor.toggleBulletList();
+
+            const slice = editor.getDocumentSlice(6, 13);
+
+            assert.deepStrictEqual(slice.content.map(c => c.type), ['text', 'newline', 'text']);
+            assert.deepStrictEqual(slice.lists, { 0: 'bullet', 1: 'bullet' });
+            assert.strictEqual(editor.getClipboardFlavors()['text/html'], '<ul><li>One</li><li>Two</li></ul>');
+        });
+
+        it('should write every flavor through the async Clipboard API when available', async () => {
+            const written = [];
+            const savedClipboard = globalThis.navigator.clipboard;
+            globalThis.ClipboardItem = class {
+                constructor(parts) {
+                    this.parts = parts;
+                    this.types = Object.keys(parts);
+                }
+            };
+            globalThis.navigator.clipboard = {
+                write: async (items) => { written.push(...items); },
+                writeText: async (text) => { clipboardContent = text; }
+            };
+
+            try {
+                editor.setText('Hello');
+                editor.chain.selectionStart = 0;
+                editor.chain.selectionEnd = 5;
+                await editor.copy();
+
+                assert.strictEqual(written.length, 1);
+                assert.deepStrictEqual(written[0].types, [
+                    'text/plain',
+                    'text/html',
+                    'web application/x-canvas-richtext+json'
+                ]);
+                assert.strictEqual(await written[0].parts['text/plain'].text(), 'Hello');
+            } finally {
+                delete globalThis.ClipboardItem;
+                globalThis.navigator.clipboard = savedClipboard;
+            }
+        });
+
+        it('should fall back to plain text when rich writes are rejected', async () => {
+            const savedClipboard = globalThis.navigator.clipboard;
+            globalThis.ClipboardItem = class {
+                constructor(parts) {
+                    this.parts = parts;
+                }
+            };
+            globalThis.navigator.clipboard = {
+                write: async () => { throw new Error('NotAllowedError'); },
+                writeText: async (text) => { clipboardContent = text; }
+            };
+
+            try {
+                editor.setText('Hello');
+                editor.chain.selectionStart = 1;
+                editor.chain.selectionEnd = 4;
+                await editor.copy();
+
+                assert.strictEqual(clipboardContent, 'ell');
+            } finally {
+                delete globalThis.ClipboardItem;
+                globalThis.navigator.clipboard = savedClipboard;
+            }
+        });
+    });
+
+    describe('Rich Paste', () => {
+        it('should convert pasted HTML into formatted runs', () => {
+            editor.setText('Start ');
+            editor.pasteFlavors({
+                'text/html': '<meta charset="utf-8"><b>bold</b> <a href="https://example.com">link</a>',
+                'text/plain': 'bold link'
+            });
+
+            assert.strictEqual(editor.getText(), 'Start bold link');
+            const runs = editor.toJSON().content;
+            assert.ok(runs.some(r => r.text === 'bold' && r.font.weight === 'bold'));
+            assert.ok(runs.some(r => r.text === 'link' && r.font.link === 'https://example.com'));
+        });
+
+        it('should give pasted list items and alignment to the new paragraphs', () => {
+            editor.setText('Intro');
+            editor.chain.documentEndPressed();
+            editor.pasteFlavors({
+                'text/html': '<ul><li>one</li><li>two</li></ul><p style="text-align:right">end</p>'
+            });
+
+            assert.strictEqual(editor.getText(), 'Introone\ntwo\nend');
+            assert.strictEqual(editor.paragraphLists.get(0), undefined);
+            assert.strictEqual(editor.paragraphLists.get(1), 'bullet');
+            assert.strictEqual(editor.paragraphAlignments.get(2), 'right');
+        });
+
+        it('should apply the first pasted paragraph attributes to an empty line', () => {
+            editor.pasteFlavors({ 'text/html': '<ol><li>a</li><li>b</li></ol>' });
+
+            assert.strictEqual(editor.paragraphLists.get(0), 'number');
+            assert.strictEqual(editor.paragraphLists.get(1), 'number');
+        });
+
+        it('should insert rules and images on their own lines', () => {
+            editor.setText('ab');
+            editor.chain.moveCursorToCharPosition(1);
+            editor.pasteFlavors({ 'text/html': '<hr><img src="cat.png" width="40" height="30">' });
+
+            const types = editor.toJSON().content.map(e => e.type === 'text' ? e.text : e.type);
+            assert.deepStrictEqual(types, ['a', 'newline', 'hr', 'image', 'b']);
+        });
+
+        it('should size images without dimensions as a placeholder', () => {
+            editor.pasteFlavors({ 'text/html': '<img src="cat.png">' });
+
+            const image = editor.toJSON().content.find(e => e.type === 'image');
+            assert.strictEqual(image.width, CanvasEditor.PLACEHOLDER_IMAGE_WIDTH);
+            assert.strictEqual(image.height, CanvasEditor.PLACEHOLDER_IMAGE_HEIGHT);
+        });
+
+        it('should pass pasted image sources through transformPastedImageUrl', () => {
+            const seen = [];
+            const custom = new CanvasEditor(createTestCanvas(), {
+                transformPastedImageUrl: (src) => {
+                    seen.push(src);
+                    return `https://cdn.example/${src}`;
+                }
+            });
+            custom.pasteFlavors({ 'text/html': '<img src="cat.png" width="4" height="3">' });
+
+            assert.deepStrictEqual(seen, ['cat.png']);
+            assert.strictEqual(custom.toJSON().content.find(e => e.type === 'image').src, 'https://cdn.example/cat.png');
+            custom.destroy();
+        });
+
+        it('should prefer the native JSON flavor and round-trip copied content', () => {
+            editor.setText('Hello');
+            editor.chain.selectionStart = 0;
+            editor.chain.selectionEnd = 5;
+            editor.applyFormattingToSelection('weight', () => 'bold');
+            const flavors = editor.getClipboardFlavors();
+
+            editor.chain.clearSelection();
+            editor.chain.documentEndPressed();
+            editor.pasteFlavors({ ...flavors, 'text/html': '<i>ignored</i>' });
+
+            assert.strictEqual(editor.getText(), 'HelloHello');
+            const content = editor.toJSON().content;
+            assert.strictEqual(content.length, 1);
+            assert.strictEqual(content[0].font.weight, 'bold');
+        });
+
+        it('should sanitize hostile values in the native JSON flavor', () => {
+            const hostile = {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'a',
+                        font: {
+                            color: 'red;background-image:url(https://evil/x)',
+                            backgroundColor: 'url(https://evil/y)',
+                            family: 'Arial;x:expression(alert(1))',
+                            size: '12px;position:fixed',
+                            weight: 'bold" onclick="x',
+                            underline: 'yes'
+                        }
+                    },
+                    { type: 'newline' },
+                    { type: 'text', text: 'b', font: { color: '#F00', family: 'Times New Roman', size: 20 } }
+                ],
+                alignments: { 0: 'center" onmouseover="alert(1)', 1: 'right' },
+                lists: { 0: 'bullet><script>', 1: 'check' },
+                directions: { 0: 'rtl" onclick="x', 1: 'rtl' }
+            };
+            editor.pasteFlavors({ [CanvasEditor.CLIPBOARD_JSON_TYPE]: JSON.stringify(hostile) });
+
+            const doc = editor.toJSON();
+            const first = doc.content.find(e => e.text === 'a').font;
+            const second = doc.content.find(e => e.text === 'b').font;
+            assert.strictEqual(first.color, '#000000');
+            assert.strictEqual(first.backgroundColor, null);
+            assert.strictEqual(first.family, 'Arial');
+            assert.strictEqual(first.size, 16);
+            assert.strictEqual(first.weight, 'normal');
+            assert.strictEqual(first.underline, false);
+            assert.strictEqual(second.color, '#ff0000');
+            assert.strictEqual(second.family, 'Times New Roman');
+            assert.strictEqual(second.size, 20);
+            assert.deepStrictEqual(doc.alignments, { 1: 'right' });
+            assert.deepStrictEqual(doc.lists, { 1: 'check' });
+            assert.deepStrictEqual(doc.directions, { 1: 'rtl' });
+            assert.ok(!/onmouseover|onclick|script|evil|expression/.test(editor.toHTML()));
+        });
+
+        it('should fall through to the next flavor when one sanitizes to nothing', () => {
+            const json = JSON.stringify({ content: [{ type: 'image', src: 'javascript:alert(1)' }] });
+            editor.pasteFlavors({
+                [CanvasEditor.CLIPBOARD_JSON_TYPE]: json,
+                'text/html': '<b>bold</b>',
+                'text/plain': 'plain'
+            });
+            assert.strictEqual(editor.getText(), 'bold');
+
+            editor.setText('');
+            editor.pasteFlavors({
+                [CanvasEditor.CLIPBOARD_JSON_TYPE]: json,
+                'text/html': '<script>alert(1)</script>',
+                'text/plain': 'plain'
+            });
+            assert.strictEqual(editor.getText(), 'plain');
+        });
+
+        it('should be a single undo step', () => {
+            editor.setText('x');
+            editor.takeSnapshot();
+            editor.chain.documentEndPressed();
+            editor.pasteFlavors({ 'text/html': '<p>a</p><p>b</p>' });
+            assert.strictEqual(editor.getText(), 'xa\nb');
+
+            editor.undo();
+            assert.strictEqual(editor.getText(), 'x');
+        });
+
+        it('should read rich flavors through the async Clipboard API', async () => {
+            const savedClipboard = globalThis.navigator.clipboard;
+            globalThis.navigator.clipboard = {
+                read: async () => [{
+                    types: ['text/plain', 'text/html'],
+                    getType: async (type) => ({
+                        text: async () => type === 'text/html' ? '<u>under</u>' : 'under'
+                    })
+                }],
+                readText: async () => 'under'
+            };
+
+            try {
+                await editor.paste();
+                const content = editor.toJSON().content;
+                assert.strictEqual(content[0].text, 'under');
+                assert.strictEqual(content[0].font.underline, true);
+            } finally {
+                globalThis.navigator.clipboard = savedClipboard;
+            }
+        });
+    });
 });
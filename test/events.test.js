@@ -0,0 +1,343 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+function key(k, extra = {}) {
+    return { key: k, preventDefault() {}, ...extra };
+}
+
+describe('Editor Events', () => {
+    let editor;
+    let events;
+
+    beforeEach(() => {
+        editor = new CanvasEditor(createTestCanvas(), { backgroundColor: '#ffffff', padding: 10 });
+        events = [];
+    });
+
+    const record = (...types) => {
+        for (const type of types) editor.on(type, e => events.push(e));
+    };
+
+    describe('change', () => {
+        it('should report inserted text', () => {
+            record('change');
+            editor.handleKeyDown(key('a'));
+
+            assert.strictEqual(events.length, 1);
+            assert.deepStrictEqual(
+                { start: events[0].start, end: events[0].end, oldEnd: events[0].oldEnd },
+                { start: 0, end: 1, oldEnd: 0 });
+        });
+
+        it('should report deleted text', () => {
+            editor.setText('Hello');
+            record('change');
+            editor.handleKeyDown(key('Backspace'));
+
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].start, 4);
+            assert.strictEqual(events[0].end, 4);
+            assert.strictEqual(events[0].oldEnd, 5);
+        });
+
+        it('should report formatting changes over the formatted range', () => {
+            editor.setText('Hello world');
+            editor.chain.selectionStart = 6;
+            editor.chain.selectionEnd = 11;
+            record('change');
+            editor.toggleBold();
+
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].start, 6);
+            assert.strictEqual(events[0].end, 11);
+            assert.strictEqual(events[0].oldEnd, 11);
+        });
+
+        it('should report paragraph attribute changes as the whole paragraph', () => {
+            editor.setText('One\nTwo');
+            record('change');
+            editor.setList('bullet');
+
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].start, 4);
+            assert.strictEqual(events[0].end, 7);
+        });
+
+        it('should fire for setText and fromJSON', () => {
+            record('change');
+            editor.setText('abc');
+            editor.fromJSON({ version: 1, content: [{ type: 'text', text: 'xy', font: editor.defaultFontProperties.toObject() }] });
+
+            assert.strictEqual(events.length, 2);
+            assert.deepStrictEqual([events[1].start, events[1].end, events[1].oldEnd], [0, 2, 3]);
+        });
+
+        it('should not fire for navigation or no-op edits', () => {
+            editor.setText('Hello');
+            record('change');
+            editor.handleKeyDown(key('ArrowLeft'));
+            editor.handleKeyDown(key('Home'));
+            editor.toggleBold(); // no selection: only the typing style changes
+
+            assert.strictEqual(events.length, 0);
+        });
+
+        it('should hold back preedit text until the composition ends', () => {
+            record('change');
+            editor.handleCompositionStart({});
+            editor.handleCompositionUpdate({ data: 'ni' });
+            assert.strictEqual(events.length, 0);
+
+            editor.handleCompositionEnd({ data: '你' });
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].end, 1);
+        });
+    });
+
+    describe('cursor and selection', () => {
+        it('should fire cursormove when the caret moves', () => {
+            editor.setText('Hi\nthere');
+            record('cursormove');
+            editor.handleKeyDown(key('Home'));
+
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].position, 3);
+            assert.strictEqual(events[0].paragraph, 1);
+        });
+
+        it('should fire selectionchange when the selection changes or clears', () => {
+            editor.setText('Hello');
+            record('selectionchange');
+            editor.selectAll();
+            editor.render();
+            editor.handleKeyDown(key('Escape'));
+
+            assert.deepStrictEqual(events.map(e => [e.start, e.end]), [[0, 5], [null, null]]);
+        });
+    });
+
+    describe('history', () => {
+        it('should fire undo and redo with history state', () => {
+            editor.setText('x');
+            editor.takeSnapshot();
+            editor.handleKeyDown(key('y'));
+            record('undo', 'redo', 'change');
+
+            editor.undo();
+            assert.deepStrictEqual(events.map(e => e.type), ['change', 'undo']);
+            assert.strictEqual(events[1].canRedo, true);
+
+            editor.redo();
+            const redo = events.find(e => e.type === 'redo');
+            assert.strictEqual(redo.canRedo, false);
+            assert.strictEqual(redo.canUndo, true);
+        });
+    });
+
+    describe('links and images', () => {
+        it('should fire linkclick and let subscribers prevent navigation', () => {
+            const opened = [];
+            const savedWindow = globalThis.window;
+            globalThis.window = { open: (url) => opened.push(url) };
+            try {
+                record('linkclick');
+                editor.openLink('https://example.com');
+                const off = editor.on('linkclick', e => e.preventDefault());
+                editor.openLink('https://example.org');
+                off();
+
+                assert.deepStrictEqual(events.map(e => e.href), ['https://example.com', 'https://example.org']);
+                assert.deepStrictEqual(opened, ['https://example.com']);
+            } finally {
+                globalThis.window = savedWindow;
+            }
+        });
+
+        it('should fire imageselect on select and deselect', () => {
+            editor.setText('a');
+            editor.insertImage({ src: 'cat.png', width: 40, height: 30, alt: 'Cat' });
+            const image = editor.chain.getItems().find(item => item.intrinsic && item.intrinsic.src);
+            editor.clearImageSelection();
+            record('imageselect');
+
+            editor.selectImage(image);
+            editor.clearImageSelection();
+
+            assert.strictEqual(events.length, 2);
+            assert.strictEqual(events[0].image.alt, 'Cat');
+            assert.strictEqual(events[0].position, 2);
+            assert.strictEqual(events[1].image, null);
+        });
+    });
+
+    describe('scroll and focus', () => {
+        it('should fire scroll when the viewport moves', () => {
+            editor.setText(Array.from({ length: 100 }, (_, i) => `Line ${i}`).join('\n'));
+            record('scroll');
+            editor.handleWheel({ deltaY: 50, preventDefault() {} });
+
+            assert.strictEqual(events.length, 1);
+            assert.strictEqual(events[0].scrollY, 50);
+        });
+
+        it('should fire focus once and blur after focus leaves', async () => {
+            record('focus', 'blur');
+            editor.handleFocusIn();
+            editor.handleFocusIn();
+            editor.handleFocusOut();
+            await new Promise(resolve => setTimeout(resolve, 5));
+
+            assert.deepStrictEqual(events.map(e => e.type), ['focus', 'blur']);
+        });
+    });
+
+    describe('subscriptions', () => {
+        it('should stop calling handlers removed with off()', () => {
+            const handler = e => events.push(e);
+            editor.on('change', handler);
+            editor.setText('a');
+            editor.off('change', handler);
+            editor.setText('b');
+
+            assert.strictEqual(events.length, 1);
+        });
+
+        it('should isolate throwing handlers', () => {
+            const savedError = console.error;
+            console.error = () => {};
+            try {
+                editor.on('change', () => { throw new Error('boom'); });
+                record('change');
+                editor.setText('a');
+
+                assert.strictEqual(events.length, 1);
+                assert.strictEqual(editor.getText(), 'a');
+            } finally {
+                console.error = savedError;
+            }
+        });
+
+        it('should not serialize the document to report changes', () => {
+            record('change');
+            // Count the serializations done to report state (undo snapshots
+            // serialize too).
+            let reporting = false;
+            let serialized = 0;
+            const emitStateEvents = editor.emitStateEvents.bind(editor);
+            editor.emitStateEvents = () => {
+                reporting = true;
+                try {
+                    emitStateEvents();
+                } finally {
+                    reporting = false;
+                }
+            };
+            const toJSON = editor.toJSON.bind(editor);
+            editor.toJSON = () => {
+                if (reporting) serialized++;
+                return toJSON();
+            };
+            editor.handleKeyDown(key('a'));
+            editor.handleKeyDown(key('b'));
+
+            assert.strictEqual(serialized, 0);
+            assert.strictEqual(events.length, 2);
+        });
+
+        it('should merge the edits made between renders into one range', () => {
+            editor.setText('Hello world');
+            record('change');
+            editor.chain.moveCursorToCharPosition(0);
+            editor.remapAroundEdit(() => editor.chain.insertText('A'));
+            editor.chain.moveCursorToCharPosition(12);
+            editor.remapAroundEdit(() => editor.chain.backspacePressed());
+            editor.render();
+
+            assert.strictEqual(events.length, 1);
+            assert.deepStrictEqual([events[0].start, events[0].end, events[0].oldEnd], [0, 11, 11]);
+        });
+    });
+});
@@ -0,0 +1,254 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; },
+        calls: [],
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect(x, y, w, h) {
+                    canvas.calls.push({ op: 'strokeRect', x, y, w, h });
+                },
+                fillText(text, x, y) {
+                    canvas.calls.push({ op: 'fillText', text, x, y, color: this.fillStyle });
+                },
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo(x, y) {
+                    canvas.calls.push({ op: 'lineTo', x, y, color: this.strokeStyle });
+                },
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+import {
+    graphemeBoundaries, fallbackGraphemeBoundaries, snapToGrapheme, previousGraphemeBoundary, nextGraphemeBoundary
+} from '../src/Graphemes.js';
+
+const THUMBS_UP = '\u{1F44D}\u{1F3FD}';          // 👍 + medium skin tone
+const FLAG = '\u{1F1EB}\u{1F1F7}';                // regional indicators F R
+const FAMILY = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+const E_ACUTE = 'e\u0301';                         // e + combining acute
+
+function createEditor(text) {
+    const canvas = createTestCanvas();
+    const editor = new CanvasEditor(canvas, {});
+    editor.setText(text);
+    editor.chain.clearSelection();
+    return editor;
+}
+
+function caretAt(editor, pos) {
+    editor.chain.clearSelection();
+    editor.chain.moveCursorToCharPosition(pos);
+}
+
+function cursor(editor) {
+    return editor.chain.getCursorCharPosition();
+}
+
+describe('Grapheme boundaries', () => {
+    for (const [name, boundaries] of [['Intl.Segmenter', graphemeBoundaries], ['fallback', fallbackGraphemeBoundaries]]) {
+        describe(name, () => {
+            it('puts a boundary between plain characters', () => {
+                assert.deepStrictEqual(boundaries('abc'), [0, 1, 2, 3]);
+            });
+
+            it('keeps combining marks with their base letter', () => {
+                assert.deepStrictEqual(boundaries(`a${E_ACUTE}b`), [0, 1, 3, 4]);
+            });
+
+            it('keeps surrogate pairs, emoji modifiers and ZWJ sequences together', () => {
+                assert.deepStrictEqual(boundaries(`x${THUMBS_UP}y`), [0, 1, 5, 6]);
+                assert.deepStrictEqual(boundaries(FAMILY), [0, FAMILY.length]);
+                assert.deepStrictEqual(boundaries('\u{1F600}\u{1F600}'), [0, 2, 4]);
+            });
+
+            it('pairs regional indicators into flags', () => {
+                assert.deepStrictEqual(boundaries(FLAG + FLAG), [0, 4, 8]);
+                assert.deepStrictEqual(boundaries(FLAG + '\u{1F1EB}'), [0, 4, 6]);
+            });
+
+            it('keeps CR LF together', () => {
+                assert.deepStrictEqual(boundaries('a\r\nb'), [0, 1, 3, 4]);
+            });
+
+            it('has a single boundary for empty text', () => {
+                assert.deepStrictEqual(boundaries(''), [0]);
+            });
+        });
+    }
+
+    it('snaps offsets inside a cluster to its start or end', () => {
+        const text = `a${THUMBS_UP}b`;
+        assert.strictEqual(snapToGrapheme(text, 2), 1);
+        assert.strictEqual(snapToGrapheme(text, 2, 1), 5);
+        assert.strictEqual(snapToGrapheme(text, 5), 5);
+        assert.strictEqual(snapToGrapheme(text, 0, 1), 0);
+        assert.strictEqual(snapToGrapheme(text, 99), text.length);
+    });
+
+    it('steps over a whole cluster', () => {
+        const text = `a${E_ACUTE}b`;
+        assert.strictEqual(previousGraphemeBoundary(text, 3), 1);
+        assert.strictEqual(previousGraphemeBoundary(text, 0), 0);
+        assert.strictEqual(nextGraphemeBoundary(text, 1), 3);
+        assert.strictEqual(nextGraphemeBoundary(text, 4), 4);
+    });
+});
+
+describe('Grapheme-aware editing', () => {
+    it('moves the caret over a whole emoji with the arrow keys', () => {
+        const editor = createEditor(`a${THUMBS_UP}b`);
+        caretAt(editor, 1);
+        editor.chain.rightArrowPressed();
+        assert.strictEqual(cursor(editor), 5);
+        editor.chain.leftArrowPressed();
+        assert.strictEqual(cursor(editor), 1);
+    });
+
+    it('moves over a flag and a combining accent', () => {
+        const editor = createEditor(`${FLAG}${E_ACUTE}`);
+        caretAt(editor, 0);
+        editor.chain.rightArrowPressed();
+        assert.strictEqual(cursor(editor), 4);
+        editor.chain.rightArrowPressed();
+        assert.strictEqual(cursor(editor), 6);
+    });
+
+    it('extends the selection by whole clusters', () => {
+        const editor = createEditor(`${FAMILY}!`);
+        caretAt(editor, 0);
+        editor.chain.shiftRightArrowPressed();
+        assert.strictEqual(editor.chain.selectionEnd, FAMILY.length);
+        assert.strictEqual(editor.chain.getSelectedText(), FAMILY);
+    });
+
+    it('deletes a whole cluster with Backspace and Delete', () => {
+        const editor = createEditor(`a${THUMBS_UP}${E_ACUTE}b`);
+        caretAt(editor, 5);
+        editor.chain.backspacePressed();
+        assert.strictEqual(editor.getText(), `a${E_ACUTE}b`);
+        assert.strictEqual(cursor(editor), 1);
+        editor.chain.deleteForward();
+        assert.strictEqual(editor.getText(), 'ab');
+        assert.strictEqual(cursor(editor), 1);
+    });
+
+    it('still steps and deletes across paragraph breaks one at a time', () => {
+        const editor = createEditor(`${THUMBS_UP}\nx`);
+        caretAt(editor, 5);
+        editor.chain.leftArrowPressed();
+        assert.strictEqual(cursor(editor), 4);
+        editor.chain.rightArrowPressed();
+        editor.chain.backspacePressed();
+        assert.strictEqual(editor.getText(), `${THUMBS_UP}x`);
+    });
+
+    it('never leaves the caret inside a cluster', () => {
+        const editor = createEditor(`a${THUMBS_UP}`);
+        editor.chain.moveCursorToCharPosition(3);
+        assert.strictEqual(cursor(editor), 1);
+    });
+
+    it('widens ranged deletions and selections to whole clusters', () => {
+        const editor = createEditor(`a${THUMBS_UP}b`);
+        editor.chain.deleteCharRange(2, 6);
+        assert.strictEqual(editor.getText(), 'a');
+
+        const other = createEditor(`a${E_ACUTE}b`);
+        other.chain.setSelection(0, 2, 0, 2);
+        assert.strictEqual(other.chain.selectionStart, 1);
+        assert.strictEqual(other.chain.selectionEnd, 3);
+    });
+
+    it('hit-tests clicks to cluster boundaries', () => {
+        const editor = createEditor(`a${THUMBS_UP}b`);
+        const run = editor.chain.getItems().find(item => item.text);
+        const x = run.computed.posX;
+        // 8px per code unit in the mock canvas: the emoji spans x+8..x+40.
+        const y = run.computed.posY - 4;
+        assert.strictEqual(editor.chain.charPositionAtXY(x + 20, y), 1);
+        assert.strictEqual(editor.chain.charPositionAtXY(x + 30, y), 5);
+    });
+
+    it('selects whole clusters for find matches', () => {
+        const editor = createEditor(`caf${E_ACUTE} cafe`);
+        const result = editor.find('cafe');
+        assert.strictEqual(result.count, 2);
+        assert.deepStrictEqual(editor.findMatches[0], { start: 0, end: 5 });
+        assert.deepStrictEqual(editor.findMatches[1], { start: 6, end: 10 });
+        assert.strictEqual(editor.chain.getSelectedText(), `caf${E_ACUTE}`);
+    });
+});
@@ -0,0 +1,250 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; },
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            const calls = [];
+            canvas.calls = calls;
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => calls.push(['save']),
+                restore: () => calls.push(['restore']),
+                clearRect: () => {},
+                fillRect: (...args) => calls.push(['fillRect', ...args]),
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: (...args) => calls.push(['scale', ...args]),
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+// A window whose devicePixelRatio can be changed like moving between monitors.
+function installWindow(ratio) {
+    const queries = [];
+    global.window = {
+        devicePixelRatio: ratio,
+        matchMedia(media) {
+            const listeners = new Set();
+            const query = {
+                media,
+                addEventListener: (type, fn) => listeners.add(fn),
+                removeEventListener: (type, fn) => listeners.delete(fn),
+                listeners
+            };
+            queries.push(query);
+            return query;
+        }
+    };
+    return {
+        queries,
+        moveToRatio(next) {
+            const current = queries.filter(q => q.listeners.size > 0);
+            global.window.devicePixelRatio = next;
+            for (const query of current) {
+                for (const fn of [...query.listeners]) fn({ matches: false });
+            }
+        }
+    };
+}
+
+function mouse(clientX, clientY) {
+    return { clientX, clientY, button: 0, detail: 1, preventDefault() {} };
+}
+
+describe('HiDPI rendering', () => {
+    let canvas;
+
+    beforeEach(() => {
+        canvas = createTestCanvas();
+        delete global.window;
+    });
+
+    it('should keep a 1:1 backing store without a device pixel ratio', () => {
+        const editor = new CanvasEditor(canvas);
+
+        assert.strictEqual(editor.pixelRatio, 1);
+        assert.strictEqual(canvas.width, 800);
+        assert.strictEqual(canvas.height, 600);
+        assert.strictEqual(editor.editorWidth, 780);
+        editor.destroy();
+    });
+
+    it('should size the backing store by the pixel ratio and keep the CSS size', () => {
+        const editor = new CanvasEditor(canvas, { pixelRatio: 2 });
+
+        assert.strictEqual(canvas.width, 1600);
+        assert.strictEqual(canvas.height, 1200);
+        assert.strictEqual(canvas.style.width, '800px');
+        assert.strictEqual(canvas.style.height, '600px');
+        assert.strictEqual(editor.cssWidth, 800);
+        assert.strictEqual(editor.cssHeight, 600);
+        assert.strictEqual(editor.editorWidth, 780);
+        assert.strictEqual(editor.chain.widthPixels, 780);
+        assert.strictEqual(editor.getViewportHeight(), 580);
+        editor.destroy();
+    });
+
+    it('should scale the context and draw in CSS pixels', () => {
+        const editor = new CanvasEditor(canvas, { pixelRatio: 2 });
+        canvas.calls.length = 0;
+        editor.render();
+
+        assert.deepStrictEqual(canvas.calls[0], ['save']);
+        assert.deepStrictEqual(canvas.calls[1], ['scale', 2, 2]);
+        assert.deepStrictEqual(canvas.calls[2], ['fillRect', 0, 0, 800, 600]);
+        const saves = canvas.calls.filter(c => c[0] === 'save').length;
+        const restores = canvas.calls.filter(c => c[0] === 'restore').length;
+        assert.strictEqual(saves, restores);
+        assert.deepStrictEqual(canvas.calls[canvas.calls.length - 1], ['restore']);
+        editor.destroy();
+    });
+
+    it('should compute scrollbar metrics in CSS pixels', () => {
+        const editor = new CanvasEditor(canvas, { pixelRatio: 2 });
+        editor.chain.insertText('line\n'.repeat(100));
+        editor.render();
+
+        const m = editor.getScrollbarMetrics();
+        assert.strictEqual(m.trackX, 800 - editor.options.scrollbarWidth);
+        assert.strictEqual(m.trackHeight, 600);
+        editor.destroy();
+    });
+
+    it('should hit-test mouse clicks in CSS pixels', () => {
+        const plain = new CanvasEditor(createTestCanvas());
+        const dense = new CanvasEditor(canvas, { pixelRatio: 3 });
+        for (const editor of [plain, dense]) {
+            editor.chain.insertText('Hello world\nSecond line');
+            editor.render();
+            editor.handleMouseDown(mouse(10 + 8 * 5, 10 + 30));
+            editor.handleMouseUp(mouse(10 + 8 * 5, 10 + 30));
+        }
+
+        assert.strictEqual(dense.chain.getCursorCharPosition(), plain.chain.getCursorCharPosition());
+        assert.strictEqual(dense.chain.getCursorCharPosition(), 12 + 5);
+        plain.destroy();
+        dense.destroy();
+    });
+
+    it('should resize in CSS pixels', () => {
+        const editor = new CanvasEditor(canvas, { pixelRatio: 2 });
+        editor.resize(400, 300);
+
+        assert.strictEqual(canvas.width, 800);
+        assert.strictEqual(canvas.height, 600);
+        assert.strictEqual(canvas.style.width, '400px');
+        assert.strictEqual(editor.editorWidth, 380);
+        assert.strictEqual(editor.chain.widthPixels, 380);
+        editor.destroy();
+    });
+
+    it('should follow window.devicePixelRatio when it changes', () => {
+        const display = installWindow(2);
+        try {
+            const editor = new CanvasEditor(canvas);
+            editor.chain.insertText('Some text');
+            editor.render();
+            const layoutVersion = editor.chain.layoutVersion;
+            assert.strictEqual(editor.pixelRatio, 2);
+            assert.strictEqual(canvas.width, 1600);
+            assert.strictEqual(display.queries.at(-1).media, '(resolution: 2dppx)');
+
+            display.moveToRatio(1.5);
+
+            assert.strictEqual(editor.pixelRatio, 1.5);
+            assert.strictEqual(canvas.width, 1200);
+            assert.strictEqual(canvas.height, 900);
+            assert.strictEqual(canvas.style.width, '800px');
+            assert.strictEqual(editor.chain.layoutVersion, layoutVersion);
+            // Watching the new ratio, and only that one.
+            const active = display.queries.filter(q => q.listeners.size > 0);
+            assert.deepStrictEqual(active.map(q => q.media), ['(resolution: 1.5dppx)']);
+
+            editor.destroy();
+            assert.strictEqual(display.queries.filter(q => q.listeners.size > 0).length, 0);
+        } finally {
+            delete global.window;
+        }
+    });
+
+    it('should not watch the device ratio when a fixed ratio is given', () => {
+        const display = installWindow(2);
+        try {
+            const editor = new CanvasEditor(canvas, { pixelRatio: 1 });
+            assert.strictEqual(canvas.width, 800);
+            assert.strictEqual(display.queries.length, 0);
+            editor.destroy();
+        } finally {
+            delete global.window;
+        }
+    });
+});
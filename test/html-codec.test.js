@@ -0,0 +1,306 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { documentToHtml, htmlToDocument, sanitizeDocument, sanitizeUrl } from '../src/HtmlCodec.js';
+
+function text(value, font = {}) {
+    return { type: 'text', text: value, font };
+}
+
+describe('HtmlCodec', () => {
+    describe('documentToHtml', () => {
+        it('should wrap each paragraph in a <p>', () => {
+            const html = documentToHtml({
+                content: [text('Hello'), { type: 'newline' }, text('World')]
+            });
+
+            assert.strictEqual(html, '<p>Hello</p><p>World</p>');
+        });
+
+        it('should render empty paragraphs with a line break', () => {
+            const html = documentToHtml({
+                content: [text('a'), { type: 'newline' }, { type: 'newline' }, text('b')]
+            });
+
+            assert.strictEqual(html, '<p>a</p><p><br></p><p>b</p>');
+        });
+
+        it('should produce an empty string for an empty document', () => {
+            assert.strictEqual(documentToHtml({ content: [] }), '');
+        });
+
+        it('should use semantic tags for inline formatting', () => {
+            const html = documentToHtml({
+                content: [
+                    text('b', { weight: 'bold' }),
+                    text('i', { style: 'italic' }),
+                    text('u', { underline: true }),
+                    text('s', { strikethrough: true }),
+                    text('2', { superscript: true }),
+                    text('x', { subscript: true })
+                ]
+            });
+
+            assert.strictEqual(html,
+                '<p><strong>b</strong><em>i</em><u>u</u><s>s</s><sup>2</sup><sub>x</sub></p>');
+        });
+
+        it('should put colors and non-default fonts in an inline style', () => {
+            const html = documentToHtml({
+                content: [text('red', { color: '#ff0000', backgroundColor: '#ffff00', size: 24, family: 'Georgia' })]
+            });
+
+            assert.strictEqual(html,
+                '<p><span style="color:#ff0000;background-color:#ffff00;font-size:24px;font-family:Georgia">red</span></p>');
+        });
+
+        it('should omit font properties matching the given default font', () => {
+            const html = documentToHtml(
+                { content: [text('x', { size: 20, family: 'Georgia' })] },
+                { defaultFont: { size: 20, family: 'Georgia' } }
+            );
+
+            assert.strictEqual(html, '<p>x</p>');
+        });
+
+        it('should wrap linked runs in anchors and escape markup', () => {
+            const html = documentToHtml({
+                content: [text('a<b> & "c"', { link: 'https://example.com/?a=1&b=2' })]
+            });
+
+            assert.strictEqual(html,
+                '<p><a href="https://example.com/?a=1&amp;b=2">a&lt;b&gt; &amp; &quot;c&quot;</a></p>');
+        });
+
+        it('should group list paragraphs into <ul> and <ol>', () => {
+            const html = documentToHtml({
+                content: [
+                    text('a'), { type: 'newline' },
+                    text('b'), { type: 'newline' },
+                    text('c'), { type: 'newline' },
+                    text('d')
+                ],
+                lists: { 0: 'bullet', 1: 'bullet', 2: 'number' }
+            });
+
+            assert.strictEqual(html, '<ul><li>a</li><li>b</li></ul><ol><li>c</li></ol><p>d</p>');
+        });
+
+        it('should apply paragraph alignment', () => {
+            const html = documentToHtml({
+                content: [text('Title')],
+                alignments: { 0: 'center' }
+            });
+
+            assert.strictEqual(html, '<p style="text-align:center">Title</p>');
+        });
+
+        it('should preserve runs of spaces', () => {
+            const html = documentToHtml({ content: [text('a  b')] });
+
+            assert.strictEqual(html, '<p style="white-space:pre-wrap">a  b</p>');
+        });
+
+        it('should render horizontal rules and images as blocks', () => {
+            const html = documentToHtml({
+                content: [
+                    text('Intro'), { type: 'newline' },
+                    { type: 'hr' },
+                    { type: 'image', src: 'cat.png', full: 'cat-full.png', width: 40, height: 30, alt: 'A cat', align: 'left' }
+                ]
+            });
+
+            assert.strictEqual(html,
+                '<p>Intro</p><hr>' +
+                '<div style="text-align:left"><img src="cat.png" width="40" height="30" alt="A cat" data-full="cat-full.png"></div>');
+        });
+
+        it('should not write unsafe link and image URLs', () => {
+            const html = documentToHtml({
+                content: [
+                    text('click', { link: 'javascript:alert(1)' }), { type: 'newline' },
+                    { type: 'image', src: 'javascript:alert(1)', width: 10, height: 10 }
+                ]
+            });
+
+            assert.strictEqual(html, '<p>click</p>');
+        });
+
+        it('should round-trip through htmlToDocument', () => {
+            const doc = {
+                content: [
+                    text('Title', { weight: 'bold', size: 24 }), { type: 'newline' },
+                    text('red', { color: '#ff0000', backgroundColor: '#ffff00' }),
+                    text(' and '),
+                    text('link', { link: 'https://example.com', underline: true }), { type: 'newline' },
+                    text('item'), { type: 'newline' }, { type: 'hr' },
+                    { type: 'image', src: 'https://example.com/a.png', full: null, width: 40, height: 30, alt: 'A', align: 'right' }
+                ],
+                alignments: { 0: 'center' },
+                lists: { 2: 'number' }
+            };
+
+            const back = htmlToDocument(documentToHtml(doc));
+
+            assert.deepStrictEqual(back.alignments, { 0: 'center' });
+            assert.deepStrictEqual(back.lists, { 2: 'number' });
+            assert.strictEqual(documentToHtml(back), documentToHtml(doc));
+        });
+
+        it('should not write unvalidated values into attributes', () => {
+            const html = documentToHtml({
+                content: [
+                    text('a', {
+                        color: 'red;background-image:url(https://evil/x)',
+                        backgroundColor: '#ff0" onclick="x',
+                        family: 'Arial"><script>alert(1)</script>',
+                        size: '12px;position:fixed'
+                    }),
+                    { type: 'newline' },
+                    text('b'),
+                    { type: 'image', src: 'a.png', width: '1" onerror="x', height: 2, align: 'left" onload="x' }
+                ],
+                alignments: { 0: 'center" onmouseover="alert(1)', 1: 'right' },
+                directions: { 0: 'rtl" onclick="x' }
+            });
+
+            assert.strictEqual(html,
+                '<p>a</p><p style="text-align:right">b</p>' +
+                '<div style="text-align:center"><img src="a.png" width="1" height="2" alt=""></div>');
+        });
+    });
+
+    describe('htmlToDocument', () => {
+        const texts = doc => doc.content.map(e => e.type === 'text' ? e.text : `[${e.type}]`).join('');
+
+        it('should split block elements into paragraphs', () => {
+            const doc = htmlToDocument('<p>Hello</p><p><br></p><div>World</div>');
+
+            assert.strictEqual(texts(doc), 'Hello[newline][newline]World');
+        });
+
+        it('should collapse whitespace outside preformatted text', () => {
+            const doc = htmlToDocument('<p>\n  a   b\n</p><pre>x  y\nz</pre>');
+
+            assert.strictEqual(texts(doc), 'a b[newline]x  y[newline]z');
+        });
+
+        it('should map tags and inline styles to font properties', () => {
+            const doc = htmlToDocument(
+                '<b>bold</b><em>it</em><span style="color: rgb(255, 0, 0); font-size: 12pt; ' +
+                'font-family: &quot;Georgia&quot;, serif; text-decoration: underline">red</span>' +
+                '<sup>2</sup>');
+            const [bold, italic, red, sup] = doc.content;
+
+            assert.strictEqual(bold.font.weight, 'bold');
+            assert.strictEqual(italic.font.style, 'italic');
+            assert.strictEqual(red.font.color, '#ff0000');
+            assert.strictEqual(red.font.size, 16);
+            assert.strictEqual(red.font.family, 'Georgia');
+            assert.strictEqual(red.font.underline, true);
+            assert.strictEqual(sup.font.superscript, true);
+        });
+
+        it('should let inline styles override the tag (Google Docs wrapper)', () => {
+            const doc = htmlToDocument('<b style="font-weight:normal;" id="docs-internal-guid-1"><span>plain</span></b>');
+
+            assert.strictEqual(doc.content[0].font.weight, 'normal');
+        });
+
+        it('should use the base font for unstyled text', () => {
+            const doc = htmlToDocument('<p>x</p>', { baseFont: { size: 20, family: 'Verdana' } });
+
+            assert.strictEqual(doc.content[0].font.size, 20);
+            assert.strictEqual(doc.content[0].font.family, 'Verdana');
+        });
+
+        it('should import list items and alignment as paragraph attributes', () => {
+            const doc = htmlToDocument(
+                '<p style="text-align:center">Title</p>' +
+                '<ul><li><p>one</p></li><li>two</li></ul><ol><li>first</li></ol>');
+
+            assert.strictEqual(texts(doc), 'Title[newline]one[newline]two[newline]first');
+            assert.deepStrictEqual(doc.alignments, { 0: 'center' });
+            assert.deepStrictEqual(doc.lists, { 1: 'bullet', 2: 'bullet', 3: 'number' });
+        });
+
+        it('should import links with safe protocols only', () => {
+            const doc = htmlToDocument('<a href="https://example.com">ok</a> <a href=" javascript:alert(1)">bad</a>');
+
+            assert.strictEqual(doc.content[0].font.link, 'https://example.com');
+            assert.strictEqual(doc.content[1].font.link, null);
+        });
+
+        it('should import rules and images as blocks', () => {
+            const doc = htmlToDocument('Intro<hr><img src="cat.png" width="40" height="30" alt="A cat">');
+
+            assert.deepStrictEqual(doc.content.slice(1), [
+                { type: 'newline' },
+                { type: 'hr' },
+                { type: 'image', src: 'cat.png', full: null, width: 40, height: 30, alt: 'A cat', align: 'center' }
+            ]);
+        });
+
+        it('should drop scripts, styles and unsafe images', () => {
+            const doc = htmlToDocument(
+                '<style>p{color:red}</style><script>alert(1)</script>' +
+                '<img src="javascript:alert(1)"><img src="data:text/html,x"><p onclick="x()">safe</p>');
+
+            assert.strictEqual(texts(doc), 'safe');
+        });
+
+        it('should rewrite or drop image sources through the hook', () => {
+            const seen = [];
+            const doc = htmlToDocument('<img src="a.png" alt="A"><img src="b.png">', {
+                transformImageUrl: (src, info) => {
+                    seen.push(info.alt);
+                    return src === 'a.png' ? 'https://cdn.example/a.png' : null;
+                }
+            });
+
+            assert.deepStrictEqual(seen, ['A', '']);
+            assert.strictEqual(doc.content.filter(e => e.type === 'image').length, 1);
+            assert.strictEqual(doc.content.find(e => e.type === 'image').src, 'https://cdn.example/a.png');
+        });
+
+        it('should decode entities and tolerate malformed markup', () => {
+            const doc = htmlToDocument('a &amp; b &lt;c&gt; &#x41;&#66; <i>unclosed <b>x</i> y');
+
+            assert.strictEqual(texts(doc), 'a & b <c> AB unclosed x y');
+            assert.strictEqual(doc.content[doc.content.length - 1].font.weight, 'normal');
+        });
+    });
+
+    describe('sanitizeDocument', () => {
+        it('should sanitize links and images and re-index paragraph attributes', () => {
+            const doc = sanitizeDocument({
+                content: [
+                    text('x', { link: 'javascript:alert(1)' }), { type: 'newline' },
+                    { type: 'image', src: 'javascript:alert(1)', width: 10, height: 10 },
+                    text('y'), { type: 'script' }
+                ],
+                lists: { 0: 'bullet', 2: 'number' }
+            });
+
+            assert.strictEqual(doc.content[0].font.link, null);
+            assert.deepStrictEqual(doc.content.map(e => e.type), ['text', 'newline', 'text']);
+            assert.deepStrictEqual(doc.lists, { 0: 'bullet', 1: 'number' });
+        });
+    });
+
+    describe('sanitizeUrl', () => {
+        it('should allow relative and allow-listed URLs', () => {
+            assert.strictEqual(sanitizeUrl('/docs'), '/docs');
+            assert.strictEqual(sanitizeUrl('mailto:a@b.c'), 'mailto:a@b.c');
+            assert.strictEqual(sanitizeUrl('java\nscript:alert(1)'), null);
+            assert.strictEqual(sanitizeUrl('data:image/png;base64,AA', 'image'), 'data:image/png;base64,AA');
+            assert.strictEqual(sanitizeUrl('data:image/png;base64,AA', 'link'), null);
+        });
+
+        it('should strip tabs, newlines and edge control characters before checking the scheme', () => {
+            assert.strictEqual(sanitizeUrl('java\tscript:alert(1)'), null);
+            assert.strictEqual(sanitizeUrl('\u0001 jav\r\nascript:alert(1)'), null);
+            assert.strictEqual(sanitizeUrl('https://exa\tmple.com/a\n'), 'https://example.com/a');
+            assert.strictEqual(sanitizeUrl('\u0000/docs '), '/docs');
+        });
+    });
+});
@@ -0,0 +1,178 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+describe('HTML Import and Export', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new CanvasEditor(createTestCanvas(), { backgroundColor: '#ffffff', padding: 10 });
+    });
+
+    describe('toHTML', () => {
+        it('should write paragraphs with their alignment', () => {
+            editor.setText('One\nTwo');
+            editor.paragraphAlignments.set(1, 'center');
+
+            assert.strictEqual(editor.toHTML(), '<p>One</p><p style="text-align:center">Two</p>');
+        });
+
+        it('should write formatting with semantic tags and styled spans', () => {
+            editor.setText('Hi');
+            editor.selectAll();
+            editor.toggleBold();
+            editor.setTextColor('#ff0000');
+
+            assert.strictEqual(editor.toHTML(), '<p><span style="color:#ff0000"><strong>Hi</strong></span></p>');
+        });
+
+        it('should write lists, rules and images', () => {
+            editor.setText('item');
+            editor.toggleBulletList();
+            editor.chain.documentEndPressed();
+            editor.insertHorizontalRule();
+            editor.insertImage({ src: 'https://example.com/a.png', width: 40, height: 30, alt: 'A' });
+
+            assert.strictEqual(editor.toHTML(),
+                '<ul><li>item</li></ul><hr>' +
+                '<div style="text-align:center"><img src="https://example.com/a.png" width="40" height="30" alt="A"></div>');
+        });
+
+        it('should style text in fonts other than the given default', () => {
+            editor.setText('x');
+
+            assert.strictEqual(editor.toHTML({ defaultFont: { size: 12, family: 'Georgia' } }),
+                '<p><span style="font-size:16px;font-family:Arial">x</span></p>');
+        });
+    });
+
+    describe('fromHTML', () => {
+        it('should load paragraphs, lists and alignment', () => {
+            editor.fromHTML('<p style="text-align:right">Title</p><ol><li>one</li><li>two</li></ol>');
+
+            assert.strictEqual(editor.getText(), 'Title\none\ntwo');
+            assert.strictEqual(editor.paragraphAlignments.get(0), 'right');
+            assert.strictEqual(editor.paragraphLists.get(1), 'number');
+            assert.strictEqual(editor.paragraphLists.get(2), 'number');
+        });
+
+        it('should load formatting and links', () => {
+            editor.fromHTML('<p><strong>b</strong> <a href="https://example.com">l</a></p>');
+            const runs = editor.toJSON().content.filter(e => e.type === 'text' && e.text.trim());
+
+            assert.strictEqual(runs[0].font.weight, 'bold');
+            assert.strictEqual(runs[1].font.link, 'https://example.com');
+            assert.strictEqual(runs[1].font.size, 16);
+        });
+
+        it('should sanitize scripts, event handlers and unsafe URLs', () => {
+            editor.fromHTML('<p onclick="x()">safe<script>alert(1)</script></p>' +
+                '<a href="javascript:alert(1)">bad</a><img src="javascript:x" onerror="y()">');
+
+            assert.strictEqual(editor.getText(), 'safe\nbad');
+            assert.ok(editor.toJSON().content.every(e => !e.font || e.font.link === null));
+            assert.ok(!editor.toHTML().includes('javascript'));
+        });
+
+        it('should round-trip the output of toHTML()', () => {
+            editor.fromHTML('<p style="text-align:center"><em>a</em> <s>b</s> <sup>2</sup></p>' +
+                '<ul><li>x</li></ul><hr><div style="text-align:left"><img src="https://example.com/a.png" width="40" height="30" alt="A"></div>');
+            const html = editor.toHTML();
+
+            editor.fromHTML(html);
+
+            assert.strictEqual(editor.toHTML(), html);
+        });
+
+        it('should reset undo history', () => {
+            editor.setText('old');
+            editor.takeSnapshot();
+            editor.fromHTML('<p>new</p>');
+
+            assert.strictEqual(editor.history.length, 0);
+            assert.strictEqual(editor.getText(), 'new');
+        });
+    });
+});
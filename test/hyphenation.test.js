@@ -0,0 +1,256 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; },
+        calls: [],
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect(x, y, w, h) {
+                    canvas.calls.push({ op: 'strokeRect', x, y, w, h });
+                },
+                fillText(text, x, y) {
+                    canvas.calls.push({ op: 'fillText', text, x, y, color: this.fillStyle });
+                },
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo(x, y) {
+                    canvas.calls.push({ op: 'lineTo', x, y, color: this.strokeStyle });
+                },
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+import { Chain } from '../src/Chain.js';
+import { FontProperties } from '../src/FontProperties.js';
+import { TextLink, VirtualNewlineLink, NewlineLink } from '../src/ChainLink.js';
+import { Hyphenator } from '../src/Hyphenator.js';
+
+// Liang's example patterns, enough to hyphenate "hyphenation" as hy-phen-ation.
+const PATTERNS = 'hy3ph he2n hena4 hen5at 1na n2at 1tio 2io o2n';
+
+function createChain(width, hyphenator = null) {
+    const chain = new Chain(width, createTestCanvas().getContext('2d'), new FontProperties(16, 'Arial'));
+    chain.hyphenator = hyphenator;
+    return chain;
+}
+
+// The text of each displayed line, as drawn.
+function lines(items) {
+    const result = [''];
+    for (const item of items) {
+        if (item instanceof VirtualNewlineLink || item instanceof NewlineLink) {
+            result.push('');
+        } else if (item instanceof TextLink) {
+            result[result.length - 1] += item.displayText();
+        }
+    }
+    return result;
+}
+
+describe('Hyphenator', () => {
+    it('finds hyphenation points from Liang patterns', () => {
+        const hyphenator = new Hyphenator(PATTERNS);
+        assert.deepStrictEqual(hyphenator.hyphenate('hyphenation'), [2, 6]);
+        assert.deepStrictEqual(hyphenator.hyphenate('Hyphenation'), [2, 6]);
+    });
+
+    it('accepts patterns as an array', () => {
+        const hyphenator = new Hyphenator(PATTERNS.split(' '));
+        assert.deepStrictEqual(hyphenator.hyphenate('hyphenation'), [2, 6]);
+    });
+
+    it('keeps leftMin and rightMin letters at the word ends', () => {
+        const hyphenator = new Hyphenator('1b 1c 1d 1e 1f', { leftMin: 1, rightMin: 1 });
+        assert.deepStrictEqual(hyphenator.hyphenate('abcdef'), [1, 2, 3, 4, 5]);
+        const strict = new Hyphenator('1b 1c 1d 1e 1f', { leftMin: 2, rightMin: 3 });
+        assert.deepStrictEqual(strict.hyphenate('abcdef'), [2, 3]);
+        assert.deepStrictEqual(strict.hyphenate('abcd'), []);
+    });
+
+    it('lets the highest value win and only breaks at odd ones', () => {
+        assert.deepStrictEqual(new Hyphenator('a1b').hyphenate('xxabxxx'), [3]);
+        assert.deepStrictEqual(new Hyphenator('a1b xa2b').hyphenate('xxabxxx'), []);
+        assert.deepStrictEqual(new Hyphenator('a1b xa2b xxa3b').hyphenate('xxabxxx'), [3]);
+    });
+
+    it('matches word edges with dots', () => {
+        const hyphenator = new Hyphenator('.re1', { leftMin: 2, rightMin: 2 });
+        assert.deepStrictEqual(hyphenator.hyphenate('redo'), [2]);
+        assert.deepStrictEqual(hyphenator.hyphenate('bored'), []);
+    });
+
+    it('uses exceptions over the patterns', () => {
+        const hyphenator = new Hyphenator(PATTERNS, { exceptions: 'ta-ble hyphen-ation' });
+        assert.deepStrictEqual(hyphenator.hyphenate('table'), [2]);
+        assert.deepStrictEqual(hyphenator.hyphenate('Hyphenation'), [6]);
+    });
+});
+
+describe('Soft hyphens', () => {
+    it('are invisible and take no width inside a line', () => {
+        const chain = createChain(400);
+        chain.insertText('hy\u00ADphen');
+        assert.deepStrictEqual(lines(chain.getItems()), ['hyphen']);
+        const last = chain.getItems().filter(item => item instanceof TextLink).pop();
+        assert.strictEqual(last.computed.posX, 16);
+    });
+
+    it('break a word that does not fit and show a hyphen', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaa hyph\u00ADen\u00ADation');
+        assert.deepStrictEqual(lines(chain.getItems()), ['aaaa hyphen-', 'ation']);
+    });
+
+    it('keep the text unchanged', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaa hyph\u00ADen\u00ADation');
+        assert.strictEqual(chain.getFlatText(), 'aaaa hyph\u00ADen\u00ADation');
+    });
+
+    it('drop the hyphen when the word no longer breaks there', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaa hyph\u00ADen\u00ADation');
+        chain.documentStartPressed();
+        for (let i = 0; i < 5; i++) chain.deleteForward();
+        assert.deepStrictEqual(lines(chain.getItems()), ['hyphenation']);
+    });
+});
+
+describe('Hyphenation hook', () => {
+    it('breaks long words at hyphenation points', () => {
+        const chain = createChain(100, new Hyphenator(PATTERNS));
+        chain.insertText('the hyphenation of words');
+        assert.deepStrictEqual(lines(chain.getItems()), ['the hyphen-', 'ation of ', 'words']);
+    });
+
+    it('moves the break back when the hyphen would not fit', () => {
+        const chain = createChain(88, new Hyphenator(PATTERNS));
+        chain.insertText('abcd hyphenation');
+        assert.deepStrictEqual(lines(chain.getItems()), ['abcd hy-', 'phenation']);
+    });
+
+    it('accepts a plain function', () => {
+        const chain = createChain(100, word => (word.length > 6 ? [3] : []));
+        chain.insertText('aaaaaaa bbbbbbbb');
+        assert.deepStrictEqual(lines(chain.getItems()), ['aaaaaaa bbb-', 'bbbbb']);
+    });
+
+    it('leaves words with soft hyphens to their author', () => {
+        const chain = createChain(80, new Hyphenator(PATTERNS));
+        chain.insertText('aaaa hyphenat\u00ADion');
+        assert.deepStrictEqual(lines(chain.getItems()), ['aaaa ', 'hyphenat-', 'ion']);
+    });
+
+    it('does not hyphenate without a hyphenator', () => {
+        const chain = createChain(100);
+        chain.insertText('the hyphenation of words');
+        assert.deepStrictEqual(lines(chain.getItems()), ['the ', 'hyphenation ', 'of words']);
+    });
+});
+
+describe('Editor hyphenation', () => {
+    const text = `${'a'.repeat(88)} hyphenation`;
+
+    it('takes hyphenators by language from the options', () => {
+        const canvas = createTestCanvas();
+        const editor = new CanvasEditor(canvas, { hyphenators: { en: new Hyphenator(PATTERNS) } });
+        editor.setText(text);
+        assert.deepStrictEqual(lines(editor.chain.getItems()), [`${'a'.repeat(88)} hyphen-`, 'ation']);
+    });
+
+    it('switches hyphenators with the language', () => {
+        const canvas = createTestCanvas();
+        const editor = new CanvasEditor(canvas, { language: 'de' });
+        editor.setText(text);
+        assert.strictEqual(editor.getLanguage(), 'de');
+        editor.setHyphenator('en', new Hyphenator(PATTERNS));
+        assert.deepStrictEqual(lines(editor.chain.getItems()), [`${'a'.repeat(88)} `, 'hyphenation']);
+        editor.setLanguage('en');
+        assert.deepStrictEqual(lines(editor.chain.getItems()), [`${'a'.repeat(88)} hyphen-`, 'ation']);
+        editor.setHyphenator('en', null);
+        assert.deepStrictEqual(lines(editor.chain.getItems()), [`${'a'.repeat(88)} `, 'hyphenation']);
+    });
+
+    it('draws the hyphen and hides soft hyphens', () => {
+        const canvas = createTestCanvas();
+        const editor = new CanvasEditor(canvas, { hyphenators: { en: new Hyphenator(PATTERNS) } });
+        editor.setText(`${text} re\u00ADdo`);
+        canvas.calls = [];
+        editor.render();
+        const drawn = canvas.calls.filter(call => call.op === 'fillText').map(call => call.text);
+        // Syllables are drawn as separate runs.
+        assert.deepStrictEqual(drawn.slice(-6), ['hy', 'phen-', 'ation', ' ', 're', 'do']);
+        assert.ok(drawn.every(t => !t.includes('\u00AD')));
+    });
+});
@@ -0,0 +1,225 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+describe('IME Composition', () => {
+    let canvas;
+    let editor;
+
+    beforeEach(() => {
+        canvas = createTestCanvas();
+        editor = new CanvasEditor(canvas, {
+            backgroundColor: '#ffffff',
+            padding: 10
+        });
+    });
+
+    function hasCompositionLink() {
+        return editor.chain.getItems().some(item => item.constructor.name === 'CompositionLink');
+    }
+
+    it('should show in-progress composition text inline at the cursor', () => {
+        editor.setText('ab');
+
+        editor.handleCompositionStart({ data: '' });
+        editor.handleCompositionUpdate({ data: 'に' });
+        editor.handleCompositionUpdate({ data: 'にほ' });
+
+        assert.strictEqual(editor.isComposing, true);
+        assert.strictEqual(editor.chain.getFlatText(), 'abにほ');
+        assert.ok(hasCompositionLink());
+    });
+
+    it('should leave preedit text out of the text, serialization, snapshots and copy', () => {
+        editor.setText('abcd');
+        editor.chain.moveCursorToCharPosition(2);
+        editor.handleCompositionStart({ data: '' });
+        editor.handleCompositionUpdate({ data: 'にほ' });
+
+        assert.strictEqual(editor.getText(), 'abcd');
+        assert.deepStrictEqual(editor.toJSON().content.map(entry => entry.text), ['ab', 'cd']);
+
+        editor.chain.selectionStart = 1;
+        editor.chain.selectionEnd = 5;
+        const flavors = editor.getClipboardFlavors();
+        assert.strictEqual(flavors['text/plain'], 'bc');
+        assert.deepStrictEqual(JSON.parse(flavors[CanvasEditor.CLIPBOARD_JSON_TYPE]).content.map(entry => entry.text), ['b', 'c']);
+
+        editor.chain.clearSelection();
+        editor.takeSnapshot();
+        const snapshot = editor.history[editor.historyIndex];
+        assert.strictEqual(snapshot.cursorPos, 2);
+        assert.ok(snapshot.doc.content.every(entry => !entry.text || !entry.text.includes('に')));
+    });
+
+    it('should not merge composition text with neighbouring runs', () => {
+        editor.setText('ab');
+        editor.handleCompositionStart({ data: '' });
+        editor.handleCompositionUpdate({ data: 'x' });
+
+        const runs = editor.chain.getItems().filter(item => item.text !== undefined).map(item => item.text);
+        assert.deepStrictEqual(runs, ['ab', 'x']);
+    });
+
+    it('should commit the composed text on compositionend', () => {
+        editor.setText('ab');
+        editor.handleCompositionStart({ data: '' });
+        editor.handleCompositionUpdate({ data: 'にほん' });
+        editor.handleCompositionEnd({ data: '日本' });
+
+        assert.strictEqual(editor.isComposing, false);
+        assert.strictEqual(editor.getText(), 'ab日本');
+        assert.ok(!hasCompositionLink());
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 4);
+    });
+
+    it('should undo a committed composition in a single step', () => {
+        editor.setText('ab');
+        editor.takeSnapshot();
+        editor.handleCompositionStart({ data: '' });
+        editor.handleCompositionUpdate({ data: 'か' });
+        editor.handleCompositionUpdate({ data: 'かん' });
+        editor.handleCompositionEnd({ data: '漢' });
+
+        editor.undo();
+
+        assert.strictEqual(editor.getText(), 'ab');
+    });
+
+    it('should leave the document untouched when the composition is cancelled', () => {
+        editor.setText('ab');
+        const historyLength = editor.history.length;
+        editor.handleCompositionStart({ data: '' });
+        editor.handleCompositionUpdate({ data: 'に' });
+        editor.handleCompositionEnd({ data: '' });
+
+        assert.strictEqual(editor.getText(), 'ab');
+        assert.strictEqual(editor.history.length, historyLength);
+    });
+
+    it('should replace the selection with the composed text', () => {
+        editor.setText('hello');
+        editor.takeSnapshot();
+        editor.chain.selectionStart = 1;
+        editor.chain.selectionEnd = 5;
+
+        editor.handleCompositionStart({ data: '' });
+        editor.handleCompositionUpdate({ data: 'é' });
+        editor.handleCompositionEnd({ data: 'é' });
+
+        assert.strictEqual(editor.getText(), 'hé');
+
+        editor.undo();
+        assert.strictEqual(editor.getText(), 'hello');
+    });
+
+    it('should ignore keydown events that belong to the IME', () => {
+        editor.setText('ab');
+        const preventDefault = () => {};
+
+        editor.handleKeyDown({ key: 'Process', keyCode: 229, preventDefault });
+        editor.handleKeyDown({ key: 'a', isComposing: true, preventDefault });
+        editor.handleCompositionStart({ data: '' });
+        editor.handleKeyDown({ key: 'Backspace', preventDefault });
+
+        assert.strictEqual(editor.getText(), 'ab');
+    });
+
+    it('should insert text delivered by input events outside a composition', () => {
+        editor.setText('hi ');
+
+        editor.handleTextInput({ data: '👍', inputType: 'insertText' });
+
+        assert.strictEqual(editor.getText(), 'hi 👍');
+    });
+
+    it('should ignore input events fired during a composition', () => {
+        editor.setText('hi');
+        editor.handleCompositionStart({ data: '' });
+
+        editor.handleTextInput({ data: 'x', inputType: 'insertCompositionText', isComposing: true });
+
+        assert.strictEqual(editor.getText(), 'hi');
+    });
+});
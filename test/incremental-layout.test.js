@@ -0,0 +1,241 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Chain } from '../src/Chain.js';
+import { FontProperties } from '../src/FontProperties.js';
+import { TextLink, NewlineLink, CursorLink, ImageLink, HorizontalRuleLink } from '../src/ChainLink.js';
+
+// Mock context that measures by font size and records what it measured.
+function createMockContext() {
+    let currentFont = '16px Arial';
+    const ctx = {
+        measured: [],
+        get font() {
+            return currentFont;
+        },
+        set font(value) {
+            currentFont = value;
+        },
+        measureText(text) {
+            ctx.measured.push(text);
+            const match = currentFont.match(/(\d+)px/);
+            const fontSize = match ? parseInt(match[1]) : 16;
+            return {
+                width: text.length * fontSize * 0.5,
+                actualBoundingBoxAscent: fontSize * 0.75,
+                actualBoundingBoxDescent: fontSize * 0.25
+            };
+        }
+    };
+    return ctx;
+}
+
+function createChain(text, width = 200) {
+    const chain = new Chain(width, createMockContext(), new FontProperties(16, 'Arial'));
+    chain.insertText(text);
+    return chain;
+}
+
+// The same document in a new chain, laid out from scratch.
+function fullLayout(chain) {
+    const copy = new Chain(chain.widthPixels, createMockContext(), chain.currentFontProperties);
+    copy.paragraphIndents = new Map(chain.paragraphIndents);
+    copy.paragraphSpacing = new Map(chain.paragraphSpacing);
+    copy.paragraphAlignments = new Map(chain.paragraphAlignments);
+    copy.items = chain.items.map(item => {
+        if (item instanceof TextLink) return new TextLink(item.text, item.intrinsic.fontProperties.clone());
+        if (item instanceof ImageLink) return new ImageLink({ ...item.intrinsic });
+        if (item instanceof HorizontalRuleLink) return new HorizontalRuleLink();
+        if (item instanceof NewlineLink) return new NewlineLink();
+        if (item instanceof CursorLink) return new CursorLink();
+        return null;
+    }).filter(Boolean);
+    copy.recalc();
+    return copy;
+}
+
+function layoutOf(chain) {
+    return {
+        contentHeight: chain.contentHeight,
+        items: chain.items.map(item => ({
+            type: item.constructor.name,
+            text: item.text,
+            ...item.computed
+        }))
+    };
+}
+
+function assertMatchesFullLayout(chain) {
+    assert.deepStrictEqual(layoutOf(chain), layoutOf(fullLayout(chain)));
+}
+
+const LOREM = 'The quick brown fox jumps over the lazy dog and keeps running far away';
+
+describe('Incremental layout', () => {
+    it('should match a full layout after typing in one paragraph', () => {
+        const chain = createChain(`${LOREM}\n${LOREM}\n${LOREM}`);
+        chain.moveCursorToCharPosition(LOREM.length + 10);
+        chain.insertText('inserted words ');
+
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should only measure the edited paragraph', () => {
+        const chain = createChain(`first paragraph\n${LOREM}\nlast paragraph`);
+        chain.moveCursorToCharPosition(3);
+        chain.recalc();
+        chain.ctx.measured = [];
+
+        chain.printableKeyPressed('X');
+
+        assert.ok(chain.ctx.measured.length > 0);
+        assert.ok(chain.ctx.measured.every(text => !/quick|last/.test(text)),
+            `measured other paragraphs: ${chain.ctx.measured.join('|')}`);
+    });
+
+    it('should lay out nothing but the edited paragraph when typing within it', () => {
+        const chain = createChain(`${LOREM}\nsecond paragraph\n${LOREM}`);
+        chain.moveCursorToCharPosition(LOREM.length + 7);
+        let passes = 0;
+        const recalc = chain.recalc.bind(chain);
+        chain.recalc = () => {
+            passes++;
+            recalc();
+        };
+        const laidOut = [];
+        const layoutParagraph = chain.layoutParagraph.bind(chain);
+        chain.layoutParagraph = (items, paragraphIdx, ...rest) => {
+            laidOut.push(paragraphIdx);
+            return layoutParagraph(items, paragraphIdx, ...rest);
+        };
+
+        chain.printableKeyPressed('x');
+        chain.insertText('yz');
+        chain.backspacePressed();
+
+        assert.strictEqual(passes, 0);
+        assert.deepStrictEqual(laidOut, [1, 1, 1]);
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should keep the alignment of paragraphs it does not lay out again', () => {
+        const chain = createChain(`${LOREM}\ncentered\n${LOREM}`);
+        chain.paragraphAlignments = new Map([[1, 'center'], [2, 'justify']]);
+        chain.recalc();
+        const centered = chain.items.find(item => item.text === 'centered');
+        assert.strictEqual(centered.computed.posX, (200 - 8 * 8) / 2);
+
+        chain.moveCursorToCharPosition(3);
+        chain.insertText(' more words to wrap');
+        assert.strictEqual(centered.computed.posX, (200 - 8 * 8) / 2);
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should shift the following paragraphs when a paragraph grows', () => {
+        const chain = createChain(`short\n${LOREM}\nend`);
+        const endBefore = chain.items.find(item => item.text === 'end').computed.posY;
+        chain.moveCursorToCharPosition(5);
+        chain.insertText(` ${LOREM}`);
+
+        const endAfter = chain.items.find(item => item.text === 'end').computed.posY;
+        assert.ok(endAfter > endBefore);
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should match a full layout after splitting and merging paragraphs', () => {
+        const chain = createChain(`${LOREM}\nsecond\nthird`);
+        chain.moveCursorToCharPosition(20);
+        chain.enterPressed();
+        assertMatchesFullLayout(chain);
+
+        chain.moveCursorToCharPosition(LOREM.length + 2);
+        chain.backspacePressed();
+        assertMatchesFullLayout(chain);
+
+        chain.deleteCharRange(5, LOREM.length + 4);
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should re-lay out a paragraph whose run was restyled in place', () => {
+        const chain = createChain(`small\n${LOREM}`);
+        const run = chain.items.find(item => item.text === 'small');
+        run.intrinsic.fontProperties.size = 40;
+        chain.recalc();
+
+        assert.strictEqual(run.computed.width, 5 * 40 * 0.5);
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should re-lay out an image paragraph when the image is resized', () => {
+        const chain = createChain('before\n');
+        chain.insertBlock(new ImageLink({ src: 'a.png', width: 100, height: 50 }));
+        chain.insertText('after');
+        const image = chain.items.find(item => item instanceof ImageLink);
+        image.intrinsic.height = 120;
+        chain.recalc();
+
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should re-lay out everything when the width or indents change', () => {
+        const chain = createChain(`${LOREM}\n${LOREM}`);
+        chain.setWidth(120);
+        assertMatchesFullLayout(chain);
+
+        chain.paragraphIndents = new Map([[1, 32]]);
+        chain.recalc();
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should re-lay out paragraphs whose spacing changes', () => {
+        const chain = createChain(`${LOREM}\nmiddle\n${LOREM}`);
+        chain.paragraphSpacing = new Map([[1, { lineHeight: 2, spaceBefore: 10, spaceAfter: 6 }]]);
+        chain.recalc();
+        assertMatchesFullLayout(chain);
+
+        chain.paragraphSpacing = new Map([[1, { exactLineHeight: 30 }], [2, { spaceBefore: 4 }]]);
+        chain.recalc();
+        assertMatchesFullLayout(chain);
+    });
+
+    it('should match a full layout after invalidateLayout()', () => {
+        const chain = createChain(`${LOREM}\n\n${LOREM}`);
+        const before = layoutOf(chain);
+        chain.invalidateLayout();
+        chain.recalc();
+
+        assert.deepStrictEqual(layoutOf(chain), before);
+    });
+
+    it('should match a full layout through a sequence of edits', () => {
+        const chain = createChain(`${LOREM}\n\nshort line\n${LOREM} ${LOREM}\nend`);
+        // Deterministic pseudo-random sequence.
+        let seed = 7;
+        const random = (n) => {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            return seed % n;
+        };
+        const bold = new FontProperties(16, 'Arial', 'bold');
+        const large = new FontProperties(24, 'Arial');
+
+        for (let step = 0; step < 60; step++) {
+            const total = chain.getTotalChars();
+            chain.moveCursorToCharPosition(random(total + 1));
+            const action = random(6);
+            if (action === 0) {
+                chain.insertText('word ');
+            } else if (action === 1) {
+                chain.insertText('loud', random(2) ? bold : large);
+            } else if (action === 2) {
+                chain.enterPressed();
+            } else if (action === 3) {
+                chain.backspacePressed();
+            } else if (action === 4) {
+                const start = random(total);
+                chain.deleteCharRange(start, Math.min(total, start + random(15)));
+            } else {
+                chain.insertText('a\nb');
+            }
+            assertMatchesFullLayout(chain);
+        }
+    });
+});
@@ -0,0 +1,246 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+import { TextLink, CursorLink, VirtualNewlineLink, NewlineLink } from '../src/ChainLink.js';
+import { buildKeymap } from '../src/Keymap.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 220, height: 600 }; },
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+// 8px per character at the default 16px; the text area is 200px wide.
+const TEXT = 'aaa bb cccc dd eee ffff gg hhh iiii jj kkk l mmmm nn ooo';
+
+function createEditor() {
+    const canvas = createTestCanvas();
+    canvas.width = 220;
+    const editor = new CanvasEditor(canvas);
+    editor.setText(TEXT);
+    return editor;
+}
+
+// Visual lines as arrays of laid-out text runs, with whether each wrapped.
+function lines(editor) {
+    const result = [];
+    let runs = [];
+    for (const item of editor.chain.getItems()) {
+        if (item instanceof TextLink && item.text.length > 0) {
+            runs.push(item);
+        } else if (item instanceof VirtualNewlineLink || item instanceof NewlineLink) {
+            result.push({ runs, wrapped: item instanceof VirtualNewlineLink });
+            runs = [];
+        }
+    }
+    result.push({ runs, wrapped: false });
+    return result;
+}
+
+function rightEdge(editor, runs) {
+    const words = runs.filter(run => /\S/.test(run.text));
+    const last = words[words.length - 1];
+    return last.getPosX() + last.getWidth(editor.ctx);
+}
+
+function justify(editor) {
+    editor.setAlignment('justify');
+    editor.render();
+}
+
+function mouse(clientX, clientY) {
+    return { clientX, clientY, button: 0, detail: 1, preventDefault() {} };
+}
+
+describe('Justified alignment', () => {
+    it('should stretch every wrapped line to the right margin', () => {
+        const editor = createEditor();
+        justify(editor);
+
+        const wrapped = lines(editor).filter(line => line.wrapped);
+        assert.ok(wrapped.length >= 2);
+        for (const line of wrapped) {
+            assert.strictEqual(line.runs[0].getPosX(), 0);
+            assert.ok(Math.abs(rightEdge(editor, line.runs) - editor.editorWidth) < 1e-9);
+        }
+        editor.destroy();
+    });
+
+    it('should leave the last line of the paragraph ragged', () => {
+        const editor = createEditor();
+        justify(editor);
+
+        const last = lines(editor).at(-1);
+        assert.strictEqual(last.wrapped, false);
+        assert.ok(last.runs.every(run => !run.computed.stretch));
+        assert.ok(rightEdge(editor, last.runs) < editor.editorWidth);
+        editor.destroy();
+    });
+
+    it('should share the extra width equally between the spaces', () => {
+        const editor = createEditor();
+        justify(editor);
+
+        const first = lines(editor)[0];
+        const stretches = first.runs.filter(run => run.computed.stretch).map(run => run.computed.stretch);
+        const spaces = first.runs.filter(run => /^\s+$/.test(run.text) && run !== first.runs.at(-1));
+        assert.strictEqual(stretches.length, spaces.length);
+        assert.ok(stretches.every(value => Math.abs(value - stretches[0]) < 1e-9));
+        assert.ok(first.runs.filter(run => /\S/.test(run.text)).every(run => !run.computed.stretch));
+        editor.destroy();
+    });
+
+    it('should justify list paragraphs between the indent and the margin', () => {
+        const editor = createEditor();
+        editor.toggleBulletList();
+        justify(editor);
+
+        for (const line of lines(editor).filter(l => l.wrapped)) {
+            assert.strictEqual(line.runs[0].getPosX(), editor.LIST_INDENT);
+            assert.ok(Math.abs(rightEdge(editor, line.runs) - editor.editorWidth) < 1e-9);
+        }
+        editor.destroy();
+    });
+
+    it('should place the caret after a stretched space', () => {
+        const editor = createEditor();
+        justify(editor);
+        const bb = lines(editor)[0].runs.find(run => run.text === 'bb');
+
+        editor.chain.moveCursorToCharPosition(4);
+        editor.render();
+        const cursor = editor.chain.getItems().find(item => item instanceof CursorLink);
+        assert.ok(Math.abs(cursor.computed.posX - bb.getPosX()) < 1e-9);
+        assert.ok(cursor.computed.posX > 4 * 8);
+        editor.destroy();
+    });
+
+    it('should hit-test clicks inside stretched spaces', () => {
+        const editor = createEditor();
+        justify(editor);
+        const space = lines(editor)[0].runs[1];
+        const middle = space.getPosX() + space.getWidth(editor.ctx) / 2;
+        const y = space.getPosY() - 4;
+
+        assert.strictEqual(editor.chain.charPositionAtXY(middle - 2, y), 3);
+        assert.strictEqual(editor.chain.charPositionAtXY(middle + 2, y), 4);
+
+        const padding = editor.options.padding;
+        editor.handleMouseDown(mouse(padding + middle + 2, padding + y));
+        editor.handleMouseUp(mouse(padding + middle + 2, padding + y));
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 4);
+        editor.destroy();
+    });
+
+    it('should restore ragged lines when set back to left', () => {
+        const editor = createEditor();
+        justify(editor);
+        editor.render();
+        editor.setAlignment('left');
+        editor.render();
+
+        const first = lines(editor)[0];
+        assert.ok(first.runs.every(run => !run.computed.stretch));
+        assert.strictEqual(first.runs[1].getPosX(), 3 * 8);
+        editor.destroy();
+    });
+
+    it('should round-trip justify through HTML and JSON', () => {
+        const editor = createEditor();
+        justify(editor);
+        const html = editor.toHTML();
+        assert.match(html, /text-align:justify/);
+
+        const other = createEditor();
+        other.fromHTML(html);
+        assert.strictEqual(other.paragraphAlignments.get(0), 'justify');
+        assert.deepStrictEqual(editor.toJSON().alignments, { 0: 'justify' });
+        editor.destroy();
+        other.destroy();
+    });
+
+    it('should bind Mod-Shift-j to alignJustify', () => {
+        assert.strictEqual(buildKeymap({}, false).get('Ctrl-Shift-j'), 'alignJustify');
+        const editor = createEditor();
+        editor.executeCommand('alignJustify');
+        assert.strictEqual(editor.paragraphAlignments.get(0), 'justify');
+        editor.destroy();
+    });
+});
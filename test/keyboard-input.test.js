@@ -3,43 +3,16 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Keyboard Input', () => {
 
     describe('printableKeyPressed', () => {
 
         it('should insert character at cursor position in empty document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
 
@@ -51,9 +24,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should append character to existing text with same font', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -64,9 +37,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should build multiple characters into one TextLink', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -80,9 +53,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should handle spaces', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -95,9 +68,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should handle special characters', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('!');
             chain.printableKeyPressed('@');
@@ -108,9 +81,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should type after newline', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -125,9 +98,9 @@ describe('Keyboard Input', () => {
     describe('backspacePressed', () => {
 
         it('should do nothing on empty document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.backspacePressed();
 
@@ -137,9 +110,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should delete last character', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -151,9 +124,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should delete entire word character by character', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -170,9 +143,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should delete newline', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -183,9 +156,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should handle backspace on second line', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -201,9 +174,9 @@ describe('Keyboard Input', () => {
     describe('enterPressed', () => {
 
         it('should insert newline in empty document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.enterPressed();
 
@@ -213,9 +186,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should insert newline after text', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -227,9 +200,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should create multiple lines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -243,9 +216,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should create empty lines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.enterPressed();
             chain.enterPressed();
@@ -260,9 +233,9 @@ describe('Keyboard Input', () => {
     describe('Complex typing scenarios', () => {
 
         it('should handle typing a sentence', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             'Hello World!'.split('').forEach(char => {
                 chain.printableKeyPressed(char);
@@ -273,9 +246,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should handle typing multiple paragraphs', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -289,9 +262,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should handle alternating typing and backspace', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -305,9 +278,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should handle typing numbers', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             '1234567890'.split('').forEach(char => {
                 chain.printableKeyPressed(char);
@@ -318,9 +291,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should maintain cursor at end after typing', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -331,9 +304,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should handle typing after backspacing everything', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -347,12 +320,76 @@ describe('Keyboard Input', () => {
         });
     });
 
+    describe('insertText', () => {
+
+        it('should insert lines as runs separated by newlines', () => {
+            const measurer = new MockTextMeasurer();
+            const chain = new Chain(800, measurer, new FontProperties(16, 'Arial'));
+
+            chain.insertText('Hello\nWorld');
+
+            const items = chain.getItems();
+            assert.strictEqual(items.filter(item => item instanceof NewlineLink).length, 1);
+            assert.strictEqual(chain.getFlatText(), 'Hello\nWorld');
+            assert.ok(items[items.length - 1] instanceof CursorLink);
+        });
+
+        it('should insert at the cursor and merge with matching runs', () => {
+            const measurer = new MockTextMeasurer();
+            const chain = new Chain(800, measurer, new FontProperties(16, 'Arial'));
+            chain.insertText('ad');
+            chain.moveCursorToCharPosition(1);
+
+            chain.insertText('bc');
+
+            assert.strictEqual(chain.getFlatText(), 'abcd');
+            const items = chain.getItems();
+            assert.strictEqual(items[chain.cursorIdx() - 1].text, 'abc');
+            assert.strictEqual(chain.getCursorCharPosition(), 3);
+        });
+
+        it('should use the given font properties', () => {
+            const measurer = new MockTextMeasurer();
+            const chain = new Chain(800, measurer, new FontProperties(16, 'Arial'));
+
+            chain.insertText('Big', new FontProperties(24, 'Arial'));
+
+            const textLink = chain.getItems().find(item => item instanceof TextLink);
+            assert.strictEqual(textLink.intrinsic.fontProperties.size, 24);
+            assert.strictEqual(chain.currentFontProperties.size, 16);
+        });
+
+        it('should treat CRLF and CR as a single line break', () => {
+            const measurer = new MockTextMeasurer();
+            const chain = new Chain(800, measurer, new FontProperties(16, 'Arial'));
+
+            chain.insertText('a\r\nb\rc\n');
+
+            assert.strictEqual(chain.getFlatText(), 'a\nb\nc\n');
+        });
+
+        it('should lay out once regardless of text length', () => {
+            const measurer = new MockTextMeasurer();
+            const chain = new Chain(800, measurer, new FontProperties(16, 'Arial'));
+            let recalcs = 0;
+            const recalc = chain.recalc.bind(chain);
+            chain.recalc = () => {
+                recalcs++;
+                recalc();
+            };
+
+            chain.insertText('word '.repeat(2000) + '\n' + 'more '.repeat(2000));
+
+            assert.strictEqual(recalcs, 1);
+        });
+    });
+
     describe('Font property handling', () => {
 
         it('should use current font properties for new text', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
 
@@ -363,9 +400,9 @@ describe('Keyboard Input', () => {
         });
 
         it('should create new TextLink when font changes', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.setFontSize(20);
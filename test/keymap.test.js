@@ -0,0 +1,234 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+import { normalizeChord, chordFromEvent, buildKeymap } from '../src/Keymap.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+function key(k, extra = {}) {
+    let prevented = false;
+    return {
+        key: k,
+        preventDefault() { prevented = true; },
+        get defaultPrevented() { return prevented; },
+        ...extra
+    };
+}
+
+describe('Keymap', () => {
+    describe('chords', () => {
+        it('should normalize modifier order, case and Mod', () => {
+            assert.strictEqual(normalizeChord('Shift-Mod-B', false), 'Ctrl-Shift-b');
+            assert.strictEqual(normalizeChord('Mod-b', true), 'Meta-b');
+            assert.strictEqual(normalizeChord('cmd-alt-ArrowLeft', true), 'Alt-Meta-ArrowLeft');
+            assert.strictEqual(normalizeChord('Mod--', false), 'Ctrl--');
+        });
+
+        it('should reject unknown modifiers', () => {
+            assert.throws(() => normalizeChord('Hyper-x', false), /Unknown modifier/);
+        });
+
+        it('should read chords from keyboard events', () => {
+            assert.strictEqual(chordFromEvent({ key: 'B', ctrlKey: true, shiftKey: true }), 'Ctrl-Shift-b');
+            // Shift+7 types '&' on US layouts; the physical digit is used.
+            assert.strictEqual(chordFromEvent({ key: '&', code: 'Digit7', ctrlKey: true, shiftKey: true }), 'Ctrl-Shift-7');
+            // Ctrl+B on a Cyrillic layout still reports the B key.
+            assert.strictEqual(chordFromEvent({ key: 'и', code: 'KeyB', ctrlKey: true }), 'Ctrl-b');
+            assert.strictEqual(chordFromEvent({ key: 'Enter' }), 'Enter');
+        });
+
+        it('should merge overrides over the defaults and unbind with null', () => {
+            const keymap = buildKeymap({ 'Mod-e': 'alignCenter', 'Ctrl-u': null }, false);
+
+            assert.strictEqual(keymap.get('Ctrl-e'), 'alignCenter');
+            assert.strictEqual(keymap.get('Ctrl-b'), 'toggleBold');
+            assert.strictEqual(keymap.has('Ctrl-u'), false);
+        });
+
+        it('should use Cmd and Apple conventions on macOS', () => {
+            const keymap = buildKeymap({}, true);
+
+            assert.strictEqual(keymap.get('Meta-b'), 'toggleBold');
+            assert.strictEqual(keymap.has('Ctrl-b'), false);
+            assert.strictEqual(keymap.get('Alt-ArrowLeft'), 'moveWordLeft');
+            assert.strictEqual(keymap.get('Meta-ArrowLeft'), 'moveLineStart');
+            assert.strictEqual(keymap.get('Meta-Backspace'), 'deleteToLineStart');
+            assert.strictEqual(keymap.get('Alt-Backspace'), 'deleteWordBackward');
+        });
+    });
+
+    describe('editor integration', () => {
+        let editor;
+
+        beforeEach(() => {
+            editor = new CanvasEditor(createTestCanvas(), {
+                backgroundColor: '#ffffff',
+                padding: 10,
+                keymap: { 'Mod-e': 'alignCenter', 'Mod-u': null }
+            });
+            editor.setText('Hello');
+        });
+
+        it('should run commands bound through the keymap option', () => {
+            editor.handleKeyDown(key('e', { ctrlKey: true }));
+
+            assert.strictEqual(editor.paragraphAlignments.get(0), 'center');
+        });
+
+        it('should delete to the start of the line with Cmd+Backspace on macOS', () => {
+            editor.keymap = buildKeymap({}, true);
+            editor.setText('One\nTwo three');
+            editor.handleKeyDown(key('Backspace', { metaKey: true }));
+            assert.strictEqual(editor.getText(), 'One\n');
+
+            editor.handleKeyDown(key('Backspace', { metaKey: true }));
+            assert.strictEqual(editor.getText(), 'One');
+        });
+
+        it('should leave unbound chords to the browser', () => {
+            editor.selectAll();
+            const event = key('u', { ctrlKey: true });
+            editor.handleKeyDown(event);
+
+            assert.strictEqual(event.defaultPrevented, false);
+            assert.ok(editor.toJSON().content.every(run => !run.font.underline));
+        });
+
+        it('should toggle lists with Mod-Shift-7 and Mod-Shift-8', () => {
+            editor.handleKeyDown(key('&', { code: 'Digit7', ctrlKey: true, shiftKey: true }));
+            assert.strictEqual(editor.paragraphLists.get(0), 'number');
+
+            editor.handleKeyDown(key('*', { code: 'Digit8', ctrlKey: true, shiftKey: true }));
+            assert.strictEqual(editor.paragraphLists.get(0), 'bullet');
+        });
+
+        it('should bind and unbind keys at runtime', () => {
+            editor.bindKey('Mod-Shift-h', 'insertHorizontalRule');
+            editor.handleKeyDown(key('H', { ctrlKey: true, shiftKey: true }));
+            assert.ok(editor.toJSON().content.some(e => e.type === 'hr'));
+
+            editor.bindKey('Mod-Shift-h', null);
+            assert.strictEqual(editor.getKeymap()['Ctrl-Shift-h'], undefined);
+        });
+
+        it('should reset custom bindings with setKeymap', () => {
+            editor.setKeymap({});
+
+            assert.strictEqual(editor.getKeymap()['Ctrl-u'], 'toggleUnderline');
+            assert.strictEqual(editor.getKeymap()['Ctrl-e'], undefined);
+        });
+
+        it('should execute commands by name with arguments', () => {
+            assert.strictEqual(editor.executeCommand('setAlignment', 'right'), true);
+            assert.strictEqual(editor.paragraphAlignments.get(0), 'right');
+
+            editor.executeCommand('moveDocumentEnd');
+            editor.executeCommand('insertText', ' world');
+            assert.strictEqual(editor.getText(), 'Hello world');
+
+            assert.strictEqual(editor.executeCommand('noSuchCommand'), false);
+        });
+
+        it('should run registered custom commands from key chords', () => {
+            const calls = [];
+            editor.registerCommand('save', (ed, args) => calls.push([ed, args]));
+            editor.bindKey('Mod-s', 'save');
+            const event = key('s', { ctrlKey: true });
+            editor.handleKeyDown(event);
+
+            assert.strictEqual(calls.length, 1);
+            assert.strictEqual(calls[0][0], editor);
+            assert.strictEqual(event.defaultPrevented, true);
+        });
+
+        it('should refuse editing commands in read-only mode', () => {
+            editor.registerCommand('stamp', (ed) => ed.chain.insertText('!'), { edits: true });
+            editor.setReadOnly(true);
+
+            assert.strictEqual(editor.executeCommand('toggleBulletList'), false);
+            assert.strictEqual(editor.executeCommand('stamp'), false);
+            assert.strictEqual(editor.executeCommand('selectAll'), true);
+            assert.strictEqual(editor.getText(), 'Hello');
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Chain } from '../src/Chain.js';
+import { FontProperties } from '../src/FontProperties.js';
+import { TextLink, VirtualNewlineLink, NewlineLink } from '../src/ChainLink.js';
+import { lineBreakClass, lineBreakOpportunities, isBreakingSpace } from '../src/LineBreak.js';
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
+
+function createChain(width) {
+    return new Chain(width, new MockTextMeasurer(), new FontProperties(16, 'Arial'));
+}
+
+// The text of each displayed line.
+function lines(chain) {
+    const result = [''];
+    for (const item of chain.getItems()) {
+        if (item instanceof VirtualNewlineLink || item instanceof NewlineLink) {
+            result.push('');
+        } else if (item instanceof TextLink) {
+            result[result.length - 1] += item.text;
+        }
+    }
+    return result;
+}
+
+const classOf = char => lineBreakClass(char.codePointAt(0));
+
+describe('lineBreakClass', () => {
+    it('classifies letters, digits and spaces', () => {
+        assert.strictEqual(classOf('a'), 'AL');
+        assert.strictEqual(classOf('7'), 'NU');
+        assert.strictEqual(classOf(' '), 'SP');
+        assert.strictEqual(classOf('א'), 'HL');
+    });
+
+    it('classifies ideographs, kana and CJK punctuation', () => {
+        assert.strictEqual(classOf('漢'), 'ID');
+        assert.strictEqual(classOf('か'), 'ID');
+        assert.strictEqual(classOf('っ'), 'NS');
+        assert.strictEqual(classOf('。'), 'CL');
+        assert.strictEqual(classOf('（'), 'OP');
+        assert.strictEqual(classOf('）'), 'CL');
+    });
+
+    it('classifies the characters that control breaking', () => {
+        assert.strictEqual(classOf('\u00A0'), 'GL');
+        assert.strictEqual(classOf('\u200B'), 'ZW');
+        assert.strictEqual(classOf('\u2060'), 'WJ');
+        assert.strictEqual(classOf('-'), 'HY');
+        assert.strictEqual(classOf('\u0301'), 'CM');
+    });
+});
+
+describe('isBreakingSpace', () => {
+    it('accepts spaces and tabs but not no-break spaces', () => {
+        assert.strictEqual(isBreakingSpace(' \t '), true);
+        assert.strictEqual(isBreakingSpace('\u3000'), true);
+        assert.strictEqual(isBreakingSpace('\u00A0'), false);
+        assert.strictEqual(isBreakingSpace('\u202F'), false);
+        assert.strictEqual(isBreakingSpace(' a'), false);
+        assert.strictEqual(isBreakingSpace(''), false);
+    });
+});
+
+describe('lineBreakOpportunities', () => {
+    it('breaks after spaces, before the next word', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('hello big world'), [6, 10]);
+        assert.deepStrictEqual(lineBreakOpportunities('a   b'), [4]);
+    });
+
+    it('breaks between ideographs and kana', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('漢字かな'), [1, 2, 3]);
+    });
+
+    it('does not start a line with closing punctuation or a small kana', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('一二。三'), [1, 3]);
+        assert.deepStrictEqual(lineBreakOpportunities('かって'), [2]);
+    });
+
+    it('does not end a line with an opening bracket', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('（漢）字'), [3]);
+        assert.deepStrictEqual(lineBreakOpportunities('see (this)'), [4]);
+    });
+
+    it('does not break at a no-break space or word joiner', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('10\u00A0kg'), []);
+        assert.deepStrictEqual(lineBreakOpportunities('a\u202Fb'), []);
+        assert.deepStrictEqual(lineBreakOpportunities('ab\u2060cd'), []);
+        assert.deepStrictEqual(lineBreakOpportunities('ab\uFEFFcd'), []);
+    });
+
+    it('breaks after a zero width space', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('ab\u200Bcd'), [3]);
+    });
+
+    it('breaks after a hyphen and a slash but not inside numbers', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('well-known'), [5]);
+        assert.deepStrictEqual(lineBreakOpportunities('http://a.com/path'), [7, 13]);
+        assert.deepStrictEqual(lineBreakOpportunities('$100 3.14 -5 50%'), [5, 10, 13]);
+    });
+
+    it('keeps punctuation with the word before it', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('yes, no!'), [5]);
+    });
+
+    it('keeps combining marks with their base', () => {
+        assert.deepStrictEqual(lineBreakOpportunities('漢\u0301字'), [2]);
+        assert.deepStrictEqual(lineBreakOpportunities('a \u0301b'), [2]);
+    });
+
+    it('returns no opportunities for empty or one-character text', () => {
+        assert.deepStrictEqual(lineBreakOpportunities(''), []);
+        assert.deepStrictEqual(lineBreakOpportunities('漢'), []);
+    });
+});
+
+describe('Chain line breaking', () => {
+    it('wraps Latin text at spaces as before', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaa bbbb cccc dddd');
+        assert.deepStrictEqual(lines(chain), ['aaaa bbbb ', 'cccc dddd']);
+    });
+
+    it('wraps ideographic text between characters', () => {
+        const chain = createChain(100);
+        chain.insertText('一二三四五六七八九十百千万億');
+        const result = lines(chain);
+        assert.deepStrictEqual(result.map(line => line.length), [12, 2]);
+    });
+
+    it('carries the character before a closing mark onto the next line', () => {
+        const chain = createChain(100);
+        // The twelfth character fills the line; the full stop may not start the next.
+        chain.insertText('一二三四五六七八九十百千。万');
+        assert.deepStrictEqual(lines(chain).map(line => line.length), [11, 3]);
+        assert.strictEqual(lines(chain)[1], '千。万');
+    });
+
+    it('keeps words joined by a no-break space on one line', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaaaaa 10\u00A0kg');
+        assert.deepStrictEqual(lines(chain), ['aaaaaaa ', '10\u00A0kg']);
+    });
+
+    it('wraps at a zero width space', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaaaaaa\u200Bbbbbbb');
+        assert.deepStrictEqual(lines(chain), ['aaaaaaaa\u200B', 'bbbbbb']);
+    });
+
+    it('does not wrap a word at the caret', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaa bbbbbbbb');
+        chain.moveCursorToCharPosition(9);
+        assert.deepStrictEqual(lines(chain), ['aaaa ', 'bbbbbbbb']);
+    });
+
+    it('does not wrap a word where its formatting changes', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaa bbbb');
+        chain.insertText('cccc', new FontProperties(16, 'Georgia'));
+        assert.deepStrictEqual(lines(chain), ['aaaa ', 'bbbbcccc']);
+    });
+
+    it('still breaks a word too long for the line where it overflows', () => {
+        const chain = createChain(100);
+        chain.insertText('abcdefghijklmnopqrst');
+        assert.deepStrictEqual(lines(chain), ['abcdefghijkl', 'mnopqrst']);
+    });
+});
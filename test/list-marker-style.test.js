@@ -0,0 +1,257 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+import { TextLink, NewlineLink } from '../src/ChainLink.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; },
+        calls: [],
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect(x, y, w, h) {
+                    canvas.calls.push({ op: 'strokeRect', x, y, w, h });
+                },
+                fillText(text, x, y) {
+                    canvas.calls.push({ op: 'fillText', text, x, y, font: this.font, color: this.fillStyle });
+                },
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo(x, y) {
+                    canvas.calls.push({ op: 'lineTo', x, y, color: this.strokeStyle });
+                },
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+function createEditor(text, type = 'toggleNumberedList') {
+    const canvas = createTestCanvas();
+    const editor = new CanvasEditor(canvas);
+    editor.setText(text);
+    editor.selectAll();
+    editor[type]();
+    editor.chain.clearSelection();
+    return { editor, canvas };
+}
+
+// Select characters [start, end) of the document.
+function select(editor, start, end) {
+    editor.chain.selectionStart = start;
+    editor.chain.selectionEnd = end;
+}
+
+function markerAt(editor, p) {
+    return editor.getListMarkerPositions().find(pos => pos.paragraph === p);
+}
+
+// Left edge of paragraph p's first text run.
+function textStart(editor, p) {
+    let paragraph = 0;
+    for (const item of editor.chain.getItems()) {
+        if (item instanceof NewlineLink) paragraph++;
+        else if (paragraph === p && item instanceof TextLink && item.text.length > 0) return item.computed.posX;
+    }
+    return null;
+}
+
+describe('List marker style', () => {
+    it('should draw markers at the default size and indent for default text', () => {
+        const { editor } = createEditor('one\ntwo');
+        const marker = markerAt(editor, 0);
+
+        assert.strictEqual(marker.font, editor.defaultFontProperties.toFontString());
+        assert.strictEqual(marker.size, 16);
+        assert.strictEqual(editor.chain.getParagraphIndent(0), editor.LIST_INDENT);
+    });
+
+    it('should take the marker font and color from the first run', () => {
+        const { editor } = createEditor('big item\nplain');
+        select(editor, 0, 3);
+        editor.setFontSize(24);
+        editor.setTextColor('#ff0000');
+        editor.render();
+
+        const marker = markerAt(editor, 0);
+        assert.strictEqual(marker.size, 24);
+        assert.match(marker.font, /24px/);
+        assert.strictEqual(marker.color, '#ff0000');
+        assert.strictEqual(markerAt(editor, 1).size, 16);
+    });
+
+    it('should draw the marker with its font and color', () => {
+        const { editor, canvas } = createEditor('big item\nplain');
+        select(editor, 0, 8);
+        editor.setFontSize(24);
+        editor.setTextColor('#ff0000');
+        editor.chain.clearSelection();
+        canvas.calls.length = 0;
+        editor.render();
+
+        const drawn = canvas.calls.find(call => call.op === 'fillText' && call.text === '1.');
+        assert.ok(drawn, 'marker drawn');
+        assert.match(drawn.font, /24px/);
+        assert.strictEqual(drawn.color, '#ff0000');
+        const plain = canvas.calls.find(call => call.op === 'fillText' && call.text === '2.');
+        assert.match(plain.font, /16px/);
+    });
+
+    it('should use the default font for an empty item', () => {
+        const { editor } = createEditor('first');
+        editor.chain.moveCursorToCharPosition(5);
+        editor.executeCommand('insertNewline');
+        const marker = markerAt(editor, 1);
+
+        assert.strictEqual(marker.font, editor.defaultFontProperties.toFontString());
+    });
+
+    it('should sit on the baseline of the item\'s first line', () => {
+        const { editor } = createEditor('big item\nplain');
+        select(editor, 0, 8);
+        editor.setFontSize(30);
+        editor.render();
+
+        const run = editor.chain.getItems().find(item => item instanceof TextLink && item.text.length > 0);
+        const marker = markerAt(editor, 0);
+        assert.strictEqual(marker.y, run.computed.posY);
+    });
+
+    it('should widen the gutter for long numbers', () => {
+        const { editor } = createEditor('a\nb\nc');
+        editor.chain.moveCursorToCharPosition(0);
+        editor.restartNumbering(128);
+        editor.render();
+
+        const markers = editor.getListMarkerPositions();
+        assert.deepStrictEqual(markers.map(m => m.marker), ['128.', '129.', '130.']);
+        for (const marker of markers) {
+            const width = editor.ctx.measureText(marker.marker).width;
+            assert.ok(marker.x >= 0, `marker ${marker.marker} starts inside the page`);
+            assert.ok(marker.x + width + editor.LIST_MARKER_GAP <= textStart(editor, marker.paragraph),
+                `marker ${marker.marker} clears the text`);
+        }
+        assert.ok(editor.chain.getParagraphIndent(0) > editor.LIST_INDENT);
+    });
+
+    it('should widen the gutter for large markers', () => {
+        const { editor } = createEditor('huge\nsmall');
+        select(editor, 0, 4);
+        editor.setFontSize(72);
+        editor.render();
+
+        const marker = markerAt(editor, 0);
+        assert.ok(marker.x >= 0);
+        assert.ok(editor.chain.getParagraphIndent(0) > editor.LIST_INDENT);
+    });
+
+    it('should line up the items of one level', () => {
+        const { editor } = createEditor(Array.from({ length: 10 }, (_, i) => `item ${i}`).join('\n'));
+
+        const indents = editor.getText().split('\n').map((_, p) => editor.chain.getParagraphIndent(p));
+        assert.ok(indents.every(indent => indent === indents[0]), indents.join(','));
+        assert.strictEqual(textStart(editor, 0), textStart(editor, 9));
+    });
+
+    it('should narrow the gutter again when the numbers get shorter', () => {
+        const { editor } = createEditor('a\nb');
+        editor.chain.moveCursorToCharPosition(0);
+        editor.restartNumbering(1000);
+        editor.render();
+        assert.ok(editor.chain.getParagraphIndent(0) > editor.LIST_INDENT);
+
+        editor.restartNumbering(1);
+        editor.render();
+        assert.strictEqual(editor.chain.getParagraphIndent(0), editor.LIST_INDENT);
+    });
+
+    it('should size a check item\'s box to its font', () => {
+        const { editor } = createEditor('big task\nsmall task', 'toggleCheckList');
+        select(editor, 0, 8);
+        editor.setFontSize(32);
+        editor.render();
+
+        assert.strictEqual(markerAt(editor, 0).box.size, 24);
+        assert.strictEqual(markerAt(editor, 1).box.size, 12);
+    });
+
+    it('should follow the first run when it is restyled again', () => {
+        const { editor } = createEditor('big item');
+        select(editor, 0, 8);
+        editor.setFontSize(72);
+        editor.render();
+        const widened = editor.chain.getParagraphIndent(0);
+
+        editor.setFontSize(16);
+        editor.render();
+        assert.ok(editor.chain.getParagraphIndent(0) < widened);
+        assert.strictEqual(markerAt(editor, 0).size, 16);
+    });
+});
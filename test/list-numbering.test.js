@@ -0,0 +1,331 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+import { documentToHtml, htmlToDocument, sanitizeDocument } from '../src/HtmlCodec.js';
+import { documentToMarkdown, markdownToDocument } from '../src/MarkdownCodec.js';
+import { numberListItems, mergeNumbering, normalizeNumbering } from '../src/Lists.js';
+
+function createEditor(text) {
+    const editor = new CanvasEditor(createTestCanvas());
+    editor.setText(text);
+    return editor;
+}
+
+// Put the caret at the end of paragraph p.
+function caretIn(editor, p) {
+    const paragraphs = editor.getText().split('\n');
+    let pos = 0;
+    for (let i = 0; i < p; i++) pos += paragraphs[i].length + 1;
+    editor.chain.clearSelection();
+    editor.chain.moveCursorToCharPosition(pos + paragraphs[p].length);
+}
+
+// A numbered list with plain paragraphs at the given indices.
+function numberedEditor(text, plain = []) {
+    const editor = createEditor(text);
+    editor.selectAll();
+    editor.toggleNumberedList();
+    for (const p of plain) editor.paragraphLists.delete(p);
+    editor.syncParagraphIndents();
+    editor.chain.recalc();
+    return editor;
+}
+
+function markers(editor) {
+    return editor.getListMarkerPositions().map(m => m.marker);
+}
+
+function numbered(items) {
+    return numberListItems(items.length, p => items[p] && { type: 'number', level: 0, numbering: items[p] });
+}
+
+describe('numberListItems', () => {
+    it('should restart after an interruption unless told to continue', () => {
+        const items = numbered([{}, {}, null, {}, null, { continue: true }]);
+        assert.deepStrictEqual([...items.values()].map(item => item.marker), ['1.', '2.', '1.', '2.']);
+    });
+
+    it('should restart at an explicit start value', () => {
+        const items = numbered([{}, {}, { start: 7 }, {}]);
+        assert.deepStrictEqual([...items.values()].map(item => item.number), [1, 2, 7, 8]);
+        assert.notStrictEqual(items.get(2).sequence, items.get(1).sequence);
+        assert.strictEqual(items.get(3).sequence, items.get(2).sequence);
+    });
+
+    it('should keep a format and delimiter for the rest of the list', () => {
+        const items = numbered([{}, { format: 'upper-roman', delimiter: ')' }, {}, null, {}]);
+        assert.deepStrictEqual([...items.values()].map(item => item.marker), ['1.', 'II)', 'III)', '1.']);
+    });
+
+    it('should write every format', () => {
+        const formats = ['decimal', 'lower-alpha', 'upper-alpha', 'lower-roman', 'upper-roman'];
+        const markersFor = formats.map(format => numbered([{ format, start: 4 }]).get(0).marker);
+        assert.deepStrictEqual(markersFor, ['4.', 'd.', 'D.', 'iv.', 'IV.']);
+    });
+});
+
+describe('normalizeNumbering / mergeNumbering', () => {
+    it('should drop invalid options and prefer start over continue', () => {
+        assert.deepStrictEqual(normalizeNumbering({ format: 'greek', delimiter: ':', start: 2, continue: true }),
+            { start: 2 });
+        assert.strictEqual(normalizeNumbering({ start: -1, bogus: 1 }), null);
+    });
+
+    it('should make start and continue replace each other', () => {
+        assert.deepStrictEqual(mergeNumbering({ start: 3, format: 'lower-alpha' }, { continue: true }),
+            { format: 'lower-alpha', continue: true });
+        assert.deepStrictEqual(mergeNumbering({ continue: true }, { start: 1 }), { start: 1 });
+        assert.strictEqual(mergeNumbering({ format: 'lower-alpha' }, { format: null }), null);
+    });
+});
+
+describe('List numbering in the editor', () => {
+    it('should restart numbering at the current item', () => {
+        const editor = numberedEditor('a\nb\nc\nd');
+        caretIn(editor, 2);
+        editor.restartNumbering();
+        assert.deepStrictEqual(markers(editor), ['1.', '2.', '1.', '2.']);
+
+        editor.restartNumbering(10);
+        assert.deepStrictEqual(markers(editor), ['1.', '2.', '10.', '11.']);
+        assert.deepStrictEqual(editor.getListNumbering(), { start: 10 });
+        editor.destroy();
+    });
+
+    it('should continue a list split by a plain paragraph', () => {
+        const editor = numberedEditor('a\nb\nnote\nc', [2]);
+        assert.deepStrictEqual(markers(editor), ['1.', '2.', '1.']);
+
+        caretIn(editor, 3);
+        editor.continueNumbering();
+        assert.deepStrictEqual(markers(editor), ['1.', '2.', '3.']);
+        assert.deepStrictEqual(editor.getListNumbering(), { continue: true });
+        editor.destroy();
+    });
+
+    it('should apply a format and delimiter to the selected items', () => {
+        const editor = numberedEditor('a\nb\nc');
+        editor.selectAll();
+        editor.setListNumbering({ format: 'upper-alpha', delimiter: ')' });
+        assert.deepStrictEqual(markers(editor), ['A)', 'B)', 'C)']);
+        editor.destroy();
+    });
+
+    it('should only restart the first selected item', () => {
+        const editor = numberedEditor('a\nb\nc');
+        editor.selectAll();
+        editor.setListNumbering({ start: 5 });
+        assert.deepStrictEqual(markers(editor), ['5.', '6.', '7.']);
+        editor.destroy();
+    });
+
+    it('should ignore bulleted and plain paragraphs', () => {
+        const editor = createEditor('a\nb');
+        assert.strictEqual(editor.setListNumbering({ start: 3 }), false);
+        editor.selectAll();
+        editor.toggleBulletList();
+        assert.strictEqual(editor.setListNumbering({ start: 3 }), false);
+        assert.strictEqual(editor.paragraphListNumbering.size, 0);
+        editor.destroy();
+    });
+
+    it('should keep counting on items added with Enter', () => {
+        const editor = numberedEditor('a\nb');
+        caretIn(editor, 1);
+        editor.restartNumbering(4);
+        editor.handleKeyDown({ key: 'Enter', ctrlKey: false, metaKey: false, shiftKey: false, preventDefault() {} });
+        editor.chain.insertText('c');
+        assert.deepStrictEqual(markers(editor), ['1.', '4.', '5.']);
+        editor.destroy();
+    });
+
+    it('should round-trip numbering through JSON and undo', () => {
+        const editor = numberedEditor('a\nb\nnote\nc', [2]);
+        caretIn(editor, 3);
+        editor.continueNumbering();
+        const json = editor.toJSON();
+        assert.deepStrictEqual(json.listNumbering, { 3: { continue: true } });
+
+        const other = createEditor('');
+        other.fromJSON(json);
+        assert.deepStrictEqual(markers(other), ['1.', '2.', '3.']);
+
+        editor.takeSnapshot();
+        editor.undo();
+        assert.deepStrictEqual(markers(editor), ['1.', '2.', '1.']);
+        editor.destroy();
+        other.destroy();
+    });
+
+    it('should drop numbering when the list is removed', () => {
+        const editor = numberedEditor('a\nb');
+        caretIn(editor, 1);
+        editor.restartNumbering(3);
+        editor.selectAll();
+        editor.toggleNumberedList();
+        assert.strictEqual(editor.paragraphListNumbering.size, 0);
+        editor.destroy();
+    });
+});
+
+describe('List numbering in HTML and Markdown', () => {
+    const paragraphs = (...texts) => texts.flatMap((text, i) => [
+        ...(i > 0 ? [{ type: 'newline' }] : []),
+        { type: 'text', text, font: {} }
+    ]);
+
+    it('should write start, type and delimiter on the <ol>', () => {
+        const html = documentToHtml({
+            content: paragraphs('a', 'b'),
+            lists: { 0: 'number', 1: 'number' },
+            listNumbering: { 0: { start: 3, format: 'upper-roman', delimiter: ')' } }
+        });
+        assert.strictEqual(html, '<ol start="3" type="I" data-delimiter=")"><li>a</li><li>b</li></ol>');
+    });
+
+    it('should reopen a continued list at its next number', () => {
+        const doc = {
+            content: paragraphs('a', 'b', 'note', 'c'),
+            lists: { 0: 'number', 1: 'number', 3: 'number' },
+            listNumbering: { 3: { continue: true } }
+        };
+        assert.strictEqual(documentToHtml(doc), '<ol><li>a</li><li>b</li></ol><p>note</p><ol start="3"><li>c</li></ol>');
+    });
+
+    it('should start a new <ol> where the numbering restarts', () => {
+        const html = documentToHtml({
+            content: paragraphs('a', 'b'),
+            lists: { 0: 'number', 1: 'number' },
+            listNumbering: { 1: { start: 1 } }
+        });
+        assert.strictEqual(html, '<ol><li>a</li></ol><ol><li>b</li></ol>');
+    });
+
+    it('should import <ol start type> and <li value>', () => {
+        const doc = htmlToDocument('<ol start="4" type="a"><li>a</li><li value="9">b</li><li>c</li></ol>' +
+            '<ol style="list-style-type: upper-roman" data-delimiter=")"><li>d</li></ol>');
+        assert.deepStrictEqual(doc.listNumbering, {
+            0: { format: 'lower-alpha', start: 4 },
+            1: { start: 9 },
+            3: { format: 'upper-roman', delimiter: ')' }
+        });
+    });
+
+    it('should round-trip numbering through HTML', () => {
+        const doc = {
+            content: paragraphs('a', 'b', 'c'),
+            lists: { 0: 'number', 1: 'number', 2: 'number' },
+            listLevels: { 2: 1 },
+            listNumbering: { 0: { start: 2, format: 'upper-alpha', delimiter: ')' }, 2: { format: 'lower-roman' } }
+        };
+        const imported = htmlToDocument(documentToHtml(doc));
+        assert.deepStrictEqual(imported.listNumbering, doc.listNumbering);
+        assert.strictEqual(documentToHtml(imported), documentToHtml(doc));
+    });
+
+    it('should keep valid numbering through the sanitizer', () => {
+        const clean = sanitizeDocument({
+            content: paragraphs('a', 'b'),
+            lists: { 0: 'number' },
+            listNumbering: { 0: { start: 5, format: 'nope' }, 1: { start: 2 } }
+        });
+        assert.deepStrictEqual(clean.listNumbering, { 0: { start: 5 } });
+    });
+
+    it('should write start values and delimiters to Markdown', () => {
+        const markdown = documentToMarkdown({
+            content: paragraphs('a', 'b', 'note', 'c'),
+            lists: { 0: 'number', 1: 'number', 3: 'number' },
+            listNumbering: { 0: { start: 3, delimiter: ')' }, 3: { continue: true } }
+        });
+        assert.strictEqual(markdown, '3) a\n4) b\n\nnote\n\n5) c');
+    });
+
+    it('should read start values and delimiters from Markdown', () => {
+        const doc = markdownToDocument('3) a\n4) b\n\nnote\n\n5. c');
+        assert.deepStrictEqual(doc.listNumbering, { 0: { start: 3, delimiter: ')' }, 3: { start: 5 } });
+    });
+});
@@ -0,0 +1,337 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+import { documentToMarkdown, markdownToDocument, markdownToHtml } from '../src/MarkdownCodec.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+function text(value, font = {}) {
+    return { type: 'text', text: value, font };
+}
+
+// Paragraph texts of a document, with block entries marked.
+function texts(doc) {
+    return doc.content.map(e => (e.type === 'text' ? e.text : `[${e.type}]`)).join('');
+}
+
+describe('MarkdownCodec', () => {
+    describe('documentToMarkdown', () => {
+        it('should separate paragraphs with blank lines', () => {
+            const md = documentToMarkdown({
+                content: [text('Hello'), { type: 'newline' }, text('World')]
+            });
+
+            assert.strictEqual(md, 'Hello\n\nWorld');
+        });
+
+        it('should write bold, italic and strikethrough with nested delimiters', () => {
+            const md = documentToMarkdown({
+                content: [
+                    text('a '),
+                    text('bold ', { weight: 'bold' }),
+                    text('both', { weight: 'bold', style: 'italic' }),
+                    text(' ', { weight: 'bold' }),
+                    text('gone', { strikethrough: true })
+                ]
+            });
+
+            assert.strictEqual(md, 'a **bold *both*** ~~gone~~');
+        });
+
+        it('should keep whitespace outside of emphasis delimiters', () => {
+            const md = documentToMarkdown({
+                content: [text('x'), text(' y ', { style: 'italic' }), text('z')]
+            });
+
+            assert.strictEqual(md, 'x *y* z');
+        });
+
+        it('should write links around their formatted text', () => {
+            const link = 'https://example.com/a b';
+            const md = documentToMarkdown({
+                content: [text('see '), text('here', { link }), text(' now', { link, weight: 'bold' })]
+            });
+
+            assert.strictEqual(md, 'see [here **now**](<https://example.com/a b>)');
+        });
+
+        it('should write bulleted and numbered lists from the list attributes', () => {
+            const md = documentToMarkdown({
+                content: [
+                    text('a'), { type: 'newline' }, text('b'), { type: 'newline' },
+                    text('one'), { type: 'newline' }, text('two'), { type: 'newline' }, text('end')
+                ],
+                lists: { 0: 'bullet', 1: 'bullet', 2: 'number', 3: 'number' }
+            });
+
+            assert.strictEqual(md, '- a\n- b\n\n1. one\n2. two\n\nend');
+        });
+
+        it('should write rules and images as blocks', () => {
+            const md = documentToMarkdown({
+                content: [
+                    text('a'), { type: 'newline' }, { type: 'hr' },
+                    { type: 'image', src: 'https://example.com/cat.png', width: 100, height: 80, alt: 'a [cat]' }
+                ]
+            });
+
+            assert.strictEqual(md, 'a\n\n---\n\n![a \\[cat\\]](https://example.com/cat.png)');
+        });
+
+        it('should escape Markdown syntax in text', () => {
+            const md = documentToMarkdown({
+                content: [text('# not *a* heading'), { type: 'newline' }, text('1. plain'), { type: 'newline' }, text('  indented')]
+            });
+
+            assert.strictEqual(md, '\\# not \\*a\\* heading\n\n1\\. plain\n\n&#32;&#32;indented');
+        });
+
+        it('should drop formatting Markdown cannot express', () => {
+            const md = documentToMarkdown({
+                content: [text('red', { color: '#ff0000', size: 30, family: 'Georgia', backgroundColor: '#ffff00' })],
+                alignments: { 0: 'center' }
+            });
+
+            assert.strictEqual(md, 'red');
+        });
+
+        it('should write underline and superscript as inline HTML and monospace runs as code', () => {
+            const md = documentToMarkdown({
+                content: [
+                    text('u', { underline: true }), text('2', { superscript: true }),
+                    text(' '), text('a`b', { family: 'monospace' })
+                ]
+            });
+
+            assert.strictEqual(md, '<u>u</u><sup>2</sup> ``a`b``');
+        });
+    });
+
+    describe('unsafe URLs', () => {
+        it('should write links and images with unsafe URLs as text and leave them out', () => {
+            const md = documentToMarkdown({
+                content: [
+                    text('x', { link: 'java\tscript:alert(1)' }), { type: 'newline' },
+                    { type: 'image', src: 'java\tscript:alert(1)', alt: 'a' }
+                ]
+            });
+
+            assert.strictEqual(md, 'x');
+        });
+
+        it('should not import a link whose scheme hides a tab', () => {
+            const doc = markdownToDocument('[x](<java\tscript:alert(1)>)');
+
+            assert.ok(doc.content.every(e => !e.font || e.font.link === null));
+        });
+    });
+
+    describe('markdownToHtml', () => {
+        it('should convert headings, setext headings and rules', () => {
+            const html = markdownToHtml('# One\n\nTwo\n---\n\n***');
+
+            assert.strictEqual(html,
+                '<h1 style="white-space:pre-wrap">One</h1><h2 style="white-space:pre-wrap">Two</h2><hr>');
+        });
+
+        it('should join soft line breaks and keep hard breaks', () => {
+            const html = markdownToHtml('a\nb  \nc');
+
+            assert.strictEqual(html, '<p style="white-space:pre-wrap">a b<br>c</p>');
+        });
+
+        it('should not treat intraword underscores as emphasis', () => {
+            const html = markdownToHtml('snake_case_name and _it_');
+
+            assert.strictEqual(html, '<p style="white-space:pre-wrap">snake_case_name and <em>it</em></p>');
+        });
+
+        it('should keep code span contents literal', () => {
+            const html = markdownToHtml('`a *b* <c>`');
+
+            assert.strictEqual(html, '<p style="white-space:pre-wrap"><code>a *b* &lt;c&gt;</code></p>');
+        });
+    });
+
+    describe('markdownToDocument', () => {
+        it('should import inline formatting as font properties', () => {
+            const doc = markdownToDocument('**b** *i* ~~s~~ `c` [l](https://example.com)');
+            const font = (value) => doc.content.find(e => e.text === value).font;
+
+            assert.strictEqual(font('b').weight, 'bold');
+            assert.strictEqual(font('i').style, 'italic');
+            assert.strictEqual(font('s').strikethrough, true);
+            assert.strictEqual(font('c').family, 'monospace');
+            assert.strictEqual(font('l').link, 'https://example.com');
+        });
+
+        it('should import lists, rules and images', () => {
+            const doc = markdownToDocument('- a\n- b\n\n1. c\n\n---\n\n![cat](https://example.com/cat.png)');
+
+            assert.strictEqual(texts(doc), 'a[newline]b[newline]c[newline][hr][image]');
+            assert.deepStrictEqual(doc.lists, { 0: 'bullet', 1: 'bullet', 2: 'number' });
+            const image = doc.content.find(e => e.type === 'image');
+            assert.strictEqual(image.src, 'https://example.com/cat.png');
+            assert.strictEqual(image.alt, 'cat');
+        });
+
+        it('should drop unsafe links and raw scripts', () => {
+            const doc = markdownToDocument('[x](javascript:alert(1)) <script>alert(1)</script>');
+
+            assert.strictEqual(texts(doc), 'x ');
+            assert.strictEqual(doc.content[0].font.link, null);
+        });
+
+        it('should keep runs of spaces inside a line', () => {
+            const doc = markdownToDocument('a   b');
+
+            assert.strictEqual(texts(doc), 'a   b');
+        });
+
+        it('should round-trip a formatted document', () => {
+            const doc = {
+                content: [
+                    text('Plain '), text('bold', { weight: 'bold' }), text(' and '),
+                    text('link', { link: 'https://example.com' }), { type: 'newline' },
+                    text('item *one*'), { type: 'newline' }, text('item two', { strikethrough: true }),
+                    { type: 'newline' }, { type: 'hr' },
+                    { type: 'image', src: 'https://example.com/a.png', alt: 'pic' }
+                ],
+                lists: { 1: 'number', 2: 'number' }
+            };
+
+            const md = documentToMarkdown(doc);
+            const back = markdownToDocument(md);
+
+            assert.strictEqual(texts(back), 'Plain bold and link[newline]item *one*[newline]item two[newline][hr][image]');
+            assert.deepStrictEqual(back.lists, { 1: 'number', 2: 'number' });
+            assert.strictEqual(documentToMarkdown(back), md);
+        });
+    });
+});
+
+describe('CanvasEditor Markdown', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new CanvasEditor(createTestCanvas(), { backgroundColor: '#ffffff', padding: 10 });
+    });
+
+    it('should export the document with toMarkdown()', () => {
+        editor.setText('Hello');
+        editor.selectAll();
+        editor.toggleBold();
+        editor.toggleBulletList();
+
+        assert.strictEqual(editor.toMarkdown(), '- **Hello**');
+    });
+
+    it('should load a document with fromMarkdown()', () => {
+        editor.fromMarkdown('Intro\n\n1. first\n2. *second*');
+
+        assert.strictEqual(editor.getText(), 'Intro\nfirst\nsecond');
+        assert.strictEqual(editor.paragraphLists.get(1), 'number');
+        assert.strictEqual(editor.paragraphLists.get(2), 'number');
+        assert.strictEqual(editor.toMarkdown(), 'Intro\n\n1. first\n2. *second*');
+    });
+
+    it('should use the default font for imported text and reset history', () => {
+        editor.setText('old');
+        editor.takeSnapshot();
+        editor.fromMarkdown('**new**');
+        const run = editor.toJSON().content.find(e => e.type === 'text' && e.text);
+
+        assert.strictEqual(run.font.size, 16);
+        assert.strictEqual(run.font.family, 'Arial');
+        assert.strictEqual(run.font.weight, 'bold');
+        assert.strictEqual(editor.history.length, 0);
+    });
+
+    it('should give imported images a placeholder size until they load', () => {
+        editor.fromMarkdown('![pic](https://example.com/a.png)');
+        const image = editor.toJSON().content.find(e => e.type === 'image');
+
+        assert.strictEqual(image.width, CanvasEditor.PLACEHOLDER_IMAGE_WIDTH);
+        assert.strictEqual(image.height, CanvasEditor.PLACEHOLDER_IMAGE_HEIGHT);
+    });
+});
@@ -0,0 +1,347 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+import { TextLink } from '../src/ChainLink.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+import { documentToHtml, htmlToDocument, sanitizeDocument } from '../src/HtmlCodec.js';
+import { documentToMarkdown, markdownToDocument } from '../src/MarkdownCodec.js';
+import { listMarker } from '../src/Lists.js';
+
+function createEditor(text = 'one\ntwo\nthree\nfour') {
+    const editor = new CanvasEditor(createTestCanvas());
+    editor.setText(text);
+    return editor;
+}
+
+function key(k, opts = {}) {
+    return { key: k, ctrlKey: false, metaKey: false, shiftKey: opts.shift || false, preventDefault() {} };
+}
+
+// Put the caret at the end of paragraph p.
+function caretIn(editor, p) {
+    const paragraphs = editor.getText().split('\n');
+    let pos = 0;
+    for (let i = 0; i < p; i++) pos += paragraphs[i].length + 1;
+    editor.chain.clearSelection();
+    editor.chain.moveCursorToCharPosition(pos + paragraphs[p].length);
+}
+
+function markers(editor) {
+    return editor.getListMarkerPositions().map(m => m.marker);
+}
+
+describe('Nested lists', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = createEditor();
+        editor.selectAll();
+        editor.toggleBulletList();
+    });
+
+    it('should cycle bullet glyphs by level', () => {
+        for (let p = 1; p < 4; p++) {
+            caretIn(editor, p);
+            for (let i = 0; i < p; i++) editor.indentList();
+        }
+        assert.deepStrictEqual(markers(editor), ['•', '◦', '▪', '•']);
+        editor.destroy();
+    });
+
+    it('should number each level with its own style and counter', () => {
+        editor.setText('a\nb\nc\nd\ne\nf');
+        editor.selectAll();
+        editor.toggleNumberedList();
+        const levels = [0, 1, 1, 2, 1, 0];
+        levels.forEach((level, p) => {
+            caretIn(editor, p);
+            for (let i = 0; i < level; i++) editor.indentList();
+        });
+        assert.deepStrictEqual(markers(editor), ['1.', 'a.', 'b.', 'i.', 'c.', '2.']);
+        editor.destroy();
+    });
+
+    it('should indent nested items one list indent per level', () => {
+        caretIn(editor, 1);
+        editor.indentList();
+        editor.indentList();
+
+        assert.strictEqual(editor.chain.getParagraphIndent(0), editor.LIST_INDENT);
+        assert.strictEqual(editor.chain.getParagraphIndent(1), editor.LIST_INDENT * 3);
+        const [, nested] = editor.getListMarkerPositions();
+        assert.ok(nested.x < editor.LIST_INDENT * 3 && nested.x > editor.LIST_INDENT * 2);
+        const run = editor.chain.getItems().find(item => item instanceof TextLink && item.text === 'two');
+        assert.strictEqual(run.computed.posX, editor.LIST_INDENT * 3);
+        editor.destroy();
+    });
+
+    it('should nest and un-nest with Tab and Shift+Tab', () => {
+        caretIn(editor, 1);
+        editor.handleKeyDown(key('Tab'));
+        assert.strictEqual(editor.getListLevel(1), 1);
+
+        editor.handleKeyDown(key('Tab', { shift: true }));
+        assert.strictEqual(editor.getListLevel(1), 0);
+
+        // Already at the outermost level: nothing changes.
+        editor.handleKeyDown(key('Tab', { shift: true }));
+        assert.strictEqual(editor.getListLevel(1), 0);
+        assert.strictEqual(editor.getText(), 'one\ntwo\nthree\nfour');
+        editor.destroy();
+    });
+
+    it('should still insert a tab for Tab outside a list', () => {
+        editor.setText('plain');
+        caretIn(editor, 0);
+        editor.handleKeyDown(key('Tab'));
+        assert.strictEqual(editor.getText(), 'plain\t');
+        editor.destroy();
+    });
+
+    it('should change the level of every selected item', () => {
+        editor.selectAll();
+        editor.handleKeyDown(key('Tab'));
+        assert.deepStrictEqual([0, 1, 2, 3].map(p => editor.getListLevel(p)), [1, 1, 1, 1]);
+        editor.destroy();
+    });
+
+    it('should continue the level on Enter and outdent an empty nested item', () => {
+        caretIn(editor, 1);
+        editor.indentList();
+        editor.handleKeyDown(key('Enter'));
+        assert.strictEqual(editor.getListLevel(2), 1);
+        assert.strictEqual(editor.paragraphLists.get(2), 'bullet');
+
+        // Enter on the new, empty item moves it out a level...
+        editor.handleKeyDown(key('Enter'));
+        assert.strictEqual(editor.getListLevel(2), 0);
+        assert.strictEqual(editor.paragraphLists.get(2), 'bullet');
+
+        // ...and then out of the list.
+        editor.handleKeyDown(key('Enter'));
+        assert.strictEqual(editor.paragraphLists.has(2), false);
+        assert.strictEqual(editor.getText(), 'one\ntwo\n\nthree\nfour');
+        editor.destroy();
+    });
+
+    it('should keep levels with their paragraphs when paragraphs are inserted above', () => {
+        caretIn(editor, 2);
+        editor.indentList();
+        caretIn(editor, 0);
+        editor.chain.moveCursorToCharPosition(0);
+        editor.handleKeyDown(key('Enter'));
+
+        assert.strictEqual(editor.getListLevel(3), 1);
+        assert.strictEqual(editor.getListLevel(2), 0);
+        editor.destroy();
+    });
+
+    it('should drop levels when the list is removed', () => {
+        caretIn(editor, 1);
+        editor.indentList();
+        editor.selectAll();
+        editor.toggleBulletList();
+
+        assert.strictEqual(editor.paragraphListLevels.size, 0);
+        assert.strictEqual(editor.chain.getParagraphIndent(1), 0);
+        editor.destroy();
+    });
+
+    it('should undo a level change', () => {
+        caretIn(editor, 1);
+        editor.indentList();
+        editor.takeSnapshot();
+        editor.undo();
+        assert.strictEqual(editor.getListLevel(1), 0);
+        editor.redo();
+        assert.strictEqual(editor.getListLevel(1), 1);
+        editor.destroy();
+    });
+
+    it('should round-trip levels through JSON', () => {
+        caretIn(editor, 2);
+        editor.indentList();
+        editor.indentList();
+        const json = editor.toJSON();
+        assert.deepStrictEqual(json.listLevels, { 2: 2 });
+
+        const other = createEditor('');
+        other.fromJSON(json);
+        assert.strictEqual(other.getListLevel(2), 2);
+        assert.strictEqual(other.chain.getParagraphIndent(2), other.LIST_INDENT * 3);
+        editor.destroy();
+        other.destroy();
+    });
+
+    it('should ignore invalid levels and levels on plain paragraphs when loading', () => {
+        const json = editor.toJSON();
+        json.lists = { 0: 'bullet', 1: 'bullet' };
+        json.listLevels = { 0: -3, 1: 99, 2: 1 };
+        editor.fromJSON(json);
+
+        assert.strictEqual(editor.getListLevel(0), 0);
+        assert.strictEqual(editor.getListLevel(1), 8);
+        assert.strictEqual(editor.paragraphListLevels.has(2), false);
+        editor.destroy();
+    });
+});
+
+describe('listMarker', () => {
+    it('should write alphabetic and roman numbering past the simple cases', () => {
+        assert.strictEqual(listMarker('number', 1, 27), 'aa.');
+        assert.strictEqual(listMarker('number', 2, 14), 'xiv.');
+        assert.strictEqual(listMarker('number', 3, 4), '4.');
+        assert.strictEqual(listMarker('bullet', 5, 1), '▪');
+    });
+});
+
+describe('Nested list HTML', () => {
+    const doc = {
+        content: ['a', 'b', 'c', 'd'].flatMap((text, i) => [
+            ...(i > 0 ? [{ type: 'newline' }] : []),
+            { type: 'text', text, font: {} }
+        ]),
+        lists: { 0: 'number', 1: 'number', 2: 'bullet', 3: 'number' },
+        listLevels: { 1: 1, 2: 2 }
+    };
+
+    it('should nest lists inside their parent item', () => {
+        assert.strictEqual(documentToHtml(doc),
+            '<ol><li>a<ol type="a"><li>b<ul><li>c</li></ul></li></ol></li><li>d</li></ol>');
+    });
+
+    it('should give a skipped level an unmarked host item', () => {
+        const html = documentToHtml({ ...doc, listLevels: { 1: 2 } });
+        assert.ok(html.startsWith('<ol><li>a<ol><li style="list-style-type:none"><ol type="i"><li>b</li>'));
+    });
+
+    it('should import nesting depth as list levels', () => {
+        const imported = htmlToDocument(documentToHtml(doc));
+        assert.deepStrictEqual(imported.lists, doc.lists);
+        assert.deepStrictEqual(imported.listLevels, doc.listLevels);
+    });
+
+    it('should keep levels through the sanitizer', () => {
+        const clean = sanitizeDocument({ ...doc, listLevels: { 1: 1, 2: 'x', 3: 20 } });
+        assert.deepStrictEqual(clean.listLevels, { 1: 1, 3: 8 });
+    });
+
+    it('should round-trip through the editor', () => {
+        const editor = createEditor('');
+        editor.fromHTML('<ul><li>top<ul><li>inner</li></ul></li><li>back</li></ul>');
+        assert.strictEqual(editor.getText(), 'top\ninner\nback');
+        assert.deepStrictEqual(markers(editor), ['•', '◦', '•']);
+        assert.strictEqual(editor.toHTML(), '<ul><li>top<ul><li>inner</li></ul></li><li>back</li></ul>');
+        editor.destroy();
+    });
+});
+
+describe('Nested list Markdown', () => {
+    it('should indent nested items under their parent', () => {
+        const editor = createEditor('a\nb\nc\nd');
+        editor.selectAll();
+        editor.toggleNumberedList();
+        caretIn(editor, 1);
+        editor.indentList();
+        caretIn(editor, 2);
+        editor.indentList();
+        editor.indentList();
+
+        assert.strictEqual(editor.toMarkdown(), '1. a\n   1. b\n      1. c\n2. d');
+        editor.destroy();
+    });
+
+    it('should import indented items as nested', () => {
+        const doc = markdownToDocument('- a\n  - b\n    1. c\n  - d\n- e');
+        assert.deepStrictEqual(doc.lists, { 0: 'bullet', 1: 'bullet', 2: 'number', 3: 'bullet', 4: 'bullet' });
+        assert.deepStrictEqual(doc.listLevels, { 1: 1, 2: 2, 3: 1 });
+    });
+
+    it('should round-trip a nested document', () => {
+        const markdown = '- a\n  - b\n    - c\n- d\n\nafter';
+        const doc = markdownToDocument(markdown);
+        assert.strictEqual(documentToMarkdown(doc), markdown);
+    });
+});
@@ -0,0 +1,313 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+import { TextLink, NewlineLink } from '../src/ChainLink.js';
+import { documentToHtml, htmlToDocument, sanitizeDocument } from '../src/HtmlCodec.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+function createEditor(text = 'first\nsecond\nthird') {
+    const editor = new CanvasEditor(createTestCanvas());
+    editor.setText(text);
+    return editor;
+}
+
+function run(editor, text) {
+    return editor.chain.getItems().find(item => item instanceof TextLink && item.text === text);
+}
+
+// Vertical distance between the tops of two paragraphs' first lines.
+function gap(editor, from, to) {
+    return run(editor, to).computed.posY - run(editor, from).computed.posY;
+}
+
+function selectParagraph(editor, index) {
+    const starts = [0];
+    let pos = 0;
+    for (const item of editor.chain.getItems()) {
+        if (item instanceof TextLink) pos += item.text.length;
+        if (item instanceof NewlineLink) starts.push(++pos);
+    }
+    editor.chain.moveCursorToCharPosition(starts[index]);
+}
+
+describe('Paragraph spacing', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = createEditor();
+    });
+
+    it('should default to the editor-wide line spacing', () => {
+        // 16px text at 1.5x
+        assert.strictEqual(gap(editor, 'first', 'second'), 24);
+        assert.deepStrictEqual(editor.getParagraphSpacing(), {});
+    });
+
+    it('should apply a line-height multiple to one paragraph only', () => {
+        selectParagraph(editor, 1);
+        editor.setParagraphSpacing({ lineHeight: 2 });
+
+        assert.strictEqual(gap(editor, 'first', 'second'), 24);
+        assert.strictEqual(gap(editor, 'second', 'third'), 32);
+        assert.strictEqual(run(editor, 'second').computed.lineHeight, 32);
+        assert.strictEqual(run(editor, 'third').computed.lineHeight, 24);
+    });
+
+    it('should apply an exact line height in pixels', () => {
+        selectParagraph(editor, 1);
+        editor.setParagraphSpacing({ lineHeight: 2 });
+        editor.setParagraphSpacing({ exactLineHeight: 40 });
+
+        assert.deepStrictEqual(editor.getParagraphSpacing(), { exactLineHeight: 40 });
+        assert.strictEqual(gap(editor, 'second', 'third'), 40);
+    });
+
+    it('should add space before and after a paragraph', () => {
+        selectParagraph(editor, 1);
+        editor.setParagraphSpacing({ spaceBefore: 10, spaceAfter: 6 });
+
+        assert.strictEqual(gap(editor, 'first', 'second'), 24 + 10);
+        assert.strictEqual(gap(editor, 'second', 'third'), 24 + 6);
+        // A newline sits at the position of the line after it.
+        const newlines = editor.chain.getItems().filter(item => item instanceof NewlineLink);
+        assert.strictEqual(newlines[0].computed.posY, run(editor, 'second').computed.posY);
+        assert.strictEqual(newlines[1].computed.posY, run(editor, 'third').computed.posY);
+    });
+
+    it('should add space before the first paragraph and after the last', () => {
+        const height = editor.chain.contentHeight;
+        selectParagraph(editor, 0);
+        editor.setParagraphSpacing({ spaceBefore: 12 });
+        selectParagraph(editor, 2);
+        editor.setParagraphSpacing({ spaceAfter: 8 });
+
+        assert.strictEqual(run(editor, 'first').computed.posY, 12);
+        assert.strictEqual(editor.chain.contentHeight, height + 20);
+    });
+
+    it('should merge changes and clear keys set to null', () => {
+        editor.setParagraphSpacing({ lineHeight: 1.2, spaceAfter: 6 });
+        editor.setParagraphSpacing({ spaceBefore: 4 });
+        assert.deepStrictEqual(editor.getParagraphSpacing(), { lineHeight: 1.2, spaceBefore: 4, spaceAfter: 6 });
+
+        editor.setParagraphSpacing({ lineHeight: null, spaceBefore: null, spaceAfter: null });
+        assert.deepStrictEqual(editor.getParagraphSpacing(), {});
+        assert.strictEqual(editor.paragraphSpacing.size, 0);
+    });
+
+    it('should apply to every paragraph in the selection', () => {
+        editor.chain.selectionStart = 2;
+        editor.chain.selectionEnd = 9;
+        editor.setParagraphSpacing({ spaceAfter: 5 });
+
+        assert.deepStrictEqual([...editor.paragraphSpacing.keys()], [0, 1]);
+    });
+
+    it('should stay with its paragraph when paragraphs are added above', () => {
+        selectParagraph(editor, 2);
+        editor.setParagraphSpacing({ spaceBefore: 10 });
+
+        editor.chain.moveCursorToCharPosition(2);
+        editor.executeCommand('insertNewline');
+
+        assert.deepStrictEqual([...editor.paragraphSpacing.keys()], [3]);
+        assert.strictEqual(gap(editor, 'second', 'third'), 24 + 10);
+    });
+
+    it('should carry spacing to the new paragraph on Enter', () => {
+        selectParagraph(editor, 1);
+        editor.setParagraphSpacing({ lineHeight: 2 });
+        editor.chain.moveCursorToCharPosition('first\nsecond'.length);
+        editor.executeCommand('insertNewline');
+
+        assert.deepStrictEqual(editor.paragraphSpacing.get(2), { lineHeight: 2 });
+    });
+
+    it('should lay out the carried spacing on Enter as a full layout would', () => {
+        editor.setText('only');
+        editor.selectAll();
+        editor.setParagraphSpacing({ spaceBefore: 6, spaceAfter: 6, lineHeight: 2 });
+        editor.chain.clearSelection();
+        editor.chain.moveCursorToCharPosition(4);
+        editor.executeCommand('insertNewline');
+        const layout = () => ({
+            contentHeight: editor.chain.contentHeight,
+            items: editor.chain.getItems().map(item => ({ ...item.computed }))
+        });
+        const incremental = layout();
+
+        editor.chain.invalidateLayout();
+        editor.chain.recalc();
+        assert.deepStrictEqual(incremental, layout());
+    });
+
+    it('should round-trip through toJSON/fromJSON and undo', () => {
+        selectParagraph(editor, 1);
+        editor.setParagraphSpacing({ exactLineHeight: 30, spaceAfter: 6 });
+        const doc = editor.toJSON();
+        assert.deepStrictEqual(doc.spacing, { 1: { exactLineHeight: 30, spaceAfter: 6 } });
+
+        const other = createEditor('');
+        other.fromJSON(JSON.stringify(doc));
+        assert.deepStrictEqual(other.toJSON().spacing, doc.spacing);
+        assert.strictEqual(gap(other, 'second', 'third'), 36);
+
+        editor.takeSnapshot();
+        editor.undo();
+        assert.deepStrictEqual(editor.toJSON().spacing, {});
+        editor.redo();
+        assert.deepStrictEqual(editor.toJSON().spacing, doc.spacing);
+        other.destroy();
+    });
+
+    it('should drop invalid spacing when loading', () => {
+        editor.fromJSON({
+            version: 1,
+            content: [{ type: 'text', text: 'a' }],
+            spacing: { 0: { lineHeight: -1, spaceBefore: 'x', spaceAfter: 3, color: 'red' } }
+        });
+        assert.deepStrictEqual(editor.toJSON().spacing, { 0: { spaceAfter: 3 } });
+    });
+
+    it('should report spacing changes with the change event', () => {
+        const changes = [];
+        editor.on('change', event => changes.push(event));
+        selectParagraph(editor, 1);
+        editor.setParagraphSpacing({ spaceBefore: 8 });
+        editor.render();
+
+        assert.ok(changes.length > 0);
+    });
+});
+
+describe('Paragraph spacing in HTML', () => {
+    it('should export spacing as line-height and margins', () => {
+        const html = documentToHtml({
+            content: [{ type: 'text', text: 'a' }, { type: 'newline' }, { type: 'text', text: 'b' }],
+            spacing: { 0: { lineHeight: 1.2, spaceBefore: 4 }, 1: { exactLineHeight: 20, spaceAfter: 6 } }
+        });
+        assert.strictEqual(html,
+            '<p style="line-height:1.2;margin-top:4px">a</p>' +
+            '<p style="line-height:20px;margin-bottom:6px">b</p>');
+    });
+
+    it('should import line-height and margins', () => {
+        const doc = htmlToDocument(
+            '<p style="line-height:150%;margin:0in 0in 8pt">a</p>' +
+            '<div style="line-height:2"><p style="margin-top:12px">b</p></div>' +
+            '<p style="line-height:18px">c</p><p>d</p>');
+        assert.deepStrictEqual(doc.spacing, {
+            0: { lineHeight: 1.5, spaceAfter: 10.67 },
+            1: { lineHeight: 2, spaceBefore: 12 },
+            2: { exactLineHeight: 18 }
+        });
+    });
+
+    it('should round-trip spacing', () => {
+        const spacing = { 0: { lineHeight: 1.15, spaceAfter: 6 }, 1: { exactLineHeight: 22, spaceBefore: 3 } };
+        const doc = {
+            content: [{ type: 'text', text: 'a' }, { type: 'newline' }, { type: 'text', text: 'b' }],
+            spacing
+        };
+        assert.deepStrictEqual(htmlToDocument(documentToHtml(doc)).spacing, spacing);
+    });
+
+    it('should keep valid spacing when sanitizing a document', () => {
+        const doc = sanitizeDocument({
+            content: [{ type: 'text', text: 'a' }],
+            spacing: { 0: { spaceAfter: 6, bogus: 1 }, 5: { spaceAfter: 2 } }
+        });
+        assert.deepStrictEqual(doc.spacing, { 0: { spaceAfter: 6 } });
+    });
+
+    it('should paste spacing with copied paragraphs', () => {
+        const source = new CanvasEditor(createTestCanvas());
+        source.setText('one\ntwo');
+        source.chain.moveCursorToCharPosition(5);
+        source.setParagraphSpacing({ spaceBefore: 9 });
+        const slice = source.getDocumentSlice(0, 7);
+        assert.deepStrictEqual(slice.spacing, { 1: { spaceBefore: 9 } });
+        source.destroy();
+    });
+});
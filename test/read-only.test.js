@@ -0,0 +1,225 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+function key(k, extra = {}) {
+    let prevented = false;
+    return {
+        key: k,
+        preventDefault() { prevented = true; },
+        get defaultPrevented() { return prevented; },
+        ...extra
+    };
+}
+
+describe('Read-only Mode', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new CanvasEditor(createTestCanvas(), { backgroundColor: '#ffffff', padding: 10, readOnly: true });
+        editor.setText('Hello world');
+        editor.takeSnapshot();
+    });
+
+    it('should accept the readOnly option and toggle at runtime', () => {
+        assert.strictEqual(editor.isReadOnly(), true);
+        editor.setReadOnly(false);
+        assert.strictEqual(editor.isReadOnly(), false);
+
+        editor.handleKeyDown(key('!'));
+        assert.strictEqual(editor.getText(), 'Hello world!');
+    });
+
+    it('should ignore typing, deletion, Enter and Tab', () => {
+        for (const k of ['a', 'Backspace', 'Delete', 'Enter', ' ']) {
+            editor.handleKeyDown(key(k));
+        }
+        const tab = key('Tab');
+        editor.handleKeyDown(tab);
+
+        assert.strictEqual(editor.getText(), 'Hello world');
+        assert.strictEqual(tab.defaultPrevented, false);
+    });
+
+    it('should still allow caret navigation and selection', () => {
+        editor.handleKeyDown(key('Home', { ctrlKey: true }));
+        editor.handleKeyDown(key('ArrowRight', { shiftKey: true }));
+        editor.handleKeyDown(key('ArrowRight', { shiftKey: true }));
+
+        assert.strictEqual(editor.chain.getSelectedText(), 'He');
+        editor.selectAll();
+        assert.strictEqual(editor.chain.getSelectedText(), 'Hello world');
+    });
+
+    it('should block formatting, structure and history commands', () => {
+        editor.selectAll();
+        editor.toggleBold();
+        editor.setTextColor('#ff0000');
+        editor.setList('bullet');
+        editor.setAlignment('center');
+        editor.setLink('https://example.com');
+        editor.insertHorizontalRule();
+        editor.insertImage({ src: 'cat.png', width: 10, height: 10 });
+        editor.clear();
+        editor.undo();
+
+        const doc = editor.toJSON();
+        assert.strictEqual(editor.getText(), 'Hello world');
+        assert.ok(doc.content.every(e => e.type === 'text' && e.font.weight === 'normal' && !e.font.link));
+        assert.deepStrictEqual(doc.lists, {});
+        assert.deepStrictEqual(doc.alignments, {});
+    });
+
+    it('should copy but not cut or paste', async () => {
+        let clipboard = '';
+        globalThis.navigator = globalThis.navigator || {};
+        const savedClipboard = globalThis.navigator.clipboard;
+        globalThis.navigator.clipboard = {
+            writeText: async (text) => { clipboard = text; },
+            readText: async () => 'pasted'
+        };
+        try {
+            editor.selectAll();
+            await editor.copy();
+            assert.strictEqual(clipboard, 'Hello world');
+
+            editor.cut();
+            await editor.paste();
+            assert.strictEqual(editor.pasteFlavors({ 'text/plain': 'x' }), false);
+            assert.strictEqual(editor.getText(), 'Hello world');
+        } finally {
+            globalThis.navigator.clipboard = savedClipboard;
+        }
+    });
+
+    it('should keep find working but refuse replacements', () => {
+        const result = editor.find('world');
+        assert.strictEqual(result.count, 1);
+
+        editor.replace('there');
+        assert.deepStrictEqual(editor.replaceAll('there'), { count: 1, replaced: 0 });
+        assert.strictEqual(editor.getText(), 'Hello world');
+    });
+
+    it('should ignore IME and input events', () => {
+        editor.handleCompositionStart({});
+        editor.handleCompositionUpdate({ data: 'ni' });
+        editor.handleCompositionEnd({ data: '你' });
+        editor.handleTextInput({ data: 'x', inputType: 'insertText' });
+
+        assert.strictEqual(editor.getText(), 'Hello world');
+    });
+
+    it('should not offer image resize handles or moves', () => {
+        editor.setReadOnly(false);
+        editor.insertImage({ src: 'cat.png', width: 40, height: 30 });
+        const image = editor.selectedImage;
+        editor.setReadOnly(true);
+        editor.selectImage(image);
+
+        const b = image.computed.box;
+        assert.strictEqual(editor.imageHandleAt(b.x + b.w, b.y + b.h), null);
+        editor.moveSelectedImageToCharPos(0);
+        editor.deleteSelectedImage();
+        assert.strictEqual(editor.toJSON().content.filter(e => e.type === 'image').length, 1);
+    });
+
+    it('should still follow links', () => {
+        const opened = [];
+        const savedWindow = globalThis.window;
+        globalThis.window = { open: (url) => opened.push(url) };
+        try {
+            editor.openLink('https://example.com');
+            assert.deepStrictEqual(opened, ['https://example.com']);
+        } finally {
+            globalThis.window = savedWindow;
+        }
+    });
+
+    it('should still load documents programmatically', () => {
+        editor.setText('Replaced');
+        assert.strictEqual(editor.getText(), 'Replaced');
+    });
+});
@@ -0,0 +1,335 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; },
+        calls: [],
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect(x, y, w, h) {
+                    canvas.calls.push({ op: 'strokeRect', x, y, w, h });
+                },
+                fillText(text, x, y) {
+                    canvas.calls.push({ op: 'fillText', text, x, y, color: this.fillStyle });
+                },
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo(x, y) {
+                    canvas.calls.push({ op: 'lineTo', x, y, color: this.strokeStyle });
+                },
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+import { documentToHtml, htmlToDocument } from '../src/HtmlCodec.js';
+import { TextLink, CursorLink } from '../src/ChainLink.js';
+
+function createEditor(text, options = {}) {
+    const canvas = createTestCanvas();
+    const editor = new CanvasEditor(canvas, options);
+    editor.setText(text);
+    editor.chain.clearSelection();
+    return { editor, canvas };
+}
+
+function caretAt(editor, pos) {
+    editor.chain.clearSelection();
+    editor.chain.moveCursorToCharPosition(pos);
+}
+
+// Each character's left edge on screen, in logical order.
+function charLefts(editor) {
+    const result = [];
+    for (const item of editor.chain.getItems()) {
+        if (!(item instanceof TextLink)) continue;
+        for (let i = 0; i < item.text.length; i++) {
+            const a = item.getCharX(editor.ctx, i);
+            const b = item.getCharX(editor.ctx, i + 1);
+            result.push(Math.min(a, b));
+        }
+    }
+    return result;
+}
+
+// The text of the first line as it appears on screen, left to right.
+function displayed(editor) {
+    const text = editor.getText();
+    return charLefts(editor)
+        .map((x, i) => ({ x, ch: text[i] }))
+        .sort((a, b) => a.x - b.x)
+        .map(c => c.ch)
+        .join('');
+}
+
+describe('Right-to-left layout', () => {
+    it('right-aligns a paragraph that starts with Hebrew', () => {
+        const { editor } = createEditor('שלום');
+        assert.strictEqual(editor.isRightToLeft(0), true);
+        assert.strictEqual(editor.getDirection(), 'auto');
+        const lefts = charLefts(editor);
+        // 8px per character: the first character is at the right margin.
+        assert.strictEqual(lefts[0], editor.editorWidth - 8);
+        assert.strictEqual(lefts[3], editor.editorWidth - 32);
+    });
+
+    it('keeps a left-to-right paragraph on the left', () => {
+        const { editor } = createEditor('hello');
+        assert.strictEqual(editor.isRightToLeft(0), false);
+        assert.deepStrictEqual(charLefts(editor), [0, 8, 16, 24, 32]);
+    });
+
+    it('reorders a Hebrew word inside English text', () => {
+        const { editor } = createEditor('ab אבג cd');
+        assert.strictEqual(displayed(editor), 'ab גבא cd');
+    });
+
+    it('keeps English words and numbers in order inside Hebrew text', () => {
+        const { editor } = createEditor('אב one 12 גד');
+        assert.strictEqual(displayed(editor), 'דג one 12 בא');
+    });
+
+    it('lays out each paragraph in its own direction', () => {
+        const { editor } = createEditor('hello\nשלום');
+        assert.strictEqual(editor.isRightToLeft(0), false);
+        assert.strictEqual(editor.isRightToLeft(1), true);
+        const lefts = charLefts(editor);
+        assert.strictEqual(lefts[0], 0);
+        assert.strictEqual(lefts[5], editor.editorWidth - 8);
+    });
+
+    it('sets an explicit direction and stores it with the paragraph', () => {
+        const { editor } = createEditor('hello\nworld');
+        caretAt(editor, 0);
+        editor.setDirection('rtl');
+        assert.strictEqual(editor.getDirection(), 'rtl');
+        assert.strictEqual(editor.isRightToLeft(0), true);
+        assert.strictEqual(editor.isRightToLeft(1), false);
+        assert.deepStrictEqual(editor.toJSON().directions, { 0: 'rtl' });
+        // Latin text stays readable, pushed to the right margin.
+        assert.deepStrictEqual(charLefts(editor).slice(0, 5),
+            [0, 8, 16, 24, 32].map(x => editor.editorWidth - 40 + x));
+
+        editor.setDirection('auto');
+        assert.strictEqual(editor.getDirection(), 'auto');
+        assert.deepStrictEqual(editor.toJSON().directions, {});
+        assert.strictEqual(charLefts(editor)[0], 0);
+    });
+
+    it('mirrors the default alignment of right-to-left paragraphs', () => {
+        const { editor } = createEditor('שלום');
+        editor.setAlignment('right');
+        assert.deepStrictEqual(editor.toJSON().alignments, {});
+        editor.setAlignment('left');
+        assert.deepStrictEqual(editor.toJSON().alignments, { 0: 'left' });
+        assert.strictEqual(Math.min(...charLefts(editor)), 0);
+        editor.toggleCenterAlign();
+        editor.toggleCenterAlign();
+        assert.deepStrictEqual(editor.toJSON().alignments, {});
+    });
+
+    it('carries the direction onto the next paragraph on Enter', () => {
+        const { editor } = createEditor('hello');
+        editor.setDirection('rtl');
+        caretAt(editor, 5);
+        editor.executeCommand('insertNewline');
+        assert.deepStrictEqual(editor.toJSON().directions, { 0: 'rtl', 1: 'rtl' });
+    });
+
+    it('lays out the new right-to-left paragraph on Enter as a full layout would', () => {
+        const { editor } = createEditor('hello');
+        editor.setDirection('rtl');
+        caretAt(editor, 5);
+        editor.executeCommand('insertNewline');
+        const layout = () => ({
+            contentHeight: editor.chain.contentHeight,
+            items: editor.chain.getItems().map(item => ({ ...item.computed }))
+        });
+        const incremental = layout();
+        const cursor = editor.chain.getItems().find(item => item instanceof CursorLink);
+        assert.strictEqual(cursor.computed.posX, editor.editorWidth);
+
+        editor.chain.invalidateLayout();
+        editor.chain.recalc();
+        assert.deepStrictEqual(incremental, layout());
+    });
+
+    it('undoes a direction change', () => {
+        const { editor } = createEditor('hello');
+        editor.setDirection('rtl');
+        editor.takeSnapshot();
+        editor.undo();
+        assert.strictEqual(editor.getDirection(), 'auto');
+        assert.strictEqual(charLefts(editor)[0], 0);
+    });
+
+    it('puts right-to-left list markers in a gutter on the right', () => {
+        const { editor } = createEditor('שלום\nhello');
+        editor.selectAll();
+        editor.toggleBulletList();
+        editor.chain.clearSelection();
+        const [rtl, ltr] = editor.getListMarkerPositions();
+        assert.strictEqual(rtl.rtl, true);
+        assert.strictEqual(ltr.rtl, false);
+        const indent = editor.chain.getParagraphIndent(0);
+        assert.strictEqual(rtl.x, editor.editorWidth - indent + editor.LIST_MARKER_GAP);
+        // The text ends at the gutter.
+        assert.strictEqual(charLefts(editor)[0], editor.editorWidth - indent - 8);
+        assert.ok(ltr.x < indent);
+    });
+});
+
+describe('Right-to-left caret movement', () => {
+    it('moves backwards through the text on Right in a right-to-left paragraph', () => {
+        const { editor } = createEditor('שלום');
+        caretAt(editor, 2);
+        editor.chain.rightArrowPressed();
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 1);
+        editor.chain.leftArrowPressed();
+        editor.chain.leftArrowPressed();
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 3);
+    });
+
+    it('extends the selection with Shift in the visual direction', () => {
+        const { editor } = createEditor('שלום');
+        caretAt(editor, 0);
+        editor.chain.shiftLeftArrowPressed();
+        editor.chain.shiftLeftArrowPressed();
+        assert.strictEqual(editor.chain.selectionStart, 0);
+        assert.strictEqual(editor.chain.selectionEnd, 2);
+    });
+
+    it('follows logical order across a direction change by default', () => {
+        const { editor } = createEditor('ab אבג cd');
+        caretAt(editor, 3);
+        editor.chain.rightArrowPressed();
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 4);
+    });
+
+    it('moves across runs on screen with visual caret movement', () => {
+        const { editor } = createEditor('ab אבג cd', { caretMovement: 'visual' });
+        const positions = [];
+        const xs = [];
+        caretAt(editor, 0);
+        for (let i = 0; i < 8; i++) {
+            editor.chain.rightArrowPressed();
+            positions.push(editor.chain.getCursorCharPosition());
+            xs.push(editor.chain.getItems().find(item => item instanceof CursorLink).computed.posX);
+        }
+        // Through the Hebrew word from its left end (its logical end)
+        // backwards, then on after the space following it.
+        assert.deepStrictEqual(positions, [1, 2, 3, 5, 4, 7, 8, 9]);
+        assert.deepStrictEqual(xs, [8, 16, 24, 32, 40, 56, 64, 72]);
+    });
+
+    it('places the caret from a click on a right-to-left line', () => {
+        const { editor } = createEditor('שלום');
+        const padding = editor.options.padding;
+        const y = padding + editor.chain.getItems()[0].computed.posY - 4;
+        editor.chain.moveCursorToCharPosition(editor.chain.charPositionAtXY(editor.editorWidth - 1, y - padding));
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 0);
+        editor.chain.moveCursorToCharPosition(editor.chain.charPositionAtXY(editor.editorWidth - 12, y - padding));
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 1);
+        editor.chain.moveCursorToCharPosition(editor.chain.charPositionAtXY(1, y - padding));
+        assert.strictEqual(editor.chain.getCursorCharPosition(), 4);
+    });
+});
+
+describe('Direction serialization', () => {
+    it('writes dir attributes and the left alignment of right-to-left paragraphs', () => {
+        const html = documentToHtml({
+            content: [{ type: 'text', text: 'hello' }, { type: 'newline' }, { type: 'text', text: 'שלום' }],
+            alignments: { 0: 'left' },
+            directions: { 0: 'rtl', 1: 'ltr' }
+        });
+        assert.strictEqual(html, '<p dir="rtl" style="text-align:left">hello</p><p dir="ltr">שלום</p>');
+    });
+
+    it('reads dir attributes and CSS direction', () => {
+        const doc = htmlToDocument('<p dir="rtl" style="text-align:left">a</p><div style="direction:ltr">b</div>' +
+            '<div dir="rtl"><p dir="auto">c</p><p style="text-align:start">d</p></div>');
+        assert.deepStrictEqual(doc.directions, { 0: 'rtl', 1: 'ltr', 3: 'rtl' });
+        assert.deepStrictEqual(doc.alignments, { 0: 'left', 3: 'right' });
+    });
+
+    it('round-trips directions through the editor', () => {
+        const { editor } = createEditor('hello\nworld');
+        caretAt(editor, 0);
+        editor.setDirection('rtl');
+        const { editor: copy } = createEditor('');
+        copy.fromHTML(editor.toHTML());
+        assert.deepStrictEqual(copy.toJSON().directions, { 0: 'rtl' });
+        copy.fromJSON(editor.toJSON());
+        assert.strictEqual(copy.isRightToLeft(0), true);
+    });
+});
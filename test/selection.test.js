@@ -3,43 +3,16 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Selection', () => {
 
     describe('setSelection', () => {
 
         it('should set selection between two positions', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -59,9 +32,9 @@ describe('Selection', () => {
         });
 
         it('should normalize selection (ensure start < end)', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -78,9 +51,9 @@ describe('Selection', () => {
         });
 
         it('should handle selection across multiple text links', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -97,9 +70,9 @@ describe('Selection', () => {
     describe('clearSelection', () => {
 
         it('should clear existing selection', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -117,9 +90,9 @@ describe('Selection', () => {
         });
 
         it('should be safe to call when no selection exists', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.clearSelection();
 
@@ -130,17 +103,17 @@ describe('Selection', () => {
     describe('hasSelection', () => {
 
         it('should return false for no selection', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             assert.strictEqual(chain.hasSelection(), false);
         });
 
         it('should return true for active selection', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -152,9 +125,9 @@ describe('Selection', () => {
         });
 
         it('should return false when start equals end', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -166,9 +139,9 @@ describe('Selection', () => {
         });
 
         it('should return false after clearing selection', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -184,9 +157,9 @@ describe('Selection', () => {
     describe('getSelectedText', () => {
 
         it('should return empty string when no selection', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -195,9 +168,9 @@ describe('Selection', () => {
         });
 
         it('should return selected text from single TextLink', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -213,9 +186,9 @@ describe('Selection', () => {
         });
 
         it('should return full text when selecting all', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -229,9 +202,9 @@ describe('Selection', () => {
         });
 
         it('should include newlines in selection', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -245,9 +218,9 @@ describe('Selection', () => {
         });
 
         it('should handle partial selection at start', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -263,9 +236,9 @@ describe('Selection', () => {
         });
 
         it('should handle selection across multiple lines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -285,9 +258,9 @@ describe('Selection', () => {
     describe('getCharPosition and getItemFromCharPosition', () => {
 
         it('should convert between item position and character position', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -306,9 +279,9 @@ describe('Selection', () => {
         });
 
         it('should handle position at start of document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -322,9 +295,9 @@ describe('Selection', () => {
         });
 
         it('should handle position at end of document', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -340,9 +313,9 @@ describe('Selection', () => {
         });
 
         it('should handle newlines in character position', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -359,9 +332,9 @@ describe('Selection', () => {
     describe('moveCursorToCharPosition', () => {
 
         it('should move cursor to beginning', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -373,9 +346,9 @@ describe('Selection', () => {
         });
 
         it('should move cursor to middle of text', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -391,9 +364,9 @@ describe('Selection', () => {
         });
 
         it('should move cursor to end', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('i');
@@ -413,9 +386,9 @@ describe('Selection', () => {
     describe('Arrow keys with selection', () => {
 
         it('should clear selection and move to start on left arrow', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -436,9 +409,9 @@ describe('Selection', () => {
         });
 
         it('should clear selection and move to end on right arrow', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
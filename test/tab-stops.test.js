@@ -0,0 +1,395 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getBoundingClientRect() { return { left: 0, top: 0, width: 800, height: 600 }; },
+        calls: [],
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect(x, y, w, h) {
+                    canvas.calls.push({ op: 'strokeRect', x, y, w, h });
+                },
+                fillText(text, x, y) {
+                    canvas.calls.push({ op: 'fillText', text, x, y, color: this.fillStyle });
+                },
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo(x, y) {
+                    canvas.calls.push({ op: 'lineTo', x, y, color: this.strokeStyle });
+                },
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+import { Chain } from '../src/Chain.js';
+import { FontProperties } from '../src/FontProperties.js';
+import { TextLink, VirtualNewlineLink } from '../src/ChainLink.js';
+import { sanitizeDocument } from '../src/HtmlCodec.js';
+import { DEFAULT_TAB_INTERVAL, normalizeTabStops, nextTabStop } from '../src/TabStops.js';
+
+function key(k, opts = {}) {
+    return { key: k, ctrlKey: false, metaKey: false, shiftKey: opts.shift || false, preventDefault() {} };
+}
+
+function createChain(width = 400, stops = null) {
+    const chain = new Chain(width, createTestCanvas().getContext('2d'), new FontProperties(16, 'Arial'));
+    if (stops) chain.paragraphTabStops.set(0, normalizeTabStops(stops));
+    return chain;
+}
+
+// The laid-out run holding the given text.
+function run(items, text) {
+    return items.find(item => item instanceof TextLink && item.text === text);
+}
+
+describe('normalizeTabStops', () => {
+    it('sorts stops and keeps one per position', () => {
+        assert.deepStrictEqual(normalizeTabStops([
+            { position: 200, align: 'right' },
+            { position: 100 },
+            { position: 200, align: 'center', leader: 'dot' }
+        ]), [{ position: 100 }, { position: 200, align: 'center', leader: 'dot' }]);
+    });
+
+    it('drops invalid stops, alignments and leaders', () => {
+        assert.deepStrictEqual(normalizeTabStops([
+            { position: -5 },
+            { position: 'x' },
+            { position: Infinity },
+            null,
+            { position: 50, align: 'left', leader: 'wavy' },
+            { position: 60, align: 'justify' }
+        ]), [{ position: 50 }, { position: 60 }]);
+    });
+
+    it('returns null when nothing valid is left', () => {
+        assert.strictEqual(normalizeTabStops([]), null);
+        assert.strictEqual(normalizeTabStops([{ position: 0 }]), null);
+        assert.strictEqual(normalizeTabStops('100'), null);
+        assert.strictEqual(normalizeTabStops(undefined), null);
+    });
+});
+
+describe('nextTabStop', () => {
+    it('advances to the next multiple of the default interval', () => {
+        assert.strictEqual(DEFAULT_TAB_INTERVAL, 48);
+        assert.deepStrictEqual(nextTabStop(null, 0), { position: 48, align: 'left', leader: null });
+        assert.strictEqual(nextTabStop(null, 48).position, 96);
+        assert.strictEqual(nextTabStop(null, 50).position, 96);
+        assert.strictEqual(nextTabStop(null, 50, 100).position, 100);
+    });
+
+    it('uses the first custom stop past x, then the default interval', () => {
+        const stops = normalizeTabStops([{ position: 100, align: 'right', leader: 'dot' }, { position: 150 }]);
+        assert.deepStrictEqual(nextTabStop(stops, 10), { position: 100, align: 'right', leader: 'dot' });
+        assert.deepStrictEqual(nextTabStop(stops, 100), { position: 150, align: 'left', leader: null });
+        assert.strictEqual(nextTabStop(stops, 160).position, 192);
+    });
+});
+
+describe('Tab layout', () => {
+    it('advances to the default stops', () => {
+        const chain = createChain();
+        chain.insertText('a\tb\tcdefgh\tij');
+        const items = chain.getItems();
+        assert.strictEqual(run(items, 'b').computed.posX, 48);
+        assert.strictEqual(run(items, 'cdefgh').computed.posX, 96);
+        assert.strictEqual(run(items, 'ij').computed.posX, 192);
+    });
+
+    it('keeps each tab in a run of its own', () => {
+        const chain = createChain();
+        chain.insertText('a \t\t b');
+        const texts = chain.getItems().filter(item => item instanceof TextLink).map(item => item.text);
+        assert.deepStrictEqual(texts, ['a', ' ', '\t', '\t', ' ', 'b']);
+    });
+
+    it('starts text at a left stop', () => {
+        const chain = createChain(400, [{ position: 100 }]);
+        chain.insertText('ab\tcd');
+        assert.strictEqual(run(chain.getItems(), 'cd').computed.posX, 100);
+        assert.strictEqual(run(chain.getItems(), '\t').computed.width, 84);
+    });
+
+    it('ends text at a right stop', () => {
+        const chain = createChain(400, [{ position: 200, align: 'right' }]);
+        chain.insertText('x\tabc');
+        assert.strictEqual(run(chain.getItems(), 'abc').computed.posX, 176);
+    });
+
+    it('right-aligns everything up to the next tab', () => {
+        const chain = createChain(400, [{ position: 200, align: 'right' }]);
+        chain.insertText('x\tab cd\tz');
+        const items = chain.getItems();
+        assert.strictEqual(run(items, 'ab').computed.posX, 160);
+        assert.strictEqual(run(items, 'z').computed.posX, 240);
+    });
+
+    it('centers text on a center stop', () => {
+        const chain = createChain(400, [{ position: 200, align: 'center' }]);
+        chain.insertText('x\tabcd');
+        assert.strictEqual(run(chain.getItems(), 'abcd').computed.posX, 184);
+    });
+
+    it('puts the decimal point on a decimal stop', () => {
+        const chain = createChain(400, [{ position: 200, align: 'decimal' }]);
+        chain.insertText('x\t12.50\n\t1234.5\n\t7');
+        for (const p of [0, 1, 2]) chain.paragraphTabStops.set(p, normalizeTabStops([{ position: 200, align: 'decimal' }]));
+        chain.invalidateLayout();
+        chain.recalc();
+        const items = chain.getItems();
+        assert.strictEqual(run(items, '12.50').computed.posX, 184);
+        assert.strictEqual(run(items, '1234.5').computed.posX, 168);
+        // Without a decimal point the text ends at the stop.
+        assert.strictEqual(run(items, '7').computed.posX, 192);
+    });
+
+    it('shrinks to nothing when the text after it does not fit before the stop', () => {
+        const chain = createChain(400, [{ position: 20, align: 'right' }]);
+        chain.insertText('a\tdefgh');
+        assert.strictEqual(run(chain.getItems(), '\t').computed.width, 0);
+        assert.strictEqual(run(chain.getItems(), 'defgh').computed.posX, 8);
+    });
+
+    it('records the stop leader', () => {
+        const chain = createChain(400, [{ position: 200, align: 'right', leader: 'dot' }]);
+        chain.insertText('Intro\t12');
+        assert.strictEqual(run(chain.getItems(), '\t').computed.leader, 'dot');
+    });
+
+    it('does not reach past the end of the line', () => {
+        const chain = createChain(100, [{ position: 300 }]);
+        chain.insertText('a\tk');
+        const items = chain.getItems();
+        assert.strictEqual(run(items, '\t').computed.width, 92);
+        const k = items.indexOf(run(items, 'k'));
+        assert.ok(items[k - 1] instanceof VirtualNewlineLink);
+        assert.strictEqual(run(items, 'k').computed.posX, 0);
+    });
+
+    it('measures stops from the start of a wrapped line', () => {
+        const chain = createChain(100);
+        chain.insertText('aaaaaaaa bbbb\tc');
+        assert.strictEqual(run(chain.getItems(), 'c').computed.posX, 48);
+    });
+
+    it('moves the caret over a tab in one step', () => {
+        const chain = createChain();
+        chain.insertText('a\tb');
+        chain.moveCursorToCharPosition(1);
+        chain.rightArrowPressed();
+        assert.strictEqual(chain.getCursorCharPosition(), 2);
+        assert.strictEqual(chain.getCursor().computed.posX, 48);
+        chain.backspacePressed();
+        assert.strictEqual(chain.getFlatText(), 'ab');
+    });
+});
+
+describe('Editor tabs', () => {
+    let editor;
+    let canvas;
+
+    beforeEach(() => {
+        canvas = createTestCanvas();
+        editor = new CanvasEditor(canvas);
+    });
+
+    it('inserts a tab character with the Tab key', () => {
+        editor.handleKeyDown(key('a'));
+        editor.handleKeyDown(key('Tab'));
+        editor.handleKeyDown(key('b'));
+        assert.strictEqual(editor.getText(), 'a\tb');
+        editor.render();
+        assert.strictEqual(run(editor.chain.getItems(), 'b').computed.posX, 48);
+    });
+
+    it('deletes a tab with one Backspace', () => {
+        editor.handleKeyDown(key('Tab'));
+        editor.handleKeyDown(key('Backspace'));
+        assert.strictEqual(editor.getText(), '');
+    });
+
+    it('uses the tabInterval option', () => {
+        editor = new CanvasEditor(createTestCanvas(), { tabInterval: 100 });
+        editor.setText('a\tb');
+        editor.render();
+        assert.strictEqual(run(editor.chain.getItems(), 'b').computed.posX, 100);
+    });
+
+    it('sets tab stops on the selected paragraphs', () => {
+        editor.setText('one\ttwo\nthree\tfour\nfive\tsix');
+        editor.selectAll();
+        editor.setTabStops([{ position: 200, align: 'right', leader: 'dot' }]);
+        editor.chain.clearSelection();
+        editor.render();
+        assert.deepStrictEqual(editor.getTabStops(), [{ position: 200, align: 'right', leader: 'dot' }]);
+        assert.strictEqual(run(editor.chain.getItems(), 'four').computed.posX, 168);
+
+        editor.selectAll();
+        editor.setTabStops(null);
+        editor.chain.clearSelection();
+        editor.render();
+        assert.deepStrictEqual(editor.getTabStops(), []);
+        assert.strictEqual(run(editor.chain.getItems(), 'four').computed.posX, 48);
+    });
+
+    it('keeps the current paragraph stops when setting them on one paragraph', () => {
+        editor.setText('one\ttwo\nthree\tfour');
+        editor.chain.moveCursorToCharPosition(0);
+        editor.setTabStops([{ position: 100 }]);
+        editor.render();
+        assert.strictEqual(run(editor.chain.getItems(), 'two').computed.posX, 100);
+        assert.strictEqual(run(editor.chain.getItems(), 'four').computed.posX, 48);
+    });
+
+    it('returns copies of the stops', () => {
+        editor.setText('a\tb');
+        editor.setTabStops([{ position: 100 }]);
+        editor.getTabStops()[0].position = 5;
+        assert.deepStrictEqual(editor.getTabStops(), [{ position: 100 }]);
+    });
+
+    it('carries the stops onto a new paragraph with Enter', () => {
+        editor.setText('a\tb');
+        editor.setTabStops([{ position: 100 }]);
+        editor.chain.moveCursorToCharPosition(3);
+        editor.handleKeyDown(key('Enter'));
+        editor.handleKeyDown(key('Tab'));
+        editor.handleKeyDown(key('c'));
+        editor.render();
+        assert.deepStrictEqual(editor.getTabStops(), [{ position: 100 }]);
+        assert.strictEqual(run(editor.chain.getItems(), 'c').computed.posX, 100);
+    });
+
+    it('serializes tabs and stops in toJSON', () => {
+        editor.setText('a\tb\nc');
+        editor.chain.moveCursorToCharPosition(0);
+        editor.setTabStops([{ position: 120, align: 'decimal' }]);
+        const json = editor.toJSON();
+        assert.ok(json.content.some(entry => entry.text === '\t'));
+        assert.deepStrictEqual(json.tabStops, { 0: [{ position: 120, align: 'decimal' }] });
+
+        const other = new CanvasEditor(createTestCanvas());
+        other.fromJSON(JSON.stringify(json));
+        assert.strictEqual(other.getText(), 'a\tb\nc');
+        other.chain.moveCursorToCharPosition(0);
+        assert.deepStrictEqual(other.getTabStops(), [{ position: 120, align: 'decimal' }]);
+    });
+
+    it('drops invalid stops when loading JSON', () => {
+        editor.fromJSON({
+            version: 1,
+            content: [{ type: 'text', text: 'a\tb', font: {} }],
+            tabStops: { 0: [{ position: -1 }, { position: 80, align: 'sideways' }], 3: 'x' }
+        });
+        editor.chain.moveCursorToCharPosition(0);
+        assert.deepStrictEqual(editor.getTabStops(), [{ position: 80 }]);
+    });
+
+    it('undoes a tab stop change', () => {
+        editor.setText('a\tb');
+        editor.setTabStops([{ position: 100 }]);
+        editor.takeSnapshot();
+        editor.undo();
+        assert.deepStrictEqual(editor.getTabStops(), []);
+        editor.redo();
+        assert.deepStrictEqual(editor.getTabStops(), [{ position: 100 }]);
+    });
+
+    it('copies tabs as tab characters', () => {
+        editor.setText('name\tvalue');
+        editor.selectAll();
+        const flavors = editor.getClipboardFlavors();
+        assert.strictEqual(flavors['text/plain'], 'name\tvalue');
+        assert.ok(flavors['text/html'].includes('name\tvalue'));
+    });
+
+    it('keeps stops in sanitized clipboard documents', () => {
+        const doc = sanitizeDocument({
+            content: [{ type: 'text', text: 'a\tb' }],
+            tabStops: { 0: [{ position: 64, leader: 'dot' }], 1: [{ position: 10 }] }
+        });
+        assert.deepStrictEqual(doc.tabStops, { 0: [{ position: 64, leader: 'dot' }] });
+    });
+
+    it('draws a dot leader up to the stop', () => {
+        editor.setText('Intro\t12');
+        editor.setTabStops([{ position: 200, align: 'right', leader: 'dot' }]);
+        canvas.calls = [];
+        editor.render();
+        const dots = canvas.calls.find(call => call.op === 'fillText' && /^\.+$/.test(call.text));
+        assert.ok(dots);
+        assert.strictEqual(dots.x + dots.text.length * 8, 184);
+        assert.ok(!canvas.calls.some(call => call.op === 'fillText' && call.text.includes('\t')));
+    });
+});
@@ -0,0 +1,255 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Chain } from '../src/Chain.js';
+import { FontProperties } from '../src/FontProperties.js';
+import { TextLink, VirtualNewlineLink, NewlineLink } from '../src/ChainLink.js';
+import {
+    TextMeasurer,
+    CanvasTextMeasurer,
+    MockTextMeasurer,
+    FontMetricsTextMeasurer,
+    CachingTextMeasurer
+} from '../src/TextMeasurer.js';
+
+// Every character is 8px wide at 16px; records the font of each measure.
+function createMockContext() {
+    let currentFont = '16px Arial';
+    const ctx = {
+        fonts: [],
+        get font() { return currentFont; },
+        set font(value) { currentFont = value; },
+        measureText(text) {
+            ctx.fonts.push(currentFont);
+            const fontSize = parseInt(currentFont.match(/(\d+)px/)[1]);
+            return {
+                width: text.length * fontSize * 0.5,
+                actualBoundingBoxAscent: fontSize * 0.75,
+                actualBoundingBoxDescent: fontSize * 0.25
+            };
+        }
+    };
+    return ctx;
+}
+
+// Counts the measurements that reach it.
+class CountingMeasurer extends MockTextMeasurer {
+    constructor() {
+        super();
+        this.calls = [];
+    }
+
+    measureText(text, fontProperties) {
+        this.calls.push(text);
+        return super.measureText(text, fontProperties);
+    }
+}
+
+// The text of each displayed line.
+function lines(chain) {
+    const result = [''];
+    for (const item of chain.getItems()) {
+        if (item instanceof VirtualNewlineLink || item instanceof NewlineLink) {
+            result.push('');
+        } else if (item instanceof TextLink) {
+            result[result.length - 1] += item.text;
+        }
+    }
+    return result;
+}
+
+const METRICS = {
+    Mono: { ascent: 0.75, descent: 0.25, defaultWidth: 0.5 },
+    Narrow: {
+        ascent: 0.7,
+        descent: 0.2,
+        widths: { i: 0.25, m: 0.75 },
+        defaultWidth: 0.5,
+        bold: { ascent: 0.7, descent: 0.2, defaultWidth: 0.75 }
+    }
+};
+
+describe('CanvasTextMeasurer', () => {
+    it('measures in the font given and restores the context font', () => {
+        const ctx = createMockContext();
+        const measurer = new CanvasTextMeasurer(ctx);
+        const metrics = measurer.measureText('abcd', new FontProperties(32, 'Georgia', 'bold'));
+
+        assert.deepStrictEqual(metrics, { width: 64, ascent: 24, descent: 8 });
+        assert.deepStrictEqual(ctx.fonts, ['normal bold 32px Georgia']);
+        assert.strictEqual(ctx.font, '16px Arial');
+    });
+
+    it('estimates ascent and descent when the context reports none', () => {
+        const ctx = { font: '', measureText: text => ({ width: text.length }) };
+        const metrics = new CanvasTextMeasurer(ctx).measureText('ab', new FontProperties(20, 'Arial'));
+
+        assert.deepStrictEqual(metrics, { width: 2, ascent: 16, descent: 4 });
+    });
+});
+
+describe('MockTextMeasurer', () => {
+    it('scales its 16px dimensions with the font size', () => {
+        const measurer = new MockTextMeasurer();
+
+        assert.deepStrictEqual(measurer.measureText('abc', new FontProperties(16, 'Arial')),
+            { width: 24, ascent: 12, descent: 4 });
+        assert.deepStrictEqual(measurer.measureText('abc', new FontProperties(32, 'Arial')),
+            { width: 48, ascent: 24, descent: 8 });
+    });
+
+    it('is a TextMeasurer', () => {
+        assert.ok(new MockTextMeasurer() instanceof TextMeasurer);
+        assert.throws(() => new TextMeasurer().measureText('a', new FontProperties(16, 'Arial')));
+    });
+});
+
+describe('FontMetricsTextMeasurer', () => {
+    it('adds up character widths in ems', () => {
+        const measurer = new FontMetricsTextMeasurer(METRICS);
+        const metrics = measurer.measureText('mix', new FontProperties(20, 'Narrow'));
+
+        // m 0.75 + i 0.25 + x 0.5 (default) = 1.5em
+        assert.strictEqual(metrics.width, 30);
+        assert.strictEqual(metrics.ascent, 14);
+        assert.strictEqual(metrics.descent, 4);
+    });
+
+    it('uses the bold metrics for bold text', () => {
+        const measurer = new FontMetricsTextMeasurer(METRICS);
+
+        assert.strictEqual(measurer.measureText('mix', new FontProperties(20, 'Narrow', 'bold')).width, 45);
+        assert.strictEqual(measurer.measureText('ab', new FontProperties(16, 'Mono', 'bold')).width, 16);
+    });
+
+    it('falls back to the default family', () => {
+        const measurer = new FontMetricsTextMeasurer({ default: METRICS.Mono });
+
+        assert.strictEqual(measurer.measureText('abcd', new FontProperties(16, 'Georgia')).width, 32);
+    });
+
+    it('throws for a family it has no metrics for', () => {
+        const measurer = new FontMetricsTextMeasurer(METRICS);
+
+        assert.throws(() => measurer.measureText('a', new FontProperties(16, 'Georgia')), /Georgia/);
+    });
+
+    it('counts astral characters once', () => {
+        const measurer = new FontMetricsTextMeasurer(METRICS);
+
+        assert.strictEqual(measurer.measureText('\u{1F600}', new FontProperties(16, 'Mono')).width, 8);
+    });
+});
+
+describe('CachingTextMeasurer', () => {
+    it('measures each string once per font', () => {
+        const inner = new CountingMeasurer();
+        const measurer = new CachingTextMeasurer(inner);
+        const arial = new FontProperties(16, 'Arial');
+
+        const first = measurer.measureText('hello', arial);
+        const second = measurer.measureText('hello', new FontProperties(16, 'Arial'));
+        measurer.measureText('hello', new FontProperties(20, 'Arial'));
+        measurer.measureText('world', arial);
+
+        assert.strictEqual(first, second);
+        assert.deepStrictEqual(inner.calls, ['hello', 'hello', 'world']);
+    });
+
+    it('ignores properties that do not change the measurement', () => {
+        const inner = new CountingMeasurer();
+        const measurer = new CachingTextMeasurer(inner);
+        const red = new FontProperties(16, 'Arial');
+        red.color = '#ff0000';
+
+        measurer.measureText('hello', new FontProperties(16, 'Arial'));
+        measurer.measureText('hello', red);
+
+        assert.strictEqual(inner.calls.length, 1);
+    });
+
+    it('measures again after clear()', () => {
+        const inner = new CountingMeasurer();
+        const measurer = new CachingTextMeasurer(inner);
+        const arial = new FontProperties(16, 'Arial');
+
+        measurer.measureText('hello', arial);
+        measurer.clear();
+        measurer.measureText('hello', arial);
+
+        assert.strictEqual(inner.calls.length, 2);
+    });
+
+    it('drops the least recently used result when it holds maxEntries', () => {
+        const inner = new CountingMeasurer();
+        const measurer = new CachingTextMeasurer(inner, { maxEntries: 2 });
+        const arial = new FontProperties(16, 'Arial');
+
+        measurer.measureText('a', arial);
+        measurer.measureText('b', arial);
+        measurer.measureText('a', arial);
+        measurer.measureText('c', arial);
+        assert.strictEqual(measurer.size, 2);
+        measurer.measureText('a', arial);
+        measurer.measureText('b', arial);
+
+        assert.deepStrictEqual(inner.calls, ['a', 'b', 'c', 'b']);
+    });
+});
+
+describe('Chain with a TextMeasurer', () => {
+    it('lays out without a canvas context', () => {
+        const chain = new Chain(100, new MockTextMeasurer(), new FontProperties(16, 'Arial'));
+        chain.insertText('aaaa bbbb cccc dddd');
+
+        assert.strictEqual(chain.ctx, null);
+        assert.deepStrictEqual(lines(chain), ['aaaa bbbb ', 'cccc dddd']);
+        const text = chain.getItems().find(item => item instanceof TextLink);
+        assert.strictEqual(text.computed.ascent, 12);
+        assert.strictEqual(text.computed.descent, 4);
+    });
+
+    it('lays out the same as through a canvas context', () => {
+        const text = 'The quick brown fox jumps over the lazy dog\nand keeps running';
+        const fromMeasurer = new Chain(120, new MockTextMeasurer(), new FontProperties(16, 'Arial'));
+        const fromContext = new Chain(120, createMockContext(), new FontProperties(16, 'Arial'));
+        fromMeasurer.insertText(text);
+        fromContext.insertText(text);
+
+        const layout = chain => chain.getItems().map(item => ({ text: item.text, ...item.computed }));
+        assert.deepStrictEqual(layout(fromMeasurer), layout(fromContext));
+        assert.strictEqual(fromMeasurer.contentHeight, fromContext.contentHeight);
+    });
+
+    it('wraps by the widths in a font metrics table', () => {
+        const chain = new Chain(60, new FontMetricsTextMeasurer(METRICS), new FontProperties(16, 'Narrow'));
+        // 'iiii ' is 4 * 4px + 8px wide at 16px; 'mmmm' (4 * 12px) does not fit after two.
+        chain.insertText('iiii iiii mmmm');
+
+        assert.deepStrictEqual(lines(chain), ['iiii iiii ', 'mmmm']);
+    });
+
+    it('measures text once across layout passes', () => {
+        const measurer = new CountingMeasurer();
+        const chain = new Chain(200, measurer, new FontProperties(16, 'Arial'));
+        chain.insertText('hello world\nsecond paragraph');
+        const measured = measurer.calls.length;
+
+        chain.invalidateLayout();
+        chain.recalc();
+        assert.ok(measurer.calls.length > measured, 'invalidateLayout() measures afresh');
+
+        const remeasured = measurer.calls.length;
+        chain.paragraphLayouts = new Map();
+        chain.recalc();
+        assert.strictEqual(measurer.calls.length, remeasured);
+    });
+
+    it('hit-tests through the chain measurer', () => {
+        const chain = new Chain(200, new MockTextMeasurer(), new FontProperties(16, 'Arial'));
+        chain.insertText('hello');
+        const text = chain.getItems().find(item => item instanceof TextLink);
+
+        assert.strictEqual(text.getCharX(chain.measurer, 2), 16);
+        assert.strictEqual(text.getCharIdxFromX(chain.measurer, 25), 3);
+    });
+});
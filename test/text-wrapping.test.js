@@ -3,43 +3,16 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink, VirtualNewlineLink } from '../src/ChainLink.js';
-
-// Create a mock canvas context for testing
-function createMockContext() {
-    let currentFont = '16px Arial';
-
-    const ctx = {
-        get font() {
-            return currentFont;
-        },
-        set font(value) {
-            currentFont = value;
-        },
-        save() {},
-        restore() {},
-        measureText(text) {
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-
-    return ctx;
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 describe('Text Wrapping and Line Breaking', () => {
 
     describe('chunkTextLinks', () => {
 
         it('should split text by whitespace', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -61,9 +34,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should preserve consecutive spaces', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed(' ');
@@ -78,9 +51,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should handle text without spaces', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('H');
             chain.printableKeyPressed('e');
@@ -96,9 +69,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should handle multiple words', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             'One Two Three'.split('').forEach(char => {
                 chain.printableKeyPressed(char);
@@ -115,10 +88,10 @@ describe('Text Wrapping and Line Breaking', () => {
     describe('Virtual newlines (word wrapping)', () => {
 
         it('should create virtual newline when text exceeds width', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
             const narrowWidth = 100; // Very narrow
-            const chain = new Chain(narrowWidth, ctx, fontProps);
+            const chain = new Chain(narrowWidth, measurer, fontProps);
 
             // Type a long word
             'VeryLongWordThatWillWrap'.split('').forEach(char => {
@@ -133,10 +106,10 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should wrap long sentences', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
             const narrowWidth = 200;
-            const chain = new Chain(narrowWidth, ctx, fontProps);
+            const chain = new Chain(narrowWidth, measurer, fontProps);
 
             'This is a long sentence that should wrap across multiple lines'.split('').forEach(char => {
                 chain.printableKeyPressed(char);
@@ -150,10 +123,10 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should not create virtual newlines for short text', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
             const wideWidth = 800;
-            const chain = new Chain(wideWidth, ctx, fontProps);
+            const chain = new Chain(wideWidth, measurer, fontProps);
 
             'Short'.split('').forEach(char => {
                 chain.printableKeyPressed(char);
@@ -167,9 +140,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should remove virtual newlines on recalc', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(100, ctx, fontProps);
+            const chain = new Chain(100, measurer, fontProps);
 
             // Create some text with virtual newlines
             'VeryLongWordThatWraps'.split('').forEach(char => {
@@ -193,9 +166,9 @@ describe('Text Wrapping and Line Breaking', () => {
     describe('Real newlines (user-created)', () => {
 
         it('should preserve newlines on recalc', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -215,10 +188,10 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should differentiate real and virtual newlines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
             const narrowWidth = 100;
-            const chain = new Chain(narrowWidth, ctx, fontProps);
+            const chain = new Chain(narrowWidth, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed(); // Real newline
@@ -236,9 +209,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should handle multiple consecutive newlines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -256,9 +229,9 @@ describe('Text Wrapping and Line Breaking', () => {
     describe('Position calculations', () => {
 
         it('should calculate X positions for single line', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.printableKeyPressed('B');
@@ -279,9 +252,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should reset X position after newline', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -300,9 +273,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should calculate Y positions for multiple lines', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -325,9 +298,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should calculate line heights', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.printableKeyPressed('A');
             chain.enterPressed();
@@ -346,9 +319,9 @@ describe('Text Wrapping and Line Breaking', () => {
     describe('joinAdjacentTextLinks', () => {
 
         it('should join text links with same font properties', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             // Manually create adjacent text links
             chain.items = [
@@ -368,10 +341,10 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should not join text links with different fonts', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps1 = new FontProperties(16, 'Arial');
             const fontProps2 = new FontProperties(20, 'Arial');
-            const chain = new Chain(800, ctx, fontProps1);
+            const chain = new Chain(800, measurer, fontProps1);
 
             chain.items = [
                 new TextLink('Small', fontProps1.clone()),
@@ -392,9 +365,9 @@ describe('Text Wrapping and Line Breaking', () => {
     describe('removeEmptyTextLinks', () => {
 
         it('should remove empty text links', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('', fontProps.clone()),
@@ -413,9 +386,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should preserve non-empty text links', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.items = [
                 new TextLink('A', fontProps.clone()),
@@ -440,9 +413,9 @@ describe('Text Wrapping and Line Breaking', () => {
     describe('setWidth', () => {
 
         it('should update chain width', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             chain.setWidth(600);
 
@@ -450,9 +423,9 @@ describe('Text Wrapping and Line Breaking', () => {
         });
 
         it('should recalculate on width change', () => {
-            const ctx = createMockContext();
+            const measurer = new MockTextMeasurer();
             const fontProps = new FontProperties(16, 'Arial');
-            const chain = new Chain(800, ctx, fontProps);
+            const chain = new Chain(800, measurer, fontProps);
 
             'Long text that might wrap when width changes'.split('').forEach(char => {
                 chain.printableKeyPressed(char);
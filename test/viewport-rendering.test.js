@@ -0,0 +1,210 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { CanvasEditor } from '../src/CanvasEditor.js';
+import { TextLink } from '../src/ChainLink.js';
+
+function createTestCanvas() {
+    const eventListeners = new Map();
+    const canvas = {
+        width: 800,
+        height: 600,
+        tabIndex: 0,
+        style: {},
+        addEventListener: (event, handler) => {
+            if (!eventListeners.has(event)) {
+                eventListeners.set(event, []);
+            }
+            eventListeners.get(event).push(handler);
+        },
+        removeEventListener: (event, handler) => {
+            if (eventListeners.has(event)) {
+                const handlers = eventListeners.get(event);
+                const index = handlers.indexOf(handler);
+                if (index > -1) {
+                    handlers.splice(index, 1);
+                }
+            }
+        },
+        focus: () => {},
+        getContext: (type) => {
+            let currentFont = '16px Arial';
+            return {
+                font: currentFont,
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                save: () => {},
+                restore: () => {},
+                clearRect: () => {},
+                fillRect: () => {},
+                strokeRect: () => {},
+                fillText: () => {},
+                translate: () => {},
+                scale: () => {},
+                rotate: () => {},
+                beginPath: () => {},
+                moveTo: () => {},
+                lineTo: () => {},
+                stroke: () => {},
+                fill: () => {},
+                arc: () => {},
+                measureText(text) {
+                    const fontSizeMatch = currentFont.match(/(\d+)px/);
+                    const fontSize = fontSizeMatch ? parseInt(fontSizeMatch[1]) : 16;
+                    const charWidth = fontSize * 0.5;
+                    return {
+                        width: text.length * charWidth,
+                        actualBoundingBoxAscent: fontSize * 0.75,
+                        actualBoundingBoxDescent: fontSize * 0.25
+                    };
+                },
+                set font(value) {
+                    currentFont = value;
+                },
+                get font() {
+                    return currentFont;
+                }
+            };
+        }
+    };
+    canvas.eventListeners = eventListeners;
+    return canvas;
+}
+
+// Mock requestAnimationFrame and cancelAnimationFrame
+let animationFrameId = 0;
+const animationFrameCallbacks = new Map();
+
+global.requestAnimationFrame = (callback) => {
+    const id = ++animationFrameId;
+    animationFrameCallbacks.set(id, callback);
+    return id;
+};
+
+global.cancelAnimationFrame = (id) => {
+    animationFrameCallbacks.delete(id);
+};
+
+// A document of `count` numbered paragraphs.
+function longText(count) {
+    return Array.from({ length: count }, (_, i) => `Paragraph ${i} text`).join('\n');
+}
+
+// Record the text drawn by the next render.
+function drawnTexts(editor) {
+    const texts = [];
+    editor.ctx.fillText = (text) => texts.push(text);
+    editor.render();
+    return texts;
+}
+
+describe('Viewport-culled rendering', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new CanvasEditor(createTestCanvas(), { backgroundColor: '#ffffff', padding: 10 });
+        editor.setText(longText(500));
+    });
+
+    it('should only draw text on lines in the viewport', () => {
+        editor.scrollY = 0;
+        const texts = drawnTexts(editor);
+
+        assert.ok(texts.includes('0'));
+        assert.ok(!texts.includes('499'));
+        assert.ok(texts.length < 200, `drew ${texts.length} runs`);
+    });
+
+    it('should draw the lines scrolled into view', () => {
+        const target = editor.chain.getItems().find(item => item instanceof TextLink && item.text === '250');
+        editor.scrollY = target.computed.posY - 100;
+        const texts = drawnTexts(editor);
+
+        assert.ok(texts.includes('250'));
+        assert.ok(!texts.includes('0'));
+    });
+
+    it('should return every line intersecting the viewport', () => {
+        const { lines } = editor.lineIndex;
+        for (const scrollY of [0, 1234, 5000, editor.getMaxScroll()]) {
+            editor.scrollY = scrollY;
+            const viewTop = scrollY - 10;
+            const viewBottom = viewTop + editor.canvas.height;
+            const expected = lines.filter(line =>
+                line.slotBottom >= viewTop && line.slotTop - (line.slotBottom - line.slotTop) <= viewBottom);
+
+            assert.deepStrictEqual(editor.getVisibleLines(), expected);
+        }
+    });
+
+    it('should not re-walk the document on frames without layout changes', () => {
+        editor.render();
+        let alignments = 0;
+        const original = editor.chain.alignLines.bind(editor.chain);
+        editor.chain.alignLines = (...args) => {
+            alignments++;
+            original(...args);
+        };
+
+        editor.cursorVisible = !editor.cursorVisible;
+        editor.render();
+        editor.scrollY = 300;
+        editor.render();
+        assert.strictEqual(alignments, 0);
+
+        // Only the paragraph that changes is aligned again.
+        editor.setAlignment('center');
+        assert.strictEqual(alignments, 1);
+    });
+
+    it('should lay out typing without a pass over the whole document', () => {
+        let passes = 0;
+        const recalc = editor.chain.recalc.bind(editor.chain);
+        editor.chain.recalc = () => {
+            if (editor.chain.layoutBatchDepth === 0) passes++;
+            recalc();
+        };
+
+        editor.handleKeyDown({ key: 'x', preventDefault() {} });
+        editor.handleKeyDown({ key: 'Backspace', preventDefault() {} });
+        assert.strictEqual(passes, 0);
+
+        editor.handleKeyDown({ key: 'Enter', preventDefault() {} });
+        assert.strictEqual(passes, 1);
+    });
+
+    it('should only highlight the visible part of a selection', () => {
+        editor.selectAll();
+        editor.scrollY = 0;
+        editor.render();
+        let rects = 0;
+        editor.ctx.fillRect = () => rects++;
+        editor.renderSelection();
+
+        assert.ok(rects > 0);
+        assert.ok(rects < 200, `filled ${rects} rects`);
+    });
+
+    it('should only draw visible find matches', () => {
+        editor.find('text');
+        editor.scrollY = 0;
+        editor.render();
+        let rects = 0;
+        editor.ctx.fillRect = () => rects++;
+        editor.renderFindMatches();
+
+        assert.ok(rects > 0);
+        assert.ok(rects < 100, `filled ${rects} rects`);
+    });
+
+    it('should only draw visible list markers', () => {
+        editor.selectAll();
+        editor.toggleNumberedList();
+        editor.chain.clearSelection();
+        editor.scrollY = 0;
+        const texts = drawnTexts(editor);
+
+        assert.ok(texts.includes('1.'));
+        assert.ok(!texts.includes('500.'));
+    });
+});
@@ -3,30 +3,12 @@ import assert from 'node:assert';
 import { Chain } from '../src/Chain.js';
 import { FontProperties } from '../src/FontProperties.js';
 import { TextLink, NewlineLink, CursorLink } from '../src/ChainLink.js';
-
-function createMockContext() {
-    let currentFont = '16px Arial';
-    return {
-        get font() { return currentFont; },
-        set font(value) { currentFont = value; },
-        save() {},
-        restore() {},
-        measureText(text) {
-            const fontSize = parseInt(currentFont) || 16;
-            const charWidth = fontSize * 0.5;
-            return {
-                width: text.length * charWidth,
-                actualBoundingBoxAscent: fontSize * 0.75,
-                actualBoundingBoxDescent: fontSize * 0.25
-            };
-        }
-    };
-}
+import { MockTextMeasurer } from '../src/TextMeasurer.js';
 
 function makeChain(width = 800) {
-    const ctx = createMockContext();
+    const measurer = new MockTextMeasurer();
     const fontProps = new FontProperties(16, 'Arial');
-    return new Chain(width, ctx, fontProps);
+    return new Chain(width, measurer, fontProps);
 }
 
 function typeText(chain, text) {